@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+/**
+ * sandquake: run the sandpile simulation headlessly from the command line
+ *
+ * Usage: sandquake [options]
+ *        sandquake sweep [options]
+ * A run writes summary.json plus events, seismograph and grid files to --out;
+ * a sweep writes sweep.json, sweep.csv and sweep.svg. With --checkpoint(s)
+ * the final state of each run is also saved as a binary snapshot.
+ */
+
+import { parseArgs } from 'node:util';
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { runHeadless, formatHeadlessResults } from '../src/core/HeadlessRunner.js';
+import { runSweep, expandRange, sweepTableToCsv } from '../src/core/ParameterSweep.js';
+import { renderSweepChart } from '../src/graphics/SweepChart.js';
+import { encodeSnapshot, BINARY_SNAPSHOT_EXTENSION } from '../src/core/BinarySnapshot.js';
+import { DEFAULT_PROPAGATION } from '../src/core/SeismographData.js';
+
+const USAGE = `Usage: sandquake [options]
+       sandquake sweep [options]   (see sandquake sweep --help)
+
+Options:
+  --ticks N            Ticks to run (default 6000)
+  --size N             Grid size (default 64)
+  --model NAME         btw, manna, zhang, ofc or oslo (default btw)
+  --param KEY=VALUE    Model parameter, repeatable (e.g. --param alpha=0.2)
+  --topology NAME      square-4, square-8, hexagonal-6 or triangular-3 (default square-4)
+  --boundary NAME      open, closed, periodic, cylinder or bottom-sink (default open)
+  --seed SEED          Random seed (default: random, reported in summary.json)
+  --sources SPEC       random:N[:rate], center[:rate], grid:N[:rate] or "x,y[,rate];..." (default random:3)
+  --stations SPEC      Seismometers "name,x,y[,kernel[,range]];..." with kernel hyperbolic,
+                       exponential or gaussian; names tick and time are reserved
+                       (default: one station at the bottom-left corner)
+  --speed X            Global speed multiplier (default 1)
+  --randomness X       Avalanche randomness factor 0-1 (default 0)
+  --tick-rate N        Ticks per second of simulation time (default 60)
+  --wave-speed N       Record seismic waves travelling at N cells per second
+                       instead of instant distance weighting (default 30 once
+                       --attenuation is given)
+  --attenuation X      Record seismic waves losing X per cell travelled
+                       (default 0.02 once --wave-speed is given)
+  --format FORMAT      json or csv (default json)
+  --checkpoint         Also save the final state as final.sandquake.bin
+  --out DIR            Output directory (default sandquake-output)
+  --quiet              Do not report progress
+  -h, --help           Show this help`;
+
+const SWEEP_USAGE = `Usage: sandquake sweep [options]
+
+Runs every combination of the ranges below for each seed. Ranges are a
+comma list (32,64,128), an inclusive start:end:step range (16:128:16) or
+'default' for the model's own critical mass.
+
+Options:
+  --sizes RANGE           Grid sizes (default 64)
+  --critical-mass RANGE   Critical masses (default: the model's)
+  --randomness RANGE      Randomness factors (default 0)
+  --sources RANGE         Numbers of random sources (default 3)
+  --seeds N|LIST          Seed count (seeds 1..N) or comma list of seeds (default 3)
+  --ticks N               Ticks per run (default 20000)
+  --warmup N              Ticks left out of the statistics (default ticks / 2)
+  --speed X               Global speed multiplier, at most 5 (default 1)
+  --rate X                Grains per second of every source (default: random, 0.5-2)
+  --model NAME            Toppling model (default btw)
+  --param KEY=VALUE       Model parameter, repeatable
+  --topology NAME         Lattice topology (default square-4)
+  --boundary NAME         Boundary preset (default open)
+  --out DIR               Output directory (default sandquake-sweep)
+  --checkpoints           Save each run's final state in checkpoints/ as a binary snapshot
+  --quiet                 Do not report progress
+  -h, --help              Show this help`;
+
+/**
+ * Parse a numeric option
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ * @param {number} fallback - Default value
+ * @returns {number} Option value
+ */
+function numberOption(values, name, fallback) {
+    if (values[name] === undefined) return fallback;
+
+    const value = Number(values[name]);
+    if (!Number.isFinite(value)) {
+        throw new Error(`--${name} expects a number, got '${values[name]}'`);
+    }
+    return value;
+}
+
+/**
+ * Parse repeated --param KEY=VALUE options
+ * @param {Array<string>} params - Raw parameter strings
+ * @returns {Object} Model parameters
+ */
+function parseModelParams(params = []) {
+    const modelParams = {};
+    for (const param of params) {
+        const [key, value] = param.split('=');
+        if (!key || value === undefined || !Number.isFinite(Number(value))) {
+            throw new Error(`--param expects KEY=NUMBER, got '${param}'`);
+        }
+        modelParams[key] = Number(value);
+    }
+    return modelParams;
+}
+
+/**
+ * Run one simulation and write its outputs
+ * @param {Array<string>} args - Command line arguments
+ */
+function runCommand(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            ticks: { type: 'string' },
+            size: { type: 'string' },
+            model: { type: 'string', default: 'btw' },
+            param: { type: 'string', multiple: true },
+            topology: { type: 'string', default: 'square-4' },
+            boundary: { type: 'string', default: 'open' },
+            seed: { type: 'string' },
+            sources: { type: 'string', default: 'random:3' },
+            stations: { type: 'string', default: 'default' },
+            speed: { type: 'string' },
+            randomness: { type: 'string' },
+            'tick-rate': { type: 'string' },
+            'wave-speed': { type: 'string' },
+            attenuation: { type: 'string' },
+            format: { type: 'string', default: 'json' },
+            checkpoint: { type: 'boolean', default: false },
+            out: { type: 'string', default: 'sandquake-output' },
+            quiet: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    // Numeric seeds stay numbers so they match seeds given to Simulation in code
+    let seed;
+    if (values.seed !== undefined) {
+        seed = Number.isFinite(Number(values.seed)) ? Number(values.seed) : values.seed;
+    }
+
+    const startTime = performance.now();
+    const result = runHeadless({
+        ticks: numberOption(values, 'ticks', 6000),
+        gridSize: numberOption(values, 'size', 64),
+        model: values.model,
+        modelParams: parseModelParams(values.param),
+        topology: values.topology,
+        boundary: values.boundary,
+        seed,
+        sources: values.sources,
+        stations: values.stations,
+        speed: numberOption(values, 'speed', 1.0),
+        randomness: numberOption(values, 'randomness', 0),
+        tickRate: numberOption(values, 'tick-rate', 60),
+        // Either wave option switches from instant weighting to travelling waves
+        propagation: values['wave-speed'] === undefined && values.attenuation === undefined ? null : {
+            mode: 'wave',
+            speed: numberOption(values, 'wave-speed', DEFAULT_PROPAGATION.speed),
+            attenuation: numberOption(values, 'attenuation', DEFAULT_PROPAGATION.attenuation)
+        },
+        onProgress: values.quiet ? null : (done, total) => {
+            process.stderr.write(`\rtick ${done}/${total}`);
+        }
+    });
+    if (!values.quiet) process.stderr.write('\n');
+
+    const files = formatHeadlessResults(result, values.format);
+    if (values.checkpoint) {
+        files[`final${BINARY_SNAPSHOT_EXTENSION}`] = encodeSnapshot(result.simulation.exportState());
+    }
+    mkdirSync(values.out, { recursive: true });
+    for (const [name, contents] of Object.entries(files)) {
+        writeFileSync(join(values.out, name), contents);
+    }
+
+    const elapsed = ((performance.now() - startTime) / 1000).toFixed(1);
+    console.log(
+        `${result.options.ticks} ticks, ${result.events.length} avalanches, seed ${result.options.seed}, ` +
+        `${elapsed}s; wrote ${Object.keys(files).join(', ')} to ${values.out}`
+    );
+}
+
+/**
+ * Parse the --seeds option: a count N (seeds 1..N) or a comma list
+ * @param {string} spec - Option value
+ * @returns {Array<number|string>} Seeds
+ */
+function parseSeeds(spec) {
+    if (!spec.includes(',')) {
+        const count = Number(spec);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`--seeds expects a positive count or a comma list, got '${spec}'`);
+        }
+        return Array.from({ length: count }, (_, i) => i + 1);
+    }
+    return spec.split(',').map(seed => (Number.isFinite(Number(seed)) ? Number(seed) : seed.trim()));
+}
+
+/**
+ * Run a parameter sweep and write the results table and chart
+ * @param {Array<string>} args - Command line arguments after 'sweep'
+ */
+function sweepCommand(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            sizes: { type: 'string', default: '64' },
+            'critical-mass': { type: 'string', default: 'default' },
+            randomness: { type: 'string', default: '0' },
+            sources: { type: 'string', default: '3' },
+            seeds: { type: 'string', default: '3' },
+            ticks: { type: 'string' },
+            warmup: { type: 'string' },
+            speed: { type: 'string' },
+            rate: { type: 'string' },
+            model: { type: 'string', default: 'btw' },
+            param: { type: 'string', multiple: true },
+            topology: { type: 'string', default: 'square-4' },
+            boundary: { type: 'string', default: 'open' },
+            out: { type: 'string', default: 'sandquake-sweep' },
+            checkpoints: { type: 'boolean', default: false },
+            quiet: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(SWEEP_USAGE);
+        return;
+    }
+
+    const ticks = numberOption(values, 'ticks', 20000);
+    const startTime = performance.now();
+
+    const checkpointDir = join(values.out, 'checkpoints');
+    if (values.checkpoints) {
+        mkdirSync(checkpointDir, { recursive: true });
+    }
+
+    const result = runSweep({
+        gridSize: expandRange(values.sizes),
+        criticalMass: expandRange(values['critical-mass']),
+        randomness: expandRange(values.randomness),
+        sourceCount: expandRange(values.sources),
+        seeds: parseSeeds(values.seeds),
+        ticks,
+        warmupTicks: numberOption(values, 'warmup', Math.floor(ticks / 2)),
+        speed: numberOption(values, 'speed', 1),
+        rate: numberOption(values, 'rate', null),
+        model: values.model,
+        modelParams: parseModelParams(values.param),
+        topology: values.topology,
+        boundary: values.boundary,
+        onProgress: values.quiet ? null : (done, total, run) => {
+            process.stderr.write(`\rrun ${done}/${total} (size ${run.gridSize}, seed ${run.seed})   `);
+        },
+        onCheckpoint: values.checkpoints ? (run, state) => {
+            const name = `size-${run.gridSize}_mass-${run.criticalMass}_rand-${run.randomness}_src-${run.sourceCount}_seed-${run.seed}`;
+            writeFileSync(join(checkpointDir, name + BINARY_SNAPSHOT_EXTENSION), encodeSnapshot(state));
+        } : null
+    });
+    if (!values.quiet) process.stderr.write('\n');
+
+    mkdirSync(values.out, { recursive: true });
+    writeFileSync(join(values.out, 'sweep.json'), JSON.stringify(result, null, 2) + '\n');
+    writeFileSync(join(values.out, 'sweep.csv'), sweepTableToCsv(result.table));
+    writeFileSync(join(values.out, 'sweep.svg'), renderSweepChart(result.table));
+
+    const filling = result.runs.filter(run => !run.steady).length;
+    if (filling > 0) {
+        console.error(
+            `sandquake: warning: ${filling} of ${result.runs.length} runs were still filling after the warm-up, ` +
+            'so their exponents describe the transient; raise --ticks, --warmup, --speed or --rate'
+        );
+    }
+
+    const elapsed = ((performance.now() - startTime) / 1000).toFixed(1);
+    console.log(
+        `${result.table.length} combinations, ${result.runs.length} runs, ${elapsed}s; ` +
+        `wrote sweep.json, sweep.csv, sweep.svg to ${values.out}`
+    );
+}
+
+try {
+    const args = process.argv.slice(2);
+    if (args[0] === 'sweep') {
+        sweepCommand(args.slice(1));
+    } else {
+        runCommand(args);
+    }
+} catch (error) {
+    console.error(`sandquake: ${error.message}`);
+    process.exitCode = 1;
+}
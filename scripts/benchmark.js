@@ -0,0 +1,24 @@
+/**
+ * Benchmark mode: reports sandpile topples per second for each grid size
+ *
+ * Usage: npm run benchmark -- [size ...] [--duration=ms]
+ */
+
+import { runBenchmark } from '../src/core/Benchmark.js';
+
+const args = process.argv.slice(2);
+const durationArg = args.find(arg => arg.startsWith('--duration='));
+const durationMs = durationArg ? Number(durationArg.split('=')[1]) : 2000;
+const sizes = args.filter(arg => !arg.startsWith('--')).map(Number);
+
+const results = runBenchmark(sizes.length > 0 ? sizes : undefined, { durationMs });
+
+console.log('grid size   drops      topples      topples/s');
+for (const result of results) {
+    console.log(
+        `${String(result.gridSize).padEnd(12)}` +
+        `${String(result.drops).padEnd(11)}` +
+        `${String(result.topples).padEnd(13)}` +
+        `${Math.round(result.topplesPerSecond).toLocaleString()}`
+    );
+}
@@ -0,0 +1,150 @@
+/**
+ * Debugger controls for stepping through avalanches
+ */
+
+/**
+ * Toggles debugger mode and steps the relaxation one topple, one wave or
+ * all the way to stability, from buttons or the keyboard
+ *
+ * Keys: D toggles debugger mode; while it is on, T topples one cell,
+ * W processes one wave, S stabilises and G drops a grain.
+ */
+export class DebuggerControl {
+    /**
+     * Create a new debugger control
+     * @param {string} toggleId - ID of the debugger mode button
+     * @param {string} toppleId - ID of the single topple button
+     * @param {string} waveId - ID of the single wave button
+     * @param {string} stabilizeId - ID of the stabilise button
+     * @param {string} dropId - ID of the drop grain button
+     */
+    constructor(toggleId, toppleId, waveId, stabilizeId, dropId) {
+        this.toggleButton = document.getElementById(toggleId);
+        this.stepButtons = {
+            topple: document.getElementById(toppleId),
+            wave: document.getElementById(waveId),
+            stabilize: document.getElementById(stabilizeId),
+            drop: document.getElementById(dropId)
+        };
+
+        // Callbacks: onToggle(enabled) and onStep(action), with action
+        // 'topple', 'wave', 'stabilize' or 'drop'
+        this.onToggle = null;
+        this.onStep = null;
+
+        this.enabled = false;
+
+        if (!this.toggleButton || Object.values(this.stepButtons).some(button => !button)) {
+            console.error(`Debugger control '${toggleId}' not found`);
+            return;
+        }
+
+        this.handleToggle = () => this.setEnabled(!this.enabled);
+        this.stepHandlers = {};
+        for (const [action, button] of Object.entries(this.stepButtons)) {
+            this.stepHandlers[action] = () => this.step(action);
+            button.addEventListener('click', this.stepHandlers[action]);
+        }
+        this.handleKeyDown = (event) => this.onKeyDown(event);
+
+        this.toggleButton.addEventListener('click', this.handleToggle);
+        document.addEventListener('keydown', this.handleKeyDown);
+
+        this.updateButtons();
+    }
+
+    /**
+     * Handle keyboard shortcuts
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyDown(event) {
+        // Leave typing, option picking and browser shortcuts alone
+        const target = event.target;
+        if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' ||
+            target.isContentEditable || event.ctrlKey || event.metaKey || event.altKey || event.shiftKey) {
+            return;
+        }
+
+        const actions = { KeyT: 'topple', KeyW: 'wave', KeyS: 'stabilize', KeyG: 'drop' };
+
+        if (event.code === 'KeyD' && !event.repeat) {
+            event.preventDefault();
+            this.setEnabled(!this.enabled);
+        } else if (this.enabled && actions[event.code]) {
+            // Held keys repeat, so T can be held to run an avalanche slowly
+            event.preventDefault();
+            this.step(actions[event.code]);
+        }
+    }
+
+    /**
+     * Turn debugger mode on or off
+     * @param {boolean} enabled - Whether to enable
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+
+        this.enabled = enabled;
+        this.updateButtons();
+        if (this.onToggle) this.onToggle(enabled);
+    }
+
+    /**
+     * Check whether debugger mode is on
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Request a step
+     * @param {string} action - 'topple', 'wave', 'stabilize' or 'drop'
+     */
+    step(action) {
+        if (this.enabled && this.onStep) this.onStep(action);
+    }
+
+    /**
+     * Show the mode on the toggle button and enable the step buttons in it
+     */
+    updateButtons() {
+        this.toggleButton.textContent = this.enabled ? 'Debug: on' : 'Debug: off';
+        this.toggleButton.classList.toggle('active', this.enabled);
+        for (const button of Object.values(this.stepButtons)) {
+            button.disabled = !this.enabled;
+        }
+    }
+
+    /**
+     * Set the callback for toggling debugger mode
+     * @param {Function} callback - Callback (enabled) => void
+     */
+    setOnToggle(callback) {
+        this.onToggle = callback;
+    }
+
+    /**
+     * Set the callback for a step
+     * @param {Function} callback - Callback (action) => void
+     */
+    setOnStep(callback) {
+        this.onStep = callback;
+    }
+
+    /**
+     * Dispose of the control
+     */
+    dispose() {
+        if (this.toggleButton) {
+            this.toggleButton.removeEventListener('click', this.handleToggle);
+            for (const [action, button] of Object.entries(this.stepButtons)) {
+                button.removeEventListener('click', this.stepHandlers[action]);
+            }
+            document.removeEventListener('keydown', this.handleKeyDown);
+        }
+
+        this.onToggle = null;
+        this.onStep = null;
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Seismic wave propagation: how grid changes reach the stations
+ */
+
+import { PROPAGATION_MODES, DEFAULT_PROPAGATION } from '../core/SeismographData.js';
+
+/**
+ * Propagation mode selector with wave speed and attenuation fields
+ */
+export class PropagationControl {
+    /**
+     * Create a new propagation control
+     * @param {string} modeId - ID of the mode select element
+     * @param {string} speedId - ID of the wave speed number input
+     * @param {string} attenuationId - ID of the attenuation number input
+     */
+    constructor(modeId, speedId, attenuationId) {
+        this.modeSelect = document.getElementById(modeId);
+        this.speedInput = document.getElementById(speedId);
+        this.attenuationInput = document.getElementById(attenuationId);
+
+        // Callback: onChange({mode, speed, attenuation})
+        this.onChange = null;
+
+        if (!this.modeSelect || !this.speedInput || !this.attenuationInput) {
+            console.error(`Propagation control '${modeId}' not found`);
+            return;
+        }
+
+        for (const [name, mode] of Object.entries(PROPAGATION_MODES)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = mode.label;
+            this.modeSelect.appendChild(option);
+        }
+        this.modeSelect.value = DEFAULT_PROPAGATION.mode;
+        this.speedInput.value = DEFAULT_PROPAGATION.speed;
+        this.attenuationInput.value = DEFAULT_PROPAGATION.attenuation;
+
+        this.handleChange = () => {
+            this.updateInputStates();
+            const propagation = this.getPropagation();
+            if (propagation && this.onChange) this.onChange(propagation);
+        };
+
+        this.modeSelect.addEventListener('change', this.handleChange);
+        this.speedInput.addEventListener('change', this.handleChange);
+        this.attenuationInput.addEventListener('change', this.handleChange);
+
+        this.updateInputStates();
+    }
+
+    /**
+     * Get the settings in the form SeismographData.setPropagation() takes
+     * @returns {Object|null} {mode, speed, attenuation}, or null if a field is invalid
+     */
+    getPropagation() {
+        const speed = parseFloat(this.speedInput.value);
+        const attenuation = parseFloat(this.attenuationInput.value);
+
+        if (!(speed > 0)) {
+            console.warn(`Ignoring wave speed '${this.speedInput.value}'`);
+            return null;
+        }
+        if (!(attenuation >= 0)) {
+            console.warn(`Ignoring wave attenuation '${this.attenuationInput.value}'`);
+            return null;
+        }
+
+        return { mode: this.modeSelect.value, speed, attenuation };
+    }
+
+    /**
+     * Enable the wave fields only while waves are selected
+     */
+    updateInputStates() {
+        const waves = this.modeSelect.value === 'wave';
+        this.speedInput.disabled = !waves;
+        this.attenuationInput.disabled = !waves;
+    }
+
+    /**
+     * Set the callback for setting changes
+     * @param {Function} callback - Callback ({mode, speed, attenuation}) => void
+     */
+    setOnChange(callback) {
+        this.onChange = callback;
+    }
+
+    /**
+     * Dispose of the control
+     */
+    dispose() {
+        if (this.modeSelect && this.handleChange) {
+            this.modeSelect.removeEventListener('change', this.handleChange);
+            this.speedInput.removeEventListener('change', this.handleChange);
+            this.attenuationInput.removeEventListener('change', this.handleChange);
+        }
+
+        this.onChange = null;
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Launch prompt offering to resume from the last checkpoint
+ */
+
+/**
+ * Shows a message with Resume and Start fresh buttons
+ */
+export class ResumePrompt {
+    /**
+     * Create a new resume prompt
+     * @param {string} containerId - ID of the prompt element (hidden until shown)
+     * @param {string} messageId - ID of the element holding the message
+     * @param {string} resumeButtonId - ID of the resume button
+     * @param {string} dismissButtonId - ID of the start fresh button
+     */
+    constructor(containerId, messageId, resumeButtonId, dismissButtonId) {
+        this.container = document.getElementById(containerId);
+        this.message = document.getElementById(messageId);
+        this.resumeButton = document.getElementById(resumeButtonId);
+        this.dismissButton = document.getElementById(dismissButtonId);
+
+        // Callbacks: onResume() and onDismiss()
+        this.onResume = null;
+        this.onDismiss = null;
+
+        if (!this.container || !this.resumeButton || !this.dismissButton) {
+            console.error(`Resume prompt '${containerId}' not found`);
+            return;
+        }
+
+        this.handleResumeClick = () => {
+            this.hide();
+            if (this.onResume) this.onResume();
+        };
+        this.handleDismissClick = () => {
+            this.hide();
+            if (this.onDismiss) this.onDismiss();
+        };
+
+        this.resumeButton.addEventListener('click', this.handleResumeClick);
+        this.dismissButton.addEventListener('click', this.handleDismissClick);
+    }
+
+    /**
+     * Show the prompt
+     * @param {string} text - Description of the checkpoint
+     */
+    show(text) {
+        if (!this.container) return;
+
+        if (this.message) this.message.textContent = text;
+        this.container.hidden = false;
+    }
+
+    /**
+     * Hide the prompt
+     */
+    hide() {
+        if (this.container) this.container.hidden = true;
+    }
+
+    /**
+     * Set the callback for the resume button
+     * @param {Function} callback - Callback () => void
+     */
+    setOnResume(callback) {
+        this.onResume = callback;
+    }
+
+    /**
+     * Set the callback for the start fresh button
+     * @param {Function} callback - Callback () => void
+     */
+    setOnDismiss(callback) {
+        this.onDismiss = callback;
+    }
+
+    /**
+     * Dispose of the control
+     */
+    dispose() {
+        if (this.resumeButton) {
+            this.resumeButton.removeEventListener('click', this.handleResumeClick);
+            this.dismissButton.removeEventListener('click', this.handleDismissClick);
+        }
+
+        this.onResume = null;
+        this.onDismiss = null;
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Sandpile group buttons: show the identity, test the pile for recurrence
+ */
+
+/**
+ * Buttons for the sandpile group tools and a line reporting their results
+ */
+export class SandpileGroupControl {
+    /**
+     * Create a new sandpile group control
+     * @param {string} identityButtonId - ID of the show identity button
+     * @param {string} recurrenceButtonId - ID of the recurrence test button
+     * @param {string} statusId - ID of the element showing results
+     */
+    constructor(identityButtonId, recurrenceButtonId, statusId) {
+        this.identityButton = document.getElementById(identityButtonId);
+        this.recurrenceButton = document.getElementById(recurrenceButtonId);
+        this.status = document.getElementById(statusId);
+
+        // Callbacks: onShowIdentity() and onTestRecurrence()
+        this.onShowIdentity = null;
+        this.onTestRecurrence = null;
+
+        if (!this.identityButton || !this.recurrenceButton) {
+            console.error(`Sandpile group buttons '${identityButtonId}' and '${recurrenceButtonId}' not found`);
+            return;
+        }
+
+        this.handleIdentity = () => {
+            if (this.onShowIdentity) this.onShowIdentity();
+        };
+        this.handleRecurrence = () => {
+            if (this.onTestRecurrence) this.onTestRecurrence();
+        };
+
+        this.identityButton.addEventListener('click', this.handleIdentity);
+        this.recurrenceButton.addEventListener('click', this.handleRecurrence);
+    }
+
+    /**
+     * Show a result or error message
+     * @param {string} message - Message to show
+     * @param {boolean} isError - Whether to style it as an error
+     */
+    showStatus(message, isError = false) {
+        if (!this.status) return;
+
+        this.status.textContent = message;
+        this.status.title = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Set the callback for the show identity button
+     * @param {Function} callback - Callback () => void
+     */
+    setOnShowIdentity(callback) {
+        this.onShowIdentity = callback;
+    }
+
+    /**
+     * Set the callback for the recurrence test button
+     * @param {Function} callback - Callback () => void
+     */
+    setOnTestRecurrence(callback) {
+        this.onTestRecurrence = callback;
+    }
+
+    /**
+     * Dispose of the control
+     */
+    dispose() {
+        if (this.identityButton) {
+            this.identityButton.removeEventListener('click', this.handleIdentity);
+            this.recurrenceButton.removeEventListener('click', this.handleRecurrence);
+        }
+
+        this.onShowIdentity = null;
+        this.onTestRecurrence = null;
+    }
+}
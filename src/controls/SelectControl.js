@@ -0,0 +1,105 @@
+/**
+ * Drop-down control for choosing between named simulation options
+ */
+
+/**
+ * Wraps a <select> element, populating it from a list of options
+ */
+export class SelectControl {
+    /**
+     * Create a new select control
+     * @param {string} selectId - ID of the select element
+     * @param {Array} options - Array of {name, label} entries
+     * @param {string} initialValue - Initially selected option name
+     */
+    constructor(selectId, options = [], initialValue = null) {
+        this.select = document.getElementById(selectId);
+        this.value = initialValue;
+
+        // Callback for when the selection changes
+        this.onChange = null;
+
+        if (!this.select) {
+            console.error(`Select element with ID '${selectId}' not found`);
+            return;
+        }
+
+        this.setOptions(options, initialValue);
+
+        this.handleChange = () => {
+            this.value = this.select.value;
+            if (this.onChange) {
+                this.onChange(this.value);
+            }
+        };
+        this.select.addEventListener('change', this.handleChange);
+    }
+
+    /**
+     * Replace the available options
+     * @param {Array} options - Array of {name, label} entries
+     * @param {string} selected - Option name to select
+     */
+    setOptions(options, selected = null) {
+        if (!this.select) return;
+
+        this.select.innerHTML = '';
+        for (const option of options) {
+            const element = document.createElement('option');
+            element.value = option.name;
+            element.textContent = option.label;
+            this.select.appendChild(element);
+        }
+
+        this.setValue(selected !== null ? selected : (options[0] && options[0].name));
+    }
+
+    /**
+     * Select an option without notifying listeners
+     * @param {string} value - Option name
+     */
+    setValue(value) {
+        this.value = value;
+        if (this.select && value !== null && value !== undefined) {
+            this.select.value = value;
+        }
+    }
+
+    /**
+     * Get the selected option name
+     * @returns {string} Selected option name
+     */
+    getValue() {
+        return this.value;
+    }
+
+    /**
+     * Set the callback for selection changes
+     * @param {Function} callback - Callback function (value) => void
+     */
+    setOnChange(callback) {
+        this.onChange = callback;
+    }
+
+    /**
+     * Enable or disable the control
+     * @param {boolean} enabled - Whether the control should be enabled
+     */
+    setEnabled(enabled) {
+        if (this.select) {
+            this.select.disabled = !enabled;
+        }
+    }
+
+    /**
+     * Dispose of the control and remove event listeners
+     */
+    dispose() {
+        if (this.select) {
+            this.select.removeEventListener('change', this.handleChange);
+        }
+
+        this.onChange = null;
+        this.select = null;
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Copy link button for scenario permalinks
+ */
+
+/**
+ * Copies a link to the clipboard when its button is clicked
+ */
+export class ShareLinkControl {
+    /**
+     * Create a new share link control
+     * @param {string} buttonId - ID of the copy link button
+     */
+    constructor(buttonId) {
+        this.button = document.getElementById(buttonId);
+
+        // Callback: onCopy()
+        this.onCopy = null;
+
+        if (!this.button) {
+            console.error(`Copy link button '${buttonId}' not found`);
+            return;
+        }
+
+        this.handleClick = () => {
+            if (this.onCopy) this.onCopy();
+        };
+        this.button.addEventListener('click', this.handleClick);
+    }
+
+    /**
+     * Put text on the clipboard
+     * Falls back to a selected text area where the Clipboard API is missing
+     * (e.g. pages not served over HTTPS).
+     * @param {string} text - Text to copy
+     * @returns {Promise<void>} Resolves once copied
+     * @throws {Error} If the browser refuses to copy
+     */
+    async copy(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
+
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        textArea.style.position = 'fixed';
+        textArea.style.opacity = '0';
+        document.body.appendChild(textArea);
+        textArea.select();
+        const copied = document.execCommand('copy');
+        textArea.remove();
+
+        if (!copied) {
+            throw new Error('the browser did not allow copying');
+        }
+    }
+
+    /**
+     * Set the callback for the copy link button
+     * @param {Function} callback - Callback () => void
+     */
+    setOnCopy(callback) {
+        this.onCopy = callback;
+    }
+
+    /**
+     * Dispose of the control
+     */
+    dispose() {
+        if (this.button) {
+            this.button.removeEventListener('click', this.handleClick);
+        }
+        this.onCopy = null;
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Save and Load buttons for simulation snapshot files
+ */
+
+import { STATE_FILE_EXTENSION } from '../core/SimulationState.js';
+import { BINARY_SNAPSHOT_EXTENSION } from '../core/BinarySnapshot.js';
+
+/**
+ * Writes snapshots as downloads and reads them back through a file picker
+ */
+export class StateFileControl {
+    /**
+     * Create a new state file control
+     * @param {string} saveButtonId - ID of the save button
+     * @param {string} loadButtonId - ID of the load button
+     * @param {string} statusId - ID of the element showing the last result
+     */
+    constructor(saveButtonId, loadButtonId, statusId) {
+        this.saveButton = document.getElementById(saveButtonId);
+        this.loadButton = document.getElementById(loadButtonId);
+        this.status = document.getElementById(statusId);
+
+        // Callbacks: onSave() and onLoad(bytes, fileName)
+        this.onSave = null;
+        this.onLoad = null;
+
+        if (!this.saveButton || !this.loadButton) {
+            console.error(`State buttons '${saveButtonId}' and '${loadButtonId}' not found`);
+            return;
+        }
+
+        // Hidden file picker opened by the load button
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = `${STATE_FILE_EXTENSION},${BINARY_SNAPSHOT_EXTENSION},.json,.bin`;
+        this.fileInput.style.display = 'none';
+        document.body.appendChild(this.fileInput);
+
+        this.handleSaveClick = () => {
+            if (this.onSave) this.onSave();
+        };
+        this.handleLoadClick = () => this.fileInput.click();
+        this.handleFileChange = () => this.readSelectedFile();
+
+        this.saveButton.addEventListener('click', this.handleSaveClick);
+        this.loadButton.addEventListener('click', this.handleLoadClick);
+        this.fileInput.addEventListener('change', this.handleFileChange);
+    }
+
+    /**
+     * Read the chosen file and pass its bytes to the load callback
+     */
+    async readSelectedFile() {
+        const file = this.fileInput.files[0];
+        // Clear the picker so choosing the same file again fires a change
+        this.fileInput.value = '';
+        if (!file || !this.onLoad) return;
+
+        try {
+            this.onLoad(new Uint8Array(await file.arrayBuffer()), file.name);
+        } catch (error) {
+            this.showStatus(`Could not read ${file.name}: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Offer text as a file download
+     * @param {string} text - File contents
+     * @param {string} fileName - Suggested file name
+     */
+    download(text, fileName) {
+        const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show the result of the last save or load
+     * @param {string} message - Message to show
+     * @param {boolean} isError - Whether the message reports a failure
+     */
+    showStatus(message, isError = false) {
+        if (!this.status) return;
+
+        // Validation errors list every problem; the tooltip keeps them all
+        this.status.textContent = message.split('\n')[0];
+        this.status.title = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Set the callback for the save button
+     * @param {Function} callback - Callback () => void
+     */
+    setOnSave(callback) {
+        this.onSave = callback;
+    }
+
+    /**
+     * Set the callback for a loaded file
+     * @param {Function} callback - Callback (bytes, fileName) => void
+     */
+    setOnLoad(callback) {
+        this.onLoad = callback;
+    }
+
+    /**
+     * Dispose of the control
+     */
+    dispose() {
+        if (this.saveButton) {
+            this.saveButton.removeEventListener('click', this.handleSaveClick);
+            this.loadButton.removeEventListener('click', this.handleLoadClick);
+            this.fileInput.removeEventListener('change', this.handleFileChange);
+            this.fileInput.remove();
+        }
+
+        this.onSave = null;
+        this.onLoad = null;
+    }
+}
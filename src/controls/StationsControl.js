@@ -0,0 +1,216 @@
+/**
+ * Seismometer network: add, place and remove stations
+ */
+
+import { STATION_KERNELS } from '../core/SeismicStation.js';
+
+/**
+ * Station list, position and kernel fields, and add, place and remove
+ * buttons, plus placing stations by clicking a canvas
+ *
+ * While "Place" is on, the next click on the canvas adds a station at the
+ * clicked cell with the name, kernel and range in the fields. The canvas
+ * owner turns pointer positions into cells with the locator set by
+ * setCellLocator().
+ */
+export class StationsControl {
+    /**
+     * Create a new stations control
+     * @param {string} listId - ID of the station select element
+     * @param {string} nameId - ID of the name text input
+     * @param {string} xId - ID of the grid X number input
+     * @param {string} yId - ID of the grid Y number input
+     * @param {string} kernelId - ID of the kernel select element
+     * @param {string} rangeId - ID of the range number input
+     * @param {string} addId - ID of the add button
+     * @param {string} placeId - ID of the place-on-map button
+     * @param {string} removeId - ID of the remove button
+     * @param {HTMLCanvasElement} canvas - Canvas to place stations on
+     */
+    constructor(listId, nameId, xId, yId, kernelId, rangeId, addId, placeId, removeId, canvas) {
+        this.stationSelect = document.getElementById(listId);
+        this.nameInput = document.getElementById(nameId);
+        this.xInput = document.getElementById(xId);
+        this.yInput = document.getElementById(yId);
+        this.kernelSelect = document.getElementById(kernelId);
+        this.rangeInput = document.getElementById(rangeId);
+        this.addButton = document.getElementById(addId);
+        this.placeButton = document.getElementById(placeId);
+        this.removeButton = document.getElementById(removeId);
+        this.canvas = canvas;
+
+        // Callbacks: onAdd({name, gridX, gridY, kernel, range}) and onRemove(name)
+        this.onAdd = null;
+        this.onRemove = null;
+
+        // (clientX, clientY) => {x, y} or null
+        this.cellLocator = null;
+
+        // Whether the next canvas click places a station
+        this.placing = false;
+
+        // Station names last shown, to rebuild the list only when they change
+        this.names = [];
+
+        if (!this.stationSelect || !this.nameInput || !this.xInput || !this.yInput || !this.kernelSelect ||
+            !this.rangeInput || !this.addButton || !this.placeButton || !this.removeButton || !this.canvas) {
+            console.error(`Stations control '${listId}' not found`);
+            return;
+        }
+
+        for (const [name, kernel] of Object.entries(STATION_KERNELS)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = kernel.label;
+            this.kernelSelect.appendChild(option);
+        }
+        this.kernelSelect.value = 'hyperbolic';
+
+        this.handleAdd = () => this.addStation();
+        this.handlePlace = () => this.setPlacing(!this.placing);
+        this.handleRemove = () => {
+            if (this.onRemove && this.stationSelect.value) this.onRemove(this.stationSelect.value);
+        };
+        this.handleCanvasClick = (event) => this.onCanvasClick(event);
+
+        this.addButton.addEventListener('click', this.handleAdd);
+        this.placeButton.addEventListener('click', this.handlePlace);
+        this.removeButton.addEventListener('click', this.handleRemove);
+        this.canvas.addEventListener('click', this.handleCanvasClick);
+
+        this.updateButtonStates();
+    }
+
+    /**
+     * Add a station at the clicked cell while placing
+     * @param {MouseEvent} event - Click event
+     */
+    onCanvasClick(event) {
+        if (!this.placing || !this.cellLocator) return;
+
+        const cell = this.cellLocator(event.clientX, event.clientY);
+        if (!cell) return;
+
+        this.xInput.value = cell.x;
+        this.yInput.value = cell.y;
+        this.setPlacing(false);
+        this.addStation();
+    }
+
+    /**
+     * Turn placing on the canvas on or off
+     * @param {boolean} placing - Whether the next click places a station
+     */
+    setPlacing(placing) {
+        this.placing = placing;
+        this.placeButton.classList.toggle('active', placing);
+        this.canvas.style.cursor = placing ? 'crosshair' : '';
+    }
+
+    /**
+     * Add a station from the fields
+     * An empty name becomes the first free one of S1, S2, ...
+     */
+    addStation() {
+        const gridX = parseInt(this.xInput.value, 10);
+        const gridY = parseInt(this.yInput.value, 10);
+        const range = parseFloat(this.rangeInput.value);
+
+        if (!Number.isInteger(gridX) || !Number.isInteger(gridY)) {
+            console.warn(`Ignoring station position '${this.xInput.value}, ${this.yInput.value}'`);
+            return;
+        }
+        if (!(range > 0)) {
+            console.warn(`Ignoring station range '${this.rangeInput.value}'`);
+            return;
+        }
+
+        const name = this.nameInput.value.trim() || this.getFreeName();
+        this.nameInput.value = '';
+
+        if (this.onAdd) {
+            this.onAdd({ name, gridX, gridY, kernel: this.kernelSelect.value, range });
+        }
+    }
+
+    /**
+     * Find a station name not yet in use
+     * @returns {string} First of S1, S2, ... not in the list
+     */
+    getFreeName() {
+        let n = 1;
+        while (this.names.includes(`S${n}`)) n++;
+        return `S${n}`;
+    }
+
+    /**
+     * Show the current network
+     * @param {Array<SeismicStation>} stations - Stations in network order
+     */
+    setStations(stations) {
+        if (!this.stationSelect) return;
+
+        const names = stations.map(station => station.name);
+        if (names.length === this.names.length && names.every((name, i) => name === this.names[i])) return;
+
+        const selected = this.stationSelect.value;
+        this.stationSelect.innerHTML = '';
+        for (const station of stations) {
+            const option = document.createElement('option');
+            option.value = station.name;
+            option.textContent = `${station.name} (${station.gridX}, ${station.gridY})`;
+            this.stationSelect.appendChild(option);
+        }
+        this.stationSelect.value = names.includes(selected) ? selected : names[names.length - 1];
+
+        this.names = names;
+        this.updateButtonStates();
+    }
+
+    /**
+     * Keep at least one station: remove is disabled for the last
+     */
+    updateButtonStates() {
+        this.removeButton.disabled = this.names.length <= 1;
+    }
+
+    /**
+     * Set how pointer positions map to grid cells
+     * @param {Function} locator - Locator (clientX, clientY) => {x, y} or null
+     */
+    setCellLocator(locator) {
+        this.cellLocator = locator;
+    }
+
+    /**
+     * Set the callback for adding a station
+     * @param {Function} callback - Callback ({name, gridX, gridY, kernel, range}) => void
+     */
+    setOnAdd(callback) {
+        this.onAdd = callback;
+    }
+
+    /**
+     * Set the callback for removing a station
+     * @param {Function} callback - Callback (name) => void
+     */
+    setOnRemove(callback) {
+        this.onRemove = callback;
+    }
+
+    /**
+     * Dispose of the control
+     */
+    dispose() {
+        if (this.addButton && this.handleAdd) {
+            this.addButton.removeEventListener('click', this.handleAdd);
+            this.placeButton.removeEventListener('click', this.handlePlace);
+            this.removeButton.removeEventListener('click', this.handleRemove);
+            this.canvas.removeEventListener('click', this.handleCanvasClick);
+        }
+
+        this.onAdd = null;
+        this.onRemove = null;
+        this.cellLocator = null;
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * Terrain brush: paint walls, sinks, pinned cells and thresholds on the heat map
+ */
+
+/**
+ * Brushes, in display order; each becomes a Terrain.paint() brush
+ */
+const BRUSHES = {
+    off: { label: 'Off' },
+    wall: { label: 'Wall' },
+    sink: { label: 'Sink' },
+    pinned: { label: 'Pinned' },
+    threshold: { label: 'Threshold' },
+    eraser: { label: 'Eraser' }
+};
+
+/**
+ * Brush selector, radius slider, threshold field and clear button, plus
+ * pointer painting on a canvas
+ *
+ * While a brush is selected, dragging over the canvas paints every cell the
+ * pointer crosses. The canvas owner turns pointer positions into cells with
+ * the locator set by setCellLocator().
+ */
+export class TerrainControl {
+    /**
+     * Create a new terrain control
+     * @param {string} brushId - ID of the brush select element
+     * @param {string} radiusId - ID of the brush radius range input
+     * @param {string} thresholdId - ID of the threshold number input
+     * @param {string} clearId - ID of the clear terrain button
+     * @param {HTMLCanvasElement} canvas - Canvas to paint on
+     */
+    constructor(brushId, radiusId, thresholdId, clearId, canvas) {
+        this.brushSelect = document.getElementById(brushId);
+        this.radiusSlider = document.getElementById(radiusId);
+        this.thresholdInput = document.getElementById(thresholdId);
+        this.clearButton = document.getElementById(clearId);
+        this.canvas = canvas;
+
+        // Callbacks: onPaint(x, y, radius, brush) and onClear()
+        this.onPaint = null;
+        this.onClear = null;
+
+        // (clientX, clientY) => {x, y} or null
+        this.cellLocator = null;
+
+        // Pointer being dragged, and the last cell it painted
+        this.pointerId = null;
+        this.lastCell = null;
+
+        if (!this.brushSelect || !this.radiusSlider || !this.thresholdInput || !this.clearButton || !this.canvas) {
+            console.error(`Terrain control '${brushId}' not found`);
+            return;
+        }
+
+        for (const [name, brush] of Object.entries(BRUSHES)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = brush.label;
+            this.brushSelect.appendChild(option);
+        }
+        this.brushSelect.value = 'off';
+
+        this.handleBrushChange = () => this.updateCursor();
+        this.handleClear = () => {
+            if (this.onClear) this.onClear();
+        };
+        this.handlePointerDown = (event) => this.onPointerDown(event);
+        this.handlePointerMove = (event) => this.onPointerMove(event);
+        this.handlePointerUp = (event) => this.onPointerUp(event);
+
+        this.brushSelect.addEventListener('change', this.handleBrushChange);
+        this.clearButton.addEventListener('click', this.handleClear);
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.addEventListener('pointermove', this.handlePointerMove);
+        this.canvas.addEventListener('pointerup', this.handlePointerUp);
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+
+        this.updateCursor();
+    }
+
+    /**
+     * Start painting
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerDown(event) {
+        if (event.button !== 0 || this.getBrushName() === 'off') return;
+
+        event.preventDefault();
+        this.pointerId = event.pointerId;
+        this.lastCell = null;
+        this.canvas.setPointerCapture(event.pointerId);
+        this.paintAt(event.clientX, event.clientY);
+    }
+
+    /**
+     * Keep painting while the pointer is down
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerMove(event) {
+        if (event.pointerId !== this.pointerId) return;
+        this.paintAt(event.clientX, event.clientY);
+    }
+
+    /**
+     * Stop painting
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerUp(event) {
+        if (event.pointerId !== this.pointerId) return;
+
+        this.pointerId = null;
+        this.lastCell = null;
+    }
+
+    /**
+     * Paint the cell under a point, unless it was the last one painted
+     * @param {number} clientX - Viewport X coordinate
+     * @param {number} clientY - Viewport Y coordinate
+     */
+    paintAt(clientX, clientY) {
+        const brush = this.getBrush();
+        if (!brush || !this.cellLocator || !this.onPaint) return;
+
+        const cell = this.cellLocator(clientX, clientY);
+        if (!cell) return;
+        if (this.lastCell && this.lastCell.x === cell.x && this.lastCell.y === cell.y) return;
+
+        this.lastCell = cell;
+        this.onPaint(cell.x, cell.y, this.getRadius(), brush);
+    }
+
+    /**
+     * Get the selected brush name
+     * @returns {string} 'off', 'wall', 'sink', 'pinned', 'threshold' or 'eraser'
+     */
+    getBrushName() {
+        return this.brushSelect.value;
+    }
+
+    /**
+     * Get the selected brush in the form Terrain.paint() takes
+     * @returns {Object|null} Brush {type?, threshold?}, or null when off or the threshold is invalid
+     */
+    getBrush() {
+        switch (this.getBrushName()) {
+            case 'wall':
+            case 'sink':
+            case 'pinned':
+                return { type: this.getBrushName() };
+            case 'threshold': {
+                const threshold = parseFloat(this.thresholdInput.value);
+                if (!(threshold >= 0)) {
+                    console.warn(`Ignoring terrain threshold '${this.thresholdInput.value}'`);
+                    return null;
+                }
+                return { type: 'normal', threshold };
+            }
+            case 'eraser':
+                return { type: 'normal', threshold: 0 };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get the brush radius
+     * @returns {number} Radius in cells (0 paints one cell)
+     */
+    getRadius() {
+        return parseInt(this.radiusSlider.value, 10) || 0;
+    }
+
+    /**
+     * Show a crosshair over the canvas while a brush is selected
+     */
+    updateCursor() {
+        this.canvas.style.cursor = this.getBrushName() === 'off' ? '' : 'crosshair';
+    }
+
+    /**
+     * Set how pointer positions map to grid cells
+     * @param {Function} locator - Locator (clientX, clientY) => {x, y} or null
+     */
+    setCellLocator(locator) {
+        this.cellLocator = locator;
+    }
+
+    /**
+     * Set the callback for painting
+     * @param {Function} callback - Callback (x, y, radius, brush) => void
+     */
+    setOnPaint(callback) {
+        this.onPaint = callback;
+    }
+
+    /**
+     * Set the callback for the clear button
+     * @param {Function} callback - Callback () => void
+     */
+    setOnClear(callback) {
+        this.onClear = callback;
+    }
+
+    /**
+     * Dispose of the control
+     */
+    dispose() {
+        if (this.brushSelect && this.handleBrushChange) {
+            this.brushSelect.removeEventListener('change', this.handleBrushChange);
+            this.clearButton.removeEventListener('click', this.handleClear);
+            this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+            this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+            this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+            this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
+        }
+
+        this.onPaint = null;
+        this.onClear = null;
+        this.cellLocator = null;
+    }
+}
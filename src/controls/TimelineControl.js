@@ -0,0 +1,130 @@
+/**
+ * Timeline slider and step buttons for rewinding the simulation
+ */
+
+/**
+ * Scrubs through the recorded ticks and steps one tick at a time
+ */
+export class TimelineControl {
+    /**
+     * Create a new timeline control
+     * @param {string} sliderId - ID of the range input
+     * @param {string} stepBackId - ID of the step back button
+     * @param {string} stepForwardId - ID of the step forward button
+     * @param {string} valueId - ID of the element showing the tick
+     */
+    constructor(sliderId, stepBackId, stepForwardId, valueId) {
+        this.slider = document.getElementById(sliderId);
+        this.stepBackButton = document.getElementById(stepBackId);
+        this.stepForwardButton = document.getElementById(stepForwardId);
+        this.valueDisplay = document.getElementById(valueId);
+
+        // Callbacks: onSeek(tick), onStepBackward() and onStepForward()
+        this.onSeek = null;
+        this.onStepBackward = null;
+        this.onStepForward = null;
+
+        // Range updates are ignored while the slider is held
+        this.dragging = false;
+        this.range = { start: 0, end: 0, current: 0 };
+
+        if (!this.slider || !this.stepBackButton || !this.stepForwardButton) {
+            console.error(`Timeline control '${sliderId}' not found`);
+            return;
+        }
+
+        this.handlePointerDown = () => {
+            this.dragging = true;
+        };
+        this.handleInput = () => {
+            this.dragging = true;
+            this.updateDisplay(parseInt(this.slider.value, 10));
+        };
+        // Seek on release; replaying on every input event would stall large grids
+        this.handleChange = () => {
+            this.dragging = false;
+            if (this.onSeek) this.onSeek(parseInt(this.slider.value, 10));
+        };
+        this.handleStepBack = () => {
+            if (this.onStepBackward) this.onStepBackward();
+        };
+        this.handleStepForward = () => {
+            if (this.onStepForward) this.onStepForward();
+        };
+
+        this.slider.addEventListener('pointerdown', this.handlePointerDown);
+        this.slider.addEventListener('input', this.handleInput);
+        this.slider.addEventListener('change', this.handleChange);
+        this.stepBackButton.addEventListener('click', this.handleStepBack);
+        this.stepForwardButton.addEventListener('click', this.handleStepForward);
+    }
+
+    /**
+     * Show the recorded range and the current tick
+     * @param {Object} range - {start, end, current} in ticks
+     */
+    setRange(range) {
+        if (!this.slider || this.dragging) return;
+
+        const { start, end, current } = range;
+        if (start === this.range.start && end === this.range.end && current === this.range.current) return;
+
+        this.range = { start, end, current };
+        this.slider.min = start;
+        this.slider.max = end;
+        this.slider.value = current;
+        this.updateDisplay(current);
+    }
+
+    /**
+     * Update the tick display
+     * @param {number} tick - Tick to show
+     */
+    updateDisplay(tick) {
+        if (!this.valueDisplay) return;
+
+        const behind = this.range.end - tick;
+        this.valueDisplay.textContent = behind > 0 ? `tick ${tick} (-${behind})` : `tick ${tick}`;
+    }
+
+    /**
+     * Set the callback for a slider seek
+     * @param {Function} callback - Callback (tick) => void
+     */
+    setOnSeek(callback) {
+        this.onSeek = callback;
+    }
+
+    /**
+     * Set the callback for the step back button
+     * @param {Function} callback - Callback () => void
+     */
+    setOnStepBackward(callback) {
+        this.onStepBackward = callback;
+    }
+
+    /**
+     * Set the callback for the step forward button
+     * @param {Function} callback - Callback () => void
+     */
+    setOnStepForward(callback) {
+        this.onStepForward = callback;
+    }
+
+    /**
+     * Dispose of the control
+     */
+    dispose() {
+        if (this.slider) {
+            this.slider.removeEventListener('pointerdown', this.handlePointerDown);
+            this.slider.removeEventListener('input', this.handleInput);
+            this.slider.removeEventListener('change', this.handleChange);
+            this.stepBackButton.removeEventListener('click', this.handleStepBack);
+            this.stepForwardButton.removeEventListener('click', this.handleStepForward);
+        }
+
+        this.onSeek = null;
+        this.onStepBackward = null;
+        this.onStepForward = null;
+    }
+}
@@ -0,0 +1,292 @@
+/**
+ * Avalanche statistics for checking self-organised criticality
+ * Builds log-binned distributions of avalanche size, area and duration and
+ * fits power-law exponents by maximum likelihood, choosing the lower cutoff
+ * that minimises the Kolmogorov-Smirnov distance (Clauset, Shalizi & Newman 2009).
+ */
+
+/**
+ * Avalanche quantities collected from each event
+ */
+export const AVALANCHE_QUANTITIES = ['size', 'area', 'duration'];
+
+/**
+ * Collects avalanche events and fits their distributions
+ */
+export class AvalancheStatistics {
+    /**
+     * Create a new statistics collector
+     * @param {Object} options - Configuration options
+     * @param {number} options.maxSamples - Most recent events kept per quantity
+     * @param {number} options.binsPerDecade - Logarithmic histogram resolution
+     * @param {number} options.minTailSamples - Fewest samples above a candidate cutoff
+     * @param {number} options.minTailFraction - Smallest fraction of samples above a candidate
+     *   cutoff, which keeps the fit off the finite-size bump at the largest avalanches
+     * @param {number} options.maxCutoffCandidates - Cutoff values tried per fit
+     */
+    constructor(options = {}) {
+        const {
+            maxSamples = 50000,
+            binsPerDecade = 5,
+            minTailSamples = 50,
+            minTailFraction = 0.1,
+            maxCutoffCandidates = 40
+        } = options;
+
+        this.maxSamples = maxSamples;
+        this.binsPerDecade = binsPerDecade;
+        this.minTailSamples = minTailSamples;
+        this.minTailFraction = minTailFraction;
+        this.maxCutoffCandidates = maxCutoffCandidates;
+
+        // Circular sample buffers, one per quantity
+        this.samples = {};
+        for (const quantity of AVALANCHE_QUANTITIES) {
+            this.samples[quantity] = new Float64Array(maxSamples);
+        }
+        this.sampleIndex = 0;
+        this.sampleCount = 0;
+        this.totalEvents = 0;
+
+        // Fits are recomputed lazily when new events have arrived
+        this.cachedSummary = null;
+    }
+
+    /**
+     * Record a completed avalanche
+     * @param {Object} event - Avalanche event with size, area and duration
+     */
+    record(event) {
+        for (const quantity of AVALANCHE_QUANTITIES) {
+            this.samples[quantity][this.sampleIndex] = event[quantity];
+        }
+
+        this.sampleIndex = (this.sampleIndex + 1) % this.maxSamples;
+        this.sampleCount = Math.min(this.sampleCount + 1, this.maxSamples);
+        this.totalEvents++;
+        this.cachedSummary = null;
+    }
+
+    /**
+     * Get the recorded values of a quantity, sorted ascending
+     * Zero values (e.g. a duration of no waves) are excluded.
+     * @param {string} quantity - 'size', 'area' or 'duration'
+     * @returns {Float64Array} Sorted positive values
+     */
+    getSortedValues(quantity) {
+        const values = this.samples[quantity].slice(0, this.sampleCount).filter(value => value > 0);
+        return values.sort();
+    }
+
+    /**
+     * Build a logarithmically binned probability density
+     * @param {string} quantity - 'size', 'area' or 'duration'
+     * @returns {Object} {centers, density, counts} arrays, one entry per non-empty bin
+     */
+    getHistogram(quantity) {
+        const values = this.getSortedValues(quantity);
+        const centers = [];
+        const density = [];
+        const counts = [];
+
+        if (values.length === 0) {
+            return { centers, density, counts };
+        }
+
+        const maxValue = values[values.length - 1];
+        const ratio = Math.pow(10, 1 / this.binsPerDecade);
+        let lower = 1;
+        let cursor = 0;
+
+        while (lower <= maxValue) {
+            const upper = lower * ratio;
+            let count = 0;
+
+            while (cursor < values.length && values[cursor] < upper) {
+                count++;
+                cursor++;
+            }
+
+            if (count > 0) {
+                // Geometric bin centre; density normalised by bin width and total count
+                centers.push(Math.sqrt(lower * upper));
+                density.push(count / ((upper - lower) * values.length));
+                counts.push(count);
+            }
+
+            lower = upper;
+        }
+
+        return { centers, density, counts };
+    }
+
+    /**
+     * Fit a power law P(x) ~ x^-exponent to the tail of a quantity
+     * Uses the discrete maximum-likelihood approximation
+     * exponent = 1 + n / sum(ln(x / (xmin - 1/2))) and picks xmin by minimum KS distance.
+     * @param {string} quantity - 'size', 'area' or 'duration'
+     * @returns {Object|null} {exponent, error, xmin, ks, tailSamples} or null if too few samples
+     */
+    fitPowerLaw(quantity) {
+        const values = this.getSortedValues(quantity);
+        const n = values.length;
+        if (n < this.minTailSamples) return null;
+
+        // Suffix sums of ln(x) give each candidate's estimate in O(1)
+        const suffixLogSum = new Float64Array(n + 1);
+        for (let i = n - 1; i >= 0; i--) {
+            suffixLogSum[i] = suffixLogSum[i + 1] + Math.log(values[i]);
+        }
+
+        // Candidate cutoffs: distinct values leaving enough samples in the tail,
+        // logarithmically spaced so there are at most maxCutoffCandidates
+        const lastStart = n - Math.max(this.minTailSamples, Math.ceil(n * this.minTailFraction));
+        const spacing = Math.pow(values[lastStart] / values[0], 1 / this.maxCutoffCandidates);
+        const candidates = [];
+        for (let i = 0; i <= lastStart; i++) {
+            const previous = candidates.length > 0 ? values[candidates[candidates.length - 1]] : 0;
+            if (values[i] >= previous * spacing && values[i] !== previous) {
+                candidates.push(i);
+            }
+        }
+
+        let best = null;
+
+        for (const start of candidates) {
+            const xmin = values[start];
+            const tail = n - start;
+            const shift = xmin - 0.5;
+
+            const logSum = suffixLogSum[start] - tail * Math.log(shift);
+            if (logSum <= 0) continue;
+
+            const exponent = 1 + tail / logSum;
+            const ks = this.computeKSDistance(values, start, shift, exponent);
+
+            if (!best || ks < best.ks) {
+                best = {
+                    exponent,
+                    error: (exponent - 1) / Math.sqrt(tail),
+                    xmin,
+                    ks,
+                    tailSamples: tail
+                };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * KS distance between the empirical and fitted tail distributions
+     * @param {Float64Array} values - Sorted values
+     * @param {number} start - Index of the first tail value
+     * @param {number} shift - xmin - 1/2
+     * @param {number} exponent - Fitted exponent
+     * @returns {number} Maximum distance between the complementary CDFs
+     */
+    computeKSDistance(values, start, shift, exponent) {
+        const tail = values.length - start;
+        let maxDistance = 0;
+        let i = start;
+
+        while (i < values.length) {
+            const x = values[i];
+
+            // Empirical and fitted P(X >= x)
+            const empirical = (values.length - i) / tail;
+            const fitted = Math.pow((x - 0.5) / shift, 1 - exponent);
+            maxDistance = Math.max(maxDistance, Math.abs(empirical - fitted));
+
+            while (i < values.length && values[i] === x) i++;
+        }
+
+        return maxDistance;
+    }
+
+    /**
+     * Get histograms and fits for all quantities
+     * @returns {Object} {events, samples, size, area, duration} with {histogram, fit} per quantity
+     */
+    getSummary() {
+        if (this.cachedSummary) return this.cachedSummary;
+
+        const summary = {
+            events: this.totalEvents,
+            samples: this.sampleCount
+        };
+
+        for (const quantity of AVALANCHE_QUANTITIES) {
+            summary[quantity] = {
+                histogram: this.getHistogram(quantity),
+                fit: this.fitPowerLaw(quantity)
+            };
+        }
+
+        this.cachedSummary = summary;
+        return summary;
+    }
+
+    /**
+     * Get the fitted exponents only
+     * @returns {Object} {events, size, area, duration} with fit results (or null)
+     */
+    getExponents() {
+        const summary = this.getSummary();
+        return {
+            events: summary.events,
+            size: summary.size.fit,
+            area: summary.area.fit,
+            duration: summary.duration.fit
+        };
+    }
+
+    /**
+     * Capture the recorded samples, oldest first
+     * @returns {Object} Serializable state {totalEvents, samples}
+     */
+    getState() {
+        const start = this.sampleCount < this.maxSamples ? 0 : this.sampleIndex;
+        const samples = {};
+
+        for (const quantity of AVALANCHE_QUANTITIES) {
+            const buffer = this.samples[quantity];
+            samples[quantity] = Array.from({ length: this.sampleCount },
+                (_, i) => buffer[(start + i) % this.maxSamples]);
+        }
+
+        return { totalEvents: this.totalEvents, samples };
+    }
+
+    /**
+     * Restore state captured by getState()
+     * Only the newest maxSamples samples are kept.
+     * @param {Object} state - Statistics state
+     */
+    setState(state) {
+        this.reset();
+
+        const count = state.samples[AVALANCHE_QUANTITIES[0]].length;
+        const start = Math.max(0, count - this.maxSamples);
+
+        for (const quantity of AVALANCHE_QUANTITIES) {
+            this.samples[quantity].set(state.samples[quantity].slice(start));
+        }
+        this.sampleCount = count - start;
+        this.sampleIndex = this.sampleCount % this.maxSamples;
+        this.totalEvents = state.totalEvents;
+    }
+
+    /**
+     * Discard all recorded avalanches
+     */
+    reset() {
+        for (const quantity of AVALANCHE_QUANTITIES) {
+            this.samples[quantity].fill(0);
+        }
+        this.sampleIndex = 0;
+        this.sampleCount = 0;
+        this.totalEvents = 0;
+        this.cachedSummary = null;
+    }
+}
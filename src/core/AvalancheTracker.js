@@ -0,0 +1,205 @@
+/**
+ * Avalanche event tracking for the sandpile
+ * An avalanche starts when the pile first becomes unstable after a drop and
+ * ends when it is stable again.
+ */
+
+/**
+ * Accumulates the topples of the current avalanche into an event record
+ */
+export class AvalancheTracker {
+    /**
+     * Create a new avalanche tracker
+     * @param {number} size - Grid size (size x size)
+     */
+    constructor(size) {
+        this.size = size;
+
+        // Per-cell stamp of the last avalanche that touched the cell, so
+        // distinct cells are counted without clearing a mask per avalanche
+        this.stamps = new Uint32Array(size * size);
+        this.nextId = 1;
+
+        this.active = false;
+        this.resetAccumulators();
+    }
+
+    /**
+     * Clear the accumulators of the current avalanche
+     */
+    resetAccumulators() {
+        this.id = 0;
+        this.startTime = 0;
+        this.trigger = null;
+        this.topples = 0;
+        this.area = 0;
+        this.waves = 0;
+        this.sumX = 0;
+        this.sumY = 0;
+        this.sumSquares = 0;
+        this.minX = Infinity;
+        this.minY = Infinity;
+        this.maxX = -Infinity;
+        this.maxY = -Infinity;
+    }
+
+    /**
+     * Start a new avalanche
+     * @param {number} triggerIndex - Flat index of the cell that became unstable
+     * @param {number} time - Simulation time at the start
+     */
+    begin(triggerIndex, time) {
+        this.resetAccumulators();
+        this.active = true;
+        this.id = this.nextId++;
+        this.startTime = time;
+
+        const x = Math.floor(triggerIndex / this.size);
+        this.trigger = { x, y: triggerIndex - x * this.size };
+    }
+
+    /**
+     * Check whether an avalanche is in progress
+     * @returns {boolean} True while an avalanche is being tracked
+     */
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Record a topple of the current avalanche
+     * @param {number} index - Flat index of the toppled cell
+     * @returns {boolean} True if this is the cell's first topple in the avalanche
+     */
+    recordTopple(index) {
+        this.topples++;
+
+        if (this.stamps[index] === this.id) return false;
+        this.stamps[index] = this.id;
+
+        // First topple of this cell: update area, gyration sums and bounds
+        const x = Math.floor(index / this.size);
+        const y = index - x * this.size;
+
+        this.area++;
+        this.sumX += x;
+        this.sumY += y;
+        this.sumSquares += x * x + y * y;
+
+        if (x < this.minX) this.minX = x;
+        if (x > this.maxX) this.maxX = x;
+        if (y < this.minY) this.minY = y;
+        if (y > this.maxY) this.maxY = y;
+
+        return true;
+    }
+
+    /**
+     * Record a completed relaxation wave
+     */
+    recordWave() {
+        this.waves++;
+    }
+
+    /**
+     * Finish the current avalanche
+     * @param {number} time - Simulation time at the end
+     * @returns {Object|null} Avalanche event, or null if nothing toppled
+     */
+    finish(time) {
+        if (!this.active) return null;
+        this.active = false;
+
+        if (this.topples === 0) return null;
+
+        const meanX = this.sumX / this.area;
+        const meanY = this.sumY / this.area;
+        const variance = this.sumSquares / this.area - meanX * meanX - meanY * meanY;
+
+        return {
+            id: this.id,
+            startTime: this.startTime,
+            endTime: time,
+            trigger: this.trigger,
+            size: this.topples,
+            area: this.area,
+            duration: this.waves,
+            radiusOfGyration: Math.sqrt(Math.max(0, variance)),
+            boundingBox: {
+                minX: this.minX,
+                minY: this.minY,
+                maxX: this.maxX,
+                maxY: this.maxY
+            }
+        };
+    }
+
+    /**
+     * Capture the tracker state, including an avalanche in progress
+     * @returns {Object} Serializable state
+     */
+    getState() {
+        // Only the cells stamped with the current id matter for its area
+        const cells = [];
+        if (this.active) {
+            for (let i = 0; i < this.stamps.length; i++) {
+                if (this.stamps[i] === this.id) cells.push(i);
+            }
+        }
+
+        return {
+            nextId: this.nextId,
+            active: this.active,
+            id: this.id,
+            startTime: this.startTime,
+            trigger: this.trigger,
+            topples: this.topples,
+            area: this.area,
+            waves: this.waves,
+            sumX: this.sumX,
+            sumY: this.sumY,
+            sumSquares: this.sumSquares,
+            boundingBox: this.area > 0
+                ? { minX: this.minX, minY: this.minY, maxX: this.maxX, maxY: this.maxY }
+                : null,
+            cells
+        };
+    }
+
+    /**
+     * Restore state captured by getState()
+     * @param {Object} state - Tracker state
+     */
+    setState(state) {
+        this.resetAccumulators();
+        this.stamps.fill(0);
+
+        this.nextId = state.nextId;
+        this.active = state.active;
+        this.id = state.id;
+        this.startTime = state.startTime;
+        this.trigger = state.trigger ? { ...state.trigger } : null;
+        this.topples = state.topples;
+        this.area = state.area;
+        this.waves = state.waves;
+        this.sumX = state.sumX;
+        this.sumY = state.sumY;
+        this.sumSquares = state.sumSquares;
+
+        if (state.boundingBox) {
+            Object.assign(this, state.boundingBox);
+        }
+
+        for (const index of state.cells) {
+            this.stamps[index] = this.id;
+        }
+    }
+
+    /**
+     * Abandon any avalanche in progress
+     */
+    reset() {
+        this.active = false;
+        this.resetAccumulators();
+    }
+}
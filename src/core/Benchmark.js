@@ -0,0 +1,69 @@
+/**
+ * Toppling throughput benchmark for the sandpile engine
+ */
+
+import { SandPile } from './SandPile.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * Measure topples per second for a single grid size
+ * @param {number} size - Grid size (size x size)
+ * @param {Object} options - Benchmark options
+ * @param {number} options.durationMs - Time budget for the measured run in milliseconds
+ * @param {number} options.criticalMass - Critical mass threshold
+ * @param {number|string} options.seed - Random seed for the start and the drop sites
+ * @returns {Object} Result {gridSize, drops, topples, elapsedMs, topplesPerSecond}
+ */
+export function benchmarkGridSize(size, options = {}) {
+    const {
+        durationMs = 2000,
+        criticalMass = 4,
+        seed = 1
+    } = options;
+
+    const random = new Random(seed);
+    const sandPile = new SandPile(size, criticalMass, { random });
+
+    // Start from a random stable configuration so avalanches are typical
+    // of a pile near criticality rather than of an empty grid
+    for (let i = 0; i < sandPile.grid.length; i++) {
+        sandPile.grid[i] = random.nextInt(criticalMass);
+    }
+
+    let drops = 0;
+    const startTopples = sandPile.totalTopples;
+    const startTime = performance.now();
+    let elapsed = 0;
+
+    while (elapsed < durationMs) {
+        // Drop in batches to keep timer overhead out of the measurement
+        for (let i = 0; i < 64; i++) {
+            const x = random.nextInt(size);
+            const y = random.nextInt(size);
+            sandPile.addSand(x, y, 1);
+            sandPile.stabilize(Infinity);
+            drops++;
+        }
+        elapsed = performance.now() - startTime;
+    }
+
+    const topples = sandPile.totalTopples - startTopples;
+
+    return {
+        gridSize: size,
+        drops,
+        topples,
+        elapsedMs: elapsed,
+        topplesPerSecond: topples / (elapsed / 1000)
+    };
+}
+
+/**
+ * Run the benchmark across several grid sizes
+ * @param {Array<number>} sizes - Grid sizes to measure
+ * @param {Object} options - Options passed to benchmarkGridSize
+ * @returns {Array<Object>} One result per grid size
+ */
+export function runBenchmark(sizes = [64, 128, 256, 512], options = {}) {
+    return sizes.map(size => benchmarkGridSize(size, options));
+}
@@ -0,0 +1,424 @@
+/**
+ * Compact binary encoding of simulation snapshots
+ * Holds the same snapshot as the JSON format (see SimulationState.js) in a
+ * fraction of the space, for archiving many checkpoints. Works in browsers
+ * and in Node.
+ *
+ * Layout:
+ *   'SQKB' magic, u8 format version, u8 snapshot version, varint grid size,
+ *   then sections until the end: u8 tag, varint byte length, payload.
+ * Unknown sections are skipped, so later versions can add sections.
+ *
+ * Number arrays (the grid, the unstable queue, OFC released stress, Oslo
+ * critical slopes, the activity counters, the terrain, provenance counts and
+ * the avalanche samples) are stored in whichever of four encodings is smallest:
+ * run-length pairs of zigzag varints, 2 bits per cell when every value is
+ * 0-3 (typical of stable configurations), raw float64, or run-length float64.
+ */
+
+import { STATE_VERSION, migrateState } from './SimulationState.js';
+import { AVALANCHE_QUANTITIES } from './AvalancheStatistics.js';
+import { ACTIVITY_FIELDS } from './CellActivity.js';
+import { ByteWriter, ByteReader } from '../utils/ByteBuffer.js';
+
+/**
+ * File name extension for binary snapshots
+ */
+export const BINARY_SNAPSHOT_EXTENSION = '.sandquake.bin';
+
+/**
+ * Binary container version written by encodeSnapshot()
+ */
+export const BINARY_FORMAT_VERSION = 1;
+
+const MAGIC = [0x53, 0x51, 0x4b, 0x42]; // 'SQKB'
+
+const SECTIONS = {
+    META: 1,        // UTF-8 JSON of the snapshot without the fields below
+    GRID: 2,        // pile.grid
+    SOURCES: 3,     // sources
+    RANDOM: 4,      // random state, four u32 words
+    UNSTABLE: 5,    // pile.unstable
+    RELEASED: 6,    // pile.model.released (OFC)
+    SAMPLES: 7,     // avalancheStatistics.samples, one array per quantity
+    ACTIVITY: 8,    // pile.activity, one array per field
+    TERRAIN: 9,     // pile.terrain, types then thresholds
+    PROVENANCE: 10, // pile.provenance.counts
+    SLOPES: 11      // pile.model.slopes (Oslo)
+};
+
+const ENCODINGS = {
+    RLE_INT: 0,
+    PACKED_2BIT: 1,
+    FLOAT64: 2,
+    RLE_FLOAT64: 3
+};
+
+/**
+ * Encode integers as (run length, zigzag value) varint pairs
+ * @param {ByteWriter} writer - Destination
+ * @param {ArrayLike<number>} values - Signed 32-bit integers
+ */
+function writeRunsInt(writer, values) {
+    for (let i = 0; i < values.length;) {
+        let run = 1;
+        while (i + run < values.length && values[i + run] === values[i]) run++;
+        writer.writeVarUint(run);
+        writer.writeVarInt(values[i]);
+        i += run;
+    }
+}
+
+/**
+ * Encode values 0-3 at 2 bits each, four per byte
+ * @param {ByteWriter} writer - Destination
+ * @param {ArrayLike<number>} values - Values 0-3
+ */
+function writePacked2Bit(writer, values) {
+    const bytes = new Uint8Array(Math.ceil(values.length / 4));
+    for (let i = 0; i < values.length; i++) {
+        bytes[i >> 2] |= values[i] << ((i & 3) * 2);
+    }
+    writer.writeBytes(bytes);
+}
+
+/**
+ * Encode floats as (run length, float64 value) pairs
+ * @param {ByteWriter} writer - Destination
+ * @param {ArrayLike<number>} values - Numbers
+ */
+function writeRunsFloat(writer, values) {
+    for (let i = 0; i < values.length;) {
+        let run = 1;
+        while (i + run < values.length && Object.is(values[i + run], values[i])) run++;
+        writer.writeVarUint(run);
+        writer.writeFloat64(values[i]);
+        i += run;
+    }
+}
+
+/**
+ * Encode a number array in its smallest encoding
+ * @param {ArrayLike<number>} values - Numbers
+ * @returns {Uint8Array} Count, encoding and payload
+ */
+function encodeNumbers(values) {
+    let integers = true;
+    let twoBit = true;
+    for (let i = 0; i < values.length; i++) {
+        const value = values[i];
+        // Object.is keeps -0 on the float path, so it survives the round trip
+        if (!Object.is(value, value | 0)) {
+            integers = false;
+            break;
+        }
+        if (value < 0 || value > 3) twoBit = false;
+    }
+
+    const candidates = integers
+        ? [[ENCODINGS.RLE_INT, writeRunsInt], ...(twoBit ? [[ENCODINGS.PACKED_2BIT, writePacked2Bit]] : [])]
+        : [[ENCODINGS.FLOAT64, (writer, data) => { for (const value of data) writer.writeFloat64(value); }],
+            [ENCODINGS.RLE_FLOAT64, writeRunsFloat]];
+
+    let best = null;
+    for (const [encoding, write] of candidates) {
+        const writer = new ByteWriter(64);
+        writer.writeVarUint(values.length);
+        writer.writeUint8(encoding);
+        write(writer, values);
+
+        if (!best || writer.length < best.length) {
+            best = writer;
+        }
+    }
+
+    return best.toBytes();
+}
+
+/**
+ * Decode a number array written by encodeNumbers()
+ * @param {ByteReader} reader - Source
+ * @returns {Array<number>} Numbers
+ */
+function readNumbers(reader) {
+    const count = reader.readVarUint();
+    const encoding = reader.readUint8();
+    const values = new Array(count);
+
+    switch (encoding) {
+        case ENCODINGS.RLE_INT:
+        case ENCODINGS.RLE_FLOAT64: {
+            const readValue = encoding === ENCODINGS.RLE_INT ? () => reader.readVarInt() : () => reader.readFloat64();
+            for (let i = 0; i < count;) {
+                const run = reader.readVarUint();
+                const value = readValue();
+                if (run === 0 || i + run > count) {
+                    throw new Error(`Corrupt run of length ${run} at value ${i} of ${count}`);
+                }
+                values.fill(value, i, i + run);
+                i += run;
+            }
+            break;
+        }
+        case ENCODINGS.PACKED_2BIT: {
+            const bytes = reader.readBytes(Math.ceil(count / 4));
+            for (let i = 0; i < count; i++) {
+                values[i] = (bytes[i >> 2] >> ((i & 3) * 2)) & 3;
+            }
+            break;
+        }
+        case ENCODINGS.FLOAT64:
+            for (let i = 0; i < count; i++) {
+                values[i] = reader.readFloat64();
+            }
+            break;
+        default:
+            throw new Error(`Unknown number encoding ${encoding}`);
+    }
+
+    return values;
+}
+
+/**
+ * Write a tagged, length-prefixed section
+ * @param {ByteWriter} writer - Destination
+ * @param {number} tag - Section tag
+ * @param {Uint8Array} payload - Section contents
+ */
+function writeSection(writer, tag, payload) {
+    writer.writeUint8(tag);
+    writer.writeVarUint(payload.length);
+    writer.writeBytes(payload);
+}
+
+/**
+ * Encode the source list
+ * @param {Array<Object>} sources - Sources from SandSource.toJSON()
+ * @returns {Uint8Array} Section payload
+ */
+function encodeSources(sources) {
+    const writer = new ByteWriter(64);
+    writer.writeVarUint(sources.length);
+
+    for (const source of sources) {
+        writer.writeString(source.id !== undefined ? source.id : '');
+        writer.writeVarUint(source.gridX);
+        writer.writeVarUint(source.gridY);
+        writer.writeFloat64(source.sandRate);
+        writer.writeFloat64(source.accumulator !== undefined ? source.accumulator : 0);
+        writer.writeUint8(source.active ? 1 : 0);
+    }
+
+    return writer.toBytes();
+}
+
+/**
+ * Decode the source list
+ * @param {ByteReader} reader - Section contents
+ * @returns {Array<Object>} Sources in SandSource.toJSON() form
+ */
+function readSources(reader) {
+    const count = reader.readVarUint();
+    const sources = [];
+
+    for (let i = 0; i < count; i++) {
+        const id = reader.readString();
+        const gridX = reader.readVarUint();
+        const gridY = reader.readVarUint();
+        const sandRate = reader.readFloat64();
+        const accumulator = reader.readFloat64();
+        const active = reader.readUint8() === 1;
+        sources.push({ id, gridX, gridY, sandRate, active, accumulator });
+    }
+
+    return sources;
+}
+
+/**
+ * Encode a snapshot as bytes
+ * @param {Object} state - Snapshot from Simulation.exportState()
+ * @returns {Uint8Array} Binary snapshot
+ */
+export function encodeSnapshot(state) {
+    const { pile } = state;
+    const modelState = pile.model;
+    const statistics = state.avalancheStatistics;
+
+    // Everything small travels as JSON; the arrays get their own sections
+    const meta = {
+        ...state,
+        random: null,
+        sources: [],
+        pile: {
+            ...pile,
+            grid: [],
+            unstable: null,
+            activity: null,
+            terrain: null,
+            provenance: pile.provenance ? { ...pile.provenance, counts: [] } : null,
+            model: modelState && modelState.released ? { ...modelState, released: [] }
+                : modelState && modelState.slopes ? { ...modelState, slopes: [] }
+                    : modelState
+        },
+        avalancheStatistics: statistics ? { ...statistics, samples: null } : null
+    };
+
+    const writer = new ByteWriter(1024);
+    writer.writeBytes(Uint8Array.from(MAGIC));
+    writer.writeUint8(BINARY_FORMAT_VERSION);
+    writer.writeUint8(state.version);
+    writer.writeVarUint(state.config.gridSize);
+
+    const metaWriter = new ByteWriter(1024);
+    metaWriter.writeString(JSON.stringify(meta));
+    writeSection(writer, SECTIONS.META, metaWriter.toBytes());
+    writeSection(writer, SECTIONS.GRID, encodeNumbers(pile.grid));
+    writeSection(writer, SECTIONS.SOURCES, encodeSources(state.sources));
+
+    if (state.random) {
+        const randomWriter = new ByteWriter(16);
+        state.random.forEach(word => randomWriter.writeUint32(word));
+        writeSection(writer, SECTIONS.RANDOM, randomWriter.toBytes());
+    }
+
+    if (pile.unstable) {
+        writeSection(writer, SECTIONS.UNSTABLE, encodeNumbers(pile.unstable));
+    }
+
+    if (modelState && modelState.released) {
+        writeSection(writer, SECTIONS.RELEASED, encodeNumbers(modelState.released));
+    }
+
+    if (modelState && modelState.slopes) {
+        writeSection(writer, SECTIONS.SLOPES, encodeNumbers(modelState.slopes));
+    }
+
+    if (pile.activity) {
+        const activityWriter = new ByteWriter(1024);
+        for (const field of Object.keys(ACTIVITY_FIELDS)) {
+            activityWriter.writeBytes(encodeNumbers(pile.activity[field]));
+        }
+        writeSection(writer, SECTIONS.ACTIVITY, activityWriter.toBytes());
+    }
+
+    if (pile.terrain) {
+        const terrainWriter = new ByteWriter(1024);
+        terrainWriter.writeBytes(encodeNumbers(pile.terrain.types));
+        terrainWriter.writeBytes(encodeNumbers(pile.terrain.thresholds));
+        writeSection(writer, SECTIONS.TERRAIN, terrainWriter.toBytes());
+    }
+
+    if (pile.provenance) {
+        writeSection(writer, SECTIONS.PROVENANCE, encodeNumbers(pile.provenance.counts));
+    }
+
+    if (statistics) {
+        const samplesWriter = new ByteWriter(1024);
+        for (const quantity of AVALANCHE_QUANTITIES) {
+            samplesWriter.writeBytes(encodeNumbers(statistics.samples[quantity]));
+        }
+        writeSection(writer, SECTIONS.SAMPLES, samplesWriter.toBytes());
+    }
+
+    return writer.toBytes();
+}
+
+/**
+ * Check whether bytes start like a binary snapshot
+ * @param {Uint8Array|ArrayBuffer} bytes - Data to check
+ * @returns {boolean} True if the magic number matches
+ */
+export function isBinarySnapshot(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    return data.length >= MAGIC.length && MAGIC.every((byte, i) => data[i] === byte);
+}
+
+/**
+ * Decode a binary snapshot, upgrading and validating it
+ * @param {Uint8Array|ArrayBuffer} bytes - Binary snapshot
+ * @returns {Object} Valid snapshot of STATE_VERSION
+ * @throws {Error} If the data is not a readable binary snapshot
+ */
+export function decodeSnapshot(bytes) {
+    if (!isBinarySnapshot(bytes)) {
+        throw new Error('Not a binary sandquake snapshot (bad magic number)');
+    }
+
+    const reader = new ByteReader(bytes);
+    reader.readBytes(MAGIC.length);
+
+    const formatVersion = reader.readUint8();
+    if (formatVersion > BINARY_FORMAT_VERSION) {
+        throw new Error(`Binary snapshot format ${formatVersion} was written by a newer sandquake (this one reads up to ${BINARY_FORMAT_VERSION})`);
+    }
+    const snapshotVersion = reader.readUint8();
+    if (snapshotVersion > STATE_VERSION) {
+        throw new Error(`Snapshot version ${snapshotVersion} was written by a newer sandquake (this one reads up to ${STATE_VERSION})`);
+    }
+    reader.readVarUint(); // grid size, repeated in the metadata
+
+    const sections = new Map();
+    while (!reader.isAtEnd()) {
+        const tag = reader.readUint8();
+        const length = reader.readVarUint();
+        sections.set(tag, new ByteReader(reader.readBytes(length)));
+    }
+
+    if (!sections.has(SECTIONS.META) || !sections.has(SECTIONS.GRID)) {
+        throw new Error('Binary snapshot is missing its metadata or grid section');
+    }
+
+    const state = JSON.parse(sections.get(SECTIONS.META).readString());
+    state.pile.grid = readNumbers(sections.get(SECTIONS.GRID));
+
+    if (sections.has(SECTIONS.SOURCES)) {
+        state.sources = readSources(sections.get(SECTIONS.SOURCES));
+    }
+
+    if (sections.has(SECTIONS.RANDOM)) {
+        const random = sections.get(SECTIONS.RANDOM);
+        state.random = [random.readUint32(), random.readUint32(), random.readUint32(), random.readUint32()];
+    }
+
+    if (sections.has(SECTIONS.UNSTABLE)) {
+        state.pile.unstable = readNumbers(sections.get(SECTIONS.UNSTABLE));
+    }
+
+    if (sections.has(SECTIONS.RELEASED)) {
+        state.pile.model.released = readNumbers(sections.get(SECTIONS.RELEASED));
+    }
+
+    if (sections.has(SECTIONS.SLOPES)) {
+        state.pile.model.slopes = readNumbers(sections.get(SECTIONS.SLOPES));
+    }
+
+    if (sections.has(SECTIONS.ACTIVITY)) {
+        const activity = sections.get(SECTIONS.ACTIVITY);
+        state.pile.activity = {};
+        for (const field of Object.keys(ACTIVITY_FIELDS)) {
+            state.pile.activity[field] = readNumbers(activity);
+        }
+    }
+
+    if (sections.has(SECTIONS.TERRAIN)) {
+        const terrain = sections.get(SECTIONS.TERRAIN);
+        state.pile.terrain = {
+            types: readNumbers(terrain),
+            thresholds: readNumbers(terrain)
+        };
+    }
+
+    if (sections.has(SECTIONS.PROVENANCE)) {
+        state.pile.provenance.counts = readNumbers(sections.get(SECTIONS.PROVENANCE));
+    }
+
+    if (sections.has(SECTIONS.SAMPLES)) {
+        const samples = sections.get(SECTIONS.SAMPLES);
+        state.avalancheStatistics.samples = {};
+        for (const quantity of AVALANCHE_QUANTITIES) {
+            state.avalancheStatistics.samples[quantity] = readNumbers(samples);
+        }
+    }
+
+    return migrateState(state);
+}
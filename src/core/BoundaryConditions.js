@@ -0,0 +1,165 @@
+/**
+ * Boundary conditions for the edges of the sandpile grid
+ */
+
+/**
+ * Grid edges in neighbour-table order. In grid coordinates left is x < 0,
+ * right is x >= size, top is y < 0 and bottom is y >= size.
+ */
+export const EDGES = ['left', 'right', 'top', 'bottom'];
+
+/**
+ * Supported edge behaviours
+ * - open: sand leaving the grid is lost (dissipative sink)
+ * - closed: sand is reflected back into the toppling cell
+ * - periodic: sand wraps around to the opposite edge
+ */
+export const BOUNDARY_TYPES = ['open', 'closed', 'periodic'];
+
+/**
+ * Named edge combinations offered in the UI
+ */
+export const BOUNDARY_PRESETS = {
+    open: { label: 'Open (all edges)', edges: { left: 'open', right: 'open', top: 'open', bottom: 'open' } },
+    closed: { label: 'Closed (all edges)', edges: { left: 'closed', right: 'closed', top: 'closed', bottom: 'closed' } },
+    periodic: { label: 'Periodic (torus)', edges: { left: 'periodic', right: 'periodic', top: 'periodic', bottom: 'periodic' } },
+    cylinder: { label: 'Cylinder (wrap x, open y)', edges: { left: 'periodic', right: 'periodic', top: 'open', bottom: 'open' } },
+    'bottom-sink': { label: 'Sink on bottom edge only', edges: { left: 'closed', right: 'closed', top: 'closed', bottom: 'open' } }
+};
+
+/**
+ * Boundary condition set with an independent behaviour per edge
+ */
+export class BoundaryConditions {
+    /**
+     * Create boundary conditions
+     * @param {string|Object} spec - Preset name, edge type applied to all edges,
+     *   or an object {left, right, top, bottom} of edge types
+     */
+    constructor(spec = 'open') {
+        this.edges = BoundaryConditions.resolveSpec(spec);
+        this.validate();
+    }
+
+    /**
+     * Expand a boundary specification into per-edge types
+     * @param {string|Object} spec - Boundary specification
+     * @returns {Object} Edge types {left, right, top, bottom}
+     */
+    static resolveSpec(spec) {
+        if (spec instanceof BoundaryConditions) {
+            return { ...spec.edges };
+        }
+
+        if (typeof spec === 'string') {
+            if (BOUNDARY_PRESETS[spec]) {
+                return { ...BOUNDARY_PRESETS[spec].edges };
+            }
+            return { left: spec, right: spec, top: spec, bottom: spec };
+        }
+
+        const edges = {};
+        for (const edge of EDGES) {
+            edges[edge] = (spec && spec[edge]) || 'open';
+        }
+        return edges;
+    }
+
+    /**
+     * Check edge types and that periodic edges come in opposite pairs
+     */
+    validate() {
+        for (const edge of EDGES) {
+            if (!BOUNDARY_TYPES.includes(this.edges[edge])) {
+                throw new Error(`Invalid boundary type '${this.edges[edge]}' for ${edge} edge (expected one of ${BOUNDARY_TYPES.join(', ')})`);
+            }
+        }
+
+        if ((this.edges.left === 'periodic') !== (this.edges.right === 'periodic')) {
+            throw new Error('Periodic boundaries must be set on both the left and right edges');
+        }
+
+        if ((this.edges.top === 'periodic') !== (this.edges.bottom === 'periodic')) {
+            throw new Error('Periodic boundaries must be set on both the top and bottom edges');
+        }
+    }
+
+    /**
+     * Get the behaviour of one edge
+     * @param {string} edge - Edge name
+     * @returns {string} Edge type
+     */
+    getEdge(edge) {
+        return this.edges[edge];
+    }
+
+    /**
+     * Resolve where sand sent to a possibly off-grid position ends up
+     * The x axis is resolved before the y axis, so a diagonal move off a
+     * corner is decided by the left/right edge first.
+     * Note that periodic wrapping only preserves the row/column parity of
+     * hexagonal and triangular lattices when the grid size is even.
+     * @param {number} x - Target X coordinate
+     * @param {number} y - Target Y coordinate
+     * @param {number} size - Grid size
+     * @returns {Object} {x, y} on the grid, {reflect: true}, or {edge} where the sand is lost
+     */
+    resolve(x, y, size) {
+        if (x < 0 || x >= size) {
+            const edge = x < 0 ? 'left' : 'right';
+            const type = this.edges[edge];
+
+            if (type === 'open') return { edge };
+            if (type === 'closed') return { reflect: true };
+            x = (x + size) % size;
+        }
+
+        if (y < 0 || y >= size) {
+            const edge = y < 0 ? 'top' : 'bottom';
+            const type = this.edges[edge];
+
+            if (type === 'open') return { edge };
+            if (type === 'closed') return { reflect: true };
+            y = (y + size) % size;
+        }
+
+        return { x, y };
+    }
+
+    /**
+     * Check whether any edge lets sand leave the grid
+     * @returns {boolean} True if at least one edge is open
+     */
+    hasSink() {
+        return EDGES.some(edge => this.edges[edge] === 'open');
+    }
+
+    /**
+     * Get the preset name matching these edges, if any
+     * @returns {string|null} Preset name or null for a custom mix
+     */
+    getPresetName() {
+        for (const [name, preset] of Object.entries(BOUNDARY_PRESETS)) {
+            if (EDGES.every(edge => preset.edges[edge] === this.edges[edge])) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Serialize the boundary conditions
+     * @returns {Object} Edge types {left, right, top, bottom}
+     */
+    toJSON() {
+        return { ...this.edges };
+    }
+}
+
+/**
+ * Get the names and labels of the boundary presets
+ * @returns {Array} Array of {name, label}
+ */
+export function getBoundaryOptions() {
+    return Object.entries(BOUNDARY_PRESETS).map(([name, preset]) => ({ name, label: preset.label }));
+}
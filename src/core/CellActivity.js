@@ -0,0 +1,101 @@
+/**
+ * Per-cell activity counters for the sandpile
+ * Where a pile topples over and over is where avalanche cores form; these
+ * maps keep that history, which the grid of heights forgets.
+ */
+
+/**
+ * Activity fields, in display order
+ */
+export const ACTIVITY_FIELDS = {
+    topples: { label: 'Topples (odometer)' },
+    grains: { label: 'Grains received' },
+    lastTopple: { label: 'Last topple time' },
+    avalanches: { label: 'Avalanches joined' }
+};
+
+/**
+ * Counts topples, grains received, last topple time and avalanches per cell
+ */
+export class CellActivity {
+    /**
+     * Create empty counters
+     * @param {number} size - Grid size (size x size)
+     */
+    constructor(size) {
+        this.size = size;
+
+        // Flat arrays indexed x * size + y, like the grid
+        this.fields = {};
+        for (const field of Object.keys(ACTIVITY_FIELDS)) {
+            this.fields[field] = new Float64Array(size * size);
+        }
+    }
+
+    /**
+     * Record a topple
+     * @param {number} index - Flat index of the toppled cell
+     * @param {number} time - Simulation time
+     * @param {boolean} firstInAvalanche - Whether this is the cell's first topple in the current avalanche
+     */
+    recordTopple(index, time, firstInAvalanche) {
+        this.fields.topples[index]++;
+        this.fields.lastTopple[index] = time;
+        if (firstInAvalanche) {
+            this.fields.avalanches[index]++;
+        }
+    }
+
+    /**
+     * Record grains arriving at a cell, dropped or from a toppling neighbour
+     * @param {number} index - Flat grid index
+     * @param {number} amount - Amount of sand
+     */
+    recordGrains(index, amount) {
+        this.fields.grains[index] += amount;
+    }
+
+    /**
+     * Get the counters of one field
+     * @param {string} field - Field name (see ACTIVITY_FIELDS)
+     * @returns {Float64Array} Values indexed x * size + y (last topple time is 0 for cells that never toppled)
+     * @throws {Error} If the field is unknown
+     */
+    getField(field) {
+        if (!Object.hasOwn(this.fields, field)) {
+            throw new Error(`Unknown activity field '${field}'. Available: ${Object.keys(ACTIVITY_FIELDS).join(', ')}`);
+        }
+        return this.fields[field];
+    }
+
+    /**
+     * Capture the counters
+     * @returns {Object} Serializable state, one array per field
+     */
+    getState() {
+        const state = {};
+        for (const [field, values] of Object.entries(this.fields)) {
+            state[field] = Array.from(values);
+        }
+        return state;
+    }
+
+    /**
+     * Restore counters captured by getState()
+     * @param {Object} state - Activity state
+     */
+    setState(state) {
+        for (const [field, values] of Object.entries(this.fields)) {
+            values.set(state[field]);
+        }
+    }
+
+    /**
+     * Clear every counter
+     */
+    reset() {
+        for (const values of Object.values(this.fields)) {
+            values.fill(0);
+        }
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Grain provenance for the sandpile
+ * Tracks how much of each cell's sand came from each source, so the pile
+ * can be coloured by where its grains were dropped.
+ *
+ * Mixing rule: a toppling cell is treated as well mixed. Whatever it sends
+ * to a neighbour has the cell's composition, and what stays behind keeps
+ * it. Amounts are therefore fractional even for integer models, but each
+ * cell's species still add up to its height.
+ */
+
+/**
+ * Number of species slots: slot 0 holds unattributed sand (hand drops,
+ * sand already there when tracking started, a model's own drive), the rest
+ * are given to sources in the order they first drop sand
+ */
+export const PROVENANCE_SLOTS = 8;
+
+/**
+ * Per-cell sand amounts by source
+ */
+export class GrainProvenance {
+    /**
+     * Create empty provenance counts
+     * @param {number} size - Grid size (size x size)
+     */
+    constructor(size) {
+        this.size = size;
+
+        // Amounts indexed (x * size + y) * PROVENANCE_SLOTS + slot
+        this.counts = new Float64Array(size * size * PROVENANCE_SLOTS);
+
+        // Source id of each slot; slot 0 is always null (unattributed)
+        this.sources = [null];
+
+        // Composition of the cell being toppled, as fractions per slot
+        this.toppling = -1;
+        this.shares = new Float64Array(PROVENANCE_SLOTS);
+    }
+
+    /**
+     * Get the slot of a source, assigning a free one on first use
+     * Once every slot is taken, further sources count as unattributed.
+     * @param {string|null} sourceId - Source id, or null for unattributed sand
+     * @returns {number} Slot
+     */
+    getSlot(sourceId) {
+        if (sourceId === null || sourceId === undefined) return 0;
+
+        const slot = this.sources.indexOf(sourceId);
+        if (slot > 0) return slot;
+
+        if (this.sources.length < PROVENANCE_SLOTS) {
+            this.sources.push(sourceId);
+            return this.sources.length - 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Record sand dropped on a cell
+     * @param {number} index - Flat grid index
+     * @param {number} amount - Amount of sand
+     * @param {string|null} sourceId - Source that dropped it, or null
+     */
+    recordDrop(index, amount, sourceId) {
+        this.counts[index * PROVENANCE_SLOTS + this.getSlot(sourceId)] += amount;
+    }
+
+    /**
+     * Start moving sand out of a toppling cell
+     * @param {number} index - Flat index of the toppling cell
+     * @param {number} height - Its height before the topple
+     */
+    beginTopple(index, height) {
+        const base = index * PROVENANCE_SLOTS;
+        for (let slot = 0; slot < PROVENANCE_SLOTS; slot++) {
+            this.shares[slot] = height > 0 ? this.counts[base + slot] / height : 0;
+        }
+        this.toppling = index;
+    }
+
+    /**
+     * Move sand from the toppling cell to a neighbour
+     * Does nothing outside a topple, or for sand handed back to the cell
+     * itself (closed edges and walls).
+     * @param {number} index - Flat index of the receiving cell
+     * @param {number} amount - Amount of sand received
+     */
+    receive(index, amount) {
+        if (this.toppling < 0 || index === this.toppling) return;
+
+        const base = index * PROVENANCE_SLOTS;
+        for (let slot = 0; slot < PROVENANCE_SLOTS; slot++) {
+            this.counts[base + slot] += amount * this.shares[slot];
+        }
+    }
+
+    /**
+     * Finish a topple, leaving the remaining sand with its composition
+     * @param {number} height - Height of the toppled cell afterwards
+     */
+    finishTopple(height) {
+        const base = this.toppling * PROVENANCE_SLOTS;
+        for (let slot = 0; slot < PROVENANCE_SLOTS; slot++) {
+            this.counts[base + slot] = height * this.shares[slot];
+        }
+        this.toppling = -1;
+    }
+
+    /**
+     * Remove all sand from a cell
+     * @param {number} index - Flat grid index
+     */
+    clearCell(index) {
+        this.counts.fill(0, index * PROVENANCE_SLOTS, (index + 1) * PROVENANCE_SLOTS);
+    }
+
+    /**
+     * Find the slot holding most of each cell's sand
+     * @returns {Object} {dominant, purity, sources}: the slot per cell
+     *   (Uint8Array), the share of the cell's sand it holds (Float32Array,
+     *   0 for empty cells) and the source id of each slot
+     */
+    getDominant() {
+        const cellCount = this.size * this.size;
+        const dominant = new Uint8Array(cellCount);
+        const purity = new Float32Array(cellCount);
+
+        for (let i = 0; i < cellCount; i++) {
+            const base = i * PROVENANCE_SLOTS;
+            let best = 0;
+            let total = 0;
+            for (let slot = 0; slot < PROVENANCE_SLOTS; slot++) {
+                const amount = this.counts[base + slot];
+                total += amount;
+                if (amount > this.counts[base + best]) best = slot;
+            }
+            dominant[i] = best;
+            purity[i] = total > 0 ? this.counts[base + best] / total : 0;
+        }
+
+        return { dominant, purity, sources: [...this.sources] };
+    }
+
+    /**
+     * Attribute all of a grid's sand to slot 0, forgetting the sources
+     * @param {ArrayLike<number>} grid - Heights, one per cell
+     */
+    seed(grid) {
+        this.reset();
+        for (let i = 0; i < grid.length; i++) {
+            this.counts[i * PROVENANCE_SLOTS] = grid[i];
+        }
+    }
+
+    /**
+     * Capture the counts
+     * @returns {Object} Serializable state {sources, counts}
+     */
+    getState() {
+        return {
+            sources: [...this.sources],
+            counts: Array.from(this.counts)
+        };
+    }
+
+    /**
+     * Restore counts captured by getState()
+     * @param {Object} state - Provenance state
+     */
+    setState(state) {
+        this.sources = [...state.sources];
+        this.counts.set(state.counts);
+        this.toppling = -1;
+    }
+
+    /**
+     * Clear every count and free every slot
+     */
+    reset() {
+        this.counts.fill(0);
+        this.sources = [null];
+        this.toppling = -1;
+    }
+}
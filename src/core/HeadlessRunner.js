@@ -0,0 +1,188 @@
+/**
+ * Headless simulation runs for batch experiments
+ * Runs a simulation for a fixed number of ticks without any rendering and
+ * collects avalanche events, seismograph samples and the final grid.
+ */
+
+import { Simulation } from './Simulation.js';
+import { SeismographData } from './SeismographData.js';
+import { createSourceLayout } from './SourceLayout.js';
+import { createStationLayout, RESERVED_STATION_NAMES } from './StationLayout.js';
+import { Random } from '../utils/Random.js';
+import { toCsv, matrixToCsv } from '../utils/CsvUtils.js';
+
+/**
+ * Columns of the avalanche event CSV
+ */
+export const EVENT_COLUMNS = [
+    'id', 'startTime', 'endTime', 'triggerX', 'triggerY', 'size', 'area', 'duration',
+    'radiusOfGyration', 'minX', 'minY', 'maxX', 'maxY'
+];
+
+/**
+ * Run a simulation headlessly
+ * @param {Object} options - Run options
+ * @param {number} options.ticks - Number of ticks to run
+ * @param {number} options.gridSize - Grid size
+ * @param {string} options.model - Toppling model name
+ * @param {Object} options.modelParams - Model parameters
+ * @param {string} options.topology - Lattice topology name
+ * @param {string|Object} options.boundary - Boundary conditions
+ * @param {number|string} options.seed - Random seed (default: a fresh random seed)
+ * @param {string} options.sources - Source layout specification (see SourceLayout.js)
+ * @param {string} options.stations - Station layout specification (see StationLayout.js)
+ * @param {number} options.speed - Global speed multiplier
+ * @param {number} options.randomness - Avalanche randomness factor
+ * @param {number} options.tickRate - Ticks per second of simulation time
+ * @param {number} options.criticalMass - Critical mass override
+ * @param {boolean} options.recordSeismograph - Sample every station's seismograph channel every tick (default true)
+ * @param {Object|null} options.propagation - Seismograph propagation {mode, speed, attenuation} (default: instant)
+ * @param {Function} options.onProgress - Called as (ticksDone, ticks) every progressInterval ticks
+ * @param {number} options.progressInterval - Ticks between progress callbacks
+ * @returns {Object} {options, criticalMass, events, stations, samples, meanHeights, sampleRate, grid, statistics, simulation},
+ *   where samples maps each station name to its samples
+ */
+export function runHeadless(options = {}) {
+    const {
+        ticks = 6000,
+        gridSize = 64,
+        model = 'btw',
+        modelParams = {},
+        topology = 'square-4',
+        boundary = 'open',
+        seed = Random.generateSeed(),
+        sources = 'random:3',
+        stations = 'default',
+        speed = 1.0,
+        randomness = 0,
+        tickRate = 60,
+        criticalMass = null,
+        recordSeismograph = true,
+        propagation = null,
+        onProgress = null,
+        progressInterval = 1000
+    } = options;
+
+    const simulation = new Simulation({
+        gridSize, criticalMass, topology, boundary, model, modelParams, seed, tickRate,
+        initialSources: 0,
+        stations: createStationLayout(stations, gridSize).map(station => station.toJSON())
+    });
+
+    for (const source of createSourceLayout(sources, gridSize, simulation.getRandom())) {
+        simulation.addSource(source);
+    }
+    simulation.setGlobalSpeed(speed);
+    simulation.setRandomnessFactor(randomness);
+
+    const events = [];
+    simulation.addAvalancheListener((event) => events.push(event));
+
+    // The seismograph samples every station once per tick; keep every
+    // sample rather than only its display buffer
+    const seismographData = recordSeismograph ? new SeismographData(
+        gridSize, 1024, tickRate, simulation.getRandom().fork('seismograph'), simulation.getStations(), propagation
+    ) : null;
+    const samples = {};
+    for (const station of simulation.getStations()) {
+        samples[station.name] = new Float32Array(recordSeismograph ? ticks : 0);
+    }
+    const meanHeights = new Float32Array(ticks);
+    const cellCount = gridSize * gridSize;
+    simulation.addTickListener((sim) => {
+        const tick = sim.getTickCount() - 1;
+        if (seismographData) {
+            seismographData.update(sim.getSignalGrid(), sim.getSandPile().getActivity('topples'));
+            for (const name in samples) {
+                samples[name][tick] = seismographData.getLatestSample(name);
+            }
+        }
+        meanHeights[tick] = sim.getSandPile().totalSand / cellCount;
+    });
+
+    for (let done = 0; done < ticks; done += progressInterval) {
+        simulation.step(Math.min(progressInterval, ticks - done));
+        if (onProgress) {
+            onProgress(Math.min(done + progressInterval, ticks), ticks);
+        }
+    }
+
+    return {
+        options: {
+            ticks, gridSize, model, modelParams, topology, boundary, seed, sources, stations,
+            speed, randomness, tickRate, criticalMass,
+            propagation: seismographData ? seismographData.getPropagation() : propagation
+        },
+        criticalMass: simulation.getSandPile().getCriticalMass(),
+        events,
+        stations: simulation.getStations().map(station => station.toJSON()),
+        samples,
+        meanHeights,
+        sampleRate: tickRate,
+        grid: simulation.getGrid(),
+        statistics: simulation.getStatistics(),
+        simulation
+    };
+}
+
+/**
+ * Format the results of a headless run as output files
+ * The seismograph has one sample array (JSON) or column (CSV) per station,
+ * in network order. Grid CSV rows are x and columns are y, matching grid[x][y].
+ * @param {Object} result - Result of runHeadless()
+ * @param {string} format - 'json' or 'csv' (the summary is always JSON)
+ * @returns {Object} Map of file name to file contents
+ */
+export function formatHeadlessResults(result, format = 'json') {
+    if (format !== 'json' && format !== 'csv') {
+        throw new Error(`Unknown output format '${format}' (expected json or csv)`);
+    }
+
+    const files = {
+        'summary.json': JSON.stringify({
+            options: result.options,
+            statistics: result.statistics,
+            events: result.events.length,
+            stations: result.stations,
+            samples: result.samples[result.stations[0].name].length
+        }, null, 2) + '\n'
+    };
+
+    if (format === 'json') {
+        files['events.json'] = JSON.stringify(result.events) + '\n';
+        files['seismograph.json'] = JSON.stringify({
+            sampleRate: result.sampleRate,
+            stations: result.stations,
+            samples: Object.fromEntries(
+                Object.entries(result.samples).map(([name, samples]) => [name, Array.from(samples)])
+            )
+        }) + '\n';
+        files['grid.json'] = JSON.stringify({
+            gridSize: result.options.gridSize,
+            topology: result.options.topology,
+            grid: result.grid
+        }) + '\n';
+        return files;
+    }
+
+    const eventRows = result.events.map(event => ({
+        ...event,
+        triggerX: event.trigger.x,
+        triggerY: event.trigger.y,
+        ...event.boundingBox
+    }));
+    files['events.csv'] = toCsv(eventRows, EVENT_COLUMNS);
+
+    const names = result.stations.map(station => station.name);
+    const sampleRows = Array.from(result.samples[names[0]], (_, tick) => {
+        const row = { tick: tick + 1, time: (tick + 1) / result.sampleRate };
+        for (const name of names) {
+            row[name] = result.samples[name][tick];
+        }
+        return row;
+    });
+    files['seismograph.csv'] = toCsv(sampleRows, [...RESERVED_STATION_NAMES, ...names]);
+    files['grid.csv'] = matrixToCsv(result.grid);
+
+    return files;
+}
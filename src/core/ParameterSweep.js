@@ -0,0 +1,326 @@
+/**
+ * Parameter sweeps for finite-size scaling and sensitivity studies
+ * Runs every combination of grid size, critical mass, randomness factor and
+ * source count over several seeds and aggregates the avalanche exponents and
+ * mean heights into one table.
+ */
+
+import { runHeadless } from './HeadlessRunner.js';
+import { AvalancheStatistics } from './AvalancheStatistics.js';
+import { createModel } from './models/ModelRegistry.js';
+import { createTopology } from './Topology.js';
+import { toCsv } from '../utils/CsvUtils.js';
+
+/**
+ * Swept parameters, in table column order
+ */
+export const SWEEP_PARAMETERS = ['gridSize', 'criticalMass', 'randomness', 'sourceCount'];
+
+/**
+ * Columns of the aggregated results table
+ */
+export const SWEEP_COLUMNS = [
+    ...SWEEP_PARAMETERS, 'runs', 'events',
+    'sizeExponent', 'sizeExponentStd', 'areaExponent', 'areaExponentStd',
+    'durationExponent', 'durationExponentStd', 'meanHeight', 'meanHeightStd', 'steadyRuns'
+];
+
+/**
+ * Largest relative growth in mean height over the measured ticks of a run
+ * whose pile counts as having reached its steady state
+ */
+export const STEADY_STATE_TOLERANCE = 0.02;
+
+/**
+ * Expand a range specification into a list of values
+ * Accepts a number, an array, a comma list ('32,64,128'), an inclusive
+ * 'start:end:step' range ('16:128:16') or 'default' for the model's default.
+ * @param {number|string|Array} spec - Range specification
+ * @returns {Array} Values
+ */
+export function expandRange(spec) {
+    if (Array.isArray(spec)) return spec;
+    if (spec === null || spec === undefined || spec === 'default') return [null];
+    if (typeof spec === 'number') return [spec];
+
+    const text = String(spec).trim();
+    if (text.includes(':')) {
+        const [start, end, step = 1] = text.split(':').map(Number);
+        if (![start, end, step].every(Number.isFinite) || step <= 0 || end < start) {
+            throw new Error(`Invalid range '${spec}' (expected start:end[:step] with start <= end and step > 0)`);
+        }
+
+        const values = [];
+        // Count steps rather than accumulate, so fractional steps do not drift
+        const count = Math.floor((end - start) / step + 1e-9);
+        for (let i = 0; i <= count; i++) {
+            values.push(Number((start + i * step).toPrecision(12)));
+        }
+        return values;
+    }
+
+    return text.split(',').map(value => {
+        const trimmed = value.trim();
+        if (trimmed === 'default') return null;
+
+        const number = Number(trimmed);
+        if (trimmed === '' || !Number.isFinite(number)) {
+            throw new Error(`Invalid range '${spec}': '${value}' is not a number`);
+        }
+        return number;
+    });
+}
+
+/**
+ * Build every combination of the swept parameters
+ * @param {Object} ranges - Range specifications keyed by SWEEP_PARAMETERS
+ * @returns {Array<Object>} Parameter combinations
+ */
+export function createSweepCombinations(ranges) {
+    let combinations = [{}];
+
+    for (const parameter of SWEEP_PARAMETERS) {
+        const values = expandRange(ranges[parameter]);
+        const next = [];
+        for (const combination of combinations) {
+            for (const value of values) {
+                next.push({ ...combination, [parameter]: value });
+            }
+        }
+        combinations = next;
+    }
+
+    return combinations;
+}
+
+/**
+ * Mean and standard deviation of the finite values in a list
+ * @param {Array<number|null>} values - Values (null entries are skipped)
+ * @returns {Object} {mean, std}, null when there are no values
+ */
+function summarize(values) {
+    const finite = values.filter(value => value !== null && Number.isFinite(value));
+    if (finite.length === 0) return { mean: null, std: null };
+
+    const mean = finite.reduce((sum, value) => sum + value, 0) / finite.length;
+    const variance = finite.reduce((sum, value) => sum + (value - mean) ** 2, 0) / finite.length;
+    return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Check that every value of a swept count parameter is a positive integer
+ * @param {string} parameter - Parameter name, for the error message
+ * @param {number|string|Array} spec - Range specification
+ * @throws {Error} If a value is not a positive integer
+ */
+function checkPositiveIntegers(parameter, spec) {
+    for (const value of expandRange(spec)) {
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Invalid ${parameter} ${value} (expected positive integers)`);
+        }
+    }
+}
+
+/**
+ * Check whether a pile stopped filling before its measured ticks
+ * Compares the mean height over the first and last tenth of the ticks after
+ * the warm-up; a pile still filling gains more than STEADY_STATE_TOLERANCE
+ * between them, and its avalanches describe the transient rather than the
+ * critical state.
+ * @param {Float32Array} meanHeights - Mean height after every tick
+ * @param {number} warmupTicks - Ticks left out of the statistics
+ * @returns {boolean} True if the mean height had stopped growing
+ */
+export function isSteadyState(meanHeights, warmupTicks) {
+    const window = Math.max(1, Math.floor((meanHeights.length - warmupTicks) / 10));
+    const mean = (start) => {
+        let sum = 0;
+        for (let i = start; i < start + window; i++) sum += meanHeights[i];
+        return sum / window;
+    };
+
+    const early = mean(warmupTicks);
+    const late = mean(meanHeights.length - window);
+    return late <= 0 || (late - early) / late <= STEADY_STATE_TOLERANCE;
+}
+
+/**
+ * Run one sweep point for one seed
+ * Events and heights from the warm-up ticks, while the pile is still filling,
+ * are left out of the statistics.
+ * @param {Object} combination - Swept parameter values
+ * @param {number|string} seed - Random seed
+ * @param {Object} settings - Fixed settings {ticks, warmupTicks, model, modelParams, topology, boundary, tickRate, speed, rate}
+ * @param {Function} onCheckpoint - Called as (run, state) with the final snapshot of the run
+ * @returns {Object} Run record
+ */
+export function runSweepPoint(combination, seed, settings, onCheckpoint = null) {
+    const { ticks, warmupTicks, tickRate } = settings;
+
+    const result = runHeadless({
+        ticks,
+        gridSize: combination.gridSize,
+        criticalMass: combination.criticalMass,
+        randomness: combination.randomness,
+        sources: settings.rate === null
+            ? `random:${combination.sourceCount}`
+            : `random:${combination.sourceCount}:${settings.rate}`,
+        speed: settings.speed,
+        seed,
+        model: settings.model,
+        modelParams: settings.modelParams,
+        topology: settings.topology,
+        boundary: settings.boundary,
+        tickRate,
+        recordSeismograph: false
+    });
+
+    const warmupTime = warmupTicks / tickRate;
+    const statistics = new AvalancheStatistics({ maxSamples: Math.max(1, result.events.length) });
+    for (const event of result.events) {
+        if (event.startTime > warmupTime) {
+            statistics.record(event);
+        }
+    }
+    const exponents = statistics.getExponents();
+
+    const heights = result.meanHeights.subarray(warmupTicks);
+    const meanHeight = heights.reduce((sum, height) => sum + height, 0) / heights.length;
+
+    const run = {
+        ...combination,
+        criticalMass: result.criticalMass,
+        seed,
+        events: exponents.events,
+        sizeExponent: exponents.size ? exponents.size.exponent : null,
+        areaExponent: exponents.area ? exponents.area.exponent : null,
+        durationExponent: exponents.duration ? exponents.duration.exponent : null,
+        meanHeight,
+        steady: isSteadyState(result.meanHeights, warmupTicks)
+    };
+
+    if (onCheckpoint) {
+        onCheckpoint(run, result.simulation.exportState());
+    }
+
+    return run;
+}
+
+/**
+ * Run a parameter sweep
+ * @param {Object} options - Sweep options
+ * @param {number|string|Array} options.gridSize - Grid sizes (default 64)
+ * @param {number|string|Array} options.criticalMass - Critical masses (default: the model's)
+ * @param {number|string|Array} options.randomness - Randomness factors (default 0)
+ * @param {number|string|Array} options.sourceCount - Numbers of random sources (default 3)
+ * @param {Array} options.seeds - Seeds run for every combination (default [1, 2, 3])
+ * @param {number} options.ticks - Ticks per run
+ * @param {number} options.warmupTicks - Ticks ignored at the start of each run (default ticks / 2)
+ * @param {string} options.model - Toppling model name
+ * @param {Object} options.modelParams - Model parameters
+ * @param {string} options.topology - Lattice topology name
+ * @param {string|Object} options.boundary - Boundary conditions
+ * @param {number} options.tickRate - Ticks per second of simulation time
+ * @param {number} options.speed - Global speed multiplier, at most 5 (default 1)
+ * @param {number|null} options.rate - Grains per second of every source (default: random rates from 0.5 to 2.0)
+ * @param {Function} options.onProgress - Called as (runsDone, totalRuns, run) after each run
+ * @param {Function} options.onCheckpoint - Called as (run, state) with each run's final snapshot
+ * @returns {Object} {settings, runs, table}
+ * @throws {Error} If the warm-up does not leave ticks to measure, a grid
+ *   size or source count is not a positive integer, a critical mass is below
+ *   the model's minimum, or the speed or rate is not positive
+ */
+export function runSweep(options = {}) {
+    const {
+        gridSize = 64,
+        criticalMass = null,
+        randomness = 0,
+        sourceCount = 3,
+        seeds = [1, 2, 3],
+        ticks = 20000,
+        warmupTicks = Math.floor(ticks / 2),
+        model = 'btw',
+        modelParams = {},
+        topology = 'square-4',
+        boundary = 'open',
+        tickRate = 60,
+        speed = 1,
+        rate = null,
+        onProgress = null,
+        onCheckpoint = null
+    } = options;
+
+    if (!Number.isInteger(ticks) || ticks < 1) {
+        throw new Error(`Invalid ticks ${ticks} (expected a positive integer)`);
+    }
+    if (!Number.isInteger(warmupTicks) || warmupTicks < 0 || warmupTicks >= ticks) {
+        throw new Error(`Invalid warm-up ${warmupTicks} (expected an integer from 0 to ${ticks - 1} for a ${ticks}-tick run)`);
+    }
+    checkPositiveIntegers('gridSize', gridSize);
+    checkPositiveIntegers('sourceCount', sourceCount);
+
+    // SandPile would quietly raise lower masses to the minimum, giving rows
+    // that repeat the minimum's results under another label
+    const minimumMass = createModel(model, modelParams).getMinimumCriticalMass(createTopology(topology));
+    for (const value of expandRange(criticalMass)) {
+        if (value !== null && !(Number.isFinite(value) && value >= minimumMass)) {
+            throw new Error(`Invalid criticalMass ${value} (the ${model} model on ${topology} needs at least ${minimumMass})`);
+        }
+    }
+
+    if (!(Number.isFinite(speed) && speed > 0 && speed <= 5)) {
+        throw new Error(`Invalid speed ${speed} (expected a number above 0, at most 5)`);
+    }
+    if (rate !== null && !(Number.isFinite(rate) && rate > 0)) {
+        throw new Error(`Invalid rate ${rate} (expected a positive number of grains per second)`);
+    }
+
+    const settings = { ticks, warmupTicks, model, modelParams, topology, boundary, tickRate, speed, rate, seeds };
+    const combinations = createSweepCombinations({ gridSize, criticalMass, randomness, sourceCount });
+    const totalRuns = combinations.length * seeds.length;
+
+    const runs = [];
+    const table = [];
+
+    for (const combination of combinations) {
+        const pointRuns = [];
+        for (const seed of seeds) {
+            const run = runSweepPoint(combination, seed, settings, onCheckpoint);
+            pointRuns.push(run);
+            runs.push(run);
+            if (onProgress) onProgress(runs.length, totalRuns, run);
+        }
+
+        const size = summarize(pointRuns.map(run => run.sizeExponent));
+        const area = summarize(pointRuns.map(run => run.areaExponent));
+        const duration = summarize(pointRuns.map(run => run.durationExponent));
+        const height = summarize(pointRuns.map(run => run.meanHeight));
+
+        table.push({
+            ...combination,
+            criticalMass: pointRuns[0].criticalMass,
+            runs: pointRuns.length,
+            events: pointRuns.reduce((sum, run) => sum + run.events, 0),
+            sizeExponent: size.mean,
+            sizeExponentStd: size.std,
+            areaExponent: area.mean,
+            areaExponentStd: area.std,
+            durationExponent: duration.mean,
+            durationExponentStd: duration.std,
+            meanHeight: height.mean,
+            meanHeightStd: height.std,
+            steadyRuns: pointRuns.filter(run => run.steady).length
+        });
+    }
+
+    return { settings, runs, table };
+}
+
+/**
+ * Format the aggregated table as CSV
+ * @param {Array<Object>} table - Table from runSweep()
+ * @returns {string} CSV text
+ */
+export function sweepTableToCsv(table) {
+    return toCsv(table, SWEEP_COLUMNS);
+}
@@ -1,8 +1,23 @@
 /**
  * Abelian Sandpile Model implementation
+ * Toppling rules are delegated to a pluggable model (BTW, Manna, Zhang, OFC, Oslo, ...).
  */
 
-import { getNeighbors, isValidGridPosition } from '../utils/MathUtils.js';
+import { isValidGridPosition } from '../utils/MathUtils.js';
+import { createTopology } from './Topology.js';
+import { BoundaryConditions, EDGES } from './BoundaryConditions.js';
+import { createModel } from './models/ModelRegistry.js';
+import { AvalancheTracker } from './AvalancheTracker.js';
+import { CellActivity } from './CellActivity.js';
+import { Terrain, TERRAIN_TYPES } from './Terrain.js';
+import { GrainProvenance } from './GrainProvenance.js';
+import { Random } from '../utils/Random.js';
+
+// Neighbour table entries below zero mark sand lost over an open edge:
+// -1 left, -2 right, -3 top, -4 bottom (see EDGES), and -5 for sand
+// absorbed by a sink cell
+const edgeCode = (edge) => -1 - EDGES.indexOf(edge);
+const SINK_CODE = -5;
 
 /**
  * Represents the sandpile grid with Abelian sandpile dynamics
@@ -11,28 +26,288 @@ export class SandPile {
     /**
      * Create a new sandpile
      * @param {number} size - Grid size (size x size)
-     * @param {number} criticalMass - Critical mass threshold for avalanches (default 4)
+     * @param {number|null} criticalMass - Critical mass threshold for avalanches (default: the topology's)
+     * @param {Object} options - Lattice options
+     * @param {string|Topology} options.topology - Lattice topology name or instance (default 'square-4')
+     * @param {string|Object} options.boundary - Boundary conditions (preset, edge type or per-edge object)
+     * @param {string|SandpileModel} options.model - Toppling model name or instance (default 'btw')
+     * @param {Object} options.modelParams - Parameters for the toppling model
+     * @param {Random} options.random - Random number generator (default: a freshly seeded one)
      */
-    constructor(size = 64, criticalMass = 4) {
+    constructor(size = 64, criticalMass = null, options = {}) {
+        const {
+            topology = 'square-4',
+            boundary = 'open',
+            model = 'btw',
+            modelParams = {},
+            random = null
+        } = options;
+
         this.size = size;
-        this.criticalMass = criticalMass;
+
+        // All stochastic rules draw from this generator so runs can be replayed
+        this.random = random || new Random();
+
+        // Toppling model; it decides the grid storage type
+        this.model = createModel(model, modelParams);
         
-        // Initialize the grid with zeros
-        this.grid = new Array(size);
-        for (let i = 0; i < size; i++) {
-            this.grid[i] = new Array(size).fill(0);
-        }
+        // Flat grid storage, indexed as x * size + y
+        this.grid = this.model.createGrid(size * size);
+
+        // Lattice topology, edge behaviour and precomputed neighbour indices (degree entries per cell)
+        this.boundary = new BoundaryConditions(boundary);
+        this.topology = null;
+        this.neighborTable = null;
+        this.criticalMass = 0;
+        this.minimumMass = 0;
+
+        // Terrain layer and the threshold it gives each cell: walls, sinks
+        // and pinned cells never topple, so theirs is Infinity
+        this.terrain = new Terrain(size);
+        this.thresholds = new Float64Array(size * size);
+
+        // Bumped whenever the terrain or thresholds change, so copies of
+        // them (e.g. in worker snapshots) can tell when they are stale
+        this.terrainVersion = 0;
+
+        // Unstable cells are tracked by index in two preallocated queues:
+        // the queue being filled for the next wave and the one being drained.
+        // A membership flag per cell keeps each index queued at most once.
+        this.unstableQueue = new Int32Array(size * size);
+        this.unstableCount = 0;
+        this.drainQueue = new Int32Array(size * size);
+        this.queued = new Uint8Array(size * size);
 
-        // Track unstable cells for efficient avalanche processing
-        this.unstableCells = new Set();
+        // A wave being toppled one cell at a time (toppleNext) is the first
+        // waveCount cells of drainQueue, of which wavePosition are done
+        this.waveCount = 0;
+        this.wavePosition = 0;
+
+        // Cells toppled in the current avalanche, in order, when recording
+        // is on (the debugger shows them; it costs a push per topple)
+        this.recordToppleOrder = false;
+        this.toppleOrder = [];
         
         // Randomness factor for avalanche jitter (0.0 = deterministic, 1.0 = maximum randomness)
         this.randomnessFactor = 0.0;
         
+        // Avalanche events: the tracker accumulates the current avalanche and
+        // onAvalanche(event) is called when it ends. `time` stamps the events
+        // and is advanced by the owner of the pile.
+        this.tracker = new AvalancheTracker(size);
+        this.lastAvalanche = null;
+        this.onAvalanche = null;
+        this.time = 0;
+
+        // Per-cell odometer, grains received, last topple time and avalanche count
+        this.activity = new CellActivity(size);
+
+        // Sand per source and cell, or null while not tracked (it costs a
+        // pass over the slots for every grain moved)
+        this.provenance = null;
+        
         // Statistics
         this.totalSand = 0;
         this.totalAvalanches = 0;
-        this.avalancheSize = 0;
+        this.totalWaves = 0;
+        this.totalTopples = 0;
+        this.waveSize = 0;
+        this.edgeLosses = [0, 0, 0, 0]; // Sand lost per edge, in EDGES order
+        this.sinkLosses = 0; // Sand absorbed by sink cells
+
+        this.setTopology(topology, criticalMass);
+        this.model.initialize(this);
+    }
+
+    /**
+     * Set the lattice topology, rebuilding the neighbour table
+     * Existing sand is kept; cells at or above the new critical mass are queued.
+     * @param {string|Topology} topology - Topology name or instance
+     * @param {number|null} criticalMass - Critical mass override (default: the topology's)
+     */
+    setTopology(topology, criticalMass = null) {
+        this.topology = createTopology(topology);
+        this.degree = this.topology.getDegree();
+        this.updateCriticalMass(criticalMass);
+
+        this.buildNeighborTable();
+        this.requeueUnstableCells();
+    }
+
+    /**
+     * Set the critical mass from the model and topology defaults
+     * @param {number|null} criticalMass - Critical mass override (default: the model's for this topology)
+     */
+    updateCriticalMass(criticalMass = null) {
+        // Below the model's minimum a cell would topple without moving sand
+        this.minimumMass = this.model.getMinimumCriticalMass(this.topology);
+        this.criticalMass = criticalMass === null || criticalMass === undefined
+            ? this.model.getCriticalMass(this.topology)
+            : Math.max(this.minimumMass, criticalMass);
+        this.updateThresholds();
+    }
+
+    /**
+     * Recompute each cell's toppling threshold from the critical mass and
+     * the terrain
+     */
+    updateThresholds() {
+        const { types, thresholds } = this.terrain;
+        for (let i = 0; i < this.thresholds.length; i++) {
+            if (types[i] !== TERRAIN_TYPES.normal.code) {
+                this.thresholds[i] = Infinity;
+            } else if (thresholds[i] > 0) {
+                // Overrides get the same floor as the critical mass
+                this.thresholds[i] = Math.max(this.minimumMass, thresholds[i]);
+            } else {
+                this.thresholds[i] = this.criticalMass;
+            }
+        }
+        this.terrainVersion++;
+    }
+
+    /**
+     * Switch the toppling model
+     * The grid is cleared, since heights are not comparable between models.
+     * @param {string|SandpileModel} model - Model name or instance
+     * @param {Object} params - Model parameters
+     */
+    setModel(model, params = {}) {
+        this.model = createModel(model, params);
+        this.grid = this.model.createGrid(this.size * this.size);
+        this.updateCriticalMass();
+        this.reset();
+    }
+
+    /**
+     * Get the toppling model
+     * @returns {SandpileModel} Current model
+     */
+    getModel() {
+        return this.model;
+    }
+
+    /**
+     * Set the boundary conditions, rebuilding the neighbour table
+     * @param {string|Object|BoundaryConditions} boundary - Preset name, edge type or per-edge object
+     */
+    setBoundary(boundary) {
+        this.boundary = new BoundaryConditions(boundary);
+        this.buildNeighborTable();
+    }
+
+    /**
+     * Get the boundary conditions
+     * @returns {BoundaryConditions} Current boundary conditions
+     */
+    getBoundary() {
+        return this.boundary;
+    }
+
+    /**
+     * Precompute the flat neighbour indices of every cell
+     * Off-grid neighbours are resolved through the boundary conditions: a
+     * closed edge points back at the cell itself, a periodic edge at the
+     * wrapped cell and an open edge at a negative edge code. Terrain acts
+     * the same way: a wall neighbour hands sand back like a closed edge and
+     * a sink neighbour absorbs it like an open one.
+     */
+    buildNeighborTable() {
+        const size = this.size;
+        const degree = this.degree;
+        this.neighborTable = new Int32Array(size * size * degree);
+
+        for (let x = 0; x < size; x++) {
+            for (let y = 0; y < size; y++) {
+                const index = this.indexOf(x, y);
+                const base = index * degree;
+                const offsets = this.topology.getNeighborOffsets(x, y);
+
+                for (let k = 0; k < degree; k++) {
+                    const nx = x + offsets[k].dx;
+                    const ny = y + offsets[k].dy;
+
+                    if (isValidGridPosition(nx, ny, size)) {
+                        this.neighborTable[base + k] = this.resolveTerrain(index, this.indexOf(nx, ny));
+                        continue;
+                    }
+
+                    const target = this.boundary.resolve(nx, ny, size);
+                    if (target.edge) {
+                        this.neighborTable[base + k] = edgeCode(target.edge);
+                    } else if (target.reflect) {
+                        this.neighborTable[base + k] = index;
+                    } else {
+                        this.neighborTable[base + k] = this.resolveTerrain(index, this.indexOf(target.x, target.y));
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolve the neighbour table entry for sand sent to an on-grid cell
+     * @param {number} index - Flat index of the sending cell
+     * @param {number} neighbor - Flat index of the receiving cell
+     * @returns {number} Table entry: the receiver, the sender for a wall or the sink code
+     */
+    resolveTerrain(index, neighbor) {
+        switch (this.terrain.types[neighbor]) {
+            case TERRAIN_TYPES.wall.code:
+                return index;
+            case TERRAIN_TYPES.sink.code:
+                return SINK_CODE;
+            default:
+                return neighbor;
+        }
+    }
+
+    /**
+     * Remove sand that left the grid over an open edge or into a sink
+     * @param {number} code - Negative edge code from the neighbour table
+     * @param {number} amount - Amount of sand lost
+     */
+    loseSand(code, amount) {
+        this.totalSand -= amount;
+        if (code === SINK_CODE) {
+            this.sinkLosses += amount;
+        } else {
+            this.edgeLosses[-1 - code] += amount;
+        }
+    }
+
+    /**
+     * Rebuild the unstable queue from the grid contents
+     */
+    requeueUnstableCells() {
+        this.queued.fill(0);
+        this.unstableCount = 0;
+        this.waveCount = 0;
+        this.wavePosition = 0;
+
+        for (let i = 0; i < this.grid.length; i++) {
+            if (this.isUnstable(i)) {
+                this.markUnstable(i);
+            }
+        }
+    }
+
+    /**
+     * Get the lattice topology
+     * @returns {Topology} Current topology
+     */
+    getTopology() {
+        return this.topology;
+    }
+
+    /**
+     * Convert grid coordinates to a flat grid index
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {number} Index into the flat grid
+     */
+    indexOf(x, y) {
+        return x * this.size + y;
     }
 
     /**
@@ -40,17 +315,64 @@ export class SandPile {
      * @param {number} x - Grid X coordinate
      * @param {number} y - Grid Y coordinate
      * @param {number} amount - Amount of sand to add (default 1)
+     * @param {string|null} sourceId - Source dropping the sand, for provenance tracking
      */
-    addSand(x, y, amount = 1) {
+    addSand(x, y, amount = 1, sourceId = null) {
         if (!isValidGridPosition(x, y, this.size)) return;
 
-        this.grid[x][y] += amount;
-        this.totalSand += amount;
+        const index = this.indexOf(x, y);
+        const type = this.terrain.types[index];
+        if (type === TERRAIN_TYPES.wall.code) return;
 
-        // Mark cell as unstable if it exceeds critical mass
-        if (this.grid[x][y] >= this.criticalMass) {
-            this.unstableCells.add(`${x},${y}`);
+        const dropped = this.model.getDropAmount(amount, this);
+        this.totalSand += dropped;
+        if (type === TERRAIN_TYPES.sink.code) {
+            this.loseSand(SINK_CODE, dropped);
+            return;
+        }
+        if (this.provenance) {
+            this.provenance.recordDrop(index, dropped, sourceId);
         }
+        this.addSandToCell(index, dropped);
+
+        if (this.unstableCount > 0) {
+            this.beginAvalanche(index);
+        }
+    }
+
+    /**
+     * Start tracking an avalanche unless one is already in progress
+     * Drops landing during an avalanche become part of it.
+     * @param {number} triggerIndex - Flat index of the cell that set it off
+     */
+    beginAvalanche(triggerIndex) {
+        if (!this.tracker.isActive()) {
+            this.tracker.begin(triggerIndex, this.time);
+            this.toppleOrder.length = 0;
+        }
+    }
+
+    /**
+     * Close the current avalanche and notify the listener
+     */
+    finishAvalanche() {
+        const event = this.tracker.finish(this.time);
+        if (!event) return;
+
+        this.lastAvalanche = event;
+        this.totalAvalanches++;
+
+        if (this.onAvalanche) {
+            this.onAvalanche(event);
+        }
+    }
+
+    /**
+     * Set the time used to stamp avalanche events
+     * @param {number} time - Current simulation time (seconds)
+     */
+    setTime(time) {
+        this.time = time;
     }
 
     /**
@@ -61,169 +383,330 @@ export class SandPile {
      */
     getSand(x, y) {
         if (!isValidGridPosition(x, y, this.size)) return 0;
-        return this.grid[x][y];
+        return this.grid[this.indexOf(x, y)];
+    }
+
+    /**
+     * Apply the model's global drive (e.g. OFC uniform loading)
+     * Driving only happens while the pile is stable, so avalanches are
+     * separated from the loading that triggers them.
+     * @param {number} deltaTime - Scaled time elapsed (seconds)
+     */
+    drive(deltaTime) {
+        if (this.isStable()) {
+            this.model.drive(this, deltaTime);
+
+            if (this.unstableCount > 0) {
+                this.beginAvalanche(this.unstableQueue[0]);
+            }
+        }
+    }
+
+    /**
+     * Check whether a cell is critical under the current model
+     * @param {number} index - Flat grid index
+     * @returns {boolean} True if the cell should topple
+     */
+    isUnstable(index) {
+        return this.model.isCritical(this, index);
+    }
+
+    /**
+     * Queue a cell for toppling in the next wave
+     * @param {number} index - Flat grid index
+     */
+    markUnstable(index) {
+        if (this.queued[index]) return;
+
+        this.queued[index] = 1;
+        this.unstableQueue[this.unstableCount++] = index;
     }
 
     /**
      * Process one step of avalanche dynamics
+     * A wave partly toppled by toppleNext() is finished instead.
      * @returns {boolean} True if any avalanches occurred
      */
     processAvalanches() {
-        if (this.unstableCells.size === 0) return false;
-
-        let avalancheOccurred = false;
-        const newUnstableCells = new Set();
-        this.avalancheSize = 0;
+        if (!this.isWaveInProgress()) {
+            if (this.unstableCount === 0) return false;
+            this.beginWave();
+        }
 
         // Process all unstable cells
-        for (const cellKey of this.unstableCells) {
-            const [x, y] = cellKey.split(',').map(Number);
-            
-            if (this.grid[x][y] >= this.criticalMass) {
-                this.topple(x, y, newUnstableCells);
-                avalancheOccurred = true;
-                this.avalancheSize++;
+        const wave = this.drainQueue;
+        while (this.wavePosition < this.waveCount) {
+            this.toppleIfUnstable(wave[this.wavePosition++]);
+        }
+
+        return this.finishWave();
+    }
+
+    /**
+     * Topple the next unstable cell of the current wave on its own
+     * Starts a wave if none is in progress. Cells are toppled in the same
+     * order processAvalanches() would use, so stepping through a wave one
+     * cell at a time ends in the same state as processing it at once.
+     * @returns {number} Flat index of the toppled cell, or -1 if the pile is stable
+     */
+    toppleNext() {
+        if (!this.isWaveInProgress()) {
+            if (this.unstableCount === 0) return -1;
+            this.beginWave();
+        }
+
+        // Cells stabilised by earlier topples in the wave are skipped
+        const wave = this.drainQueue;
+        let toppled = -1;
+        while (toppled === -1 && this.wavePosition < this.waveCount) {
+            const index = wave[this.wavePosition++];
+            if (this.toppleIfUnstable(index)) {
+                toppled = index;
             }
         }
 
-        // Update unstable cells set
-        this.unstableCells = newUnstableCells;
+        if (this.wavePosition === this.waveCount) {
+            this.finishWave();
+        }
+
+        return toppled;
+    }
+
+    /**
+     * Start a wave from the unstable queue
+     */
+    beginWave() {
+        // Instability not caused by a drop (e.g. a topology change) still counts
+        this.beginAvalanche(this.unstableQueue[0]);
+
+        // Swap queues so cells made unstable during this wave land in the next one
+        const wave = this.unstableQueue;
+        this.waveCount = this.unstableCount;
+        this.wavePosition = 0;
+        this.unstableQueue = this.drainQueue;
+        this.drainQueue = wave;
+        this.unstableCount = 0;
+
+        for (let i = 0; i < this.waveCount; i++) {
+            this.queued[wave[i]] = 0;
+        }
+
+        this.waveSize = 0;
+    }
+
+    /**
+     * Topple a cell of the current wave if it is still unstable
+     * @param {number} index - Flat grid index
+     * @returns {boolean} True if the cell toppled
+     */
+    toppleIfUnstable(index) {
+        if (!this.isUnstable(index)) return false;
+
+        this.topple(index);
+        const firstInAvalanche = this.tracker.recordTopple(index);
+        this.activity.recordTopple(index, this.time, firstInAvalanche);
+        this.waveSize++;
+        this.totalTopples++;
+        if (this.recordToppleOrder) {
+            this.toppleOrder.push(index);
+        }
+        return true;
+    }
+
+    /**
+     * Close the current wave, and the avalanche if the pile is stable
+     * @returns {boolean} True if any cell toppled during the wave
+     */
+    finishWave() {
+        this.waveCount = 0;
+        this.wavePosition = 0;
 
+        const avalancheOccurred = this.waveSize > 0;
         if (avalancheOccurred) {
-            this.totalAvalanches++;
+            this.totalWaves++;
+            this.tracker.recordWave();
+        }
+
+        // The avalanche is over once the pile is stable again
+        if (this.unstableCount === 0) {
+            this.finishAvalanche();
         }
 
         return avalancheOccurred;
     }
 
     /**
-     * Topple a single cell, distributing sand to neighbors
-     * @param {number} x - Grid X coordinate
-     * @param {number} y - Grid Y coordinate
-     * @param {Set} newUnstableCells - Set to track newly unstable cells
+     * Check whether a wave has been partly toppled by toppleNext()
+     * @returns {boolean} True if the current wave has cells left
+     */
+    isWaveInProgress() {
+        return this.wavePosition < this.waveCount;
+    }
+
+    /**
+     * Get the cells that are unstable now, in the order they will topple:
+     * the rest of the current wave, then the next wave
+     * @returns {Int32Array} Flat grid indices
      */
-    topple(x, y, newUnstableCells) {
-        const sandToDistribute = this.grid[x][y];
-        const sandPerNeighbor = Math.floor(sandToDistribute / 4);
-        const remainder = sandToDistribute % 4;
+    getUnstableCells() {
+        const cells = [];
+        const seen = new Set();
+        const add = (index) => {
+            if (this.isUnstable(index) && !seen.has(index)) {
+                seen.add(index);
+                cells.push(index);
+            }
+        };
 
-        // Remove sand from current cell
-        this.grid[x][y] = remainder;
+        for (let i = this.wavePosition; i < this.waveCount; i++) {
+            add(this.drainQueue[i]);
+        }
+        for (let i = 0; i < this.unstableCount; i++) {
+            add(this.unstableQueue[i]);
+        }
 
-        // Get base neighbors
-        const neighbors = getNeighbors(x, y);
-        
-        // Apply randomness if enabled
-        if (this.randomnessFactor > 0) {
-            this.distributeWithRandomness(x, y, sandPerNeighbor, neighbors, newUnstableCells);
+        return Int32Array.from(cells);
+    }
+
+    /**
+     * Record the order in which cells topple (see getToppleOrder)
+     * @param {boolean} enabled - Whether to record
+     */
+    setToppleOrderRecording(enabled) {
+        this.recordToppleOrder = enabled;
+        if (!enabled) {
+            this.toppleOrder.length = 0;
+        }
+    }
+
+    /**
+     * Get the cells toppled so far in the current or last avalanche
+     * Only filled while recording is on.
+     * @returns {Array<number>} Flat grid indices in toppling order, with
+     *   repeats for cells that toppled more than once
+     */
+    getToppleOrder() {
+        return this.toppleOrder;
+    }
+
+    /**
+     * Topple a single cell using the current model
+     * @param {number} index - Flat grid index of the cell
+     */
+    topple(index) {
+        if (this.provenance) {
+            this.provenance.beginTopple(index, this.grid[index]);
+            this.model.topple(this, index);
+            this.provenance.finishTopple(this.grid[index]);
         } else {
-            // Original deterministic distribution
-            this.distributeToNeighbors(sandPerNeighbor, neighbors, newUnstableCells);
+            this.model.topple(this, index);
         }
 
         // Check if current cell is still unstable
-        if (this.grid[x][y] >= this.criticalMass) {
-            newUnstableCells.add(`${x},${y}`);
+        if (this.isUnstable(index)) {
+            this.markUnstable(index);
         }
     }
 
     /**
      * Distribute sand to neighbors with randomness
-     * @param {number} sourceX - Source cell X coordinate
-     * @param {number} sourceY - Source cell Y coordinate
+     * @param {number} sourceIndex - Flat grid index of the toppling cell
      * @param {number} sandPerNeighbor - Base sand amount per neighbor
-     * @param {Array} baseNeighbors - Array of base neighbor positions
-     * @param {Set} newUnstableCells - Set to track newly unstable cells
      */
-    distributeWithRandomness(sourceX, sourceY, sandPerNeighbor, baseNeighbors, newUnstableCells) {
-        // Create distribution map for all potential targets
-        const distributionMap = new Map();
-        
-        // Add base neighbors to distribution
-        for (const neighbor of baseNeighbors) {
-            const key = `${neighbor.x},${neighbor.y}`;
-            distributionMap.set(key, {
-                x: neighbor.x,
-                y: neighbor.y,
-                amount: sandPerNeighbor
-            });
-        }
-        
+    distributeWithRandomness(sourceIndex, sandPerNeighbor) {
         // Apply randomness by redistributing some sand to adjacent cells
         const randomnessIntensity = this.randomnessFactor;
         const jitterRadius = Math.ceil(randomnessIntensity * 2); // Randomness affects up to 2 cells away
+        const base = sourceIndex * this.degree;
         
-        for (const neighbor of baseNeighbors) {
-            if (!isValidGridPosition(neighbor.x, neighbor.y, this.size)) {
-                // Original neighbor is off-grid, sand is lost
-                this.totalSand -= sandPerNeighbor;
+        for (let k = 0; k < this.degree; k++) {
+            const target = this.neighborTable[base + k];
+
+            if (target < 0) {
+                // Original neighbor is past an open edge, sand is lost
+                this.loseSand(target, sandPerNeighbor);
                 continue;
             }
             
             // Determine how much sand to jitter
-            const jitterAmount = Math.floor(sandPerNeighbor * randomnessIntensity * Math.random());
+            const jitterAmount = Math.floor(sandPerNeighbor * randomnessIntensity * this.random.next());
             const stableAmount = sandPerNeighbor - jitterAmount;
             
             // Add stable amount to original neighbor
-            this.addSandToCell(neighbor.x, neighbor.y, stableAmount, newUnstableCells);
+            this.addSandToCell(target, stableAmount);
             
             // Distribute jittered sand to nearby cells
             if (jitterAmount > 0) {
-                this.distributeJitteredSand(neighbor.x, neighbor.y, jitterAmount, jitterRadius, newUnstableCells);
+                const targetX = Math.floor(target / this.size);
+                const targetY = target - targetX * this.size;
+                this.distributeJitteredSand(targetX, targetY, jitterAmount, jitterRadius);
             }
         }
     }
 
     /**
      * Distribute sand to base neighbors (deterministic)
+     * @param {number} sourceIndex - Flat grid index of the toppling cell
      * @param {number} sandPerNeighbor - Sand amount per neighbor
-     * @param {Array} neighbors - Array of neighbor positions
-     * @param {Set} newUnstableCells - Set to track newly unstable cells
      */
-    distributeToNeighbors(sandPerNeighbor, neighbors, newUnstableCells) {
-        for (const neighbor of neighbors) {
-            if (isValidGridPosition(neighbor.x, neighbor.y, this.size)) {
-                this.addSandToCell(neighbor.x, neighbor.y, sandPerNeighbor, newUnstableCells);
+    distributeToNeighbors(sourceIndex, sandPerNeighbor) {
+        const base = sourceIndex * this.degree;
+
+        for (let k = 0; k < this.degree; k++) {
+            const target = this.neighborTable[base + k];
+
+            if (target >= 0) {
+                this.addSandToCell(target, sandPerNeighbor);
             } else {
-                // Sand falls off the edge
-                this.totalSand -= sandPerNeighbor;
+                // Sand falls off an open edge
+                this.loseSand(target, sandPerNeighbor);
             }
         }
     }
 
     /**
      * Distribute jittered sand to random nearby cells
+     * The jitter window is a disc of grid offsets whatever the topology.
+     * Positions past a periodic edge wrap like neighbours do; positions past
+     * open or closed edges are not candidates.
      * @param {number} centerX - Center X coordinate
      * @param {number} centerY - Center Y coordinate
      * @param {number} totalJitter - Total amount of sand to distribute
      * @param {number} radius - Maximum radius for jitter
-     * @param {Set} newUnstableCells - Set to track newly unstable cells
      */
-    distributeJitteredSand(centerX, centerY, totalJitter, radius, newUnstableCells) {
+    distributeJitteredSand(centerX, centerY, totalJitter, radius) {
         const candidates = [];
         
         // Find all valid positions within jitter radius
         for (let dx = -radius; dx <= radius; dx++) {
             for (let dy = -radius; dy <= radius; dy++) {
                 if (dx === 0 && dy === 0) continue; // Skip center
-                
-                const targetX = centerX + dx;
-                const targetY = centerY + dy;
-                
-                if (isValidGridPosition(targetX, targetY, this.size)) {
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    if (distance <= radius) {
-                        // Weight closer cells more heavily
-                        const weight = 1.0 / (1.0 + distance);
-                        candidates.push({ x: targetX, y: targetY, weight });
-                    }
+
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance > radius) continue;
+
+                let targetX = centerX + dx;
+                let targetY = centerY + dy;
+
+                if (!isValidGridPosition(targetX, targetY, this.size)) {
+                    const target = this.boundary.resolve(targetX, targetY, this.size);
+                    if (target.edge || target.reflect) continue;
+                    targetX = target.x;
+                    targetY = target.y;
+                }
+
+                if (this.terrain.holdsSand(this.indexOf(targetX, targetY))) {
+                    // Weight closer cells more heavily
+                    const weight = 1.0 / (1.0 + distance);
+                    candidates.push({ x: targetX, y: targetY, weight });
                 }
             }
         }
         
         if (candidates.length === 0) {
-            // No valid candidates, sand is lost
-            this.totalSand -= totalJitter;
+            // No valid candidates (the cell is boxed in by walls and sinks),
+            // so the sand is absorbed like sand sent into a sink
+            this.loseSand(SINK_CODE, totalJitter);
             return;
         }
         
@@ -237,31 +720,33 @@ export class SandPile {
             const amount = Math.min(remainingJitter, Math.floor(totalJitter * proportion));
             
             if (amount > 0) {
-                this.addSandToCell(candidate.x, candidate.y, amount, newUnstableCells);
+                this.addSandToCell(this.indexOf(candidate.x, candidate.y), amount);
                 remainingJitter -= amount;
             }
         }
         
         // Distribute any remainder randomly
         if (remainingJitter > 0 && candidates.length > 0) {
-            const randomCandidate = candidates[Math.floor(Math.random() * candidates.length)];
-            this.addSandToCell(randomCandidate.x, randomCandidate.y, remainingJitter, newUnstableCells);
+            const randomCandidate = candidates[this.random.nextInt(candidates.length)];
+            this.addSandToCell(this.indexOf(randomCandidate.x, randomCandidate.y), remainingJitter);
         }
     }
 
     /**
      * Add sand to a specific cell and track instability
-     * @param {number} x - Grid X coordinate
-     * @param {number} y - Grid Y coordinate
+     * @param {number} index - Flat grid index
      * @param {number} amount - Amount of sand to add
-     * @param {Set} newUnstableCells - Set to track newly unstable cells
      */
-    addSandToCell(x, y, amount, newUnstableCells) {
-        this.grid[x][y] += amount;
+    addSandToCell(index, amount) {
+        this.grid[index] += amount;
+        this.activity.recordGrains(index, amount);
+        if (this.provenance) {
+            this.provenance.receive(index, amount);
+        }
         
         // Check if cell becomes unstable
-        if (this.grid[x][y] >= this.criticalMass) {
-            newUnstableCells.add(`${x},${y}`);
+        if (this.isUnstable(index)) {
+            this.markUnstable(index);
         }
     }
 
@@ -273,7 +758,7 @@ export class SandPile {
     stabilize(maxIterations = 1000) {
         let iterations = 0;
         
-        while (this.unstableCells.size > 0 && iterations < maxIterations) {
+        while (!this.isStable() && iterations < maxIterations) {
             this.processAvalanches();
             iterations++;
         }
@@ -286,7 +771,7 @@ export class SandPile {
      * @returns {boolean} True if the sandpile is stable
      */
     isStable() {
-        return this.unstableCells.size === 0;
+        return this.unstableCount === 0 && !this.isWaveInProgress();
     }
 
     /**
@@ -295,10 +780,8 @@ export class SandPile {
      */
     getMaxHeight() {
         let maxHeight = 0;
-        for (let x = 0; x < this.size; x++) {
-            for (let y = 0; y < this.size; y++) {
-                maxHeight = Math.max(maxHeight, this.grid[x][y]);
-            }
+        for (let i = 0; i < this.grid.length; i++) {
+            if (this.grid[i] > maxHeight) maxHeight = this.grid[i];
         }
         return maxHeight;
     }
@@ -311,27 +794,245 @@ export class SandPile {
         return {
             totalSand: this.totalSand,
             totalAvalanches: this.totalAvalanches,
-            unstableCells: this.unstableCells.size,
+            totalWaves: this.totalWaves,
+            totalTopples: this.totalTopples,
+            unstableCells: this.getUnstableCells().length,
             maxHeight: this.getMaxHeight(),
-            lastAvalancheSize: this.avalancheSize,
-            isStable: this.isStable()
+            lastAvalancheSize: this.lastAvalanche ? this.lastAvalanche.size : 0,
+            lastAvalancheArea: this.lastAvalanche ? this.lastAvalanche.area : 0,
+            lastAvalancheDuration: this.lastAvalanche ? this.lastAvalanche.duration : 0,
+            lastWaveSize: this.waveSize,
+            model: this.model.name,
+            topology: this.topology.name,
+            boundary: this.boundary.toJSON(),
+            lostSand: {
+                left: this.edgeLosses[0],
+                right: this.edgeLosses[1],
+                top: this.edgeLosses[2],
+                bottom: this.edgeLosses[3],
+                sinks: this.sinkLosses,
+                total: this.edgeLosses[0] + this.edgeLosses[1] + this.edgeLosses[2] + this.edgeLosses[3] + this.sinkLosses
+            },
+            isStable: this.isStable(),
+            ...this.model.getStatistics(this)
         };
     }
 
     /**
-     * Reset the sandpile to empty state
+     * Paint the terrain with a disc-shaped brush (see Terrain.paint)
+     * Sand on cells that become walls or sinks is removed, and cells pushed
+     * over their new threshold are queued to topple.
+     * @param {number} x - Grid X coordinate of the centre
+     * @param {number} y - Grid Y coordinate of the centre
+     * @param {number} radius - Brush radius in cells
+     * @param {Object} brush - Brush {type?, threshold?}
+     * @returns {number} Number of cells changed
      */
-    reset() {
-        for (let x = 0; x < this.size; x++) {
-            for (let y = 0; y < this.size; y++) {
-                this.grid[x][y] = 0;
+    paintTerrain(x, y, radius, brush) {
+        const changed = this.terrain.paint(x, y, radius, brush);
+        if (changed > 0) {
+            this.applyTerrain();
+        }
+        return changed;
+    }
+
+    /**
+     * Make every cell normal again, with the pile's critical mass
+     */
+    clearTerrain() {
+        this.terrain.reset();
+        this.applyTerrain();
+    }
+
+    /**
+     * Bring the pile in line with a changed terrain
+     */
+    applyTerrain() {
+        for (let i = 0; i < this.grid.length; i++) {
+            if (!this.terrain.holdsSand(i) && this.grid[i] !== 0) {
+                this.totalSand -= this.grid[i];
+                this.grid[i] = 0;
+                if (this.provenance) {
+                    this.provenance.clearCell(i);
+                }
             }
         }
-        
-        this.unstableCells.clear();
+
+        this.buildNeighborTable();
+        this.updateThresholds();
+        this.requeueUnstableCells();
+    }
+
+    /**
+     * Get the terrain layer
+     * @returns {Terrain} Terrain
+     */
+    getTerrain() {
+        return this.terrain;
+    }
+
+    /**
+     * Get the terrain type of every cell
+     * @returns {Uint8Array} Type codes indexed x * size + y (see TERRAIN_TYPES)
+     */
+    getTerrainTypes() {
+        return this.terrain.types;
+    }
+
+    /**
+     * Get the toppling threshold of every cell
+     * @returns {Float64Array} Thresholds indexed x * size + y (Infinity for cells that never topple)
+     */
+    getThresholds() {
+        return this.thresholds;
+    }
+
+    /**
+     * Track which source each cell's sand came from (see GrainProvenance)
+     * Sand already on the pile when tracking starts is unattributed.
+     * @param {boolean} enabled - Whether to track
+     */
+    setProvenanceTracking(enabled) {
+        if (enabled && !this.provenance) {
+            this.provenance = new GrainProvenance(this.size);
+            this.provenance.seed(this.grid);
+        } else if (!enabled) {
+            this.provenance = null;
+        }
+    }
+
+    /**
+     * Get the source holding most of each cell's sand
+     * @returns {Object|null} {dominant, purity, sources} (see
+     *   GrainProvenance.getDominant), or null while not tracking
+     */
+    getProvenance() {
+        return this.provenance ? this.provenance.getDominant() : null;
+    }
+
+    /**
+     * Reset the sandpile to empty state
+     * The terrain is kept.
+     */
+    reset() {
+        this.grid.fill(0);
+        this.queued.fill(0);
+        this.unstableCount = 0;
+        this.waveCount = 0;
+        this.wavePosition = 0;
+        this.toppleOrder.length = 0;
         this.totalSand = 0;
         this.totalAvalanches = 0;
-        this.avalancheSize = 0;
+        this.totalWaves = 0;
+        this.totalTopples = 0;
+        this.waveSize = 0;
+        this.edgeLosses.fill(0);
+        this.sinkLosses = 0;
+        this.tracker.reset();
+        this.activity.reset();
+        this.lastAvalanche = null;
+
+        this.model.initialize(this);
+        if (this.provenance) {
+            this.provenance.seed(this.grid);
+        }
+    }
+
+    /**
+     * Capture the complete pile state: heights, the unstable queue in
+     * toppling order, counters, the avalanche in progress and model state
+     * The rest of a partly toppled wave is saved ahead of the queue; on
+     * restore it merges into the next wave.
+     * @returns {Object} Serializable state
+     */
+    getState() {
+        return {
+            grid: Array.from(this.grid),
+            unstable: [
+                ...this.drainQueue.subarray(this.wavePosition, this.waveCount),
+                ...this.unstableQueue.subarray(0, this.unstableCount)
+            ],
+            randomnessFactor: this.randomnessFactor,
+            time: this.time,
+            totalSand: this.totalSand,
+            totalAvalanches: this.totalAvalanches,
+            totalWaves: this.totalWaves,
+            totalTopples: this.totalTopples,
+            waveSize: this.waveSize,
+            edgeLosses: [...this.edgeLosses],
+            sinkLosses: this.sinkLosses,
+            lastAvalanche: this.lastAvalanche,
+            tracker: this.tracker.getState(),
+            activity: this.activity.getState(),
+            terrain: this.terrain.getState(),
+            provenance: this.provenance ? this.provenance.getState() : null,
+            model: this.model.getState(this)
+        };
+    }
+
+    /**
+     * Restore state captured by getState()
+     * The pile must already have the saved size, model, topology and boundary.
+     * A null unstable queue, tracker or model state is rebuilt from the grid;
+     * missing activity counters start from zero and missing terrain is
+     * uniform. Without saved provenance, tracked sand starts unattributed.
+     * @param {Object} state - Pile state
+     */
+    setState(state) {
+        // Terrain first, since the thresholds decide which cells requeue
+        if (state.terrain) {
+            this.terrain.setState(state.terrain);
+        } else {
+            this.terrain.reset();
+        }
+        this.buildNeighborTable();
+        this.updateThresholds();
+
+        this.grid.set(state.grid);
+
+        this.queued.fill(0);
+        this.unstableCount = 0;
+        this.waveCount = 0;
+        this.wavePosition = 0;
+        this.toppleOrder.length = 0;
+        if (state.unstable) {
+            for (const index of state.unstable) {
+                this.markUnstable(index);
+            }
+        } else {
+            this.requeueUnstableCells();
+        }
+
+        this.randomnessFactor = state.randomnessFactor;
+        this.time = state.time;
+        this.totalSand = state.totalSand;
+        this.totalAvalanches = state.totalAvalanches;
+        this.totalWaves = state.totalWaves;
+        this.totalTopples = state.totalTopples;
+        this.waveSize = state.waveSize;
+        this.edgeLosses = [...state.edgeLosses];
+        this.sinkLosses = state.sinkLosses || 0;
+        this.lastAvalanche = state.lastAvalanche;
+
+        if (state.tracker) {
+            this.tracker.setState(state.tracker);
+        } else {
+            this.tracker.reset();
+        }
+        if (state.activity) {
+            this.activity.setState(state.activity);
+        } else {
+            this.activity.reset();
+        }
+        this.model.setState(this, state.model);
+
+        if (this.provenance) {
+            if (state.provenance) {
+                this.provenance.setState(state.provenance);
+            } else {
+                this.provenance.seed(this.grid);
+            }
+        }
     }
 
     /**
@@ -339,7 +1040,25 @@ export class SandPile {
      * @returns {Array} 2D array copy of the grid
      */
     getGridCopy() {
-        return this.grid.map(row => [...row]);
+        const copy = new Array(this.size);
+        for (let x = 0; x < this.size; x++) {
+            copy[x] = Array.from(this.grid.subarray(x * this.size, (x + 1) * this.size));
+        }
+        return copy;
+    }
+
+    /**
+     * Get a copy of the values the seismograph watches
+     * These are the heights, except for models that report released stress.
+     * @returns {Array} 2D array copy of the signal values
+     */
+    getSignalGridCopy() {
+        const values = this.model.getSignalValues(this);
+        const copy = new Array(this.size);
+        for (let x = 0; x < this.size; x++) {
+            copy[x] = Array.from(values.subarray(x * this.size, (x + 1) * this.size));
+        }
+        return copy;
     }
 
     /**
@@ -358,6 +1077,15 @@ export class SandPile {
         return this.criticalMass;
     }
 
+    /**
+     * Get a per-cell activity map
+     * @param {string} field - 'topples', 'grains', 'lastTopple' or 'avalanches' (see ACTIVITY_FIELDS)
+     * @returns {Float64Array} Values indexed x * size + y
+     */
+    getActivity(field) {
+        return this.activity.getField(field);
+    }
+
     /**
      * Set the randomness factor for avalanche distribution
      * @param {number} factor - Randomness factor (0.0 = deterministic, 1.0 = maximum randomness)
@@ -2,7 +2,10 @@
  * Sand source that drops sand at a configurable rate
  */
 
-import { randomFloat, gridToWorld } from '../utils/MathUtils.js';
+import { randomInt, randomFloat, gridToWorld } from '../utils/MathUtils.js';
+
+// Fallback identifiers for sources created without a generator
+let nextSourceId = 1;
 
 /**
  * Represents a source of sand falling from the ceiling
@@ -14,8 +17,10 @@ export class SandSource {
      * @param {number} gridY - Grid Y position
      * @param {number} sandRate - Rate of sand production (grains per second)
      * @param {number} gridSize - Total grid size for coordinate conversion
+     * @param {number} worldSize - World size for 3D positioning
+     * @param {string|null} id - Source identifier (default: next sequential id)
      */
-    constructor(gridX, gridY, sandRate = 1.0, gridSize = 64, worldSize = 5) {
+    constructor(gridX, gridY, sandRate = 1.0, gridSize = 64, worldSize = 5, id = null) {
         this.gridX = gridX;
         this.gridY = gridY;
         this.sandRate = sandRate;
@@ -30,7 +35,7 @@ export class SandSource {
         this.worldZ = 8.0; // Height above ground (ceiling height)
         
         // Visual properties
-        this.id = Math.random().toString(36).substr(2, 9);
+        this.id = id !== null ? id : `source-${nextSourceId++}`;
         this.active = true;
     }
 
@@ -39,15 +44,18 @@ export class SandSource {
      * @param {number} gridSize - Size of the grid
      * @param {number} minRate - Minimum sand rate
      * @param {number} maxRate - Maximum sand rate
+     * @param {number} worldSize - World size for 3D positioning
+     * @param {Random} random - Seeded generator (default: Math.random)
      * @returns {SandSource} New random sand source
      */
-    static createRandom(gridSize, minRate = 0.5, maxRate = 2.0, worldSize = 5) {
+    static createRandom(gridSize, minRate = 0.5, maxRate = 2.0, worldSize = 5, random = null) {
         const margin = Math.floor(gridSize * 0.1); // 10% margin from edges
-        const gridX = Math.floor(Math.random() * (gridSize - 2 * margin)) + margin;
-        const gridY = Math.floor(Math.random() * (gridSize - 2 * margin)) + margin;
-        const sandRate = randomFloat(minRate, maxRate);
+        const gridX = randomInt(margin, gridSize - margin - 1, random);
+        const gridY = randomInt(margin, gridSize - margin - 1, random);
+        const sandRate = randomFloat(minRate, maxRate, random);
+        const id = random ? random.nextId() : null;
         
-        return new SandSource(gridX, gridY, sandRate, gridSize, worldSize);
+        return new SandSource(gridX, gridY, sandRate, gridSize, worldSize, id);
     }
 
     /**
@@ -146,10 +154,12 @@ export class SandSource {
      */
     toJSON() {
         return {
+            id: this.id,
             gridX: this.gridX,
             gridY: this.gridY,
             sandRate: this.sandRate,
-            active: this.active
+            active: this.active,
+            accumulator: this.accumulator
         };
     }
 
@@ -160,8 +170,12 @@ export class SandSource {
      * @returns {SandSource} New sand source
      */
     static fromJSON(data, gridSize) {
-        const source = new SandSource(data.gridX, data.gridY, data.sandRate, gridSize);
+        const id = data.id !== undefined ? data.id : null;
+        const source = new SandSource(data.gridX, data.gridY, data.sandRate, gridSize, 5, id);
         source.setActive(data.active);
+        if (data.accumulator !== undefined) {
+            source.accumulator = data.accumulator;
+        }
         return source;
     }
 }
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * Abelian sandpile group
+ * Configurations are flat height arrays indexed x * size + y, like
+ * SandPile.grid. Toppling here is always the deterministic BTW rule on the
+ * lattice and edges of the group, whatever model the simulation runs: a cell
+ * holding at least the critical mass gives one grain to each neighbour
+ * (closed edges hand it back to the cell, open edges lose it to the sink).
+ *
+ * The recurrent configurations form a group under "add then stabilise".
+ * Its identity on a square grid is the well-known fractal pattern.
+ */
+
+import { SandPile } from './SandPile.js';
+
+/**
+ * Algebra of the sandpile group for one grid size, lattice and edge setup
+ */
+export class SandpileGroup {
+    /**
+     * Create the group for a lattice
+     * @param {number} size - Grid size (size x size)
+     * @param {Object} options - Lattice options
+     * @param {string|Topology} options.topology - Lattice topology (default 'square-4')
+     * @param {string|Object} options.boundary - Boundary conditions (default 'open')
+     * @param {number|null} options.criticalMass - Critical mass (default: the topology's)
+     * @throws {Error} If the critical mass differs from the lattice degree or no edge is open
+     */
+    constructor(size, options = {}) {
+        const {
+            topology = 'square-4',
+            boundary = 'open',
+            criticalMass = null
+        } = options;
+
+        // The pile is only used for its neighbour table
+        const lattice = new SandPile(size, criticalMass, { topology, boundary });
+
+        this.size = size;
+        this.topology = lattice.getTopology();
+        this.boundary = lattice.getBoundary();
+        this.degree = lattice.degree;
+        this.criticalMass = lattice.getCriticalMass();
+        this.neighborTable = lattice.neighborTable;
+
+        if (this.criticalMass !== this.degree) {
+            throw new Error(`The sandpile group needs the critical mass (${this.criticalMass}) to equal the lattice degree (${this.degree})`);
+        }
+
+        // Grains each cell sends to the sink per topple; without a sink
+        // large configurations never stabilise
+        this.sinkEdges = new Int32Array(size * size);
+        for (let i = 0; i < this.neighborTable.length; i++) {
+            if (this.neighborTable[i] < 0) {
+                this.sinkEdges[Math.floor(i / this.degree)]++;
+            }
+        }
+        if (!this.sinkEdges.some(count => count > 0)) {
+            throw new Error('The sandpile group needs at least one open edge to act as the sink');
+        }
+    }
+
+    /**
+     * Create the group for a simulation snapshot's lattice
+     * @param {Object} state - Snapshot from Simulation.exportState()
+     * @returns {SandpileGroup} Group
+     */
+    static fromState(state) {
+        const { config } = state;
+        return new SandpileGroup(config.gridSize, {
+            topology: config.topology,
+            boundary: config.boundary,
+            criticalMass: config.criticalMass
+        });
+    }
+
+    /**
+     * Copy a configuration as whole grain counts
+     * @param {ArrayLike<number>} config - Heights, one per cell
+     * @returns {Int32Array} Copy
+     * @throws {Error} If the size is wrong or a height is not a non-negative integer
+     */
+    toConfiguration(config) {
+        if (config.length !== this.size * this.size) {
+            throw new Error(`Expected ${this.size * this.size} heights, got ${config.length}`);
+        }
+
+        const result = new Int32Array(config.length);
+        for (let i = 0; i < config.length; i++) {
+            if (!Number.isInteger(config[i]) || config[i] < 0) {
+                throw new Error(`Height ${config[i]} at cell ${i} is not a whole number of grains`);
+            }
+            result[i] = config[i];
+        }
+        return result;
+    }
+
+    /**
+     * Topple a configuration in place until it is stable
+     * Cells topple as many times at once as their height allows; by the
+     * abelian property the result does not depend on the order.
+     * @param {Int32Array} grid - Configuration, changed in place
+     * @param {Int32Array|null} topples - Per-cell topple counts to add to
+     * @returns {number} Total number of topples
+     */
+    relax(grid, topples = null) {
+        const degree = this.degree;
+        const queue = [];
+        const queued = new Uint8Array(grid.length);
+
+        for (let i = 0; i < grid.length; i++) {
+            if (grid[i] >= this.criticalMass) {
+                queue.push(i);
+                queued[i] = 1;
+            }
+        }
+
+        let total = 0;
+        while (queue.length > 0) {
+            const index = queue.pop();
+            queued[index] = 0;
+
+            const times = Math.floor(grid[index] / degree);
+            if (times === 0) continue;
+
+            grid[index] -= times * degree;
+            total += times;
+            if (topples) topples[index] += times;
+
+            const base = index * degree;
+            for (let k = 0; k < degree; k++) {
+                const target = this.neighborTable[base + k];
+                if (target < 0) continue;
+
+                grid[target] += times;
+                if (grid[target] >= this.criticalMass && !queued[target]) {
+                    queue.push(target);
+                    queued[target] = 1;
+                }
+            }
+        }
+
+        return total;
+    }
+
+    /**
+     * Stabilise a configuration
+     * @param {ArrayLike<number>} config - Heights, one per cell
+     * @returns {Int32Array} Stable configuration
+     */
+    stabilize(config) {
+        const grid = this.toConfiguration(config);
+        this.relax(grid);
+        return grid;
+    }
+
+    /**
+     * Add two configurations cell by cell and stabilise the sum
+     * This is the group operation on recurrent configurations.
+     * @param {ArrayLike<number>} a - First configuration
+     * @param {ArrayLike<number>} b - Second configuration
+     * @returns {Int32Array} Stable sum
+     */
+    add(a, b) {
+        const grid = this.toConfiguration(a);
+        const other = this.toConfiguration(b);
+        for (let i = 0; i < grid.length; i++) {
+            grid[i] += other[i];
+        }
+        this.relax(grid);
+        return grid;
+    }
+
+    /**
+     * Get the maximal stable configuration (critical mass - 1 everywhere)
+     * @returns {Int32Array} Configuration
+     */
+    maxStable() {
+        return new Int32Array(this.size * this.size).fill(this.criticalMass - 1);
+    }
+
+    /**
+     * Compute the identity element of the group
+     * With m the maximal stable configuration, 2m - stab(2m) is a sum of
+     * topples (so adds nothing in the group) and at least m everywhere (so
+     * stabilises to a recurrent configuration); that configuration is the
+     * identity.
+     * @returns {Int32Array} Identity configuration
+     */
+    identity() {
+        const doubled = this.maxStable().map(height => height * 2);
+        const stable = this.stabilize(doubled);
+
+        const grid = new Int32Array(doubled.length);
+        for (let i = 0; i < grid.length; i++) {
+            grid[i] = doubled[i] - stable[i];
+        }
+        this.relax(grid);
+        return grid;
+    }
+
+    /**
+     * Test whether a configuration is recurrent, using Dhar's burning algorithm
+     * Fire enters from the sink: every cell gets one grain per edge to the
+     * sink, and the configuration is recurrent exactly when the resulting
+     * avalanche topples (burns) every cell once.
+     * @param {ArrayLike<number>} config - Heights, one per cell
+     * @returns {boolean} True if recurrent
+     * @throws {Error} If the configuration is not stable
+     */
+    isRecurrent(config) {
+        const grid = this.toConfiguration(config);
+        if (grid.some(height => height >= this.criticalMass)) {
+            throw new Error('Only stable configurations can be tested for recurrence');
+        }
+
+        return this.burn(grid).every(count => count === 1);
+    }
+
+    /**
+     * Run Dhar's burning avalanche on a stable configuration
+     * @param {Int32Array} grid - Configuration, changed in place
+     * @returns {Int32Array} Times each cell burned (toppled); unburnt cells
+     *   form the forbidden subconfiguration that makes it transient
+     */
+    burn(grid) {
+        for (let i = 0; i < grid.length; i++) {
+            grid[i] += this.sinkEdges[i];
+        }
+
+        const topples = new Int32Array(grid.length);
+        this.relax(grid, topples);
+        return topples;
+    }
+
+    /**
+     * Wrap a configuration in the read-only pile interface used by the
+     * renderers, e.g. to draw the identity with HeatmapRenderer.update()
+     * @param {ArrayLike<number>} config - Heights, one per cell
+     * @returns {Object} Pile view (getSize, getTopology, getMaxHeight, getSand, getGridCopy)
+     */
+    createView(config) {
+        const size = this.size;
+        const topology = this.topology;
+        // Fixed scale, so the colours mean the same heights in every view
+        const maxHeight = this.criticalMass - 1;
+
+        return {
+            getSize: () => size,
+            getTopology: () => topology,
+            getMaxHeight: () => maxHeight,
+            getSand: (x, y) => config[x * size + y],
+            getGridCopy: () => {
+                const grid = new Array(size);
+                for (let x = 0; x < size; x++) {
+                    grid[x] = Array.from(config.slice(x * size, (x + 1) * size));
+                }
+                return grid;
+            }
+        };
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * Scenario permalinks
+ * A scenario is the setup of a run without its progress: grid size,
+ * lattice, edges, model, critical mass, seed, randomness, speed, the
+ * sources and the seismometer stations. It is written into the URL fragment
+ * as short key=value pairs, e.g.
+ *
+ *   #v=1&n=64&t=square-4&b=open&m=btw&c=4&s=1234&r=0&x=1&src=10,20,1.5;40,8,0.75
+ *     &sta=BL,0,63,hyperbolic,30.2;N,32,0,gaussian,8
+ *
+ * Links without stations get the default single station.
+ * Opening the link builds the setup on an empty pile; with the seed
+ * included, everyone who opens it sees the same run.
+ */
+
+import { TOPOLOGIES } from './Topology.js';
+import { MODELS } from './models/ModelRegistry.js';
+import { BoundaryConditions, EDGES } from './BoundaryConditions.js';
+import { STATION_KERNELS } from './SeismicStation.js';
+
+/**
+ * Current scenario link version, written as the first key
+ */
+export const SCENARIO_LINK_VERSION = 1;
+
+/**
+ * Check whether a URL fragment holds a scenario
+ * @param {string} fragment - URL fragment, with or without the leading '#'
+ * @returns {boolean} True if the fragment starts with a scenario version
+ */
+export function isScenarioFragment(fragment) {
+    return /^#?v=\d+(&|$)/.test(fragment);
+}
+
+/**
+ * Extract the scenario from a snapshot
+ * @param {Object} state - Snapshot from Simulation.exportState()
+ * @returns {Object} Scenario {gridSize, topology, boundary, model: {name, params},
+ *   criticalMass, seed, randomness, speed, sources: [{gridX, gridY, sandRate}],
+ *   stations: [{name, gridX, gridY, kernel, range}] or null for the default}
+ */
+export function scenarioFromState(state) {
+    const { config } = state;
+    return {
+        gridSize: config.gridSize,
+        topology: config.topology,
+        boundary: new BoundaryConditions(config.boundary).toJSON(),
+        model: { name: config.model.name, params: { ...config.model.params } },
+        criticalMass: config.criticalMass,
+        seed: config.seed,
+        randomness: state.pile.randomnessFactor,
+        speed: state.settings.globalSpeed,
+        sources: state.sources.map(({ gridX, gridY, sandRate }) => ({ gridX, gridY, sandRate })),
+        stations: state.stations ? state.stations.map(station => ({ ...station })) : null
+    };
+}
+
+/**
+ * Build Simulation constructor options for a scenario
+ * Randomness and speed are not constructor options; set them afterwards.
+ * @param {Object} scenario - Scenario from decodeScenario()
+ * @returns {Object} Simulation options
+ */
+export function scenarioToOptions(scenario) {
+    return {
+        gridSize: scenario.gridSize,
+        topology: scenario.topology,
+        boundary: scenario.boundary,
+        model: scenario.model.name,
+        modelParams: scenario.model.params,
+        criticalMass: scenario.criticalMass,
+        seed: scenario.seed,
+        sources: scenario.sources,
+        stations: scenario.stations
+    };
+}
+
+/**
+ * Write a scenario as a URL fragment
+ * @param {Object} scenario - Scenario from scenarioFromState()
+ * @returns {string} Fragment without the leading '#'
+ */
+export function encodeScenario(scenario) {
+    const boundary = new BoundaryConditions(scenario.boundary);
+    const params = Object.entries(scenario.model.params)
+        .map(([name, value]) => `${encodeURIComponent(name)}:${value}`)
+        .join(',');
+
+    const fields = [
+        ['v', SCENARIO_LINK_VERSION],
+        ['n', scenario.gridSize],
+        ['t', encodeURIComponent(scenario.topology)],
+        // Preset name when there is one, otherwise left,right,top,bottom
+        ['b', boundary.getPresetName() || EDGES.map(edge => boundary.edges[edge]).join(',')],
+        ['m', encodeURIComponent(scenario.model.name)],
+        ['p', params],
+        ['c', scenario.criticalMass === null ? '' : scenario.criticalMass],
+        ['s', encodeURIComponent(String(scenario.seed))],
+        ['r', scenario.randomness],
+        ['x', scenario.speed],
+        ['src', scenario.sources.map(source => `${source.gridX},${source.gridY},${source.sandRate}`).join(';')],
+        ['sta', (scenario.stations || [])
+            .map(station => `${encodeURIComponent(station.name)},${station.gridX},${station.gridY},${station.kernel},${station.range}`)
+            .join(';')]
+    ];
+
+    return fields
+        .filter(([, value]) => value !== '')
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+}
+
+/**
+ * Read a scenario from a URL fragment, reporting every problem at once
+ * @param {string} fragment - URL fragment, with or without the leading '#'
+ * @returns {Object} Scenario
+ * @throws {Error} Listing each invalid field
+ */
+export function decodeScenario(fragment) {
+    const fields = {};
+    for (const pair of fragment.replace(/^#/, '').split('&')) {
+        if (!pair) continue;
+        const split = pair.indexOf('=');
+        const key = split === -1 ? pair : pair.slice(0, split);
+        fields[key] = split === -1 ? '' : pair.slice(split + 1);
+    }
+
+    const problems = [];
+    const expect = (condition, key, expected) => {
+        if (!condition) problems.push(`${key} must be ${expected}`);
+        return condition;
+    };
+    const number = (text) => (text === undefined || text.trim() === '' ? NaN : Number(text));
+    const decode = (text) => {
+        try {
+            return decodeURIComponent(text);
+        } catch {
+            return text;
+        }
+    };
+
+    expect(number(fields.v) === SCENARIO_LINK_VERSION, 'v', `the link version ${SCENARIO_LINK_VERSION}`);
+
+    const gridSize = number(fields.n);
+    expect(Number.isInteger(gridSize) && gridSize > 0, 'n (grid size)', 'a positive integer');
+
+    const topology = decode(fields.t ?? 'square-4');
+    expect(Object.hasOwn(TOPOLOGIES, topology), 't (lattice)', `one of ${Object.keys(TOPOLOGIES).join(', ')}`);
+
+    let boundary = null;
+    try {
+        const edgeTypes = (fields.b ?? 'open').split(',');
+        boundary = new BoundaryConditions(edgeTypes.length === EDGES.length
+            ? Object.fromEntries(EDGES.map((edge, i) => [edge, edgeTypes[i]]))
+            : edgeTypes[0]).toJSON();
+    } catch (error) {
+        problems.push(`b (edges) is invalid: ${error.message}`);
+    }
+
+    const modelName = decode(fields.m ?? 'btw');
+    expect(Object.hasOwn(MODELS, modelName), 'm (model)', `one of ${Object.keys(MODELS).join(', ')}`);
+
+    const modelParams = {};
+    for (const entry of (fields.p ?? '').split(',')) {
+        if (!entry) continue;
+        const [name, value] = entry.split(':');
+        if (expect(value !== undefined && Number.isFinite(number(value)), `p (model parameters) ${decode(name)}`, 'a number')) {
+            modelParams[decode(name)] = number(value);
+        }
+    }
+
+    const criticalMass = fields.c === undefined ? null : number(fields.c);
+    expect(criticalMass === null || (Number.isFinite(criticalMass) && criticalMass > 0), 'c (critical mass)', 'a positive number');
+
+    // Seeds hash by their text, so numeric seeds come back as numbers
+    // only for readability
+    const seedText = decode(fields.s ?? '');
+    expect(seedText !== '', 's (seed)', 'present');
+    const seed = /^(0|[1-9]\d{0,14})$/.test(seedText) ? Number(seedText) : seedText;
+
+    const randomness = fields.r === undefined ? 0 : number(fields.r);
+    expect(Number.isFinite(randomness) && randomness >= 0 && randomness <= 1, 'r (randomness)', 'a number from 0 to 1');
+
+    const speed = fields.x === undefined ? 1 : number(fields.x);
+    expect(Number.isFinite(speed) && speed >= 0, 'x (speed)', 'a non-negative number');
+
+    const sources = [];
+    const range = Number.isInteger(gridSize) ? `from 0 to ${gridSize - 1}` : 'inside the grid';
+    (fields.src ?? '').split(';').forEach((entry, i) => {
+        if (!entry) return;
+        const [gridX, gridY, sandRate] = entry.split(',').map(number);
+        const valid = Number.isInteger(gridX) && gridX >= 0 && gridX < gridSize &&
+            Number.isInteger(gridY) && gridY >= 0 && gridY < gridSize &&
+            Number.isFinite(sandRate) && sandRate >= 0;
+        if (expect(valid, `src[${i}]`, `x,y,rate with x and y ${range} and a non-negative rate`)) {
+            sources.push({ gridX, gridY, sandRate });
+        }
+    });
+
+    let stations = null;
+    if (fields.sta !== undefined) {
+        stations = [];
+        fields.sta.split(';').forEach((entry, i) => {
+            if (!entry) return;
+            const [nameText = '', x, y, kernel, rangeText] = entry.split(',');
+            const name = decode(nameText).trim();
+            const [gridX, gridY, kernelRange] = [number(x), number(y), number(rangeText)];
+            const valid = name !== '' && !stations.some(station => station.name === name) &&
+                Number.isInteger(gridX) && gridX >= 0 && gridX < gridSize &&
+                Number.isInteger(gridY) && gridY >= 0 && gridY < gridSize &&
+                Object.hasOwn(STATION_KERNELS, kernel) && Number.isFinite(kernelRange) && kernelRange > 0;
+            if (expect(valid, `sta[${i}]`, `name,x,y,kernel,range with a unique name, x and y ${range}, ` +
+                `a kernel of ${Object.keys(STATION_KERNELS).join(', ')} and a positive range`)) {
+                stations.push({ name, gridX, gridY, kernel, range: kernelRange });
+            }
+        });
+        expect(stations.length > 0, 'sta (stations)', 'at least one station');
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid scenario link:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return {
+        gridSize,
+        topology,
+        boundary,
+        model: { name: modelName, params: modelParams },
+        criticalMass,
+        seed,
+        randomness,
+        speed,
+        sources,
+        stations
+    };
+}
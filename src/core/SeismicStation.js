@@ -0,0 +1,107 @@
+/**
+ * Virtual seismometer station
+ * A station sits on a grid cell and feels sand moving anywhere on the pile,
+ * weakened with distance by its decay kernel.
+ */
+
+/**
+ * Distance-decay kernels, in display order; weight(d, r) is 1 at the
+ * station and falls off over the range r (in cells)
+ */
+export const STATION_KERNELS = {
+    hyperbolic: { label: 'Hyperbolic 1/(1 + d/r)', weight: (distance, range) => 1 / (1 + distance / range) },
+    exponential: { label: 'Exponential e^(-d/r)', weight: (distance, range) => Math.exp(-distance / range) },
+    gaussian: { label: 'Gaussian e^(-d²/2r²)', weight: (distance, range) => Math.exp(-(distance * distance) / (2 * range * range)) }
+};
+
+/**
+ * Named seismometer on the grid
+ */
+export class SeismicStation {
+    /**
+     * Create a new station
+     * @param {string} name - Station name, unique within a network
+     * @param {number} gridX - Grid X position
+     * @param {number} gridY - Grid Y position
+     * @param {string} kernel - Distance-decay kernel (see STATION_KERNELS)
+     * @param {number} range - Kernel range in cells
+     * @throws {Error} If the name is empty, the kernel unknown or the range not positive
+     */
+    constructor(name, gridX, gridY, kernel = 'hyperbolic', range = 16) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('A station needs a name');
+        }
+        if (!Object.hasOwn(STATION_KERNELS, kernel)) {
+            throw new Error(`Unknown station kernel '${kernel}'. Available: ${Object.keys(STATION_KERNELS).join(', ')}`);
+        }
+        if (!(Number.isFinite(range) && range > 0)) {
+            throw new Error(`Station range must be a positive number, got ${range}`);
+        }
+
+        this.name = name.trim();
+        this.gridX = gridX;
+        this.gridY = gridY;
+        this.kernel = kernel;
+        this.range = range;
+    }
+
+    /**
+     * Create the station a network starts with: the bottom-left corner,
+     * with a hyperbolic kernel reaching a third of the grid diagonal
+     * @param {number} gridSize - Grid size
+     * @returns {SeismicStation} Default station
+     */
+    static createDefault(gridSize) {
+        return new SeismicStation('BL', 0, gridSize - 1, 'hyperbolic', gridSize * Math.SQRT2 / 3);
+    }
+
+    /**
+     * Get the kernel weight of a cell
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {number} Weight from 0 to 1
+     */
+    getWeight(x, y) {
+        const dx = x - this.gridX;
+        const dy = y - this.gridY;
+        return STATION_KERNELS[this.kernel].weight(Math.sqrt(dx * dx + dy * dy), this.range);
+    }
+
+    /**
+     * Precompute the weight of every cell
+     * @param {number} gridSize - Grid size
+     * @returns {Float64Array} Weights indexed x * gridSize + y
+     */
+    computeWeights(gridSize) {
+        const weights = new Float64Array(gridSize * gridSize);
+        for (let x = 0; x < gridSize; x++) {
+            for (let y = 0; y < gridSize; y++) {
+                weights[x * gridSize + y] = this.getWeight(x, y);
+            }
+        }
+        return weights;
+    }
+
+    /**
+     * Serialize the station to JSON
+     * @returns {Object} {name, gridX, gridY, kernel, range}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            gridX: this.gridX,
+            gridY: this.gridY,
+            kernel: this.kernel,
+            range: this.range
+        };
+    }
+
+    /**
+     * Create a station from JSON data
+     * @param {Object} data - JSON data from toJSON()
+     * @returns {SeismicStation} New station
+     */
+    static fromJSON(data) {
+        return new SeismicStation(data.name, data.gridX, data.gridY, data.kernel, data.range);
+    }
+}
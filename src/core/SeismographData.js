@@ -1,8 +1,28 @@
 /**
  * Seismograph data generator for sand simulation
- * Tracks the rate of change of sand columns weighted by distance from bottom-left corner
+ * Tracks the rate of change of sand columns at a network of stations. Each
+ * station either feels every change at once, weighted by its distance
+ * kernel (see SeismicStation.js), or records waves that each topple sends
+ * out across the grid, arriving later and weaker at distant stations.
  */
 
+import { Random } from '../utils/Random.js';
+import { SeismicStation } from './SeismicStation.js';
+
+/**
+ * How grid changes reach the stations, in display order
+ */
+export const PROPAGATION_MODES = {
+    instant: { label: 'Instant (distance kernels)' },
+    wave: { label: 'Travelling P and S waves' }
+};
+
+/**
+ * Default propagation: instant, with the wave settings used once waves
+ * are switched on (speed in cells per second, attenuation per cell)
+ */
+export const DEFAULT_PROPAGATION = { mode: 'instant', speed: 30, attenuation: 0.02 };
+
 /**
  * Seismograph data processor for real-time signal generation
  */
@@ -12,114 +32,295 @@ export class SeismographData {
      * @param {number} gridSize - Size of the simulation grid
      * @param {number} bufferSize - Size of the circular buffer for data history
      * @param {number} sampleRate - Sample rate in Hz (samples per second)
+     * @param {Random} random - Generator for the baseline noise (e.g. a fork of the simulation's)
+     * @param {Array<SeismicStation>|null} stations - Stations to record (default: one at the bottom-left corner)
+     * @param {Object|null} propagation - Propagation {mode, speed, attenuation} (default: DEFAULT_PROPAGATION)
      */
-    constructor(gridSize = 64, bufferSize = 1024, sampleRate = 60) {
+    constructor(gridSize = 64, bufferSize = 1024, sampleRate = 60, random = null, stations = null, propagation = null) {
         this.gridSize = gridSize;
         this.bufferSize = bufferSize;
         this.sampleRate = sampleRate;
+        this.random = random || new Random();
         
-        // Circular buffer for seismograph signal
-        this.signalBuffer = new Float32Array(bufferSize);
+        // Write position in every channel's circular buffer; all channels
+        // are sampled together, so their traces line up in time
         this.bufferIndex = 0;
         this.bufferFull = false;
         
         // Previous grid state for change detection
         this.previousGrid = null;
         
-        // Distance weighting matrix (precomputed for efficiency)
-        this.distanceWeights = this.computeDistanceWeights();
-        
         // Signal processing parameters for real-time events
         this.maxSignalValue = 10; // Lower max for better sensitivity to events
         this.signalDecay = 0.8; // Faster decay to show quick events
         this.baselineNoise = 0.02; // Minimal baseline noise
         this.eventSensitivity = 5; // Amplification factor for events
         
-        // Current signal properties
-        this.currentSignal = 0;
-        this.peakSignal = 0;
-        this.averageSignal = 0;
-        
         // AC coupling parameters
-        this.dcBuffer = new Array(120).fill(0); // 2 second buffer at 60fps
+        this.dcBufferLength = Math.round(2 * sampleRate); // 2 second buffer
         this.dcBufferIndex = 0;
-        this.dcComponent = 0; // Running DC average
         this.acCoupled = true; // Enable AC coupling
         
-        // Timing
-        this.lastUpdateTime = performance.now();
+        // Sample count; sample i was taken at i / sampleRate seconds
         this.samplesGenerated = 0;
-        
-        console.log('SeismographData: Initialized with buffer size', bufferSize);
+
+        // Wave propagation: S waves travel slower than P waves by the ratio
+        // of a Poisson solid (sqrt 3) and shake harder
+        this.sWaveSlowness = Math.sqrt(3);
+        this.pWaveAmplitude = 0.4; // Relative to the S wave
+
+        // Topple counts at the previous update, whose increase sends out waves
+        this.previousTopples = null;
+
+        // Read position in every channel's arrival buffer, which holds the
+        // waves still on their way, one slot per future sample
+        this.arrivalIndex = 0;
+        this.arrivalLength = 0;
+
+        // One channel per station, in network order
+        this.channels = [];
+        this.setPropagation(propagation || DEFAULT_PROPAGATION);
+        this.setStations(stations || [SeismicStation.createDefault(gridSize)]);
     }
 
     /**
-     * Compute distance-based weights for all grid positions
-     * Distance is measured from bottom-left corner (0, gridSize-1)
-     * @returns {Array} 2D array of distance weights
+     * Create the trace and filter state of a station
+     * @param {SeismicStation} station - Station to record
+     * @returns {Object} Channel {station, weights, gain, travel, arrivals, signalBuffer, currentSignal, peakSignal, averageSignal, dcBuffer, dcComponent}
      */
-    computeDistanceWeights() {
-        const weights = new Array(this.gridSize);
-        const maxDistance = Math.sqrt(this.gridSize * this.gridSize + this.gridSize * this.gridSize);
-        
+    createChannel(station) {
+        return {
+            station,
+            weights: null,
+            gain: 1,
+            travel: null,
+            arrivals: null,
+            signalBuffer: new Float32Array(this.bufferSize),
+            currentSignal: 0,
+            peakSignal: 0,
+            averageSignal: 0,
+            dcBuffer: new Array(this.dcBufferLength).fill(0),
+            dcComponent: 0 // Running DC average
+        };
+    }
+
+    /**
+     * Set the stations to record
+     * Stations already recorded (by name) keep their traces; new ones start
+     * flat at the current time.
+     * @param {Array<SeismicStation>} stations - Stations in network order
+     */
+    setStations(stations) {
+        const cellCount = this.gridSize * this.gridSize;
+        const previous = new Map(this.channels.map(channel => [channel.station.name, channel]));
+
+        this.channels = stations.map(station => {
+            const channel = previous.get(station.name) || this.createChannel(station);
+            channel.station = station;
+            channel.weights = station.computeWeights(this.gridSize);
+
+            // Gain so shaking spread evenly over the grid reads the same at
+            // every station, whatever its kernel
+            const totalWeight = channel.weights.reduce((sum, weight) => sum + weight, 0);
+            channel.gain = totalWeight > 0 ? cellCount / totalWeight : 1;
+
+            // Travel times belong to a station's position; a replaced
+            // station drops the waves aimed at the old one
+            if (!channel.travel || channel.travel.station !== station) {
+                this.computeTravel(channel);
+            }
+            return channel;
+        });
+    }
+
+    /**
+     * Set how grid changes reach the stations
+     * Waves already on their way are dropped.
+     * @param {Object} propagation - Propagation settings
+     * @param {string} propagation.mode - 'instant' or 'wave' (see PROPAGATION_MODES)
+     * @param {number} propagation.speed - P-wave speed in cells per second
+     * @param {number} propagation.attenuation - Amplitude lost per cell travelled, as e^(-attenuation * d)
+     * @throws {Error} If the mode is unknown, the speed not positive or the attenuation negative
+     */
+    setPropagation({ mode = DEFAULT_PROPAGATION.mode, speed = DEFAULT_PROPAGATION.speed, attenuation = DEFAULT_PROPAGATION.attenuation } = {}) {
+        if (!Object.hasOwn(PROPAGATION_MODES, mode)) {
+            throw new Error(`Unknown propagation mode '${mode}'. Available: ${Object.keys(PROPAGATION_MODES).join(', ')}`);
+        }
+        if (!(Number.isFinite(speed) && speed > 0)) {
+            throw new Error(`Wave speed must be a positive number, got ${speed}`);
+        }
+        if (!(Number.isFinite(attenuation) && attenuation >= 0)) {
+            throw new Error(`Wave attenuation must be a non-negative number, got ${attenuation}`);
+        }
+
+        this.propagation = { mode, speed, attenuation };
+
+        // Room for the slowest arrival: an S wave across the grid diagonal,
+        // plus the sample after it that a fractional delay spills into
+        const farthest = (this.gridSize - 1) * Math.SQRT2;
+        this.arrivalLength = Math.ceil(farthest * this.sWaveSlowness / speed * this.sampleRate) + 2;
+        this.arrivalIndex = 0;
+
+        for (const channel of this.channels) {
+            this.computeTravel(channel);
+        }
+    }
+
+    /**
+     * Get the propagation settings
+     * @returns {Object} {mode, speed, attenuation}
+     */
+    getPropagation() {
+        return { ...this.propagation };
+    }
+
+    /**
+     * Precompute a channel's travel times and amplitudes from every cell,
+     * and give it an empty arrival buffer (wave mode only)
+     * Amplitudes fall off with 2D geometric spreading, 1 / sqrt(1 + d), and
+     * with attenuation, e^(-attenuation * d).
+     * @param {Object} channel - Channel to prepare
+     */
+    computeTravel(channel) {
+        if (this.propagation.mode !== 'wave') {
+            channel.travel = null;
+            channel.arrivals = null;
+            return;
+        }
+
+        const { speed, attenuation } = this.propagation;
+        const { station } = channel;
+        const cellCount = this.gridSize * this.gridSize;
+        const travel = {
+            station,
+            pDelays: new Float32Array(cellCount), // Samples
+            sDelays: new Float32Array(cellCount), // Samples
+            amplitudes: new Float32Array(cellCount)
+        };
+
         for (let x = 0; x < this.gridSize; x++) {
-            weights[x] = new Array(this.gridSize);
-            
             for (let y = 0; y < this.gridSize; y++) {
-                // Calculate distance from bottom-left corner (0, gridSize-1)
-                const dx = x - 0;
-                const dy = (this.gridSize - 1) - y;
+                const index = x * this.gridSize + y;
+                const dx = x - station.gridX;
+                const dy = y - station.gridY;
                 const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                // Weight inversely proportional to distance (closer = higher weight)
-                const normalizedDistance = distance / maxDistance;
-                const weight = 1.0 / (1.0 + normalizedDistance * 3); // Adjust scaling factor as needed
-                
-                weights[x][y] = weight;
+                const delay = distance / speed * this.sampleRate;
+
+                travel.pDelays[index] = delay;
+                travel.sDelays[index] = delay * this.sWaveSlowness;
+                travel.amplitudes[index] = Math.exp(-attenuation * distance) / Math.sqrt(1 + distance);
             }
         }
-        
-        return weights;
+
+        channel.travel = travel;
+        channel.arrivals = new Float64Array(this.arrivalLength);
+    }
+
+    /**
+     * Send a wave from a cell to every station
+     * @param {number} index - Flat index of the source cell
+     * @param {number} strength - Source strength (topples, or change in value)
+     */
+    emitWave(index, strength) {
+        for (const channel of this.channels) {
+            const amplitude = strength * channel.travel.amplitudes[index];
+            this.addArrival(channel, channel.travel.pDelays[index], amplitude * this.pWaveAmplitude);
+            this.addArrival(channel, channel.travel.sDelays[index], amplitude);
+        }
+    }
+
+    /**
+     * Schedule an arrival, split between the two samples around its delay
+     * @param {Object} channel - Receiving channel
+     * @param {number} delay - Delay in samples from now
+     * @param {number} amplitude - Arrival amplitude
+     */
+    addArrival(channel, delay, amplitude) {
+        const whole = Math.floor(delay);
+        const fraction = delay - whole;
+        const slot = (this.arrivalIndex + whole) % this.arrivalLength;
+
+        channel.arrivals[slot] += amplitude * (1 - fraction);
+        channel.arrivals[(slot + 1) % this.arrivalLength] += amplitude * fraction;
+    }
+
+    /**
+     * Take the waves arriving at a channel now
+     * @param {Object} channel - Receiving channel
+     * @returns {number} Summed amplitude of the arrivals
+     */
+    takeArrivals(channel) {
+        const amplitude = channel.arrivals[this.arrivalIndex];
+        channel.arrivals[this.arrivalIndex] = 0;
+        return amplitude;
+    }
+
+    /**
+     * Get the recorded stations
+     * @returns {Array<SeismicStation>} Stations in network order
+     */
+    getStations() {
+        return this.channels.map(channel => channel.station);
+    }
+
+    /**
+     * Find the channel of a station
+     * @param {string|null} name - Station name, or null for the first station
+     * @returns {Object|null} Channel, or null if the station is not recorded
+     */
+    getChannel(name = null) {
+        if (name === null) return this.channels[0] || null;
+        return this.channels.find(channel => channel.station.name === name) || null;
     }
 
     /**
      * Update seismograph with new grid state
+     * Call once per simulation tick, so consecutive samples are 1 / sampleRate
+     * seconds of simulation time apart whatever the display frame rate.
+     * In wave mode each topple since the last update sends out a wave;
+     * without topple counts every changed cell does, as strong as its change.
      * @param {Array} currentGrid - Current 2D grid state
+     * @param {ArrayLike<number>|null} toppleCounts - Cumulative topples per cell, indexed x * size + y (see CellActivity.js)
      */
-    update(currentGrid) {
-        const currentTime = performance.now();
-        const deltaTime = (currentTime - this.lastUpdateTime) / 1000; // Convert to seconds
-        this.lastUpdateTime = currentTime;
-        
-        // Calculate signal based on grid changes
-        const signal = this.calculateSignal(currentGrid);
-        
-        // Add to buffer
-        this.addSample(signal);
-        
-        // Update statistics
-        this.updateStatistics(signal);
-        
-        // Store current grid as previous for next update
+    update(currentGrid, toppleCounts = null) {
+        // Calculate each station's signal based on grid changes
+        const signals = this.calculateSignals(currentGrid, toppleCounts);
+        
+        // Add to the buffers and update statistics
+        this.channels.forEach((channel, i) => {
+            channel.signalBuffer[this.bufferIndex] = signals[i];
+            this.updateStatistics(channel, signals[i]);
+        });
+        this.advanceBuffer();
+        
+        // Store current grid and topples as previous for next update
         this.previousGrid = currentGrid.map(row => [...row]);
+        this.previousTopples = toppleCounts ? Float64Array.from(toppleCounts) : null;
         
         this.samplesGenerated++;
     }
 
     /**
-     * Calculate seismograph signal from grid changes
+     * Calculate every station's seismograph signal from grid changes
+     * Instantly, a station reads the mean change of the cells that moved,
+     * each weighted by its kernel, so nearby activity is loud and distant
+     * activity faint. With waves, it reads the waves arriving now.
      * @param {Array} currentGrid - Current grid state
-     * @returns {number} Calculated signal value
+     * @param {ArrayLike<number>|null} toppleCounts - Cumulative topples per cell, or null
+     * @returns {Array<number>} Signal value per channel
      */
-    calculateSignal(currentGrid) {
+    calculateSignals(currentGrid, toppleCounts = null) {
         if (!this.previousGrid) {
             // First update, no change to measure
             this.previousGrid = currentGrid.map(row => [...row]);
-            return this.generateBaselineNoise();
+            return this.channels.map(() => this.generateBaselineNoise());
         }
         
-        let totalChangeSignal = 0;
-        let totalWeight = 0;
+        const wave = this.propagation.mode === 'wave';
+        const topples = wave && toppleCounts && this.previousTopples &&
+            this.previousTopples.length === toppleCounts.length ? toppleCounts : null;
+        const sums = new Float64Array(this.channels.length);
+        let changedCells = 0;
         
         // Calculate weighted rate of change across all grid cells
         for (let x = 0; x < this.gridSize; x++) {
@@ -127,18 +328,49 @@ export class SeismographData {
                 const currentValue = currentGrid[x][y];
                 const previousValue = this.previousGrid[x][y];
                 const change = Math.abs(currentValue - previousValue);
+                const index = x * this.gridSize + y;
                 
-                if (change > 0) {
-                    const weight = this.distanceWeights[x][y];
-                    totalChangeSignal += change * weight;
-                    totalWeight += weight;
+                if (wave) {
+                    // Counters that went down were reset: no topples to send
+                    const strength = topples ? topples[index] - this.previousTopples[index] : change;
+                    if (strength > 0) this.emitWave(index, strength);
+                } else if (change > 0) {
+                    for (let i = 0; i < this.channels.length; i++) {
+                        sums[i] += change * this.channels[i].weights[index];
+                    }
+                    changedCells++;
                 }
             }
         }
         
-        // Normalize and amplify signal for event detection
-        let signal = totalWeight > 0 ? (totalChangeSignal / totalWeight) * this.eventSensitivity : 0;
-        
+        const signals = this.channels.map((channel, i) => {
+            if (wave) {
+                return this.filterSignal(channel, this.takeArrivals(channel) * this.eventSensitivity);
+            }
+
+            // Normalize and amplify signal for event detection
+            const signal = changedCells > 0 ? (sums[i] * channel.gain / changedCells) * this.eventSensitivity : 0;
+            return this.filterSignal(channel, signal);
+        });
+
+        if (wave) {
+            this.arrivalIndex = (this.arrivalIndex + 1) % this.arrivalLength;
+        }
+
+        if (this.acCoupled) {
+            this.dcBufferIndex = (this.dcBufferIndex + 1) % this.dcBufferLength;
+        }
+
+        return signals;
+    }
+
+    /**
+     * Limit, smooth and AC-couple a channel's raw signal
+     * @param {Object} channel - Channel the signal belongs to
+     * @param {number} signal - Raw signal value
+     * @returns {number} Filtered sample
+     */
+    filterSignal(channel, signal) {
         // Apply scaling and limits
         signal = Math.min(signal, this.maxSignalValue);
         
@@ -146,23 +378,21 @@ export class SeismographData {
         signal += this.generateBaselineNoise();
         
         // Apply faster decay for immediate response to events
-        this.currentSignal = this.currentSignal * this.signalDecay + signal * (1 - this.signalDecay);
+        channel.currentSignal = channel.currentSignal * this.signalDecay + signal * (1 - this.signalDecay);
         
         // Apply AC coupling to remove DC drift (like real seismographs)
         if (this.acCoupled) {
             // Update DC buffer with current signal
-            this.dcBuffer[this.dcBufferIndex] = this.currentSignal;
-            this.dcBufferIndex = (this.dcBufferIndex + 1) % this.dcBuffer.length;
+            channel.dcBuffer[this.dcBufferIndex] = channel.currentSignal;
             
             // Calculate DC component as average of recent signals
-            this.dcComponent = this.dcBuffer.reduce((sum, val) => sum + val, 0) / this.dcBuffer.length;
+            channel.dcComponent = channel.dcBuffer.reduce((sum, val) => sum + val, 0) / channel.dcBuffer.length;
             
             // Remove DC component to center signal around zero
-            const acSignal = this.currentSignal - this.dcComponent;
-            return acSignal;
+            return channel.currentSignal - channel.dcComponent;
         }
         
-        return this.currentSignal;
+        return channel.currentSignal;
     }
 
     /**
@@ -170,15 +400,24 @@ export class SeismographData {
      * @returns {number} Random noise value
      */
     generateBaselineNoise() {
-        return (Math.random() - 0.5) * this.baselineNoise;
+        return (this.random.next() - 0.5) * this.baselineNoise;
     }
 
     /**
-     * Add a sample to the circular buffer
+     * Add a sample to every channel's circular buffer
      * @param {number} sample - Sample value to add
      */
     addSample(sample) {
-        this.signalBuffer[this.bufferIndex] = sample;
+        for (const channel of this.channels) {
+            channel.signalBuffer[this.bufferIndex] = sample;
+        }
+        this.advanceBuffer();
+    }
+
+    /**
+     * Move the write position past the sample just written
+     */
+    advanceBuffer() {
         this.bufferIndex = (this.bufferIndex + 1) % this.bufferSize;
         
         if (this.bufferIndex === 0) {
@@ -187,45 +426,63 @@ export class SeismographData {
     }
 
     /**
-     * Update signal statistics
+     * Update a channel's signal statistics
+     * @param {Object} channel - Channel the signal belongs to
      * @param {number} signal - Current signal value
      */
-    updateStatistics(signal) {
+    updateStatistics(channel, signal) {
         // Update peak signal
-        this.peakSignal = Math.max(this.peakSignal, signal);
+        channel.peakSignal = Math.max(channel.peakSignal, signal);
         
         // Update running average (exponential moving average)
         const alpha = 0.01; // Smoothing factor for average
-        this.averageSignal = this.averageSignal * (1 - alpha) + signal * alpha;
+        channel.averageSignal = channel.averageSignal * (1 - alpha) + signal * alpha;
     }
 
     /**
      * Get the current signal value
+     * @param {string|null} name - Station name (default: the first station)
      * @returns {number} Current signal strength
      */
-    getCurrentSignal() {
-        return this.currentSignal;
+    getCurrentSignal(name = null) {
+        const channel = this.getChannel(name);
+        return channel ? channel.currentSignal : 0;
+    }
+
+    /**
+     * Get the most recent sample added to the buffer
+     * @param {string|null} name - Station name (default: the first station)
+     * @returns {number} Latest (AC-coupled) sample, or 0 before the first update
+     */
+    getLatestSample(name = null) {
+        const channel = this.getChannel(name);
+        if (this.samplesGenerated === 0 || !channel) return 0;
+        return channel.signalBuffer[(this.bufferIndex - 1 + this.bufferSize) % this.bufferSize];
     }
 
     /**
      * Get signal buffer data for visualization
      * @param {number} length - Number of samples to return (default: full buffer)
-     * @returns {Float32Array} Signal data array
+     * @param {string|null} name - Station name (default: the first station)
+     * @returns {Float32Array} Signal data array (all zeros for a station that is not recorded)
      */
-    getSignalData(length = null) {
+    getSignalData(length = null, name = null) {
         const dataLength = length || this.getAvailableDataLength();
         const result = new Float32Array(dataLength);
+        const channel = this.getChannel(name);
+        if (!channel) return result;
+        const signalBuffer = channel.signalBuffer;
         
         if (!this.bufferFull && this.bufferIndex < dataLength) {
             // Buffer not full yet, return available data
             for (let i = 0; i < this.bufferIndex; i++) {
-                result[i] = this.signalBuffer[i];
+                result[i] = signalBuffer[i];
             }
         } else {
             // Buffer is full or we need specific length, return most recent data
             for (let i = 0; i < dataLength; i++) {
                 const bufferPos = (this.bufferIndex - dataLength + i + this.bufferSize) % this.bufferSize;
-                result[i] = this.signalBuffer[bufferPos];
+                result[i] = signalBuffer[bufferPos];
             }
         }
         
@@ -242,13 +499,16 @@ export class SeismographData {
 
     /**
      * Get signal statistics
+     * @param {string|null} name - Station name (default: the first station)
      * @returns {Object} Statistics object
      */
-    getStatistics() {
+    getStatistics(name = null) {
+        const channel = this.getChannel(name) || this.createChannel(null);
         return {
-            currentSignal: this.currentSignal,
-            peakSignal: this.peakSignal,
-            averageSignal: this.averageSignal,
+            currentSignal: channel.currentSignal,
+            peakSignal: channel.peakSignal,
+            averageSignal: channel.averageSignal,
+            stationCount: this.channels.length,
             bufferLength: this.getAvailableDataLength(),
             sampleRate: this.sampleRate,
             samplesGenerated: this.samplesGenerated,
@@ -260,23 +520,121 @@ export class SeismographData {
      * Reset seismograph data
      */
     reset() {
-        // Clear buffer
-        this.signalBuffer.fill(0);
+        // Clear buffers
         this.bufferIndex = 0;
         this.bufferFull = false;
         
         // Reset state
         this.previousGrid = null;
-        this.currentSignal = 0;
-        this.peakSignal = 0;
-        this.averageSignal = 0;
-        this.dcComponent = 0; // Reset DC component for AC coupling
-        this.dcBuffer.fill(0); // Reset DC buffer
+        this.previousTopples = null;
+        this.arrivalIndex = 0;
+        for (const channel of this.channels) {
+            if (channel.arrivals) channel.arrivals.fill(0);
+            channel.signalBuffer.fill(0);
+            channel.currentSignal = 0;
+            channel.peakSignal = 0;
+            channel.averageSignal = 0;
+            channel.dcComponent = 0; // Reset DC component for AC coupling
+            channel.dcBuffer.fill(0); // Reset DC buffer
+        }
         this.dcBufferIndex = 0;
         this.samplesGenerated = 0;
-        this.lastUpdateTime = performance.now();
-        
-        console.log('SeismographData: Reset');
+
+        // Replay the same noise sequence after a reset
+        this.random.setSeed(this.random.getSeed());
+    }
+
+    /**
+     * Capture the signal history and filter state, so a restored seismograph
+     * continues the trace exactly
+     * @returns {Object} Serializable state
+     */
+    getState() {
+        const length = this.getAvailableDataLength();
+        return {
+            channels: this.channels.map(channel => ({
+                name: channel.station.name,
+                samples: Array.from(this.getSignalData(length, channel.station.name)),
+                currentSignal: channel.currentSignal,
+                peakSignal: channel.peakSignal,
+                averageSignal: channel.averageSignal,
+                dcBuffer: [...channel.dcBuffer],
+                dcComponent: channel.dcComponent,
+                arrivals: channel.arrivals ? Array.from(channel.arrivals) : null
+            })),
+            previousGrid: this.previousGrid,
+            previousTopples: this.previousTopples ? Array.from(this.previousTopples) : null,
+            propagation: this.getPropagation(),
+            arrivalIndex: this.arrivalIndex,
+            dcBufferIndex: this.dcBufferIndex,
+            samplesGenerated: this.samplesGenerated,
+            random: this.random.getState()
+        };
+    }
+
+    /**
+     * Restore state captured by getState()
+     * Channels are matched to the current stations by name; stations without
+     * a saved channel start flat. The single-trace format of older snapshots
+     * is restored into the first station. The previous grid and filter are
+     * only restored when they match this seismograph's grid size and sample
+     * rate, and waves on their way only when the propagation settings match
+     * too; the traces are always restored.
+     * @param {Object} state - Seismograph state
+     */
+    setState(state) {
+        this.reset();
+
+        const saved = state.channels || [{ ...state, name: this.channels[0].station.name }];
+        const filterMatches = saved.every(entry => entry.dcBuffer.length === this.dcBufferLength);
+        const savedPropagation = state.propagation || DEFAULT_PROPAGATION;
+        const wavesMatch = this.propagation.mode === 'wave' &&
+            Object.keys(DEFAULT_PROPAGATION).every(key => savedPropagation[key] === this.propagation[key]) &&
+            saved.every(entry => entry.arrivals && entry.arrivals.length === this.arrivalLength);
+        let sampleCount = 0;
+
+        for (const entry of saved) {
+            const channel = this.getChannel(entry.name);
+            if (!channel) continue;
+
+            const samples = entry.samples.slice(-this.bufferSize);
+            channel.signalBuffer.set(samples);
+            sampleCount = samples.length;
+
+            channel.currentSignal = entry.currentSignal;
+            channel.peakSignal = entry.peakSignal;
+            channel.averageSignal = entry.averageSignal;
+
+            if (filterMatches) {
+                channel.dcBuffer = [...entry.dcBuffer];
+                channel.dcComponent = entry.dcComponent;
+            }
+
+            if (wavesMatch) {
+                channel.arrivals.set(entry.arrivals);
+            }
+        }
+
+        this.bufferIndex = sampleCount % this.bufferSize;
+        this.bufferFull = sampleCount === this.bufferSize;
+        this.samplesGenerated = state.samplesGenerated;
+        this.random.setState(state.random);
+
+        if (state.previousGrid && state.previousGrid.length === this.gridSize) {
+            this.previousGrid = state.previousGrid.map(row => [...row]);
+        }
+
+        if (state.previousTopples && state.previousTopples.length === this.gridSize * this.gridSize) {
+            this.previousTopples = Float64Array.from(state.previousTopples);
+        }
+
+        if (wavesMatch) {
+            this.arrivalIndex = state.arrivalIndex;
+        }
+
+        if (filterMatches) {
+            this.dcBufferIndex = state.dcBufferIndex;
+        }
     }
 
     /**
@@ -309,6 +667,7 @@ export class SeismographData {
             maxSignalValue: this.maxSignalValue,
             signalDecay: this.signalDecay,
             baselineNoise: this.baselineNoise,
+            propagation: this.getPropagation(),
             gridSize: this.gridSize,
             bufferSize: this.bufferSize,
             sampleRate: this.sampleRate
@@ -317,10 +676,14 @@ export class SeismographData {
 
     /**
      * Get distance weights matrix for debugging
+     * @param {string|null} name - Station name (default: the first station)
      * @returns {Array} 2D array of distance weights
      */
-    getDistanceWeights() {
-        return this.distanceWeights.map(row => [...row]);
+    getDistanceWeights(name = null) {
+        const channel = this.getChannel(name);
+        if (!channel) return [];
+        return Array.from({ length: this.gridSize }, (_, x) =>
+            Array.from(channel.weights.subarray(x * this.gridSize, (x + 1) * this.gridSize)));
     }
 
     /**
@@ -337,18 +700,13 @@ export class SeismographData {
             const signal = amplitude * Math.sin(2 * Math.PI * frequency * time);
             this.addSample(signal);
         }
-        
-        console.log(`SeismographData: Generated test signal (${frequency}Hz, ${amplitude} amplitude, ${duration}s)`);
     }
 
     /**
      * Dispose of seismograph data
      */
     dispose() {
-        this.signalBuffer = null;
+        this.channels = [];
         this.previousGrid = null;
-        this.distanceWeights = null;
-        
-        console.log('SeismographData: Disposed');
     }
 }
\ No newline at end of file
@@ -4,6 +4,10 @@
 
 import { SandPile } from './SandPile.js';
 import { SandSource } from './SandSource.js';
+import { SeismicStation } from './SeismicStation.js';
+import { AvalancheStatistics } from './AvalancheStatistics.js';
+import { STATE_FORMAT, STATE_VERSION, migrateState } from './SimulationState.js';
+import { Random } from '../utils/Random.js';
 
 /**
  * Main simulation class that manages the entire sandpile system
@@ -13,27 +17,83 @@ export class Simulation {
      * Create a new simulation
      * @param {Object} options - Configuration options
      * @param {number} options.gridSize - Size of the simulation grid
-     * @param {number} options.criticalMass - Critical mass for avalanches
+     * @param {number} options.criticalMass - Critical mass for avalanches (default: the topology's)
+     * @param {string} options.topology - Lattice topology name (default 'square-4')
+     * @param {string|Object} options.boundary - Boundary preset or per-edge types {left, right, top, bottom}
+     * @param {string} options.model - Toppling model name ('btw', 'manna', 'zhang', 'ofc' or 'oslo')
+     * @param {Object} options.modelParams - Parameters for the toppling model
      * @param {number} options.initialSources - Number of initial sand sources
-     * @param {number} options.targetFPS - Target frames per second
+     * @param {Array|null} options.sources - Initial sources [{gridX, gridY, sandRate}], used instead of initialSources
+     * @param {Array|null} options.stations - Seismometer stations [{name, gridX, gridY, kernel, range}] (default: one at the bottom-left corner)
+     * @param {number} options.targetFPS - Deprecated alias for tickRate
+     * @param {number} options.tickRate - Simulation ticks per second of simulation time
+     * @param {number} options.wavesPerTick - Relaxation waves processed per tick
+     * @param {number} options.maxTicksPerFrame - Most ticks run by one update() call
+     * @param {number|string} options.seed - Random seed (default: a fresh random seed)
      */
     constructor(options = {}) {
         const {
             gridSize = 64,
-            criticalMass = 4,
+            criticalMass = null,
+            topology = 'square-4',
+            boundary = 'open',
+            model = 'btw',
+            modelParams = {},
             initialSources = 3,
-            targetFPS = 60
+            sources = null,
+            stations = null,
+            targetFPS = 60,
+            tickRate = targetFPS,
+            wavesPerTick = 5,
+            maxTicksPerFrame = 10,
+            seed = Random.generateSeed()
         } = options;
 
+        // Seeded generator shared by the pile, its model and source placement;
+        // the same seed and inputs reproduce the same grids
+        this.seed = seed;
+        this.random = new Random(seed);
+
         // Core components
-        this.sandPile = new SandPile(gridSize, criticalMass);
+        this.sandPile = new SandPile(gridSize, criticalMass, { topology, boundary, model, modelParams, random: this.random });
         this.sources = [];
+
+        // Seismometer network; the seismograph keeps a trace per station
+        this.stations = stations
+            ? stations.map(station => SeismicStation.fromJSON(station))
+            : [SeismicStation.createDefault(gridSize)];
         
-        // Timing
-        this.targetFPS = targetFPS;
-        this.targetFrameTime = 1000 / targetFPS; // milliseconds
+        // Fixed-timestep clock: wall-clock time accumulates and is consumed
+        // in ticks of 1 / tickRate seconds, so the physics does not depend
+        // on the display refresh rate
+        this.tickRate = tickRate;
+        this.tickDuration = 1 / tickRate; // seconds
+        this.wavesPerTick = wavesPerTick;
+        this.maxTicksPerFrame = maxTicksPerFrame;
         this.lastUpdateTime = performance.now();
         this.accumulator = 0;
+        this.tickCount = 0;
+
+        // Heights before the latest tick, blended with the current heights
+        // by interpolationAlpha for rendering between ticks
+        this.previousGrid = new Float64Array(gridSize * gridSize);
+        this.interpolationAlpha = 1;
+
+        // Tick listeners, called after every tick (e.g. to sample the seismograph)
+        this.tickListeners = [];
+
+        // Input listeners, called with each change made between ticks (see
+        // emitInput), so a run can be recorded and replayed
+        this.inputListeners = [];
+
+        // Grains dropped by each source during the latest tick
+        this.tickDrops = [];
+
+        // Whether the pile records its toppling order (debugger mode)
+        this.recordToppleOrder = false;
+
+        // Whether the pile tracks which source dropped its sand
+        this.trackProvenance = false;
         
         // Speed control
         this.globalSpeed = 1.0;
@@ -45,31 +105,94 @@ export class Simulation {
         // Statistics
         this.frameCount = 0;
         this.simulationTime = 0;
+
+        // Avalanche event listeners, called with each completed avalanche
+        this.avalancheListeners = [];
+        this.sandPile.onAvalanche = (event) => this.emitAvalanche(event);
+
+        // Avalanche size/area/duration distributions and power-law fits
+        this.avalancheStatistics = new AvalancheStatistics();
+        this.addAvalancheListener((event) => this.avalancheStatistics.record(event));
         
-        // Initialize with some sources
-        for (let i = 0; i < initialSources; i++) {
-            this.addRandomSource();
+        // Initialize with the given sources, or some random ones
+        if (sources) {
+            sources.forEach(({ gridX, gridY, sandRate }) => {
+                this.addSource(new SandSource(gridX, gridY, sandRate, gridSize));
+            });
+        } else {
+            for (let i = 0; i < initialSources; i++) {
+                this.addRandomSource();
+            }
         }
     }
 
     /**
-     * Update the simulation by one step
+     * Advance the simulation by the wall-clock time since the last update
+     * Elapsed time is consumed in whole ticks; the remainder carries over and
+     * sets the interpolation factor. A backlog of more than maxTicksPerFrame
+     * ticks (e.g. after the tab was hidden) is dropped rather than replayed.
+     * @returns {number} Number of ticks run
      */
     update() {
-        if (this.paused) return;
+        if (this.paused) return 0;
 
         const currentTime = performance.now();
-        const deltaTime = (currentTime - this.lastUpdateTime) / 1000; // Convert to seconds
+        this.accumulator += (currentTime - this.lastUpdateTime) / 1000; // Convert to seconds
         this.lastUpdateTime = currentTime;
-        
-        this.simulationTime += deltaTime;
         this.frameCount++;
 
-        // Update sand sources and add sand to the pile
-        this.updateSources(deltaTime);
+        let ticks = 0;
+        while (this.accumulator >= this.tickDuration && ticks < this.maxTicksPerFrame) {
+            this.tick();
+            this.accumulator -= this.tickDuration;
+            ticks++;
+        }
+
+        if (this.accumulator >= this.tickDuration) {
+            this.accumulator = 0;
+        }
+
+        this.interpolationAlpha = this.accumulator / this.tickDuration;
+        return ticks;
+    }
+
+    /**
+     * Run ticks immediately, regardless of the clock or pause state
+     * @param {number} count - Number of ticks to run
+     */
+    step(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.tick();
+        }
+        this.interpolationAlpha = 1;
+    }
+
+    /**
+     * Advance the simulation by one fixed tick
+     */
+    tick() {
+        const deltaTime = this.tickDuration;
+        this.previousGrid.set(this.sandPile.grid);
+        this.tickDrops.length = 0;
+
+        this.tickCount++;
+        this.simulationTime += deltaTime;
+        this.sandPile.setTime(this.simulationTime);
+
+        // Update sand sources and add sand to the pile, or let the model
+        // drive itself (OFC loads every cell uniformly instead)
+        if (this.sandPile.getModel().usesSources()) {
+            this.updateSources(deltaTime);
+        }
+        this.sandPile.drive(deltaTime * this.globalSpeed);
         
-        // Process avalanches (limit iterations per frame for performance)
+        // Relax a fixed number of waves per tick, so large avalanches
+        // unfold over several ticks
         this.processAvalanches();
+
+        for (const listener of this.tickListeners) {
+            listener(this);
+        }
     }
 
     /**
@@ -82,32 +205,159 @@ export class Simulation {
             
             if (sandToAdd > 0) {
                 const pos = source.getGridPosition();
-                this.sandPile.addSand(pos.x, pos.y, sandToAdd);
+                this.sandPile.addSand(pos.x, pos.y, sandToAdd, source.id);
+                this.tickDrops.push({ sourceId: source.id, grains: sandToAdd });
             }
         }
     }
 
     /**
-     * Process avalanches with frame-rate limiting
+     * Get the grains dropped during the latest tick
+     * @returns {Array} [{sourceId, grains}] for each source that dropped sand
+     */
+    getTickDrops() {
+        return this.tickDrops;
+    }
+
+    /**
+     * Process up to wavesPerTick relaxation waves
      */
     processAvalanches() {
-        // Limit avalanche processing to maintain frame rate
-        const maxIterationsPerFrame = 5;
         let iterations = 0;
         
-        while (!this.sandPile.isStable() && iterations < maxIterationsPerFrame) {
+        while (!this.sandPile.isStable() && iterations < this.wavesPerTick) {
             this.sandPile.processAvalanches();
             iterations++;
         }
     }
 
+    /**
+     * Register a listener called after every tick
+     * @param {Function} listener - Callback (simulation) => void
+     */
+    addTickListener(listener) {
+        this.tickListeners.push(listener);
+    }
+
+    /**
+     * Remove a tick listener
+     * @param {Function} listener - Previously registered callback
+     */
+    removeTickListener(listener) {
+        const index = this.tickListeners.indexOf(listener);
+        if (index !== -1) {
+            this.tickListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Set the tick rate
+     * @param {number} tickRate - Ticks per second of simulation time
+     */
+    setTickRate(tickRate) {
+        this.tickRate = Math.max(1, tickRate);
+        this.tickDuration = 1 / this.tickRate;
+        this.emitInput({ type: 'setTickRate', tickRate });
+    }
+
+    /**
+     * Get the tick rate
+     * @returns {number} Ticks per second of simulation time
+     */
+    getTickRate() {
+        return this.tickRate;
+    }
+
+    /**
+     * Get the number of ticks run since the last reset
+     * @returns {number} Tick count
+     */
+    getTickCount() {
+        return this.tickCount;
+    }
+
+    /**
+     * Register a listener for completed avalanches
+     * Events carry startTime, endTime, trigger {x, y}, size (topples), area
+     * (distinct cells), duration (relaxation waves), radiusOfGyration and
+     * boundingBox {minX, minY, maxX, maxY}.
+     * @param {Function} listener - Callback (event) => void
+     */
+    addAvalancheListener(listener) {
+        this.avalancheListeners.push(listener);
+    }
+
+    /**
+     * Remove an avalanche listener
+     * @param {Function} listener - Previously registered callback
+     */
+    removeAvalancheListener(listener) {
+        const index = this.avalancheListeners.indexOf(listener);
+        if (index !== -1) {
+            this.avalancheListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify listeners of a completed avalanche
+     * @param {Object} event - Avalanche event
+     */
+    emitAvalanche(event) {
+        for (const listener of this.avalancheListeners) {
+            listener(event);
+        }
+    }
+
+    /**
+     * Add an input listener
+     * @param {Function} listener - Callback (input) => void, where input is
+     *   {type, ...} named after the Simulation method that made the change
+     */
+    addInputListener(listener) {
+        this.inputListeners.push(listener);
+    }
+
+    /**
+     * Remove an input listener
+     * @param {Function} listener - Listener to remove
+     */
+    removeInputListener(listener) {
+        const index = this.inputListeners.indexOf(listener);
+        if (index !== -1) {
+            this.inputListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify listeners of a change made from outside the tick loop
+     * Replaying the same inputs at the same ticks reproduces a run.
+     * @param {Object} input - Input {type, ...}
+     */
+    emitInput(input) {
+        for (const listener of this.inputListeners) {
+            listener(input);
+        }
+    }
+
     /**
      * Add a new random sand source
      * @returns {SandSource} The created source
      */
     addRandomSource() {
-        const source = SandSource.createRandom(this.gridSize, 0.5, 2.0, 5);
+        const source = SandSource.createRandom(this.gridSize, 0.5, 2.0, 5, this.random);
+        this.sources.push(source);
+        this.emitInput({ type: 'addRandomSource' });
+        return source;
+    }
+
+    /**
+     * Add an existing sand source
+     * @param {SandSource} source - Source to add
+     * @returns {SandSource} The added source
+     */
+    addSource(source) {
         this.sources.push(source);
+        this.emitInput({ type: 'addSource', source: source.toJSON() });
         return source;
     }
 
@@ -118,7 +368,8 @@ export class Simulation {
      */
     removeSource(index = -1) {
         if (this.sources.length === 0) return null;
-        
+
+        this.emitInput({ type: 'removeSource', index });
         if (index === -1) {
             return this.sources.pop();
         } else if (index >= 0 && index < this.sources.length) {
@@ -144,12 +395,71 @@ export class Simulation {
         return [...this.sources];
     }
 
+    /**
+     * Add a seismometer station
+     * @param {SeismicStation} station - Station to add
+     * @returns {SeismicStation} The added station
+     * @throws {Error} If the station is off the grid or its name is taken
+     */
+    addStation(station) {
+        const { gridX, gridY } = station;
+        if (!(Number.isInteger(gridX) && gridX >= 0 && gridX < this.gridSize &&
+            Number.isInteger(gridY) && gridY >= 0 && gridY < this.gridSize)) {
+            throw new Error(`Station '${station.name}' must be on the grid, got (${gridX}, ${gridY})`);
+        }
+        if (this.getStation(station.name)) {
+            throw new Error(`There is already a station named '${station.name}'`);
+        }
+
+        this.stations.push(station);
+        this.emitInput({ type: 'addStation', station: station.toJSON() });
+        return station;
+    }
+
+    /**
+     * Remove a seismometer station
+     * @param {string} name - Station name
+     * @returns {SeismicStation} The removed station
+     * @throws {Error} If there is no such station, or it is the last one
+     */
+    removeStation(name) {
+        const index = this.stations.findIndex(station => station.name === name);
+        if (index === -1) {
+            throw new Error(`No station named '${name}'`);
+        }
+        if (this.stations.length === 1) {
+            throw new Error('The seismometer network needs at least one station');
+        }
+
+        const [station] = this.stations.splice(index, 1);
+        this.emitInput({ type: 'removeStation', name });
+        return station;
+    }
+
+    /**
+     * Find a seismometer station by name
+     * @param {string} name - Station name
+     * @returns {SeismicStation|null} Station, or null if there is none
+     */
+    getStation(name) {
+        return this.stations.find(station => station.name === name) || null;
+    }
+
+    /**
+     * Get all seismometer stations
+     * @returns {Array<SeismicStation>} Stations in network order
+     */
+    getStations() {
+        return [...this.stations];
+    }
+
     /**
      * Set the global speed multiplier
      * @param {number} speed - Speed multiplier (0.0 to 5.0)
      */
     setGlobalSpeed(speed) {
         this.globalSpeed = Math.max(0, Math.min(5, speed));
+        this.emitInput({ type: 'setGlobalSpeed', speed });
     }
 
     /**
@@ -160,6 +470,97 @@ export class Simulation {
         return this.globalSpeed;
     }
 
+    /**
+     * Switch the toppling model (clears the pile)
+     * @param {string} model - Model name ('btw', 'manna', 'zhang', 'ofc' or 'oslo')
+     * @param {Object} params - Model parameters
+     */
+    setModel(model, params = {}) {
+        this.sandPile.setModel(model, params);
+        this.avalancheStatistics.reset();
+        this.syncPreviousGrid();
+        this.emitInput({ type: 'setModel', model, params });
+    }
+
+    /**
+     * Make the interpolation start from the current grid
+     */
+    syncPreviousGrid() {
+        this.previousGrid.set(this.sandPile.grid);
+        this.interpolationAlpha = 1;
+    }
+
+    /**
+     * Get the toppling model of the sandpile
+     * @returns {SandpileModel} Current model
+     */
+    getModel() {
+        return this.sandPile.getModel();
+    }
+
+    /**
+     * Change the lattice topology of the sandpile
+     * @param {string} topology - Topology name (e.g. 'hexagonal-6')
+     */
+    setTopology(topology) {
+        this.sandPile.setTopology(topology);
+        this.avalancheStatistics.reset();
+        this.emitInput({ type: 'setTopology', topology });
+    }
+
+    /**
+     * Get the lattice topology of the sandpile
+     * @returns {Topology} Current topology
+     */
+    getTopology() {
+        return this.sandPile.getTopology();
+    }
+
+    /**
+     * Change the boundary conditions of the sandpile
+     * @param {string|Object} boundary - Preset name, edge type or per-edge types {left, right, top, bottom}
+     */
+    setBoundary(boundary) {
+        this.sandPile.setBoundary(boundary);
+        this.avalancheStatistics.reset();
+        this.emitInput({ type: 'setBoundary', boundary: this.sandPile.getBoundary().toJSON() });
+    }
+
+    /**
+     * Get the boundary conditions of the sandpile
+     * @returns {BoundaryConditions} Current boundary conditions
+     */
+    getBoundary() {
+        return this.sandPile.getBoundary();
+    }
+
+    /**
+     * Get the random seed of the run
+     * @returns {number|string} Seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Change the random seed and restart the simulation from it
+     * @param {number|string} seed - New seed
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.reset();
+    }
+
+    /**
+     * Get the simulation's random number generator
+     * Subsystems that must not disturb the grid's sequence (such as the
+     * seismograph noise) should use random.fork(name) instead.
+     * @returns {Random} Seeded generator
+     */
+    getRandom() {
+        return this.random;
+    }
+
     /**
      * Pause or resume the simulation
      * @param {boolean} paused - Whether to pause the simulation
@@ -187,6 +588,56 @@ export class Simulation {
         return this.sandPile.getGridCopy();
     }
 
+    /**
+     * Get the heights blended between the previous and latest tick
+     * @param {Float64Array} target - Array to fill (default: a new array)
+     * @returns {Float64Array} Flat interpolated heights, indexed as x * size + y
+     */
+    getInterpolatedHeights(target = new Float64Array(this.gridSize * this.gridSize)) {
+        const grid = this.sandPile.grid;
+        const alpha = this.interpolationAlpha;
+
+        for (let i = 0; i < target.length; i++) {
+            const previous = this.previousGrid[i];
+            target[i] = previous + (grid[i] - previous) * alpha;
+        }
+
+        return target;
+    }
+
+    /**
+     * Get the grid blended between the previous and latest tick
+     * @returns {Array} 2D array of interpolated heights
+     */
+    getInterpolatedGrid() {
+        const heights = this.getInterpolatedHeights();
+        const size = this.gridSize;
+        const result = new Array(size);
+
+        for (let x = 0; x < size; x++) {
+            result[x] = Array.from(heights.subarray(x * size, (x + 1) * size));
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the values the seismograph should watch
+     * @returns {Array} 2D array of heights, or of released stress for the OFC model
+     */
+    getSignalGrid() {
+        return this.sandPile.getSignalGridCopy();
+    }
+
+    /**
+     * Set the randomness factor of the sandpile's avalanche jitter
+     * @param {number} factor - Randomness factor (0.0 to 1.0)
+     */
+    setRandomnessFactor(factor) {
+        this.sandPile.setRandomnessFactor(factor);
+        this.emitInput({ type: 'setRandomnessFactor', factor });
+    }
+
     /**
      * Get the sandpile object
      * @returns {SandPile} The sandpile instance
@@ -195,6 +646,15 @@ export class Simulation {
         return this.sandPile;
     }
 
+    /**
+     * Get the avalanche distribution collector
+     * Statistics restart whenever the model, topology or boundary changes.
+     * @returns {AvalancheStatistics} Avalanche statistics
+     */
+    getAvalancheStatistics() {
+        return this.avalancheStatistics;
+    }
+
     /**
      * Get simulation statistics
      * @returns {Object} Statistics object
@@ -204,10 +664,14 @@ export class Simulation {
         
         return {
             ...sandPileStats,
+            exponents: this.avalancheStatistics.getExponents(),
             sources: this.sources.length,
+            seed: this.seed,
             globalSpeed: this.globalSpeed,
             paused: this.paused,
             frameCount: this.frameCount,
+            tickCount: this.tickCount,
+            tickRate: this.tickRate,
             simulationTime: this.simulationTime.toFixed(2),
             averageFPS: this.frameCount > 0 ? (this.frameCount / this.simulationTime).toFixed(1) : 0
         };
@@ -217,16 +681,36 @@ export class Simulation {
      * Reset the entire simulation
      */
     reset() {
+        // Restart the random sequence so a reset run replays from the seed
+        this.random.setSeed(this.seed);
         this.sandPile.reset();
+        this.avalancheStatistics.reset();
         this.sources.length = 0;
         this.frameCount = 0;
+        this.tickCount = 0;
         this.simulationTime = 0;
+        this.sandPile.setTime(0);
         this.lastUpdateTime = performance.now();
+        this.accumulator = 0;
+        this.syncPreviousGrid();
         
         // Add initial sources back
         for (let i = 0; i < 3; i++) {
             this.addRandomSource();
         }
+
+        this.emitInput({ type: 'reset' });
+    }
+
+    /**
+     * Restart wall-clock accounting from now, dropping any partial tick
+     * Used after jumping to another tick so the next update() does not run
+     * the time spent jumping.
+     */
+    resetClock() {
+        this.lastUpdateTime = performance.now();
+        this.accumulator = 0;
+        this.interpolationAlpha = 1;
     }
 
     /**
@@ -234,51 +718,227 @@ export class Simulation {
      * @returns {number} Number of iterations taken
      */
     stabilize() {
-        return this.sandPile.stabilize();
+        const iterations = this.sandPile.stabilize();
+        this.syncPreviousGrid();
+        this.emitInput({ type: 'stabilize' });
+        return iterations;
     }
 
     /**
-     * Export simulation state to JSON
-     * @returns {Object} Serializable state
+     * Topple a single unstable cell, outside the tick loop
+     * @returns {number} Flat index of the toppled cell, or -1 if the pile is stable
+     */
+    toppleNext() {
+        const index = this.sandPile.toppleNext();
+        this.syncPreviousGrid();
+        this.emitInput({ type: 'toppleNext' });
+        return index;
+    }
+
+    /**
+     * Process a single relaxation wave (or the rest of a partly toppled
+     * one), outside the tick loop
+     * @returns {boolean} True if any cell toppled
+     */
+    processWave() {
+        const toppled = this.sandPile.processAvalanches();
+        this.syncPreviousGrid();
+        this.emitInput({ type: 'processWave' });
+        return toppled;
+    }
+
+    /**
+     * Drop grains on a cell by hand, without relaxing the pile
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @param {number} amount - Grains to drop (default 1)
+     */
+    dropSand(x, y, amount = 1) {
+        this.sandPile.addSand(x, y, amount);
+        this.syncPreviousGrid();
+        this.emitInput({ type: 'dropSand', x, y, amount });
+    }
+
+    /**
+     * Paint the terrain with a disc-shaped brush
+     * @param {number} x - Grid X coordinate of the centre
+     * @param {number} y - Grid Y coordinate of the centre
+     * @param {number} radius - Brush radius in cells
+     * @param {Object} brush - Brush {type?, threshold?} (see Terrain.paint)
+     * @returns {number} Number of cells changed
+     */
+    paintTerrain(x, y, radius, brush) {
+        const changed = this.sandPile.paintTerrain(x, y, radius, brush);
+        if (changed > 0) {
+            this.syncPreviousGrid();
+            this.emitInput({ type: 'paintTerrain', x, y, radius, brush: { ...brush } });
+        }
+        return changed;
+    }
+
+    /**
+     * Make the whole terrain normal again
+     */
+    clearTerrain() {
+        this.sandPile.clearTerrain();
+        this.syncPreviousGrid();
+        this.emitInput({ type: 'clearTerrain' });
+    }
+
+    /**
+     * Get the terrain layer of the sandpile
+     * @returns {Terrain} Terrain
+     */
+    getTerrain() {
+        return this.sandPile.getTerrain();
+    }
+
+    /**
+     * Record the order in which cells topple (see SandPile.getToppleOrder)
+     * @param {boolean} enabled - Whether to record
+     */
+    setToppleOrderRecording(enabled) {
+        this.recordToppleOrder = enabled;
+        this.sandPile.setToppleOrderRecording(enabled);
+    }
+
+    /**
+     * Check whether the toppling order is being recorded
+     * @returns {boolean} True in debugger mode
+     */
+    isRecordingToppleOrder() {
+        return this.recordToppleOrder;
+    }
+
+    /**
+     * Track which source each cell's sand came from
+     * Tracking only observes the pile, so it is not a timeline input.
+     * @param {boolean} enabled - Whether to track
+     */
+    setProvenanceTracking(enabled) {
+        this.trackProvenance = enabled;
+        this.sandPile.setProvenanceTracking(enabled);
+    }
+
+    /**
+     * Check whether grain provenance is tracked
+     * @returns {boolean} True while tracking
+     */
+    isTrackingProvenance() {
+        return this.trackProvenance;
+    }
+
+    /**
+     * Get the cells that are unstable now, in toppling order
+     * @returns {Int32Array} Flat grid indices
+     */
+    getUnstableCells() {
+        return this.sandPile.getUnstableCells();
+    }
+
+    /**
+     * Get the cells toppled so far in the current or last avalanche
+     * @returns {Array<number>} Flat grid indices in toppling order
+     */
+    getToppleOrder() {
+        return this.sandPile.getToppleOrder();
+    }
+
+    /**
+     * Export the complete simulation state as a versioned snapshot
+     * Importing it into any Simulation continues the run exactly; see
+     * SimulationState.js for the format.
+     * @returns {Object} Serializable snapshot
      */
     exportState() {
         return {
-            gridSize: this.gridSize,
-            grid: this.sandPile.getGridCopy(),
+            format: STATE_FORMAT,
+            version: STATE_VERSION,
+            config: {
+                gridSize: this.gridSize,
+                topology: this.sandPile.getTopology().name,
+                boundary: this.sandPile.getBoundary().toJSON(),
+                model: this.sandPile.getModel().toJSON(),
+                criticalMass: this.sandPile.getCriticalMass(),
+                seed: this.seed,
+                tickRate: this.tickRate,
+                wavesPerTick: this.wavesPerTick,
+                maxTicksPerFrame: this.maxTicksPerFrame
+            },
+            settings: {
+                globalSpeed: this.globalSpeed
+            },
+            clock: {
+                tickCount: this.tickCount,
+                simulationTime: this.simulationTime,
+                accumulator: this.accumulator,
+                frameCount: this.frameCount
+            },
+            random: this.random.getState(),
+            pile: this.sandPile.getState(),
             sources: this.sources.map(source => source.toJSON()),
-            globalSpeed: this.globalSpeed,
-            statistics: this.getStatistics()
+            stations: this.stations.map(station => station.toJSON()),
+            avalancheStatistics: this.avalancheStatistics.getState()
         };
     }
 
     /**
-     * Import simulation state from JSON
-     * @param {Object} state - Serialized state
+     * Replace the simulation state with a snapshot
+     * Older snapshot versions are migrated first. The pile is rebuilt with
+     * the snapshot's grid size, lattice and model, so the snapshot need not
+     * match the current configuration. Listeners are kept.
+     * @param {Object} data - Snapshot from exportState() (any supported version)
+     * @throws {Error} If the snapshot is invalid
      */
-    importState(state) {
-        this.reset();
-        
-        // Restore grid
-        if (state.grid) {
-            for (let x = 0; x < this.gridSize; x++) {
-                for (let y = 0; y < this.gridSize; y++) {
-                    if (state.grid[x] && state.grid[x][y] !== undefined) {
-                        this.sandPile.addSand(x, y, state.grid[x][y]);
-                    }
-                }
-            }
-        }
-        
-        // Restore sources
-        if (state.sources) {
-            this.sources = state.sources.map(sourceData => 
-                SandSource.fromJSON(sourceData, this.gridSize)
-            );
+    importState(data) {
+        const state = migrateState(data);
+        const { config, clock } = state;
+
+        // Seed first: building the pile may draw from the generator (OFC)
+        this.seed = config.seed;
+        this.random.setSeed(config.seed);
+
+        this.gridSize = config.gridSize;
+        this.sandPile = new SandPile(config.gridSize, config.criticalMass, {
+            topology: config.topology,
+            boundary: config.boundary,
+            model: config.model.name,
+            modelParams: config.model.params,
+            random: this.random
+        });
+        this.sandPile.onAvalanche = (event) => this.emitAvalanche(event);
+        this.sandPile.setToppleOrderRecording(this.recordToppleOrder);
+        this.sandPile.setProvenanceTracking(this.trackProvenance);
+        this.sandPile.setState(state.pile);
+
+        if (state.random) {
+            this.random.setState(state.random);
         }
-        
-        // Restore settings
-        if (state.globalSpeed !== undefined) {
-            this.globalSpeed = state.globalSpeed;
+
+        this.setTickRate(config.tickRate);
+        this.wavesPerTick = config.wavesPerTick;
+        this.maxTicksPerFrame = config.maxTicksPerFrame;
+        this.globalSpeed = state.settings.globalSpeed;
+
+        this.tickCount = clock.tickCount;
+        this.simulationTime = clock.simulationTime;
+        this.accumulator = clock.accumulator;
+        this.frameCount = clock.frameCount;
+        this.lastUpdateTime = performance.now();
+
+        this.sources = state.sources.map(sourceData => SandSource.fromJSON(sourceData, this.gridSize));
+        this.stations = state.stations
+            ? state.stations.map(station => SeismicStation.fromJSON(station))
+            : [SeismicStation.createDefault(this.gridSize)];
+
+        this.avalancheStatistics.reset();
+        if (state.avalancheStatistics) {
+            this.avalancheStatistics.setState(state.avalancheStatistics);
         }
+
+        this.previousGrid = new Float64Array(this.gridSize * this.gridSize);
+        this.syncPreviousGrid();
+
+        this.emitInput({ type: 'importState' });
     }
-}
\ No newline at end of file
+}
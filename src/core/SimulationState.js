@@ -0,0 +1,384 @@
+/**
+ * Versioned snapshot format for saving and restoring simulations
+ * A snapshot holds everything needed to continue a run exactly where it
+ * stopped; docs/state-format.md describes every field. Documents written by
+ * older versions are upgraded by migrateState() before they are validated.
+ */
+
+import { TOPOLOGIES } from './Topology.js';
+import { BoundaryConditions } from './BoundaryConditions.js';
+import { MODELS } from './models/ModelRegistry.js';
+import { AVALANCHE_QUANTITIES } from './AvalancheStatistics.js';
+import { ACTIVITY_FIELDS } from './CellActivity.js';
+import { TERRAIN_TYPES } from './Terrain.js';
+import { PROVENANCE_SLOTS } from './GrainProvenance.js';
+import { STATION_KERNELS } from './SeismicStation.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * Value of the format field of every snapshot
+ */
+export const STATE_FORMAT = 'sandquake-state';
+
+/**
+ * Snapshot version written by Simulation.exportState()
+ */
+export const STATE_VERSION = 2;
+
+/**
+ * File name extension for saved snapshots
+ */
+export const STATE_FILE_EXTENSION = '.sandquake.json';
+
+/**
+ * Upgrade functions keyed by the version they upgrade from; each returns a
+ * document of the next version
+ */
+const MIGRATIONS = {
+    0: migrateUnversioned,
+    1: migrateVersion1
+};
+
+/**
+ * Convert a number-like value, falling back for missing values
+ * Unversioned exports stored some statistics as display strings.
+ * @param {*} value - Value to convert
+ * @param {number} fallback - Value used when missing
+ * @returns {number} Number
+ */
+function toNumber(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return Number(value);
+}
+
+/**
+ * Upgrade the unversioned object written by exportState() before snapshots
+ * were versioned: a 2D grid, sources, speed and display statistics. The
+ * random state, unstable queue and avalanche history were not saved, so they
+ * are rebuilt from the seed and the grid on load.
+ * @param {Object} legacy - Unversioned state
+ * @returns {Object} Version 1 snapshot
+ */
+function migrateUnversioned(legacy) {
+    const gridSize = legacy.gridSize;
+    const statistics = legacy.statistics || {};
+    const lostSand = statistics.lostSand || {};
+
+    const grid = new Array(gridSize * gridSize).fill(0);
+    if (Array.isArray(legacy.grid)) {
+        for (let x = 0; x < gridSize; x++) {
+            for (let y = 0; y < gridSize; y++) {
+                if (legacy.grid[x] && legacy.grid[x][y] !== undefined) {
+                    grid[x * gridSize + y] = legacy.grid[x][y];
+                }
+            }
+        }
+    }
+
+    const simulationTime = toNumber(statistics.simulationTime, 0);
+
+    return {
+        format: STATE_FORMAT,
+        version: 1,
+        config: {
+            gridSize,
+            topology: legacy.topology || 'square-4',
+            boundary: legacy.boundary || 'open',
+            model: legacy.model || { name: 'btw', params: {} },
+            criticalMass: null,
+            // Exports from before seeded runs have no seed to replay from
+            seed: legacy.seed !== undefined ? legacy.seed : Random.generateSeed(),
+            tickRate: toNumber(legacy.tickRate, 60),
+            wavesPerTick: 5,
+            maxTicksPerFrame: 10
+        },
+        settings: {
+            globalSpeed: toNumber(legacy.globalSpeed, 1)
+        },
+        clock: {
+            tickCount: toNumber(statistics.tickCount, 0),
+            simulationTime,
+            accumulator: 0,
+            frameCount: toNumber(statistics.frameCount, 0)
+        },
+        random: null,
+        pile: {
+            grid,
+            unstable: null,
+            randomnessFactor: 0,
+            time: simulationTime,
+            totalSand: toNumber(statistics.totalSand, grid.reduce((sum, value) => sum + value, 0)),
+            totalAvalanches: toNumber(statistics.totalAvalanches, 0),
+            totalWaves: toNumber(statistics.totalWaves, 0),
+            totalTopples: toNumber(statistics.totalTopples, 0),
+            waveSize: 0,
+            edgeLosses: [
+                toNumber(lostSand.left, 0), toNumber(lostSand.right, 0),
+                toNumber(lostSand.top, 0), toNumber(lostSand.bottom, 0)
+            ],
+            lastAvalanche: null,
+            tracker: null,
+            model: null
+        },
+        sources: Array.isArray(legacy.sources) ? legacy.sources : [],
+        avalancheStatistics: null
+    };
+}
+
+/**
+ * Upgrade a version 1 snapshot: version 2 always carries the sink losses,
+ * activity counters, terrain, provenance and stations that version 1 files
+ * may leave out. Missing ones start at zero, uniform terrain, untracked
+ * provenance and the default station, as they did when loading version 1.
+ * @param {Object} state - Version 1 snapshot
+ * @returns {Object} Version 2 snapshot
+ */
+function migrateVersion1(state) {
+    const pile = state.pile || {};
+
+    return {
+        ...state,
+        version: 2,
+        pile: {
+            ...pile,
+            sinkLosses: pile.sinkLosses ?? 0,
+            activity: pile.activity ?? null,
+            terrain: pile.terrain ?? null,
+            provenance: pile.provenance ?? null
+        },
+        stations: state.stations ?? null
+    };
+}
+
+/**
+ * Get the version of a snapshot document
+ * @param {Object} data - Parsed document
+ * @returns {number} Version (0 for unversioned exports)
+ */
+export function getStateVersion(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Not a sandquake snapshot: expected an object');
+    }
+
+    if (data.format === STATE_FORMAT) {
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error(`Invalid sandquake snapshot: version must be a positive integer, got ${JSON.stringify(data.version)}`);
+        }
+        return data.version;
+    }
+
+    if (data.format === undefined && Number.isInteger(data.gridSize) && Array.isArray(data.grid)) {
+        return 0;
+    }
+
+    throw new Error(`Not a sandquake snapshot: format is ${JSON.stringify(data.format)}, expected '${STATE_FORMAT}'`);
+}
+
+/**
+ * Upgrade a snapshot to the current version and validate it
+ * @param {Object} data - Parsed snapshot of any supported version
+ * @returns {Object} Valid snapshot of STATE_VERSION
+ */
+export function migrateState(data) {
+    let version = getStateVersion(data);
+    if (version > STATE_VERSION) {
+        throw new Error(`Snapshot version ${version} was written by a newer sandquake (this one reads up to ${STATE_VERSION})`);
+    }
+
+    let state = data;
+    while (version < STATE_VERSION) {
+        state = MIGRATIONS[version](state);
+        version = state.version;
+    }
+
+    validateState(state);
+    return state;
+}
+
+/**
+ * Check a current-version snapshot, reporting every problem at once
+ * @param {Object} state - Snapshot of STATE_VERSION
+ * @throws {Error} Listing each invalid field
+ */
+export function validateState(state) {
+    const problems = [];
+    const expect = (condition, path, expected) => {
+        if (!condition) problems.push(`${path} must be ${expected}`);
+        return condition;
+    };
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    const isIndexList = (value, length) => Array.isArray(value) &&
+        value.every(index => Number.isInteger(index) && index >= 0 && index < length);
+
+    expect(state.format === STATE_FORMAT, 'format', `'${STATE_FORMAT}'`);
+    expect(state.version === STATE_VERSION, 'version', String(STATE_VERSION));
+
+    // Configuration fixed when the simulation is built
+    const config = state.config;
+    let cellCount = 0;
+    let gridSize = 0;
+    if (expect(isObject(config), 'config', 'an object')) {
+        if (expect(Number.isInteger(config.gridSize) && config.gridSize > 0, 'config.gridSize', 'a positive integer')) {
+            gridSize = config.gridSize;
+            cellCount = gridSize * gridSize;
+        }
+        expect(Object.hasOwn(TOPOLOGIES, config.topology), 'config.topology', `one of ${Object.keys(TOPOLOGIES).join(', ')}`);
+        expect(isObject(config.model) && Object.hasOwn(MODELS, config.model.name) && isObject(config.model.params),
+            'config.model', `{name, params} with name one of ${Object.keys(MODELS).join(', ')}`);
+        try {
+            new BoundaryConditions(config.boundary);
+        } catch (error) {
+            problems.push(`config.boundary is invalid: ${error.message}`);
+        }
+        expect(config.criticalMass === null || (Number.isFinite(config.criticalMass) && config.criticalMass > 0),
+            'config.criticalMass', 'null or a positive number');
+        expect(typeof config.seed === 'number' || typeof config.seed === 'string', 'config.seed', 'a number or string');
+        expect(Number.isFinite(config.tickRate) && config.tickRate >= 1, 'config.tickRate', 'a number of at least 1');
+        expect(Number.isInteger(config.wavesPerTick) && config.wavesPerTick > 0, 'config.wavesPerTick', 'a positive integer');
+        expect(Number.isInteger(config.maxTicksPerFrame) && config.maxTicksPerFrame > 0, 'config.maxTicksPerFrame', 'a positive integer');
+    }
+
+    if (expect(isObject(state.settings), 'settings', 'an object')) {
+        expect(Number.isFinite(state.settings.globalSpeed), 'settings.globalSpeed', 'a number');
+    }
+
+    const clock = state.clock;
+    if (expect(isObject(clock), 'clock', 'an object')) {
+        expect(isCount(clock.tickCount), 'clock.tickCount', 'a non-negative integer');
+        expect(Number.isFinite(clock.simulationTime) && clock.simulationTime >= 0, 'clock.simulationTime', 'a non-negative number');
+        expect(Number.isFinite(clock.accumulator) && clock.accumulator >= 0, 'clock.accumulator', 'a non-negative number');
+        expect(isCount(clock.frameCount), 'clock.frameCount', 'a non-negative integer');
+    }
+
+    expect(state.random === null || (Array.isArray(state.random) && state.random.length === 4 &&
+        state.random.every(word => Number.isInteger(word) && word >= 0 && word <= 0xffffffff)),
+        'random', 'null or four unsigned 32-bit integers');
+
+    // Pile contents
+    const pile = state.pile;
+    if (expect(isObject(pile), 'pile', 'an object')) {
+        expect(Array.isArray(pile.grid) && pile.grid.length === cellCount && pile.grid.every(Number.isFinite),
+            'pile.grid', `an array of ${cellCount} numbers (gridSize squared)`);
+        expect(pile.unstable === null || isIndexList(pile.unstable, cellCount), 'pile.unstable', 'null or a list of cell indices');
+        expect(Number.isFinite(pile.randomnessFactor) && pile.randomnessFactor >= 0 && pile.randomnessFactor <= 1,
+            'pile.randomnessFactor', 'a number from 0 to 1');
+        for (const field of ['time', 'totalSand', 'totalAvalanches', 'totalWaves', 'totalTopples', 'waveSize']) {
+            expect(Number.isFinite(pile[field]), `pile.${field}`, 'a number');
+        }
+        expect(Array.isArray(pile.edgeLosses) && pile.edgeLosses.length === 4 && pile.edgeLosses.every(Number.isFinite),
+            'pile.edgeLosses', 'four numbers (left, right, top, bottom)');
+        expect(pile.lastAvalanche === null || isObject(pile.lastAvalanche), 'pile.lastAvalanche', 'null or an avalanche event');
+        if (pile.tracker !== null && expect(isObject(pile.tracker), 'pile.tracker', 'null or an object')) {
+            expect(isIndexList(pile.tracker.cells, cellCount), 'pile.tracker.cells', 'a list of cell indices');
+            expect(Number.isInteger(pile.tracker.nextId) && pile.tracker.nextId > 0, 'pile.tracker.nextId', 'a positive integer');
+        }
+        // Null in snapshots migrated from before the activity counters
+        if (pile.activity !== null && expect(isObject(pile.activity), 'pile.activity', 'null or an object')) {
+            for (const field of Object.keys(ACTIVITY_FIELDS)) {
+                const values = pile.activity[field];
+                expect(Array.isArray(values) && values.length === cellCount && values.every(Number.isFinite),
+                    `pile.activity.${field}`, `an array of ${cellCount} numbers`);
+            }
+        }
+        expect(Number.isFinite(pile.sinkLosses), 'pile.sinkLosses', 'a number');
+        // Null in snapshots migrated from before the terrain layer
+        if (pile.terrain !== null && expect(isObject(pile.terrain), 'pile.terrain', 'null or an object')) {
+            const typeCodes = Object.values(TERRAIN_TYPES).map(type => type.code);
+            const { types, thresholds } = pile.terrain;
+            expect(Array.isArray(types) && types.length === cellCount && types.every(code => typeCodes.includes(code)),
+                'pile.terrain.types', `an array of ${cellCount} terrain type codes (${typeCodes.join(', ')})`);
+            expect(Array.isArray(thresholds) && thresholds.length === cellCount &&
+                thresholds.every(value => Number.isFinite(value) && value >= 0),
+                'pile.terrain.thresholds', `an array of ${cellCount} non-negative numbers`);
+        }
+        // Null while provenance is not tracked
+        if (pile.provenance !== null && expect(isObject(pile.provenance), 'pile.provenance', 'null or an object')) {
+            const { sources, counts } = pile.provenance;
+            expect(Array.isArray(sources) && sources.length >= 1 && sources.length <= PROVENANCE_SLOTS &&
+                sources[0] === null && sources.slice(1).every(id => typeof id === 'string'),
+                'pile.provenance.sources', `null followed by up to ${PROVENANCE_SLOTS - 1} source ids`);
+            expect(Array.isArray(counts) && counts.length === cellCount * PROVENANCE_SLOTS && counts.every(Number.isFinite),
+                'pile.provenance.counts', `an array of ${cellCount * PROVENANCE_SLOTS} numbers (${PROVENANCE_SLOTS} per cell)`);
+        }
+        if (pile.model !== null && expect(isObject(pile.model), 'pile.model', 'null or an object')) {
+            if (pile.model.released !== undefined) {
+                expect(Array.isArray(pile.model.released) && pile.model.released.length === cellCount,
+                    'pile.model.released', `an array of ${cellCount} numbers`);
+            }
+            if (pile.model.slopes !== undefined) {
+                expect(Array.isArray(pile.model.slopes) && pile.model.slopes.length === cellCount &&
+                    pile.model.slopes.every(slope => Number.isInteger(slope) && slope >= 1),
+                    'pile.model.slopes', `an array of ${cellCount} positive integers`);
+            }
+        }
+    }
+
+    if (expect(Array.isArray(state.sources), 'sources', 'an array')) {
+        state.sources.forEach((source, i) => {
+            const path = `sources[${i}]`;
+            if (!expect(isObject(source), path, 'an object')) return;
+
+            expect(Number.isInteger(source.gridX) && source.gridX >= 0 && source.gridX < gridSize, `${path}.gridX`, `an integer from 0 to ${gridSize - 1}`);
+            expect(Number.isInteger(source.gridY) && source.gridY >= 0 && source.gridY < gridSize, `${path}.gridY`, `an integer from 0 to ${gridSize - 1}`);
+            expect(Number.isFinite(source.sandRate) && source.sandRate >= 0, `${path}.sandRate`, 'a non-negative number');
+            expect(typeof source.active === 'boolean', `${path}.active`, 'a boolean');
+            expect(source.id === undefined || typeof source.id === 'string', `${path}.id`, 'a string');
+            expect(source.accumulator === undefined || Number.isFinite(source.accumulator), `${path}.accumulator`, 'a number');
+        });
+    }
+
+    // Null in snapshots migrated from before station networks: the default station
+    if (state.stations !== null && expect(Array.isArray(state.stations), 'stations', 'null or an array')) {
+        const names = new Set();
+        state.stations.forEach((station, i) => {
+            const path = `stations[${i}]`;
+            if (!expect(isObject(station), path, 'an object')) return;
+
+            expect(typeof station.name === 'string' && station.name.trim() !== '' && !names.has(station.name),
+                `${path}.name`, 'a unique, non-empty string');
+            names.add(station.name);
+            expect(Number.isInteger(station.gridX) && station.gridX >= 0 && station.gridX < gridSize, `${path}.gridX`, `an integer from 0 to ${gridSize - 1}`);
+            expect(Number.isInteger(station.gridY) && station.gridY >= 0 && station.gridY < gridSize, `${path}.gridY`, `an integer from 0 to ${gridSize - 1}`);
+            expect(Object.hasOwn(STATION_KERNELS, station.kernel), `${path}.kernel`, `one of ${Object.keys(STATION_KERNELS).join(', ')}`);
+            expect(Number.isFinite(station.range) && station.range > 0, `${path}.range`, 'a positive number');
+        });
+        expect(state.stations.length > 0, 'stations', 'at least one station');
+    }
+
+    const statistics = state.avalancheStatistics;
+    if (statistics !== null && expect(isObject(statistics), 'avalancheStatistics', 'null or an object')) {
+        expect(isCount(statistics.totalEvents), 'avalancheStatistics.totalEvents', 'a non-negative integer');
+        const lengths = AVALANCHE_QUANTITIES.map(quantity => statistics.samples && statistics.samples[quantity]);
+        expect(Array.isArray(lengths[0]) && lengths.every(samples => Array.isArray(samples) && samples.length === lengths[0].length),
+            'avalancheStatistics.samples', `arrays of equal length for ${AVALANCHE_QUANTITIES.join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid sandquake snapshot:\n  - ${problems.join('\n  - ')}`);
+    }
+}
+
+/**
+ * Parse a snapshot file and upgrade it to the current version
+ * @param {string} text - File contents
+ * @returns {Object} Valid snapshot of STATE_VERSION
+ */
+export function parseState(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a sandquake snapshot: ${error.message}`);
+    }
+    return migrateState(data);
+}
+
+/**
+ * Serialize a snapshot for saving
+ * @param {Object} state - Snapshot from Simulation.exportState()
+ * @returns {string} File contents
+ */
+export function serializeState(state) {
+    return JSON.stringify(state) + '\n';
+}
@@ -0,0 +1,90 @@
+/**
+ * Source layouts: build sets of sand sources from a compact text specification
+ *
+ * Specifications:
+ * - 'random:N[:rate]'  N sources at random positions, at the given rate or
+ *                      at random rates from 0.5 to 2.0
+ * - 'center[:rate]'    One source in the middle of the grid
+ * - 'grid:N[:rate]'    N x N sources evenly spaced over the grid
+ * - 'x,y[,rate];...'   Explicit positions separated by semicolons
+ */
+
+import { SandSource } from './SandSource.js';
+
+const DEFAULT_RATE = 1.0;
+
+/**
+ * Parse a number from a layout specification
+ * @param {string} text - Text to parse
+ * @param {string} spec - Whole specification, for the error message
+ * @returns {number} Parsed number
+ */
+function parseNumber(text, spec) {
+    const value = Number(text);
+    if (text === undefined || text === '' || !Number.isFinite(value)) {
+        throw new Error(`Invalid source layout '${spec}': '${text}' is not a number`);
+    }
+    return value;
+}
+
+/**
+ * Create the sources described by a layout specification
+ * @param {string} spec - Layout specification (see module documentation)
+ * @param {number} gridSize - Grid size
+ * @param {Random} random - Seeded generator for random layouts
+ * @param {number} worldSize - World size for 3D positioning
+ * @returns {Array<SandSource>} Sources
+ */
+export function createSourceLayout(spec, gridSize, random = null, worldSize = 5) {
+    const [kind, ...args] = spec.trim().split(':');
+
+    if (kind === 'random') {
+        const count = args.length > 0 ? parseNumber(args[0], spec) : 3;
+        const minRate = args.length > 1 ? parseNumber(args[1], spec) : 0.5;
+        const maxRate = args.length > 1 ? minRate : 2.0;
+        const sources = [];
+        for (let i = 0; i < count; i++) {
+            sources.push(SandSource.createRandom(gridSize, minRate, maxRate, worldSize, random));
+        }
+        return sources;
+    }
+
+    if (kind === 'center') {
+        const rate = args.length > 0 ? parseNumber(args[0], spec) : DEFAULT_RATE;
+        const center = Math.floor(gridSize / 2);
+        return [new SandSource(center, center, rate, gridSize, worldSize, 'center')];
+    }
+
+    if (kind === 'grid') {
+        const count = args.length > 0 ? parseNumber(args[0], spec) : 2;
+        const rate = args.length > 1 ? parseNumber(args[1], spec) : DEFAULT_RATE;
+        const sources = [];
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < count; j++) {
+                // Centres of a count x count tiling of the grid
+                const x = Math.floor((i + 0.5) * gridSize / count);
+                const y = Math.floor((j + 0.5) * gridSize / count);
+                sources.push(new SandSource(x, y, rate, gridSize, worldSize, `grid-${i}-${j}`));
+            }
+        }
+        return sources;
+    }
+
+    // Explicit list of positions
+    return spec.split(';').filter(entry => entry.trim() !== '').map((entry, i) => {
+        const parts = entry.split(',').map(part => part.trim());
+        if (parts.length < 2 || parts.length > 3) {
+            throw new Error(`Invalid source layout '${spec}': expected 'x,y[,rate]' entries`);
+        }
+
+        const x = parseNumber(parts[0], spec);
+        const y = parseNumber(parts[1], spec);
+        const rate = parts.length > 2 ? parseNumber(parts[2], spec) : DEFAULT_RATE;
+
+        if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || x >= gridSize || y < 0 || y >= gridSize) {
+            throw new Error(`Invalid source layout '${spec}': (${x}, ${y}) is not a cell of the ${gridSize}x${gridSize} grid`);
+        }
+
+        return new SandSource(x, y, rate, gridSize, worldSize, `source-${i + 1}`);
+    });
+}
@@ -0,0 +1,80 @@
+/**
+ * Station layouts: build seismometer networks from a compact text specification
+ *
+ * Specifications:
+ * - 'default'                          The single bottom-left station
+ * - 'name,x,y[,kernel[,range]];...'    Named stations separated by semicolons
+ *
+ * The kernel defaults to hyperbolic and the range to that of the default
+ * station, a third of the grid diagonal. Names may not contain commas or
+ * semicolons, or be one of RESERVED_STATION_NAMES.
+ */
+
+import { SeismicStation, STATION_KERNELS } from './SeismicStation.js';
+
+/**
+ * Names taken by the time columns of headless seismograph output
+ */
+export const RESERVED_STATION_NAMES = ['tick', 'time'];
+
+/**
+ * Parse a number from a layout specification
+ * @param {string} text - Text to parse
+ * @param {string} spec - Whole specification, for the error message
+ * @returns {number} Parsed number
+ */
+function parseNumber(text, spec) {
+    const value = Number(text);
+    if (text === undefined || text === '' || !Number.isFinite(value)) {
+        throw new Error(`Invalid station layout '${spec}': '${text}' is not a number`);
+    }
+    return value;
+}
+
+/**
+ * Create the stations described by a layout specification
+ * @param {string} spec - Layout specification (see module documentation)
+ * @param {number} gridSize - Grid size
+ * @returns {Array<SeismicStation>} Stations in network order
+ */
+export function createStationLayout(spec, gridSize) {
+    if (spec.trim() === 'default') {
+        return [SeismicStation.createDefault(gridSize)];
+    }
+
+    const defaultRange = SeismicStation.createDefault(gridSize).range;
+    const stations = spec.split(';').filter(entry => entry.trim() !== '').map(entry => {
+        const parts = entry.split(',').map(part => part.trim());
+        if (parts.length < 3 || parts.length > 5) {
+            throw new Error(`Invalid station layout '${spec}': expected 'name,x,y[,kernel[,range]]' entries`);
+        }
+
+        const [name] = parts;
+        if (RESERVED_STATION_NAMES.includes(name)) {
+            throw new Error(`Invalid station layout '${spec}': '${name}' is reserved (stations cannot be named ${RESERVED_STATION_NAMES.join(' or ')})`);
+        }
+        const x = parseNumber(parts[1], spec);
+        const y = parseNumber(parts[2], spec);
+        const kernel = parts.length > 3 ? parts[3] : 'hyperbolic';
+        const range = parts.length > 4 ? parseNumber(parts[4], spec) : defaultRange;
+
+        if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || x >= gridSize || y < 0 || y >= gridSize) {
+            throw new Error(`Invalid station layout '${spec}': (${x}, ${y}) is not a cell of the ${gridSize}x${gridSize} grid`);
+        }
+        if (!Object.hasOwn(STATION_KERNELS, kernel)) {
+            throw new Error(`Invalid station layout '${spec}': unknown kernel '${kernel}' (expected one of ${Object.keys(STATION_KERNELS).join(', ')})`);
+        }
+
+        return new SeismicStation(name, x, y, kernel, range);
+    });
+
+    if (stations.length === 0) {
+        throw new Error(`Invalid station layout '${spec}': expected at least one station`);
+    }
+    const names = new Set(stations.map(station => station.name));
+    if (names.size !== stations.length) {
+        throw new Error(`Invalid station layout '${spec}': station names must be unique`);
+    }
+
+    return stations;
+}
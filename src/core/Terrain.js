@@ -0,0 +1,132 @@
+/**
+ * Terrain layer for the sandpile
+ * Real faults are not uniform: some patches slip easily, some are locked
+ * and some do not carry load at all. The terrain gives every cell a type and
+ * an optional threshold of its own, painted with a disc-shaped brush.
+ */
+
+/**
+ * Cell types, in display order
+ */
+export const TERRAIN_TYPES = {
+    normal: { code: 0, label: 'Normal' },
+    wall: { code: 1, label: 'Wall (never receives sand)' },
+    sink: { code: 2, label: 'Sink (absorbs grains)' },
+    pinned: { code: 3, label: 'Pinned (never topples)' }
+};
+
+/**
+ * Per-cell types and threshold overrides
+ */
+export class Terrain {
+    /**
+     * Create a uniform terrain (every cell normal, no overrides)
+     * @param {number} size - Grid size (size x size)
+     */
+    constructor(size) {
+        this.size = size;
+
+        // Flat arrays indexed x * size + y, like the grid. A threshold of 0
+        // means the pile's critical mass.
+        this.types = new Uint8Array(size * size);
+        this.thresholds = new Float64Array(size * size);
+    }
+
+    /**
+     * Look up the code of a cell type
+     * @param {string} type - Type name (see TERRAIN_TYPES)
+     * @returns {number} Type code
+     * @throws {Error} If the type is unknown
+     */
+    static getTypeCode(type) {
+        if (!Object.hasOwn(TERRAIN_TYPES, type)) {
+            throw new Error(`Unknown terrain type '${type}'. Available: ${Object.keys(TERRAIN_TYPES).join(', ')}`);
+        }
+        return TERRAIN_TYPES[type].code;
+    }
+
+    /**
+     * Check whether a cell can hold sand (walls and sinks cannot)
+     * @param {number} index - Flat grid index
+     * @returns {boolean} True for normal and pinned cells
+     */
+    holdsSand(index) {
+        const type = this.types[index];
+        return type !== TERRAIN_TYPES.wall.code && type !== TERRAIN_TYPES.sink.code;
+    }
+
+    /**
+     * Paint a disc of cells
+     * A brush with a type sets the type of the cells; a brush with a
+     * threshold sets their threshold override (0 restores the critical
+     * mass). The eraser brush {type: 'normal', threshold: 0} does both.
+     * @param {number} x - Grid X coordinate of the centre
+     * @param {number} y - Grid Y coordinate of the centre
+     * @param {number} radius - Brush radius in cells (0 paints one cell)
+     * @param {Object} brush - Brush {type?, threshold?}
+     * @returns {number} Number of cells changed
+     * @throws {Error} If the brush type is unknown or the threshold is negative
+     */
+    paint(x, y, radius, brush) {
+        const type = brush.type === undefined ? null : Terrain.getTypeCode(brush.type);
+        const threshold = brush.threshold === undefined ? null : brush.threshold;
+        if (threshold !== null && !(Number.isFinite(threshold) && threshold >= 0)) {
+            throw new Error(`Terrain threshold must be a non-negative number, got ${threshold}`);
+        }
+
+        const size = this.size;
+        const reach = Math.floor(radius);
+        let changed = 0;
+
+        for (let dx = -reach; dx <= reach; dx++) {
+            for (let dy = -reach; dy <= reach; dy++) {
+                const cx = x + dx;
+                const cy = y + dy;
+                if (cx < 0 || cx >= size || cy < 0 || cy >= size) continue;
+                if (dx * dx + dy * dy > radius * radius) continue;
+
+                const index = cx * size + cy;
+                let cellChanged = false;
+                if (type !== null && this.types[index] !== type) {
+                    this.types[index] = type;
+                    cellChanged = true;
+                }
+                if (threshold !== null && this.thresholds[index] !== threshold) {
+                    this.thresholds[index] = threshold;
+                    cellChanged = true;
+                }
+                if (cellChanged) changed++;
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Capture the terrain
+     * @returns {Object} Serializable state {types, thresholds}
+     */
+    getState() {
+        return {
+            types: Array.from(this.types),
+            thresholds: Array.from(this.thresholds)
+        };
+    }
+
+    /**
+     * Restore terrain captured by getState()
+     * @param {Object} state - Terrain state
+     */
+    setState(state) {
+        this.types.set(state.types);
+        this.thresholds.set(state.thresholds);
+    }
+
+    /**
+     * Make every cell normal with no override
+     */
+    reset() {
+        this.types.fill(0);
+        this.thresholds.fill(0);
+    }
+}
@@ -0,0 +1,370 @@
+/**
+ * Rewindable history of a simulation run
+ * The run is recorded as periodic keyframe snapshots plus an input log
+ * (every change made between ticks) and the grains each source dropped per
+ * tick. Because ticks are deterministic, restoring the nearest keyframe
+ * before a tick and replaying the logged inputs forward rebuilds that tick
+ * exactly.
+ */
+
+import { SandSource } from './SandSource.js';
+import { SeismicStation } from './SeismicStation.js';
+import { encodeSnapshot, decodeSnapshot } from './BinarySnapshot.js';
+
+/**
+ * Records a Simulation and jumps it to any tick in the recorded range
+ */
+export class Timeline {
+    /**
+     * Start recording a simulation
+     * @param {Simulation} simulation - Simulation to record
+     * @param {Object} options - Recording options
+     * @param {number} options.keyframeInterval - Ticks between keyframes (default 300)
+     * @param {number} options.maxKeyframes - Keyframes kept; older history is discarded (default 60)
+     */
+    constructor(simulation, options = {}) {
+        const {
+            keyframeInterval = 300,
+            maxKeyframes = 60
+        } = options;
+
+        this.simulation = simulation;
+        this.keyframeInterval = Math.max(1, keyframeInterval);
+        this.maxKeyframes = Math.max(1, maxKeyframes);
+
+        // Keyframes {tick, snapshot} in tick order; snapshots are binary
+        // (BinarySnapshot.js) to keep a long history small
+        this.keyframes = [];
+
+        // Inputs and drops by tick; inputs at tick t were made after tick t ran
+        this.inputs = new Map();
+        this.drops = new Map();
+
+        // Last tick run live; ticks up to here are replayed from the log
+        this.endTick = 0;
+
+        // Set while the timeline itself changes the simulation, so its own
+        // changes are not recorded as inputs
+        this.replaying = false;
+        this.divergenceReported = false;
+
+        this.handleTick = () => this.onTick();
+        this.handleInput = (input) => this.onInput(input);
+        simulation.addTickListener(this.handleTick);
+        simulation.addInputListener(this.handleInput);
+
+        this.restart();
+    }
+
+    /**
+     * Discard the history and start recording from the current tick
+     */
+    restart() {
+        this.keyframes = [];
+        this.inputs.clear();
+        this.drops.clear();
+        this.endTick = this.simulation.getTickCount();
+        this.divergenceReported = false;
+        this.addKeyframe();
+    }
+
+    /**
+     * Snapshot the simulation at the current tick
+     */
+    addKeyframe() {
+        this.keyframes.push({
+            tick: this.simulation.getTickCount(),
+            snapshot: encodeSnapshot(this.simulation.exportState())
+        });
+
+        if (this.keyframes.length > this.maxKeyframes) {
+            this.keyframes.shift();
+            const startTick = this.getStartTick();
+            for (const log of [this.inputs, this.drops]) {
+                for (const tick of log.keys()) {
+                    if (tick < startTick) log.delete(tick);
+                }
+            }
+        }
+    }
+
+    /**
+     * Record a live tick, or replay the logged inputs of a recorded one
+     */
+    onTick() {
+        const tick = this.simulation.getTickCount();
+
+        if (tick > this.endTick) {
+            const drops = this.simulation.getTickDrops();
+            if (drops.length > 0) {
+                this.drops.set(tick, drops.map(drop => ({ ...drop })));
+            }
+            this.endTick = tick;
+
+            const lastKeyframe = this.keyframes[this.keyframes.length - 1];
+            if (tick - lastKeyframe.tick >= this.keyframeInterval) {
+                this.addKeyframe();
+            }
+        } else {
+            this.checkDrops(tick);
+            this.applyInputs(tick);
+        }
+    }
+
+    /**
+     * Record an input, discarding any recorded future it replaces
+     * @param {Object} input - Input from Simulation.emitInput()
+     */
+    onInput(input) {
+        if (this.replaying) return;
+
+        // The tick count jumped; the recorded history no longer leads here
+        if (input.type === 'reset' || input.type === 'importState') {
+            this.restart();
+            return;
+        }
+
+        const tick = this.simulation.getTickCount();
+        if (tick < this.endTick) {
+            this.truncate(tick);
+        }
+
+        if (!this.inputs.has(tick)) {
+            this.inputs.set(tick, []);
+        }
+        this.inputs.get(tick).push(input);
+    }
+
+    /**
+     * Forget everything recorded after a tick
+     * @param {number} tick - Last tick to keep
+     */
+    truncate(tick) {
+        this.keyframes = this.keyframes.filter(keyframe => keyframe.tick <= tick);
+        for (const log of [this.inputs, this.drops]) {
+            for (const loggedTick of log.keys()) {
+                if (loggedTick > tick) log.delete(loggedTick);
+            }
+        }
+        this.endTick = tick;
+    }
+
+    /**
+     * Apply the inputs logged at a tick
+     * @param {number} tick - Tick whose inputs to apply
+     */
+    applyInputs(tick) {
+        const inputs = this.inputs.get(tick);
+        if (!inputs) return;
+
+        this.replaying = true;
+        try {
+            inputs.forEach(input => this.applyInput(input));
+        } finally {
+            this.replaying = false;
+        }
+    }
+
+    /**
+     * Make a logged change to the simulation again
+     * @param {Object} input - Input from Simulation.emitInput()
+     */
+    applyInput(input) {
+        const simulation = this.simulation;
+
+        switch (input.type) {
+            case 'addRandomSource':
+                simulation.addRandomSource();
+                break;
+            case 'addSource':
+                simulation.addSource(SandSource.fromJSON(input.source, simulation.gridSize));
+                break;
+            case 'removeSource':
+                simulation.removeSource(input.index);
+                break;
+            case 'setGlobalSpeed':
+                simulation.setGlobalSpeed(input.speed);
+                break;
+            case 'setRandomnessFactor':
+                simulation.setRandomnessFactor(input.factor);
+                break;
+            case 'setModel':
+                simulation.setModel(input.model, input.params);
+                break;
+            case 'setTopology':
+                simulation.setTopology(input.topology);
+                break;
+            case 'setBoundary':
+                simulation.setBoundary(input.boundary);
+                break;
+            case 'setTickRate':
+                simulation.setTickRate(input.tickRate);
+                break;
+            case 'stabilize':
+                simulation.stabilize();
+                break;
+            case 'toppleNext':
+                simulation.toppleNext();
+                break;
+            case 'processWave':
+                simulation.processWave();
+                break;
+            case 'dropSand':
+                simulation.dropSand(input.x, input.y, input.amount);
+                break;
+            case 'paintTerrain':
+                simulation.paintTerrain(input.x, input.y, input.radius, input.brush);
+                break;
+            case 'clearTerrain':
+                simulation.clearTerrain();
+                break;
+            case 'addStation':
+                simulation.addStation(SeismicStation.fromJSON(input.station));
+                break;
+            case 'removeStation':
+                simulation.removeStation(input.name);
+                break;
+            default:
+                throw new Error(`Unknown timeline input '${input.type}'`);
+        }
+    }
+
+    /**
+     * Compare a replayed tick's drops with the recording
+     * A mismatch means something changed the simulation without being
+     * logged; it is reported once per recording.
+     * @param {number} tick - Replayed tick
+     */
+    checkDrops(tick) {
+        if (this.divergenceReported) return;
+
+        const recorded = this.drops.get(tick) || [];
+        const replayed = this.simulation.getTickDrops();
+        const matches = recorded.length === replayed.length && recorded.every((drop, i) =>
+            drop.sourceId === replayed[i].sourceId && drop.grains === replayed[i].grains);
+
+        if (!matches) {
+            console.warn(`Timeline: replay diverged from the recording at tick ${tick}`);
+            this.divergenceReported = true;
+        }
+    }
+
+    /**
+     * Move the simulation to a recorded tick
+     * Steps forward from the current tick when that is closer than the
+     * nearest keyframe; otherwise restores the keyframe and replays.
+     * @param {number} tick - Target tick (clamped to the recorded range)
+     * @returns {number} Tick reached
+     */
+    seek(tick) {
+        const target = Math.max(this.getStartTick(), Math.min(this.endTick, Math.round(tick)));
+        const current = this.simulation.getTickCount();
+        const keyframe = this.findKeyframe(target);
+
+        if (target >= current && target - current <= target - keyframe.tick) {
+            this.simulation.step(target - current);
+        } else {
+            this.replaying = true;
+            try {
+                this.simulation.importState(decodeSnapshot(keyframe.snapshot));
+            } finally {
+                this.replaying = false;
+            }
+            this.applyInputs(keyframe.tick);
+            this.simulation.step(target - keyframe.tick);
+        }
+
+        this.simulation.resetClock();
+        return target;
+    }
+
+    /**
+     * Run one tick: replayed from the log inside the recorded range, live
+     * at its end
+     * @returns {number} Tick reached
+     */
+    stepForward() {
+        this.simulation.step(1);
+        this.simulation.resetClock();
+        return this.simulation.getTickCount();
+    }
+
+    /**
+     * Go back one tick
+     * @returns {number} Tick reached
+     */
+    stepBackward() {
+        return this.seek(this.simulation.getTickCount() - 1);
+    }
+
+    /**
+     * Find the latest keyframe at or before a tick
+     * @param {number} tick - Tick
+     * @returns {Object} Keyframe {tick, snapshot}
+     */
+    findKeyframe(tick) {
+        let found = this.keyframes[0];
+        for (const keyframe of this.keyframes) {
+            if (keyframe.tick > tick) break;
+            found = keyframe;
+        }
+        return found;
+    }
+
+    /**
+     * Get the earliest tick that can be reached
+     * @returns {number} Tick of the oldest keyframe
+     */
+    getStartTick() {
+        return this.keyframes[0].tick;
+    }
+
+    /**
+     * Get the latest recorded tick
+     * @returns {number} Tick
+     */
+    getEndTick() {
+        return this.endTick;
+    }
+
+    /**
+     * Get the recorded range and the current position
+     * @returns {Object} {start, end, current} in ticks
+     */
+    getRange() {
+        return {
+            start: this.getStartTick(),
+            end: this.endTick,
+            current: this.simulation.getTickCount()
+        };
+    }
+
+    /**
+     * Get the inputs logged at a tick
+     * @param {number} tick - Tick
+     * @returns {Array} Inputs {type, ...}, in the order they were made
+     */
+    getInputs(tick) {
+        return this.inputs.get(tick) || [];
+    }
+
+    /**
+     * Get the grains dropped at a tick
+     * @param {number} tick - Tick
+     * @returns {Array} [{sourceId, grains}]
+     */
+    getDrops(tick) {
+        return this.drops.get(tick) || [];
+    }
+
+    /**
+     * Stop recording
+     */
+    dispose() {
+        this.simulation.removeTickListener(this.handleTick);
+        this.simulation.removeInputListener(this.handleInput);
+        this.keyframes = [];
+        this.inputs.clear();
+        this.drops.clear();
+    }
+}
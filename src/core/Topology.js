@@ -0,0 +1,320 @@
+/**
+ * Lattice topologies for the sandpile grid
+ * Each topology defines its neighbourhood, critical mass, distribution rule
+ * and the cell geometry used by the renderers.
+ */
+
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Base class for lattice topologies stored on a square array of cells
+ */
+export class Topology {
+    /**
+     * Create a new topology
+     * @param {string} name - Registry name (e.g. 'square-4')
+     * @param {string} label - Human readable label
+     * @param {number} degree - Number of neighbours per cell
+     * @param {string} cellShape - Cell shape ('square', 'hexagon' or 'triangle')
+     */
+    constructor(name, label, degree, cellShape) {
+        this.name = name;
+        this.label = label;
+        this.degree = degree;
+        this.cellShape = cellShape;
+    }
+
+    /**
+     * Get the neighbour offsets of a cell
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {Array} Array of offsets [{dx, dy}, ...] of length degree
+     */
+    getNeighborOffsets(x, y) {
+        throw new Error(`Topology '${this.name}' does not define neighbour offsets`);
+    }
+
+    /**
+     * Get the neighbouring positions of a cell (may lie outside the grid)
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {Array} Array of neighbor positions [{x, y}, ...]
+     */
+    getNeighbors(x, y) {
+        return this.getNeighborOffsets(x, y).map(({ dx, dy }) => ({ x: x + dx, y: y + dy }));
+    }
+
+    /**
+     * Get the number of neighbours per cell
+     * @returns {number} Coordination number of the lattice
+     */
+    getDegree() {
+        return this.degree;
+    }
+
+    /**
+     * Get the critical mass at which a cell topples
+     * @returns {number} Critical mass (one grain per neighbour)
+     */
+    getCriticalMass() {
+        return this.degree;
+    }
+
+    /**
+     * Distribution rule: split a toppling cell's sand among its neighbours
+     * @param {number} sand - Sand in the toppling cell
+     * @returns {Object} {perNeighbor, remainder} grains sent to each neighbour and kept
+     */
+    distribute(sand) {
+        const perNeighbor = Math.floor(sand / this.degree);
+        return {
+            perNeighbor,
+            remainder: sand - perNeighbor * this.degree
+        };
+    }
+
+    /**
+     * Get the centre of a cell in lattice units
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {Object} Centre {x, y}
+     */
+    getCellCenter(x, y) {
+        return { x: x + 0.5, y: y + 0.5 };
+    }
+
+    /**
+     * Get the polygon outline of a cell in lattice units
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {Array} Vertices [{x, y}, ...]
+     */
+    getCellVertices(x, y) {
+        return [
+            { x: x, y: y },
+            { x: x + 1, y: y },
+            { x: x + 1, y: y + 1 },
+            { x: x, y: y + 1 }
+        ];
+    }
+
+    /**
+     * Get the extent of a size x size grid in lattice units
+     * @param {number} size - Grid size
+     * @returns {Object} Extent {width, height}
+     */
+    getExtent(size) {
+        return { width: size, height: size };
+    }
+
+    /**
+     * Check whether the cells are axis-aligned squares (one pixel per cell)
+     * @returns {boolean} True for square lattices
+     */
+    isSquare() {
+        return this.cellShape === 'square';
+    }
+}
+
+/**
+ * Square lattice with the four von Neumann neighbours
+ */
+export class SquareTopology extends Topology {
+    constructor() {
+        super('square-4', 'Square (4 neighbours)', 4, 'square');
+        this.offsets = [
+            { dx: -1, dy: 0 },     // Left
+            { dx: 1, dy: 0 },      // Right
+            { dx: 0, dy: -1 },     // Up
+            { dx: 0, dy: 1 }       // Down
+        ];
+    }
+
+    getNeighborOffsets() {
+        return this.offsets;
+    }
+}
+
+/**
+ * Square lattice with the eight Moore neighbours (orthogonal and diagonal)
+ */
+export class MooreTopology extends Topology {
+    constructor() {
+        super('square-8', 'Square Moore (8 neighbours)', 8, 'square');
+        this.offsets = [
+            { dx: -1, dy: 0 },
+            { dx: 1, dy: 0 },
+            { dx: 0, dy: -1 },
+            { dx: 0, dy: 1 },
+            { dx: -1, dy: -1 },
+            { dx: 1, dy: -1 },
+            { dx: -1, dy: 1 },
+            { dx: 1, dy: 1 }
+        ];
+    }
+
+    getNeighborOffsets() {
+        return this.offsets;
+    }
+}
+
+/**
+ * Hexagonal lattice in "odd-r" offset coordinates: odd rows (y) are shifted
+ * half a cell to the right, giving every cell six neighbours
+ */
+export class HexagonalTopology extends Topology {
+    constructor() {
+        super('hexagonal-6', 'Hexagonal (6 neighbours)', 6, 'hexagon');
+        this.evenRowOffsets = [
+            { dx: -1, dy: 0 },
+            { dx: 1, dy: 0 },
+            { dx: -1, dy: -1 },
+            { dx: 0, dy: -1 },
+            { dx: -1, dy: 1 },
+            { dx: 0, dy: 1 }
+        ];
+        this.oddRowOffsets = [
+            { dx: -1, dy: 0 },
+            { dx: 1, dy: 0 },
+            { dx: 0, dy: -1 },
+            { dx: 1, dy: -1 },
+            { dx: 0, dy: 1 },
+            { dx: 1, dy: 1 }
+        ];
+    }
+
+    getNeighborOffsets(x, y) {
+        return (y & 1) ? this.oddRowOffsets : this.evenRowOffsets;
+    }
+
+    getCellCenter(x, y) {
+        return {
+            x: x + 0.5 + 0.5 * (y & 1),
+            y: (y * 1.5 + 1) / SQRT3
+        };
+    }
+
+    getCellVertices(x, y) {
+        // Pointy-topped hexagon of unit width
+        const center = this.getCellCenter(x, y);
+        const radius = 1 / SQRT3;
+        const vertices = [];
+        for (let i = 0; i < 6; i++) {
+            const angle = Math.PI / 6 + i * Math.PI / 3;
+            vertices.push({
+                x: center.x + radius * Math.cos(angle),
+                y: center.y + radius * Math.sin(angle)
+            });
+        }
+        return vertices;
+    }
+
+    getExtent(size) {
+        return {
+            width: size + 0.5,
+            height: (size * 1.5 + 0.5) / SQRT3
+        };
+    }
+}
+
+/**
+ * Triangular cells (honeycomb coordination): cells alternate between
+ * upward and downward pointing triangles, each with three neighbours
+ */
+export class TriangularTopology extends Topology {
+    constructor() {
+        super('triangular-3', 'Triangular (3 neighbours)', 3, 'triangle');
+        this.upOffsets = [
+            { dx: -1, dy: 0 },
+            { dx: 1, dy: 0 },
+            { dx: 0, dy: 1 }       // Shares the base below
+        ];
+        this.downOffsets = [
+            { dx: -1, dy: 0 },
+            { dx: 1, dy: 0 },
+            { dx: 0, dy: -1 }      // Shares the base above
+        ];
+    }
+
+    /**
+     * Check whether a cell is an upward pointing triangle
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {boolean} True if the apex points up (towards lower y)
+     */
+    isUpward(x, y) {
+        return ((x + y) & 1) === 0;
+    }
+
+    getNeighborOffsets(x, y) {
+        return this.isUpward(x, y) ? this.upOffsets : this.downOffsets;
+    }
+
+    getCellCenter(x, y) {
+        const height = SQRT3 / 2;
+        return {
+            x: x / 2 + 0.5,
+            y: this.isUpward(x, y) ? (y + 2 / 3) * height : (y + 1 / 3) * height
+        };
+    }
+
+    getCellVertices(x, y) {
+        const height = SQRT3 / 2;
+        const left = x / 2;
+        if (this.isUpward(x, y)) {
+            return [
+                { x: left + 0.5, y: y * height },
+                { x: left + 1, y: (y + 1) * height },
+                { x: left, y: (y + 1) * height }
+            ];
+        }
+        return [
+            { x: left, y: y * height },
+            { x: left + 1, y: y * height },
+            { x: left + 0.5, y: (y + 1) * height }
+        ];
+    }
+
+    getExtent(size) {
+        return {
+            width: (size + 1) / 2,
+            height: size * SQRT3 / 2
+        };
+    }
+}
+
+/**
+ * Registry of available topologies keyed by name
+ */
+export const TOPOLOGIES = {
+    'square-4': SquareTopology,
+    'square-8': MooreTopology,
+    'hexagonal-6': HexagonalTopology,
+    'triangular-3': TriangularTopology
+};
+
+/**
+ * Create a topology by name
+ * @param {string|Topology} topology - Registry name or an existing topology instance
+ * @returns {Topology} Topology instance
+ */
+export function createTopology(topology = 'square-4') {
+    if (topology instanceof Topology) return topology;
+
+    const TopologyClass = TOPOLOGIES[topology];
+    if (!TopologyClass) {
+        throw new Error(`Unknown topology '${topology}' (expected one of ${Object.keys(TOPOLOGIES).join(', ')})`);
+    }
+    return new TopologyClass();
+}
+
+/**
+ * Get the names and labels of all registered topologies
+ * @returns {Array} Array of {name, label}
+ */
+export function getTopologyOptions() {
+    return Object.keys(TOPOLOGIES).map(name => {
+        const topology = createTopology(name);
+        return { name, label: topology.label };
+    });
+}
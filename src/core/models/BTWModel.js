@@ -0,0 +1,34 @@
+/**
+ * Bak-Tang-Wiesenfeld deterministic sandpile model
+ */
+
+import { SandpileModel } from './SandpileModel.js';
+
+/**
+ * Deterministic BTW toppling using the topology's distribution rule, with the
+ * optional avalanche jitter controlled by the sandpile's randomness factor
+ */
+export class BTWModel extends SandpileModel {
+    /**
+     * Create a new BTW model
+     * @param {Object} params - Model parameters (none)
+     */
+    constructor(params = {}) {
+        super('btw', 'BTW (deterministic)', params);
+    }
+
+    topple(sandPile, index) {
+        const { perNeighbor, remainder } = sandPile.topology.distribute(sandPile.grid[index]);
+
+        // Remove sand from current cell
+        sandPile.grid[index] = remainder;
+        
+        // Apply randomness if enabled
+        if (sandPile.randomnessFactor > 0) {
+            sandPile.distributeWithRandomness(index, perNeighbor);
+        } else {
+            // Original deterministic distribution
+            sandPile.distributeToNeighbors(index, perNeighbor);
+        }
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * Stochastic Manna sandpile model
+ */
+
+import { SandpileModel } from './SandpileModel.js';
+
+/**
+ * Abelian Manna model: a critical cell sheds its threshold in grains, each
+ * sent to a neighbour chosen independently and uniformly at random
+ */
+export class MannaModel extends SandpileModel {
+    /**
+     * Create a new Manna model
+     * @param {Object} params - Model parameters (none)
+     */
+    constructor(params = {}) {
+        super('manna', 'Manna (stochastic)', params);
+    }
+
+    getCriticalMass() {
+        return 2;
+    }
+
+    getMinimumCriticalMass() {
+        return 2;
+    }
+
+    topple(sandPile, index) {
+        const grains = sandPile.thresholds[index];
+        const degree = sandPile.degree;
+        const base = index * degree;
+
+        sandPile.grid[index] -= grains;
+
+        for (let i = 0; i < grains; i++) {
+            const target = sandPile.neighborTable[base + sandPile.random.nextInt(degree)];
+
+            if (target >= 0) {
+                sandPile.addSandToCell(target, 1);
+            } else {
+                sandPile.loseSand(target, 1);
+            }
+        }
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * Registry of sandpile toppling models
+ */
+
+import { SandpileModel } from './SandpileModel.js';
+import { BTWModel } from './BTWModel.js';
+import { MannaModel } from './MannaModel.js';
+import { ZhangModel } from './ZhangModel.js';
+import { OFCModel } from './OFCModel.js';
+import { OsloModel } from './OsloModel.js';
+
+/**
+ * Registered model classes keyed by name
+ */
+export const MODELS = {
+    btw: BTWModel,
+    manna: MannaModel,
+    zhang: ZhangModel,
+    ofc: OFCModel,
+    oslo: OsloModel
+};
+
+/**
+ * Register an additional model
+ * @param {string} name - Registry name
+ * @param {Function} ModelClass - SandpileModel subclass taking (params)
+ */
+export function registerModel(name, ModelClass) {
+    MODELS[name] = ModelClass;
+}
+
+/**
+ * Create a model by name
+ * @param {string|SandpileModel} model - Registry name or an existing model instance
+ * @param {Object} params - Model parameters
+ * @returns {SandpileModel} Model instance
+ */
+export function createModel(model = 'btw', params = {}) {
+    if (model instanceof SandpileModel) return model;
+
+    const ModelClass = MODELS[model];
+    if (!ModelClass) {
+        throw new Error(`Unknown model '${model}' (expected one of ${Object.keys(MODELS).join(', ')})`);
+    }
+    return new ModelClass(params);
+}
+
+/**
+ * Get the names and labels of all registered models
+ * @returns {Array} Array of {name, label}
+ */
+export function getModelOptions() {
+    return Object.keys(MODELS).map(name => ({ name, label: createModel(name).label }));
+}
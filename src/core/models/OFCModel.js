@@ -0,0 +1,191 @@
+/**
+ * Olami-Feder-Christensen earthquake model
+ */
+
+import { SandpileModel } from './SandpileModel.js';
+
+/**
+ * Non-conservative OFC spring-block model. Each cell holds a continuous
+ * stress; all cells are loaded uniformly while the fault is quiet, and a cell
+ * reaching the threshold slips to zero, passing alpha times its stress to
+ * each neighbour. With alpha below 1/degree the rest is dissipated.
+ */
+export class OFCModel extends SandpileModel {
+    /**
+     * Create a new OFC model
+     * @param {Object} params - Model parameters
+     * @param {number} params.alpha - Conservation parameter, fraction of stress passed to each neighbour (default 0.2)
+     * @param {number} params.threshold - Slip threshold stress (default 1.0)
+     * @param {number} params.driveRate - Uniform loading rate in stress per second (default 0.02)
+     */
+    constructor(params = {}) {
+        const {
+            alpha = 0.2,
+            threshold = 1.0,
+            driveRate = 0.02
+        } = params;
+
+        super('ofc', 'OFC earthquake (non-conservative)', { alpha, threshold, driveRate });
+
+        // Cumulative stress released per cell, watched by the seismograph
+        this.released = null;
+
+        // Current and last completed quake
+        this.quakeActive = false;
+        this.quakeSize = 0;
+        this.quakeMoment = 0;
+        this.lastQuake = { size: 0, moment: 0, magnitude: 0 };
+        this.totalQuakes = 0;
+        this.totalDissipated = 0;
+    }
+
+    isContinuous() {
+        return true;
+    }
+
+    usesSources() {
+        return false;
+    }
+
+    getCriticalMass() {
+        return this.params.threshold;
+    }
+
+    getMinimumCriticalMass() {
+        return Number.MIN_VALUE;
+    }
+
+    initialize(sandPile) {
+        // Random initial stresses below threshold; a uniform start would make
+        // every cell slip at once under the uniform drive. Pinned cells start
+        // below the critical mass, walls and sinks carry no stress.
+        const grid = sandPile.grid;
+        const terrain = sandPile.terrain;
+        let total = 0;
+        for (let i = 0; i < grid.length; i++) {
+            const threshold = sandPile.thresholds[i];
+            const scale = Number.isFinite(threshold) ? threshold : sandPile.criticalMass;
+            const stress = sandPile.random.next() * scale;
+            grid[i] = terrain.holdsSand(i) ? stress : 0;
+            total += grid[i];
+        }
+        sandPile.totalSand = total;
+
+        this.released = new Float64Array(grid.length);
+        this.quakeActive = false;
+        this.quakeSize = 0;
+        this.quakeMoment = 0;
+        this.lastQuake = { size: 0, moment: 0, magnitude: 0 };
+        this.totalQuakes = 0;
+        this.totalDissipated = 0;
+    }
+
+    drive(sandPile, deltaTime) {
+        // Driving only happens once the fault is quiet, so close the quake first
+        if (this.quakeActive) {
+            this.finishQuake();
+        }
+
+        const load = this.params.driveRate * deltaTime;
+        if (load <= 0) return;
+
+        const grid = sandPile.grid;
+        const terrain = sandPile.terrain;
+        let loaded = 0;
+        for (let i = 0; i < grid.length; i++) {
+            if (!terrain.holdsSand(i)) continue;
+
+            grid[i] += load;
+            loaded++;
+            if (grid[i] >= sandPile.thresholds[i]) {
+                sandPile.markUnstable(i);
+            }
+        }
+        sandPile.totalSand += load * loaded;
+    }
+
+    topple(sandPile, index) {
+        const degree = sandPile.degree;
+        const base = index * degree;
+        const stress = sandPile.grid[index];
+        const alpha = Math.min(this.params.alpha, 1 / degree);
+        const share = alpha * stress;
+
+        sandPile.grid[index] = 0;
+        this.released[index] += stress;
+
+        for (let k = 0; k < degree; k++) {
+            const target = sandPile.neighborTable[base + k];
+
+            if (target >= 0) {
+                sandPile.addSandToCell(target, share);
+            } else {
+                sandPile.loseSand(target, share);
+            }
+        }
+
+        // Stress not passed on is dissipated by the slip
+        const dissipated = stress - share * degree;
+        sandPile.totalSand -= dissipated;
+        this.totalDissipated += dissipated;
+
+        this.quakeActive = true;
+        this.quakeSize++;
+        this.quakeMoment += stress;
+    }
+
+    /**
+     * Record the quake that just ended
+     */
+    finishQuake() {
+        this.lastQuake = {
+            size: this.quakeSize,
+            moment: this.quakeMoment,
+            // Moment magnitude style scale on the released stress
+            magnitude: (2 / 3) * Math.log10(this.quakeMoment)
+        };
+        this.totalQuakes++;
+        this.quakeActive = false;
+        this.quakeSize = 0;
+        this.quakeMoment = 0;
+    }
+
+    getState() {
+        return {
+            released: Array.from(this.released),
+            quakeActive: this.quakeActive,
+            quakeSize: this.quakeSize,
+            quakeMoment: this.quakeMoment,
+            lastQuake: { ...this.lastQuake },
+            totalQuakes: this.totalQuakes,
+            totalDissipated: this.totalDissipated
+        };
+    }
+
+    setState(sandPile, state) {
+        if (!state) return;
+
+        this.released = Float64Array.from(state.released);
+        this.quakeActive = state.quakeActive;
+        this.quakeSize = state.quakeSize;
+        this.quakeMoment = state.quakeMoment;
+        this.lastQuake = { ...state.lastQuake };
+        this.totalQuakes = state.totalQuakes;
+        this.totalDissipated = state.totalDissipated;
+    }
+
+    getSignalValues() {
+        return this.released;
+    }
+
+    getStatistics() {
+        return {
+            alpha: this.params.alpha,
+            totalQuakes: this.totalQuakes,
+            lastQuakeSize: this.lastQuake.size,
+            lastQuakeMoment: this.lastQuake.moment,
+            lastQuakeMagnitude: this.lastQuake.magnitude,
+            totalDissipated: this.totalDissipated
+        };
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Oslo rice-pile model
+ */
+
+import { SandpileModel } from './SandpileModel.js';
+
+/**
+ * Slope-threshold model after the Oslo rice-pile experiment. A cell is
+ * critical when its height exceeds a neighbour's by more than its critical
+ * slope; it then sends one grain down every such slope and draws a new
+ * critical slope at random from 1 to its threshold, as rice grains settle
+ * into new packings. Open edges and sinks count as height 0, so grains roll
+ * off the rim of the pile.
+ *
+ * The critical mass and terrain thresholds are the largest critical slope a
+ * cell can draw; the default of 2 gives the original Oslo rule of slopes 1
+ * or 2 with equal odds.
+ */
+export class OsloModel extends SandpileModel {
+    /**
+     * Create a new Oslo model
+     * @param {Object} params - Model parameters (none)
+     */
+    constructor(params = {}) {
+        super('oslo', 'Oslo rice pile (slope)', params);
+
+        // Current critical slope of each cell
+        this.slopes = null;
+
+        // Neighbours a toppling cell sends grains to, decided before any move
+        this.downhill = new Int32Array(0);
+    }
+
+    getCriticalMass() {
+        return 2;
+    }
+
+    getMinimumCriticalMass() {
+        // A slope of 0 would send a grain back and forth between level cells
+        return 1;
+    }
+
+    initialize(sandPile) {
+        this.slopes = new Int32Array(sandPile.grid.length);
+        for (let i = 0; i < this.slopes.length; i++) {
+            this.slopes[i] = this.drawSlope(sandPile, i);
+        }
+    }
+
+    /**
+     * Draw a new critical slope for a cell
+     * @param {SandPile} sandPile - The sandpile using this model
+     * @param {number} index - Flat grid index
+     * @returns {number} Integer slope from 1 to the cell's threshold
+     */
+    drawSlope(sandPile, index) {
+        const threshold = sandPile.thresholds[index];
+        const maxSlope = Number.isFinite(threshold) ? threshold : sandPile.criticalMass;
+        return 1 + sandPile.random.nextInt(Math.floor(maxSlope));
+    }
+
+    /**
+     * Get the height a neighbour table entry stands for
+     * @param {SandPile} sandPile - The sandpile using this model
+     * @param {number} target - Neighbour table entry
+     * @returns {number} Neighbour height, 0 past an open edge or in a sink
+     */
+    getNeighborHeight(sandPile, target) {
+        return target >= 0 ? sandPile.grid[target] : 0;
+    }
+
+    /**
+     * Get the height a neighbour must be below for a cell to be critical
+     * @param {SandPile} sandPile - The sandpile using this model
+     * @param {number} index - Flat grid index
+     * @returns {number} Cell height minus its critical slope
+     */
+    getSlopeFloor(sandPile, index) {
+        // A threshold lowered since the slope was drawn caps it
+        return sandPile.grid[index] - Math.min(this.slopes[index], sandPile.thresholds[index]);
+    }
+
+    isCritical(sandPile, index) {
+        // Pinned cells, walls and sinks never topple; nothing does before
+        // initialize() has drawn the slopes (the grid is still empty then)
+        if (!this.slopes || sandPile.thresholds[index] === Infinity) return false;
+
+        const floor = this.getSlopeFloor(sandPile, index);
+        const degree = sandPile.degree;
+        const base = index * degree;
+        for (let k = 0; k < degree; k++) {
+            if (this.getNeighborHeight(sandPile, sandPile.neighborTable[base + k]) < floor) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    topple(sandPile, index) {
+        const degree = sandPile.degree;
+        const base = index * degree;
+        const floor = this.getSlopeFloor(sandPile, index);
+
+        if (this.downhill.length < degree) {
+            this.downhill = new Int32Array(degree);
+        }
+
+        // Every over-steep slope gets one grain, judged on the heights
+        // before the topple
+        let moves = 0;
+        for (let k = 0; k < degree; k++) {
+            const target = sandPile.neighborTable[base + k];
+            if (this.getNeighborHeight(sandPile, target) < floor) {
+                this.downhill[moves++] = target;
+            }
+        }
+
+        sandPile.grid[index] -= moves;
+
+        for (let i = 0; i < moves; i++) {
+            const target = this.downhill[i];
+
+            if (target >= 0) {
+                sandPile.addSandToCell(target, 1);
+            } else {
+                sandPile.loseSand(target, 1);
+            }
+        }
+
+        this.slopes[index] = this.drawSlope(sandPile, index);
+
+        // The cell is lower now, which steepens the slopes down to it
+        for (let k = 0; k < degree; k++) {
+            const target = sandPile.neighborTable[base + k];
+            if (target >= 0 && target !== index && this.isCritical(sandPile, target)) {
+                sandPile.markUnstable(target);
+            }
+        }
+    }
+
+    getState() {
+        return {
+            slopes: Array.from(this.slopes)
+        };
+    }
+
+    setState(sandPile, state) {
+        if (!state) return;
+
+        this.slopes = Int32Array.from(state.slopes);
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Base class for sandpile toppling models
+ */
+
+/**
+ * A model decides how the grid stores sand, when a cell is critical and how
+ * a critical cell topples. SandPile owns the grid, the unstable queue, the
+ * neighbour table and the statistics; models only move sand through it.
+ */
+export class SandpileModel {
+    /**
+     * Create a new model
+     * @param {string} name - Registry name
+     * @param {string} label - Human readable label
+     * @param {Object} params - Model parameters
+     */
+    constructor(name, label, params = {}) {
+        this.name = name;
+        this.label = label;
+        this.params = { ...params };
+    }
+
+    /**
+     * Check whether heights are real-valued
+     * @returns {boolean} True for continuous-height models
+     */
+    isContinuous() {
+        return false;
+    }
+
+    /**
+     * Allocate grid storage for this model
+     * @param {number} cellCount - Number of cells
+     * @returns {Int32Array|Float64Array} Flat grid
+     */
+    createGrid(cellCount) {
+        return this.isContinuous() ? new Float64Array(cellCount) : new Int32Array(cellCount);
+    }
+
+    /**
+     * Get the default critical mass on a lattice
+     * @param {Topology} topology - Lattice topology
+     * @returns {number} Default critical mass
+     */
+    getCriticalMass(topology) {
+        return topology.getCriticalMass();
+    }
+
+    /**
+     * Get the smallest critical mass for which toppling always moves sand
+     * @param {Topology} topology - Lattice topology
+     * @returns {number} Minimum critical mass
+     */
+    getMinimumCriticalMass(topology) {
+        return topology.getCriticalMass();
+    }
+
+    /**
+     * Convert dropped grains into the amount added to a cell
+     * @param {number} amount - Number of grains dropped
+     * @param {SandPile} sandPile - The sandpile receiving the drop
+     * @returns {number} Amount added to the cell
+     */
+    getDropAmount(amount, sandPile) {
+        return amount;
+    }
+
+    /**
+     * Set up model state after the grid has been cleared
+     * @param {SandPile} sandPile - The sandpile using this model
+     */
+    initialize(sandPile) {
+        // Nothing to do for models that start from an empty grid
+    }
+
+    /**
+     * Check whether the model is driven by sand sources
+     * @returns {boolean} False for models with their own global drive
+     */
+    usesSources() {
+        return true;
+    }
+
+    /**
+     * Apply the model's own driving while the pile is stable
+     * @param {SandPile} sandPile - The sandpile being driven
+     * @param {number} deltaTime - Scaled time elapsed (seconds)
+     */
+    drive(sandPile, deltaTime) {
+        // Source-driven models have no global drive
+    }
+
+    /**
+     * Get the per-cell values the seismograph should watch for changes
+     * @param {SandPile} sandPile - The sandpile using this model
+     * @returns {Int32Array|Float64Array} Flat per-cell values (default: the heights)
+     */
+    getSignalValues(sandPile) {
+        return sandPile.grid;
+    }
+
+    /**
+     * Get model-specific statistics
+     * @param {SandPile} sandPile - The sandpile using this model
+     * @returns {Object} Extra statistics merged into SandPile.getStatistics()
+     */
+    getStatistics(sandPile) {
+        return {};
+    }
+
+    /**
+     * Check whether a cell is critical
+     * Height models compare the cell with its threshold. Models with other
+     * rules (e.g. on slopes) must also queue the cells a topple can make
+     * critical, since SandPile only checks the cells that receive sand.
+     * @param {SandPile} sandPile - The sandpile using this model
+     * @param {number} index - Flat grid index
+     * @returns {boolean} True if the cell should topple
+     */
+    isCritical(sandPile, index) {
+        return sandPile.grid[index] >= sandPile.thresholds[index];
+    }
+
+    /**
+     * Topple a critical cell, moving its sand to neighbours
+     * SandPile re-queues the cell afterwards if it is still critical.
+     * @param {SandPile} sandPile - The sandpile being relaxed
+     * @param {number} index - Flat grid index of the toppling cell
+     */
+    topple(sandPile, index) {
+        throw new Error(`Model '${this.name}' does not implement topple()`);
+    }
+
+    /**
+     * Capture state the model keeps besides the grid
+     * @param {SandPile} sandPile - The sandpile using this model
+     * @returns {Object|null} Serializable state, or null for stateless models
+     */
+    getState(sandPile) {
+        return null;
+    }
+
+    /**
+     * Restore state captured by getState()
+     * @param {SandPile} sandPile - The sandpile using this model
+     * @param {Object|null} state - Model state
+     */
+    setState(sandPile, state) {
+        // Stateless models have nothing to restore
+    }
+
+    /**
+     * Get the model parameters
+     * @returns {Object} Parameters
+     */
+    getParameters() {
+        return { ...this.params };
+    }
+
+    /**
+     * Serialize the model selection
+     * @returns {Object} {name, params}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            params: this.getParameters()
+        };
+    }
+}
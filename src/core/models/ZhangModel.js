@@ -0,0 +1,65 @@
+/**
+ * Zhang continuous-height sandpile model
+ */
+
+import { SandpileModel } from './SandpileModel.js';
+
+/**
+ * Zhang model: heights are real-valued energies, each dropped grain carries a
+ * uniformly random energy, and a cell at or above the real-valued threshold
+ * gives all of its energy to its neighbours in equal shares
+ */
+export class ZhangModel extends SandpileModel {
+    /**
+     * Create a new Zhang model
+     * @param {Object} params - Model parameters
+     * @param {number} params.threshold - Critical energy (default 1.0)
+     * @param {number} params.grainEnergy - Maximum energy carried by one grain (default 0.5)
+     */
+    constructor(params = {}) {
+        const {
+            threshold = 1.0,
+            grainEnergy = 0.5
+        } = params;
+
+        super('zhang', 'Zhang (continuous)', { threshold, grainEnergy });
+    }
+
+    isContinuous() {
+        return true;
+    }
+
+    getCriticalMass() {
+        return this.params.threshold;
+    }
+
+    getMinimumCriticalMass() {
+        return Number.MIN_VALUE;
+    }
+
+    getDropAmount(amount, sandPile) {
+        let energy = 0;
+        for (let i = 0; i < amount; i++) {
+            energy += sandPile.random.next() * this.params.grainEnergy;
+        }
+        return energy;
+    }
+
+    topple(sandPile, index) {
+        const degree = sandPile.degree;
+        const base = index * degree;
+        const share = sandPile.grid[index] / degree;
+
+        sandPile.grid[index] = 0;
+
+        for (let k = 0; k < degree; k++) {
+            const target = sandPile.neighborTable[base + k];
+
+            if (target >= 0) {
+                sandPile.addSandToCell(target, share);
+            } else {
+                sandPile.loseSand(target, share);
+            }
+        }
+    }
+}
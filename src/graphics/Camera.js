@@ -176,6 +176,33 @@ export class Camera {
         this.updatePosition();
     }
 
+    /**
+     * Get the camera pose
+     * @returns {Object} Pose {angle, tilt, distance, height, target: {x, y, z}}
+     */
+    getPose() {
+        return {
+            angle: this.angle,
+            tilt: this.tiltAngle,
+            distance: this.distance,
+            height: this.height,
+            target: { x: this.target.x, y: this.target.y, z: this.target.z }
+        };
+    }
+
+    /**
+     * Restore a pose from getPose()
+     * @param {Object} pose - Camera pose
+     */
+    setPose(pose) {
+        this.angle = pose.angle;
+        this.tiltAngle = Math.max(this.minTilt, Math.min(this.maxTilt, pose.tilt));
+        this.distance = pose.distance;
+        this.height = pose.height;
+        this.target.set(pose.target.x, pose.target.y, pose.target.z);
+        this.updatePosition();
+    }
+
     /**
      * Reset camera to default position
      */
@@ -2,6 +2,34 @@
  * Heatmap renderer for sand height visualization
  */
 
+import { ACTIVITY_FIELDS } from '../core/CellActivity.js';
+import { TERRAIN_TYPES } from '../core/Terrain.js';
+import { getSourceRGB } from './SourceColors.js';
+
+/**
+ * What the heatmap can colour cells by: the height, the toppling threshold,
+ * the source that dropped most of a cell's sand or one of the pile's
+ * activity counters. Counts span orders of magnitude, so they are shown on
+ * a log scale; the last topple time is linear, so recent topples are hottest.
+ */
+export const HEATMAP_MODES = {
+    height: { label: 'Height', logScale: false },
+    threshold: { label: 'Threshold', logScale: false },
+    source: { label: 'Dominant source', logScale: false },
+    topples: { label: ACTIVITY_FIELDS.topples.label, logScale: true },
+    grains: { label: ACTIVITY_FIELDS.grains.label, logScale: true },
+    lastTopple: { label: ACTIVITY_FIELDS.lastTopple.label, logScale: false },
+    avalanches: { label: ACTIVITY_FIELDS.avalanches.label, logScale: true }
+};
+
+/**
+ * Get the heatmap modes as selector options
+ * @returns {Array} Array of {name, label}
+ */
+export function getHeatmapModeOptions() {
+    return Object.entries(HEATMAP_MODES).map(([name, mode]) => ({ name, label: mode.label }));
+}
+
 /**
  * Renders a 2D heatmap showing sand height distribution
  */
@@ -21,9 +49,32 @@ export class HeatmapRenderer {
         
         // Image data for efficient pixel manipulation
         this.imageData = this.ctx.createImageData(this.resolution, this.resolution);
+
+        // Canvas resolution and cached cell outlines for non-square lattices
+        this.cellResolution = 256;
+        this.cellPaths = null;
+        this.cellPathsKey = null;
         
         // Color scheme for heatmap (blue to red gradient)
         this.colorMap = this.generateColorMap();
+
+        // Field the cells are coloured by (see HEATMAP_MODES)
+        this.mode = 'height';
+
+        // Terrain overlay fills, by type code; normal cells are left alone
+        this.terrainStyles = {
+            [TERRAIN_TYPES.wall.code]: 'rgb(128, 128, 128)',
+            [TERRAIN_TYPES.sink.code]: 'rgb(0, 0, 0)',
+            [TERRAIN_TYPES.pinned.code]: 'rgba(255, 255, 255, 0.45)'
+        };
+
+        // Debugger overlay {unstable, toppleOrder}, or null
+        this.highlight = null;
+        this.toppleTrailLength = 24;
+
+        // Seismometer stations, marked in yellow
+        this.stations = [];
+        this.stationStyle = 'rgb(255, 230, 0)';
         
         this.setupCanvas();
     }
@@ -92,9 +143,19 @@ export class HeatmapRenderer {
     update(sandPile) {
         if (!sandPile) return;
         
-        const grid = sandPile.getGridCopy();
         const gridSize = sandPile.getSize();
-        const maxHeight = sandPile.getMaxHeight() || 1; // Avoid division by zero
+        const cells = this.getCellColors(sandPile);
+
+        // Hexagonal and triangular lattices are drawn cell by cell as polygons
+        const topology = sandPile.getTopology ? sandPile.getTopology() : null;
+        if (topology && !topology.isSquare()) {
+            this.renderCells(sandPile, topology, cells);
+            return;
+        }
+
+        if (this.canvas.width !== this.resolution) {
+            this.setResolution(this.resolution);
+        }
         
         // Clear image data
         this.imageData.data.fill(0);
@@ -106,15 +167,8 @@ export class HeatmapRenderer {
                 const gridX = Math.floor((x / this.resolution) * gridSize);
                 const gridY = Math.floor((y / this.resolution) * gridSize);
                 
-                // Get sand height at this position
-                const height = grid[gridY] ? (grid[gridY][gridX] || 0) : 0;
-                
-                // Normalize height to 0-1 range
-                const normalizedHeight = Math.min(height / maxHeight, 1);
-                
-                // Get color from color map
-                const colorIndex = Math.floor(normalizedHeight * (this.colorMap.length - 1));
-                const [r, g, b] = this.colorMap[colorIndex] || [0, 0, 0];
+                // Get the color at this position
+                const [r, g, b] = cells.colorAt(gridY, gridX);
                 
                 // Set pixel color in image data
                 const pixelIndex = (y * this.resolution + x) * 4;
@@ -127,6 +181,309 @@ export class HeatmapRenderer {
         
         // Render the image data to canvas
         this.ctx.putImageData(this.imageData, 0, 0);
+
+        const cellSize = this.resolution / gridSize;
+        this.renderOverlays(sandPile, (index) => {
+            const x = Math.floor(index / gridSize);
+            const y = index % gridSize;
+            this.ctx.fillRect(y * cellSize, x * cellSize, cellSize, cellSize);
+        });
+    }
+
+    /**
+     * Choose what the cells are coloured by
+     * @param {string} mode - Mode name (see HEATMAP_MODES)
+     * @throws {Error} If the mode is unknown
+     */
+    setMode(mode) {
+        if (!Object.hasOwn(HEATMAP_MODES, mode)) {
+            throw new Error(`Unknown heatmap mode '${mode}'. Available: ${Object.keys(HEATMAP_MODES).join(', ')}`);
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * Get what the cells are coloured by
+     * @returns {string} Mode name
+     */
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * Colour the cells for the current mode
+     * The dominant source shows each cell in its source's colour, dimmer
+     * where the sand is more mixed; every other mode goes through the
+     * color map.
+     * @param {SandPile} sandPile - Pile or pile view
+     * @returns {Object} {colorAt(x, y)} giving [r, g, b]
+     */
+    getCellColors(sandPile) {
+        if (this.mode === 'source' && sandPile.getProvenance) {
+            return this.getSourceColors(sandPile);
+        }
+
+        const cells = this.getCellValues(sandPile);
+        return {
+            colorAt: (x, y) => {
+                const colorIndex = Math.floor(cells.valueAt(x, y) * (this.colorMap.length - 1));
+                return this.colorMap[colorIndex] || [0, 0, 0];
+            }
+        };
+    }
+
+    /**
+     * Colour each cell by the source holding most of its sand
+     * @param {SandPile} sandPile - Pile or pile view
+     * @returns {Object} {colorAt(x, y)} giving [r, g, b]; black for empty
+     *   cells, and everywhere before provenance tracking reaches the view
+     */
+    getSourceColors(sandPile) {
+        const gridSize = sandPile.getSize();
+        const provenance = sandPile.getProvenance();
+        if (!provenance) {
+            return { colorAt: () => [0, 0, 0] };
+        }
+
+        const { dominant, purity } = provenance;
+        return {
+            colorAt: (x, y) => {
+                const index = x * gridSize + y;
+                if (!(purity[index] > 0)) return [0, 0, 0];
+
+                // An even mix of two sources is still clearly coloured
+                const brightness = 0.35 + 0.65 * purity[index];
+                return getSourceRGB(dominant[index]).map(channel => Math.round(channel * brightness));
+            }
+        };
+    }
+
+    /**
+     * Read the values of the current mode from a pile
+     * Heights are scaled by the pile's maximum height; thresholds and
+     * activity maps by their own maximum, on a log scale for counts. Views
+     * without the map (e.g. SandpileGroup configurations) show heights.
+     * @param {SandPile} sandPile - Pile or pile view
+     * @returns {Object} {valueAt(x, y)} giving values normalized to 0-1
+     */
+    getCellValues(sandPile) {
+        const gridSize = sandPile.getSize();
+
+        const hasMap = this.mode === 'threshold' ? Boolean(sandPile.getThresholds) : Boolean(sandPile.getActivity);
+        if (this.mode === 'height' || this.mode === 'source' || !hasMap) {
+            const grid = sandPile.getGridCopy();
+            const maxHeight = sandPile.getMaxHeight() || 1; // Avoid division by zero
+            return {
+                valueAt: (x, y) => {
+                    const height = grid[x] ? (grid[x][y] || 0) : 0;
+                    return Math.min(height / maxHeight, 1);
+                }
+            };
+        }
+
+        // A worker snapshot taken before the mode reached the worker has none
+        const values = this.mode === 'threshold' ? sandPile.getThresholds() : sandPile.getActivity(this.mode);
+        if (!values) {
+            return { valueAt: () => 0 };
+        }
+
+        // Cells that never topple have an infinite threshold; the terrain
+        // overlay marks them, so they are left dark here
+        const scale = HEATMAP_MODES[this.mode].logScale ? Math.log1p : (value) => value;
+        let maxValue = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] > maxValue && Number.isFinite(values[i])) maxValue = values[i];
+        }
+        const scaledMax = scale(maxValue) || 1;
+
+        return {
+            valueAt: (x, y) => {
+                const value = values[x * gridSize + y];
+                return Number.isFinite(value) ? Math.min(scale(value) / scaledMax, 1) : 0;
+            }
+        };
+    }
+
+    /**
+     * Draw the terrain, debugger and station overlays
+     * @param {SandPile} sandPile - Pile or pile view
+     * @param {Function} fillCell - Fills one cell with the current fillStyle: (index) => void
+     */
+    renderOverlays(sandPile, fillCell) {
+        const types = sandPile.getTerrainTypes ? sandPile.getTerrainTypes() : null;
+        if (types) {
+            this.renderTerrain(types, fillCell);
+        }
+
+        if (this.highlight) {
+            this.renderHighlight(fillCell);
+        }
+
+        const gridSize = sandPile.getSize();
+        this.ctx.fillStyle = this.stationStyle;
+        for (const station of this.stations) {
+            if (station.gridX < gridSize && station.gridY < gridSize) {
+                fillCell(station.gridX * gridSize + station.gridY);
+            }
+        }
+    }
+
+    /**
+     * Draw walls grey, sinks black and pinned cells washed out
+     * @param {Uint8Array} types - Terrain type codes, one per cell
+     * @param {Function} fillCell - Fills one cell with the current fillStyle: (index) => void
+     */
+    renderTerrain(types, fillCell) {
+        for (let i = 0; i < types.length; i++) {
+            if (types[i] === TERRAIN_TYPES.normal.code) continue;
+
+            this.ctx.fillStyle = this.terrainStyles[types[i]];
+            fillCell(i);
+        }
+    }
+
+    /**
+     * Find the grid cell under a point on the canvas, e.g. for painting
+     * @param {number} clientX - Viewport X coordinate
+     * @param {number} clientY - Viewport Y coordinate
+     * @param {SandPile} sandPile - Pile or pile view last drawn
+     * @returns {Object|null} {x, y} grid coordinates, or null outside the grid
+     */
+    getCellAt(clientX, clientY, sandPile) {
+        const gridSize = sandPile.getSize();
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return null;
+
+        // Canvas pixels under the point
+        const px = (clientX - rect.left) / rect.width * this.canvas.width;
+        const py = (clientY - rect.top) / rect.height * this.canvas.height;
+
+        const topology = sandPile.getTopology ? sandPile.getTopology() : null;
+        if (topology && !topology.isSquare()) {
+            if (!this.cellPaths) return null;
+            for (let i = 0; i < this.cellPaths.length; i++) {
+                if (this.ctx.isPointInPath(this.cellPaths[i], px, py)) {
+                    return { x: Math.floor(i / gridSize), y: i % gridSize };
+                }
+            }
+            return null;
+        }
+
+        // Grid X runs down the canvas and grid Y across it
+        const x = Math.floor(py / this.canvas.height * gridSize);
+        const y = Math.floor(px / this.canvas.width * gridSize);
+        if (x < 0 || x >= gridSize || y < 0 || y >= gridSize) return null;
+        return { x, y };
+    }
+
+    /**
+     * Highlight cells for the debugger, or stop highlighting
+     * @param {Object|null} highlight - {unstable, toppleOrder} as flat grid
+     *   indices (see SandPile.getUnstableCells and getToppleOrder), or null
+     */
+    setHighlight(highlight) {
+        this.highlight = highlight;
+    }
+
+    /**
+     * Mark seismometer stations on the map
+     * @param {Array<SeismicStation>} stations - Stations to mark
+     */
+    setStations(stations) {
+        this.stations = stations;
+    }
+
+    /**
+     * Draw the debugger overlay: unstable cells in magenta with the next to
+     * topple solid, and the latest topples as a fading white trail ending
+     * at the cell toppled last
+     * @param {Function} fillCell - Fills one cell with the current fillStyle: (index) => void
+     */
+    renderHighlight(fillCell) {
+        const { unstable, toppleOrder } = this.highlight;
+
+        this.ctx.fillStyle = 'rgba(255, 0, 255, 0.6)';
+        for (let i = 1; i < unstable.length; i++) {
+            fillCell(unstable[i]);
+        }
+        if (unstable.length > 0) {
+            this.ctx.fillStyle = 'rgb(255, 0, 255)';
+            fillCell(unstable[0]);
+        }
+
+        const trailStart = Math.max(0, toppleOrder.length - this.toppleTrailLength);
+        for (let i = trailStart; i < toppleOrder.length; i++) {
+            const age = toppleOrder.length - 1 - i;
+            const alpha = age === 0 ? 1 : 0.7 * (1 - age / this.toppleTrailLength);
+            this.ctx.fillStyle = `rgba(255, 255, 255, ${alpha.toFixed(3)})`;
+            fillCell(toppleOrder[i]);
+        }
+    }
+
+    /**
+     * Render a non-square lattice by filling each cell's polygon
+     * @param {SandPile} sandPile - The sand pile instance
+     * @param {Topology} topology - Lattice topology of the pile
+     * @param {Object} cells - Colors from getCellColors()
+     */
+    renderCells(sandPile, topology, cells) {
+        const gridSize = sandPile.getSize();
+
+        if (this.canvas.width !== this.cellResolution) {
+            this.canvas.width = this.cellResolution;
+            this.canvas.height = this.cellResolution;
+            this.setupCanvas();
+        }
+
+        const key = `${topology.name}:${gridSize}`;
+        if (this.cellPathsKey !== key) {
+            this.cellPaths = this.buildCellPaths(topology, gridSize);
+            this.cellPathsKey = key;
+        }
+
+        this.ctx.fillStyle = 'rgb(0, 0, 0)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        for (let x = 0; x < gridSize; x++) {
+            for (let y = 0; y < gridSize; y++) {
+                const [r, g, b] = cells.colorAt(x, y);
+
+                this.ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+                this.ctx.fill(this.cellPaths[x * gridSize + y]);
+            }
+        }
+
+        this.renderOverlays(sandPile, (index) => this.ctx.fill(this.cellPaths[index]));
+    }
+
+    /**
+     * Build canvas paths for every cell of a lattice
+     * Grid X runs down the canvas and grid Y across it, matching the square heatmap.
+     * @param {Topology} topology - Lattice topology
+     * @param {number} gridSize - Grid size
+     * @returns {Array<Path2D>} One path per cell, indexed as x * gridSize + y
+     */
+    buildCellPaths(topology, gridSize) {
+        const extent = topology.getExtent(gridSize);
+        const scale = this.cellResolution / Math.max(extent.width, extent.height);
+        const paths = new Array(gridSize * gridSize);
+
+        for (let x = 0; x < gridSize; x++) {
+            for (let y = 0; y < gridSize; y++) {
+                const path = new Path2D();
+                const vertices = topology.getCellVertices(x, y);
+
+                path.moveTo(vertices[0].y * scale, vertices[0].x * scale);
+                for (let i = 1; i < vertices.length; i++) {
+                    path.lineTo(vertices[i].y * scale, vertices[i].x * scale);
+                }
+                path.closePath();
+
+                paths[x * gridSize + y] = path;
+            }
+        }
+
+        return paths;
     }
 
     /**
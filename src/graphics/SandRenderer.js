@@ -4,6 +4,7 @@
 
 import * as THREE from 'three';
 import { gridToWorld } from '../utils/MathUtils.js';
+import { SOURCE_COLORS } from './SourceColors.js';
 
 /**
  * Renders sand piles as 3D geometry with height-based coloring
@@ -17,6 +18,7 @@ export class SandRenderer {
         this.scene = scene;
         this.gridSize = 64;
         this.worldSize = 5;
+        this.topology = null;
         
         // Rendering parameters
         this.heightScale = 0.1; // Reduced scale factor for more realistic sand grains
@@ -25,6 +27,13 @@ export class SandRenderer {
         // Create materials for different sand heights
         this.createMaterials();
         
+        // Debugger overlay {unstable, toppleOrder}, or null
+        this.highlight = null;
+
+        // 'height' colours grains by their level, 'source' colours each
+        // column by the source that dropped most of its sand
+        this.colorMode = 'height';
+
         // Initialize mesh for sand visualization
         this.sandMesh = null;
         this.lastGrid = null;
@@ -59,16 +68,76 @@ export class SandRenderer {
                 transparent: false
             }));
         });
+
+        // Debugger highlights: unstable columns, and the column toppled last
+        this.unstableMaterial = new THREE.MeshLambertMaterial({ color: 0xFF00FF, emissive: 0x440044 });
+        this.toppledMaterial = new THREE.MeshLambertMaterial({ color: 0xFFFFFF, emissive: 0x444444 });
+
+        // One material per provenance slot
+        this.sourceMaterials = SOURCE_COLORS.map(color => new THREE.MeshLambertMaterial({ color }));
+    }
+
+    /**
+     * Choose how grains are coloured
+     * @param {string} mode - 'height' or 'source'
+     * @throws {Error} If the mode is unknown
+     */
+    setColorMode(mode) {
+        if (mode !== 'height' && mode !== 'source') {
+            throw new Error(`Unknown sand color mode '${mode}'. Available: height, source`);
+        }
+        this.colorMode = mode;
+    }
+
+    /**
+     * Highlight columns for the debugger, or stop highlighting
+     * @param {Object|null} highlight - {unstable, toppleOrder} as flat grid
+     *   indices (see SandPile.getUnstableCells and getToppleOrder), or null
+     */
+    setHighlight(highlight) {
+        this.highlight = highlight;
+    }
+
+    /**
+     * Get the material override for each column: its dominant source's in
+     * source mode, replaced by the debugger highlights
+     * @param {SandPile} sandPile - Pile or pile view being drawn
+     * @returns {Map<number, THREE.Material>} Material by flat grid index
+     */
+    getColumnMaterials(sandPile) {
+        const materials = new Map();
+
+        const provenance = this.colorMode === 'source' && sandPile.getProvenance ? sandPile.getProvenance() : null;
+        if (provenance) {
+            const { dominant, purity } = provenance;
+            for (let i = 0; i < dominant.length; i++) {
+                if (purity[i] > 0) {
+                    materials.set(i, this.sourceMaterials[dominant[i]]);
+                }
+            }
+        }
+
+        if (!this.highlight) return materials;
+
+        const { unstable, toppleOrder } = this.highlight;
+        for (const index of unstable) {
+            materials.set(index, this.unstableMaterial);
+        }
+        if (toppleOrder.length > 0) {
+            materials.set(toppleOrder[toppleOrder.length - 1], this.toppledMaterial);
+        }
+        return materials;
     }
 
     /**
      * Update sand visualization with current grid state
      * @param {Simulation} simulation - Simulation instance with current state
+     * @param {boolean} force - Skip the rate limit (e.g. for a single redraw while paused)
      */
-    update(simulation) {
+    update(simulation, force = false) {
         // Frame rate limiting
         const currentTime = performance.now();
-        if (currentTime - this.lastUpdateTime < this.minUpdateInterval) {
+        if (!force && currentTime - this.lastUpdateTime < this.minUpdateInterval) {
             return;
         }
         
@@ -81,17 +150,21 @@ export class SandRenderer {
         
         this.lastUpdateTime = currentTime;
         
-        const grid = simulation.getGrid();
-        const gridSize = simulation.getSandPile().getSize();
+        // Heights blended between the last two ticks for smooth motion
+        const grid = simulation.getInterpolatedGrid();
+        const sandPile = simulation.getSandPile();
+        const gridSize = sandPile.getSize();
+        const topology = sandPile.getTopology ? sandPile.getTopology() : null;
         
-        // Update grid size if changed
-        if (this.gridSize !== gridSize) {
+        // Update grid size or lattice if changed
+        if (this.gridSize !== gridSize || this.topology !== topology) {
             this.gridSize = gridSize;
+            this.topology = topology;
             this.lastGrid = null; // Force full rebuild
         }
         
         // Always update mesh for smooth rendering (remove change detection)
-        this.updateSandMesh(grid);
+        this.updateSandMesh(grid, sandPile);
         this.lastGrid = grid.map(row => [...row]); // Deep copy
     }
 
@@ -123,8 +196,9 @@ export class SandRenderer {
     /**
      * Update the sand mesh geometry based on current grid
      * @param {Array} grid - 2D array representing sand heights
+     * @param {SandPile} sandPile - Pile or pile view the heights came from
      */
-    updateSandMesh(grid) {
+    updateSandMesh(grid, sandPile) {
         // Remove existing mesh
         if (this.sandMesh) {
             this.scene.remove(this.sandMesh);
@@ -132,7 +206,7 @@ export class SandRenderer {
         }
         
         // Create new mesh
-        this.sandMesh = this.createSandMesh(grid);
+        this.sandMesh = this.createSandMesh(grid, sandPile);
         if (this.sandMesh) {
             this.scene.add(this.sandMesh);
         }
@@ -141,10 +215,12 @@ export class SandRenderer {
     /**
      * Create a mesh representing the sand heights
      * @param {Array} grid - 2D array of sand heights
+     * @param {SandPile} sandPile - Pile or pile view the heights came from
      * @returns {THREE.Mesh|THREE.Group} Mesh or group of meshes
      */
-    createSandMesh(grid) {
+    createSandMesh(grid, sandPile) {
         const group = new THREE.Group();
+        const columnMaterials = this.getColumnMaterials(sandPile);
         
         // Create individual boxes for each grid cell with sand
         for (let x = 0; x < this.gridSize; x++) {
@@ -152,7 +228,8 @@ export class SandRenderer {
                 const height = grid[x][y];
                 
                 if (height > 0) {
-                    const mesh = this.createSandColumn(x, y, height);
+                    const material = columnMaterials.get(x * this.gridSize + y) || null;
+                    const mesh = this.createSandColumn(x, y, height, material);
                     if (mesh) {
                         group.add(mesh);
                     }
@@ -168,9 +245,14 @@ export class SandRenderer {
      * @param {number} gridX - Grid X coordinate
      * @param {number} gridY - Grid Y coordinate
      * @param {number} height - Sand height
+     * @param {THREE.Material|null} highlightMaterial - Material for every grain, replacing the height colors
      * @returns {THREE.Mesh} Sand column mesh
      */
-    createSandColumn(gridX, gridY, height) {
+    createSandColumn(gridX, gridY, height, highlightMaterial = null) {
+        if (this.topology && !this.topology.isSquare()) {
+            return this.createLatticeColumn(gridX, gridY, height, highlightMaterial);
+        }
+
         const worldPos = gridToWorld(gridX, gridY, this.gridSize, this.worldSize);
         const cellSize = this.worldSize / this.gridSize;
         
@@ -179,19 +261,21 @@ export class SandRenderer {
         const grainSize = cellSize * 0.8; // Make grains slightly smaller than cell
         
         for (let i = 0; i < height; i++) {
-            // Create cube geometry for each grain
-            const geometry = new THREE.BoxGeometry(grainSize, grainSize * 0.9, grainSize);
+            // Create cube geometry for each grain; a fractional top grain
+            // (interpolated or continuous heights) is drawn partly grown
+            const fill = Math.min(1, height - i);
+            const geometry = new THREE.BoxGeometry(grainSize, grainSize * 0.9 * fill, grainSize);
             
             // Select material based on height position
             const materialIndex = Math.min(
                 Math.floor((i / this.maxDisplayHeight) * this.materials.length),
                 this.materials.length - 1
             );
-            const material = this.materials[materialIndex];
+            const material = highlightMaterial || this.materials[materialIndex];
             
             // Create grain mesh
             const grain = new THREE.Mesh(geometry, material);
-            grain.position.set(0, i * grainSize * 0.9, 0);
+            grain.position.set(0, (i - (1 - fill) / 2) * grainSize * 0.9, 0);
             grain.castShadow = true;
             grain.receiveShadow = true;
             
@@ -204,6 +288,58 @@ export class SandRenderer {
         return grains;
     }
 
+    /**
+     * Create a column of prism-shaped grains for hexagonal and triangular lattices
+     * @param {number} gridX - Grid X coordinate
+     * @param {number} gridY - Grid Y coordinate
+     * @param {number} height - Sand height
+     * @param {THREE.Material|null} highlightMaterial - Material for every grain, replacing the height colors
+     * @returns {THREE.Group} Sand column group
+     */
+    createLatticeColumn(gridX, gridY, height, highlightMaterial = null) {
+        const topology = this.topology;
+        const extent = topology.getExtent(this.gridSize);
+        const scale = this.worldSize / Math.max(extent.width, extent.height);
+        const center = topology.getCellCenter(gridX, gridY);
+
+        // Both hexagons and triangles here have unit side, so circumradius 1/sqrt(3)
+        const radius = (scale / Math.sqrt(3)) * 0.8;
+        const grainHeight = scale * 0.8 * 0.9;
+        const segments = topology.cellShape === 'hexagon' ? 6 : 3;
+
+        // CylinderGeometry puts its first vertex on +Z, which is the apex of a
+        // downward triangle; upward triangles are turned half a revolution
+        const rotation = topology.cellShape === 'triangle' && topology.isUpward(gridX, gridY) ? Math.PI : 0;
+
+        const grains = new THREE.Group();
+
+        for (let i = 0; i < height; i++) {
+            const fill = Math.min(1, height - i);
+            const geometry = new THREE.CylinderGeometry(radius, radius, grainHeight * fill, segments);
+
+            const materialIndex = Math.min(
+                Math.floor((i / this.maxDisplayHeight) * this.materials.length),
+                this.materials.length - 1
+            );
+
+            const grain = new THREE.Mesh(geometry, highlightMaterial || this.materials[materialIndex]);
+            grain.position.set(0, (i - (1 - fill) / 2) * grainHeight, 0);
+            grain.castShadow = true;
+            grain.receiveShadow = true;
+
+            grains.add(grain);
+        }
+
+        grains.rotation.y = rotation;
+        grains.position.set(
+            (center.x - extent.width / 2) * scale,
+            grainHeight * 0.5,
+            (center.y - extent.height / 2) * scale
+        );
+
+        return grains;
+    }
+
     /**
      * Create an instanced mesh for better performance (alternative approach)
      * @param {Array} grid - 2D array of sand heights
@@ -311,6 +447,9 @@ export class SandRenderer {
         // Dispose of materials
         this.materials.forEach(material => material.dispose());
         this.materials = [];
+        this.unstableMaterial.dispose();
+        this.toppledMaterial.dispose();
+        this.sourceMaterials.forEach(material => material.dispose());
     }
 
     /**
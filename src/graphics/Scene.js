@@ -5,6 +5,7 @@
 import * as THREE from 'three';
 import { Camera } from './Camera.js';
 import { SandRenderer } from './SandRenderer.js';
+import { SOURCE_COLORS } from './SourceColors.js';
 
 /**
  * Manages the entire 3D scene including rendering, lighting, and objects
@@ -163,20 +164,42 @@ export class Scene {
     /**
      * Update the scene with simulation data
      * @param {Simulation} simulation - The simulation instance
+     * @param {boolean} force - Redraw the sand even if it was redrawn very recently
      */
-    update(simulation) {
+    update(simulation, force = false) {
         // Update sand renderer with current simulation state
-        this.sandRenderer.update(simulation);
+        this.sandRenderer.update(simulation, force);
         
-        // Update source visualizations
-        this.updateSources(simulation.getSources());
+        // Update source visualizations, in their grains' colours when
+        // colouring by source
+        const sandPile = simulation.getSandPile();
+        const provenance = this.sandRenderer.colorMode === 'source' && sandPile.getProvenance
+            ? sandPile.getProvenance() : null;
+        this.updateSources(simulation.getSources(), provenance ? provenance.sources : null);
+    }
+
+    /**
+     * Choose how the sand is coloured
+     * @param {string} mode - 'height' or 'source' (by the source that dropped most of each column)
+     */
+    setColorMode(mode) {
+        this.sandRenderer.setColorMode(mode);
+    }
+
+    /**
+     * Highlight sand columns for the debugger, or stop highlighting
+     * @param {Object|null} highlight - {unstable, toppleOrder} as flat grid indices, or null
+     */
+    setHighlight(highlight) {
+        this.sandRenderer.setHighlight(highlight);
     }
 
     /**
      * Update source visualizations
      * @param {Array} sources - Array of sand sources
+     * @param {Array|null} slotSources - Source id of each provenance slot, to colour markers like their grains
      */
-    updateSources(sources) {
+    updateSources(sources, slotSources = null) {
         // Remove old source markers
         if (this.sourceMarkers) {
             this.sourceMarkers.forEach(marker => {
@@ -191,9 +214,10 @@ export class Scene {
             const worldPos = source.getWorldPosition();
             
             // Create a small sphere to represent the source
+            const slot = slotSources ? slotSources.indexOf(source.id) : -1;
             const markerGeometry = new THREE.SphereGeometry(0.05, 6, 6);
             const markerMaterial = new THREE.MeshBasicMaterial({ 
-                color: 0xff4444,
+                color: slot > 0 ? SOURCE_COLORS[slot] : 0xff4444,
                 transparent: true,
                 opacity: 0.9
             });
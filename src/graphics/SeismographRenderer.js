@@ -1,6 +1,7 @@
 /**
  * Seismograph renderer for oscilloscope-style visualization
- * Displays real-time waveform data in a scrolling format
+ * Displays real-time waveform data in a scrolling format, one trace per
+ * station stacked top to bottom like a seismic network display
  */
 
 /**
@@ -35,6 +36,7 @@ export class SeismographRenderer {
         
         // Signal data
         this.signalData = new Float32Array(this.displayWidth);
+        this.traces = []; // {name, data} per station, in network order
         this.signalHistory = []; // For multiple trace display
         this.maxHistoryLength = 3;
         
@@ -103,11 +105,14 @@ export class SeismographRenderer {
             return; // Skip frame to maintain target FPS
         }
         
-        // Get latest signal data
-        const newData = seismographData.getSignalData(this.displayWidth);
+        // Get latest signal data for every station
+        this.traces = seismographData.getStations().map(station => ({
+            name: station.name,
+            data: seismographData.getSignalData(this.displayWidth, station.name)
+        }));
         
-        // Update signal data
-        this.signalData = newData;
+        // Update signal data (the first station's trace)
+        this.signalData = this.traces[0].data;
         
         // Real seismographs use fixed scales, no auto-scaling
         // This prevents the flatlining issue
@@ -190,14 +195,58 @@ export class SeismographRenderer {
             this.drawGrid(width, height);
         }
         
-        // Draw axes
-        this.drawAxes(width, height);
+        // Stack one band per station; before the first update there is
+        // only the (empty) default trace
+        const traces = this.traces.length > 0 ? this.traces : [{ name: null, data: this.signalData }];
+        const bandHeight = height / traces.length;
         
-        // Draw signal waveform
-        this.drawSignal(width, height);
+        traces.forEach((trace, i) => {
+            this.ctx.save();
+            this.ctx.translate(0, i * bandHeight);
+            
+            // Keep large events inside their own band
+            this.ctx.beginPath();
+            this.ctx.rect(0, 0, width, bandHeight);
+            this.ctx.clip();
+            
+            // Draw axes
+            this.drawAxes(width, bandHeight);
+            
+            // Draw signal waveform
+            this.drawSignal(width, bandHeight, trace.data);
+            
+            if (traces.length > 1) {
+                this.drawStationLabel(trace.name, width, bandHeight, i === traces.length - 1);
+            }
+            
+            this.ctx.restore();
+        });
         
         // Draw scale information
-        this.drawScaleInfo(width, height);
+        this.drawScaleInfo(width, height, traces.length);
+    }
+
+    /**
+     * Label a station's band and separate it from the next
+     * @param {string} name - Station name
+     * @param {number} width - Canvas width
+     * @param {number} height - Band height
+     * @param {boolean} last - Whether this is the bottom band
+     */
+    drawStationLabel(name, width, height, last) {
+        if (!last) {
+            this.ctx.strokeStyle = this.axisColor;
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, height);
+            this.ctx.lineTo(width, height);
+            this.ctx.stroke();
+        }
+        
+        this.ctx.fillStyle = this.textColor;
+        this.ctx.font = '10px monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(name, 5, Math.min(15, height / 2 + 5));
     }
 
     /**
@@ -260,10 +309,11 @@ export class SeismographRenderer {
     /**
      * Draw signal waveform
      * @param {number} width - Canvas width
-     * @param {number} height - Canvas height
+     * @param {number} height - Canvas (or band) height
+     * @param {Float32Array} signalData - Samples to draw (default: the first station's)
      */
-    drawSignal(width, height) {
-        if (this.signalData.length === 0) return;
+    drawSignal(width, height, signalData = this.signalData) {
+        if (signalData.length === 0) return;
         
         const centerY = height / 2;
         
@@ -276,9 +326,9 @@ export class SeismographRenderer {
         
         let firstPoint = true;
         
-        for (let i = 0; i < this.signalData.length; i++) {
-            const x = (i / this.signalData.length) * width;
-            const signal = this.signalData[i];
+        for (let i = 0; i < signalData.length; i++) {
+            const x = (i / signalData.length) * width;
+            const signal = signalData[i];
             
             // Real-time linear scaling for immediate event response
             const signalRange = this.signalMax - this.signalMin;
@@ -291,7 +341,7 @@ export class SeismographRenderer {
             } else {
                 if (this.smoothing) {
                     // Use quadratic curves for smoothing
-                    const prevX = ((i - 1) / this.signalData.length) * width;
+                    const prevX = ((i - 1) / signalData.length) * width;
                     const controlX = (prevX + x) / 2;
                     this.ctx.quadraticCurveTo(controlX, y, x, y);
                 } else {
@@ -303,7 +353,7 @@ export class SeismographRenderer {
         this.ctx.stroke();
         
         // Draw signal intensity indicators
-        this.drawSignalIntensity(width, height);
+        this.drawSignalIntensity(width, height, signalData);
     }
 
     /**
@@ -343,13 +393,14 @@ export class SeismographRenderer {
     /**
      * Draw signal intensity indicators
      * @param {number} width - Canvas width
-     * @param {number} height - Canvas height
+     * @param {number} height - Canvas (or band) height
+     * @param {Float32Array} signalData - Samples drawn (default: the first station's)
      */
-    drawSignalIntensity(width, height) {
-        if (this.signalData.length === 0) return;
+    drawSignalIntensity(width, height, signalData = this.signalData) {
+        if (signalData.length === 0) return;
         
         // Find current signal level
-        const currentSignal = this.signalData[this.signalData.length - 1] || 0;
+        const currentSignal = signalData[signalData.length - 1] || 0;
         const normalizedLevel = Math.abs(currentSignal - this.signalMin) / (this.signalMax - this.signalMin);
         
         // Draw level indicator bar on the right
@@ -387,31 +438,37 @@ export class SeismographRenderer {
 
     /**
      * Draw scale information
+     * The amplitude labels are left out for a network, where the station
+     * names take their place.
      * @param {number} width - Canvas width
      * @param {number} height - Canvas height
+     * @param {number} traceCount - Number of stacked traces
      */
-    drawScaleInfo(width, height) {
+    drawScaleInfo(width, height, traceCount = 1) {
         this.ctx.fillStyle = this.textColor;
         this.ctx.font = '10px monospace';
         this.ctx.textAlign = 'left';
         
-        // Fixed scale labels for real-time seismograph
-        const maxText = this.signalMax.toFixed(1);
-        const minText = this.signalMin.toFixed(1);
-        const center = (this.signalMax + this.signalMin) / 2;
-        const centerText = center.toFixed(1);
-        const upperMidText = ((this.signalMax + center) / 2).toFixed(1);
-        const lowerMidText = ((this.signalMin + center) / 2).toFixed(1);
-        
-        this.ctx.fillText(maxText, 5, 15);
-        this.ctx.fillText(upperMidText, 5, height * 0.25 + 5);
-        this.ctx.fillText(centerText, 5, height / 2 + 5);
-        this.ctx.fillText(lowerMidText, 5, height * 0.75 + 5);
-        this.ctx.fillText(minText, 5, height - 5);
+        if (traceCount === 1) {
+            // Fixed scale labels for real-time seismograph
+            const maxText = this.signalMax.toFixed(1);
+            const minText = this.signalMin.toFixed(1);
+            const center = (this.signalMax + this.signalMin) / 2;
+            const centerText = center.toFixed(1);
+            const upperMidText = ((this.signalMax + center) / 2).toFixed(1);
+            const lowerMidText = ((this.signalMin + center) / 2).toFixed(1);
+            
+            this.ctx.fillText(maxText, 5, 15);
+            this.ctx.fillText(upperMidText, 5, height * 0.25 + 5);
+            this.ctx.fillText(centerText, 5, height / 2 + 5);
+            this.ctx.fillText(lowerMidText, 5, height * 0.75 + 5);
+            this.ctx.fillText(minText, 5, height - 5);
+        }
         
         // Draw title
         this.ctx.textAlign = 'center';
-        this.ctx.fillText('SEISMOGRAPH (AC)', width / 2, 15);
+        const title = traceCount === 1 ? 'SEISMOGRAPH (AC)' : `SEISMOGRAPH (AC) · ${traceCount} stations`;
+        this.ctx.fillText(title, width / 2, 15);
         
         // Draw time scale info
         this.ctx.textAlign = 'right';
@@ -490,6 +547,7 @@ export class SeismographRenderer {
      */
     reset() {
         this.signalData.fill(0);
+        this.traces = [];
         this.signalHistory = [];
         this.signalMin = -2.0;
         this.signalMax = 2.0;
@@ -524,6 +582,7 @@ export class SeismographRenderer {
         }
         
         this.signalData = null;
+        this.traces = null;
         this.signalHistory = null;
         
         console.log('SeismographRenderer: Disposed');
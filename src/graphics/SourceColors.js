@@ -0,0 +1,30 @@
+/**
+ * Colours for grain provenance
+ * Shared by the heat map, the 3D sand and the source markers so a source's
+ * grains and its marker match.
+ */
+
+/**
+ * Colour of each provenance slot (see GrainProvenance); slot 0 is
+ * unattributed sand
+ */
+export const SOURCE_COLORS = [
+    0x9e9e9e, // Unattributed (grey)
+    0xe6194b, // Red
+    0x3cb44b, // Green
+    0x4363d8, // Blue
+    0xf58231, // Orange
+    0x911eb4, // Purple
+    0x42d4f4, // Cyan
+    0xf032e6  // Magenta
+];
+
+/**
+ * Split a slot's colour into channels
+ * @param {number} slot - Provenance slot
+ * @returns {Array<number>} [r, g, b], 0-255
+ */
+export function getSourceRGB(slot) {
+    const color = SOURCE_COLORS[slot] ?? SOURCE_COLORS[0];
+    return [(color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff];
+}
@@ -0,0 +1,277 @@
+/**
+ * Avalanche statistics renderer
+ * Draws log-log avalanche distributions with their fitted power laws
+ */
+
+/**
+ * Log-log plot of avalanche size, area and duration distributions
+ */
+export class StatisticsRenderer {
+    /**
+     * Create a new statistics renderer
+     * @param {HTMLCanvasElement} canvas - Canvas element for rendering
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        this.width = 0;
+        this.height = 0;
+        this.padding = { left: 26, right: 6, top: 6, bottom: 40 };
+
+        // Visual styling, one colour per avalanche quantity
+        this.backgroundColor = 'rgba(20, 10, 0, 0.9)';
+        this.gridColor = 'rgba(120, 80, 0, 0.3)';
+        this.textColor = 'rgba(230, 200, 150, 0.9)';
+        this.seriesColors = {
+            size: 'rgba(255, 160, 40, 0.95)',
+            area: 'rgba(80, 200, 255, 0.95)',
+            duration: 'rgba(230, 90, 230, 0.95)'
+        };
+
+        // Fitting is costly, so redraw a couple of times per second
+        this.lastRenderTime = 0;
+        this.targetFPS = 2;
+        this.frameInterval = 1000 / this.targetFPS;
+
+        this.summary = null;
+
+        this.updateDimensions();
+        this.setupResizeHandler();
+    }
+
+    /**
+     * Update canvas dimensions
+     */
+    updateDimensions() {
+        const rect = this.canvas.getBoundingClientRect();
+        const devicePixelRatio = window.devicePixelRatio || 1;
+
+        this.width = rect.width;
+        this.height = rect.height;
+
+        this.canvas.width = rect.width * devicePixelRatio;
+        this.canvas.height = rect.height * devicePixelRatio;
+        this.ctx.setTransform(devicePixelRatio, 0, 0, devicePixelRatio, 0, 0);
+    }
+
+    /**
+     * Setup resize handler
+     */
+    setupResizeHandler() {
+        this.resizeObserver = new ResizeObserver(() => {
+            this.updateDimensions();
+            this.render();
+        });
+        this.resizeObserver.observe(this.canvas);
+    }
+
+    /**
+     * Update with the latest avalanche statistics
+     * @param {AvalancheStatistics} avalancheStatistics - Statistics collector
+     */
+    update(avalancheStatistics) {
+        const currentTime = performance.now();
+        if (currentTime - this.lastRenderTime < this.frameInterval) {
+            return;
+        }
+
+        this.summary = avalancheStatistics.getSummary();
+        this.render();
+        this.lastRenderTime = currentTime;
+    }
+
+    /**
+     * Render the distributions
+     */
+    render() {
+        const { width, height } = this;
+        if (width === 0 || height === 0) return;
+
+        this.ctx.fillStyle = this.backgroundColor;
+        this.ctx.fillRect(0, 0, width, height);
+
+        const bounds = this.getPlotBounds();
+        this.drawGrid(bounds);
+
+        if (!bounds.empty) {
+            for (const quantity of Object.keys(this.seriesColors)) {
+                this.drawSeries(quantity, bounds);
+            }
+        }
+
+        this.drawLegend();
+    }
+
+    /**
+     * Find the decades spanned by all histograms
+     * @returns {Object} Plot bounds in log10 units {minX, maxX, minY, maxY, empty}
+     */
+    getPlotBounds() {
+        const bounds = { minX: 0, maxX: 1, minY: -4, maxY: 0, empty: true };
+        if (!this.summary) return bounds;
+
+        let minY = Infinity;
+        let maxY = -Infinity;
+        let maxX = -Infinity;
+
+        for (const quantity of Object.keys(this.seriesColors)) {
+            const { centers, density } = this.summary[quantity].histogram;
+            for (let i = 0; i < centers.length; i++) {
+                maxX = Math.max(maxX, Math.log10(centers[i]));
+                minY = Math.min(minY, Math.log10(density[i]));
+                maxY = Math.max(maxY, Math.log10(density[i]));
+            }
+        }
+
+        if (maxX === -Infinity) return bounds;
+
+        return {
+            minX: 0,
+            maxX: Math.max(1, Math.ceil(maxX)),
+            minY: Math.floor(minY),
+            maxY: Math.max(Math.ceil(maxY), Math.floor(minY) + 1),
+            empty: false
+        };
+    }
+
+    /**
+     * Convert log10 coordinates to canvas pixels
+     * @param {number} logX - log10 of the value
+     * @param {number} logY - log10 of the density
+     * @param {Object} bounds - Plot bounds
+     * @returns {Object} Canvas position {x, y}
+     */
+    toCanvas(logX, logY, bounds) {
+        const { left, right, top, bottom } = this.padding;
+        const plotWidth = this.width - left - right;
+        const plotHeight = this.height - top - bottom;
+
+        return {
+            x: left + (logX - bounds.minX) / (bounds.maxX - bounds.minX) * plotWidth,
+            y: top + (bounds.maxY - logY) / (bounds.maxY - bounds.minY) * plotHeight
+        };
+    }
+
+    /**
+     * Draw decade grid lines and labels
+     * @param {Object} bounds - Plot bounds
+     */
+    drawGrid(bounds) {
+        this.ctx.strokeStyle = this.gridColor;
+        this.ctx.fillStyle = this.textColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.font = '9px monospace';
+
+        this.ctx.textAlign = 'center';
+        for (let decade = bounds.minX; decade <= bounds.maxX; decade++) {
+            const top = this.toCanvas(decade, bounds.maxY, bounds);
+            const bottom = this.toCanvas(decade, bounds.minY, bounds);
+            this.ctx.beginPath();
+            this.ctx.moveTo(top.x, top.y);
+            this.ctx.lineTo(bottom.x, bottom.y);
+            this.ctx.stroke();
+            this.ctx.fillText(`1e${decade}`, bottom.x, bottom.y + 10);
+        }
+
+        this.ctx.textAlign = 'right';
+        const yStep = Math.max(1, Math.ceil((bounds.maxY - bounds.minY) / 4));
+        for (let decade = bounds.maxY; decade >= bounds.minY; decade -= yStep) {
+            const left = this.toCanvas(bounds.minX, decade, bounds);
+            const right = this.toCanvas(bounds.maxX, decade, bounds);
+            this.ctx.beginPath();
+            this.ctx.moveTo(left.x, left.y);
+            this.ctx.lineTo(right.x, right.y);
+            this.ctx.stroke();
+            this.ctx.fillText(`${decade}`, left.x - 3, left.y + 3);
+        }
+    }
+
+    /**
+     * Draw one histogram as points with its fitted power law
+     * @param {string} quantity - 'size', 'area' or 'duration'
+     * @param {Object} bounds - Plot bounds
+     */
+    drawSeries(quantity, bounds) {
+        const { histogram, fit } = this.summary[quantity];
+        const color = this.seriesColors[quantity];
+
+        this.ctx.fillStyle = color;
+        for (let i = 0; i < histogram.centers.length; i++) {
+            const point = this.toCanvas(Math.log10(histogram.centers[i]), Math.log10(histogram.density[i]), bounds);
+            this.ctx.fillRect(point.x - 1.5, point.y - 1.5, 3, 3);
+        }
+
+        if (!fit) return;
+
+        // Anchor the fitted line on the histogram bin containing xmin
+        const anchor = histogram.centers.findIndex(center => center >= fit.xmin);
+        if (anchor === -1) return;
+
+        const anchorX = Math.log10(histogram.centers[anchor]);
+        const anchorY = Math.log10(histogram.density[anchor]);
+        const endX = bounds.maxX;
+        const start = this.toCanvas(anchorX, anchorY, bounds);
+        const end = this.toCanvas(endX, anchorY - fit.exponent * (endX - anchorX), bounds);
+
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([3, 2]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(start.x, start.y);
+        this.ctx.lineTo(end.x, end.y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * Draw the fitted exponents below the plot
+     */
+    drawLegend() {
+        this.ctx.font = '9px monospace';
+        this.ctx.textAlign = 'left';
+
+        const quantities = Object.keys(this.seriesColors);
+        const columnWidth = (this.width - 8) / quantities.length;
+        const y = this.height - 8;
+
+        quantities.forEach((quantity, i) => {
+            const fit = this.summary && this.summary[quantity].fit;
+            const exponent = fit ? `${fit.exponent.toFixed(2)}±${fit.error.toFixed(2)}` : '--';
+            this.ctx.fillStyle = this.seriesColors[quantity];
+            this.ctx.fillText(`${quantity[0]}: ${exponent}`, 4 + i * columnWidth, y);
+        });
+
+        this.ctx.fillStyle = this.textColor;
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`n=${this.summary ? this.summary.events : 0}`, this.width - 4, this.padding.top + 8);
+    }
+
+    /**
+     * Handle canvas resize
+     */
+    handleResize() {
+        this.updateDimensions();
+        this.render();
+    }
+
+    /**
+     * Clear the plot
+     */
+    reset() {
+        this.summary = null;
+        this.lastRenderTime = 0;
+        this.render();
+    }
+
+    /**
+     * Dispose of resources
+     */
+    dispose() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        this.summary = null;
+        this.ctx = null;
+    }
+}
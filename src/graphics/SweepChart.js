@@ -0,0 +1,147 @@
+/**
+ * Summary chart for parameter sweeps
+ * Renders a standalone SVG, so it works in Node as well as the browser.
+ */
+
+const SERIES_COLORS = ['#e6550d', '#3182bd', '#31a354', '#756bb1', '#dd1c77', '#636363', '#fdae6b', '#6baed6'];
+
+const PANEL_WIDTH = 360;
+const PANEL_HEIGHT = 260;
+const MARGIN = { left: 56, right: 16, top: 32, bottom: 44 };
+
+/**
+ * Escape text for inclusion in SVG
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Format an axis tick value
+ * @param {number} value - Tick value
+ * @returns {string} Label
+ */
+function formatTick(value) {
+    return Math.abs(value) >= 100 || Number.isInteger(value) ? String(Math.round(value * 100) / 100) : value.toFixed(2);
+}
+
+/**
+ * Group table rows into series sharing everything but the grid size
+ * @param {Array<Object>} table - Sweep table
+ * @returns {Array<Object>} Series {label, rows} with rows sorted by grid size
+ */
+function groupSeries(table) {
+    const series = new Map();
+
+    for (const row of table) {
+        const label = `m=${row.criticalMass} r=${row.randomness} s=${row.sourceCount}`;
+        if (!series.has(label)) series.set(label, []);
+        series.get(label).push(row);
+    }
+
+    return Array.from(series, ([label, rows]) => ({
+        label,
+        rows: rows.sort((a, b) => a.gridSize - b.gridSize)
+    }));
+}
+
+/**
+ * Render one panel: a statistic with error bars against grid size
+ * @param {Array<Object>} series - Grouped series
+ * @param {string} key - Mean column
+ * @param {string} stdKey - Standard deviation column
+ * @param {string} title - Panel title
+ * @param {number} offsetX - Panel position
+ * @returns {string} SVG fragment
+ */
+function renderPanel(series, key, stdKey, title, offsetX) {
+    const points = series.flatMap(s => s.rows).filter(row => row[key] !== null);
+    const parts = [`<g transform="translate(${offsetX},0)">`];
+    parts.push(`<text x="${PANEL_WIDTH / 2}" y="18" text-anchor="middle" font-size="13">${escapeXml(title)}</text>`);
+
+    const plotWidth = PANEL_WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = PANEL_HEIGHT - MARGIN.top - MARGIN.bottom;
+
+    if (points.length === 0) {
+        parts.push(`<text x="${PANEL_WIDTH / 2}" y="${PANEL_HEIGHT / 2}" text-anchor="middle" font-size="11" fill="#888">no fits (too few avalanches)</text></g>`);
+        return parts.join('\n');
+    }
+
+    let minX = Math.min(...points.map(row => row.gridSize));
+    let maxX = Math.max(...points.map(row => row.gridSize));
+    let minY = Math.min(...points.map(row => row[key] - (row[stdKey] || 0)));
+    let maxY = Math.max(...points.map(row => row[key] + (row[stdKey] || 0)));
+    if (minX === maxX) { minX -= 1; maxX += 1; }
+    if (minY === maxY) { minY -= 0.5; maxY += 0.5; }
+    const padY = (maxY - minY) * 0.08;
+    minY -= padY;
+    maxY += padY;
+
+    const toX = (value) => MARGIN.left + (value - minX) / (maxX - minX) * plotWidth;
+    const toY = (value) => MARGIN.top + (maxY - value) / (maxY - minY) * plotHeight;
+
+    // Axes and ticks
+    parts.push(`<rect x="${MARGIN.left}" y="${MARGIN.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#999"/>`);
+    for (let i = 0; i <= 4; i++) {
+        const xValue = minX + (maxX - minX) * i / 4;
+        const yValue = minY + (maxY - minY) * i / 4;
+        parts.push(`<text x="${toX(xValue)}" y="${MARGIN.top + plotHeight + 14}" text-anchor="middle" font-size="10">${formatTick(xValue)}</text>`);
+        parts.push(`<text x="${MARGIN.left - 4}" y="${toY(yValue) + 3}" text-anchor="end" font-size="10">${formatTick(yValue)}</text>`);
+        parts.push(`<line x1="${MARGIN.left}" x2="${MARGIN.left + plotWidth}" y1="${toY(yValue)}" y2="${toY(yValue)}" stroke="#eee"/>`);
+    }
+    parts.push(`<text x="${MARGIN.left + plotWidth / 2}" y="${PANEL_HEIGHT - 8}" text-anchor="middle" font-size="11">grid size</text>`);
+
+    // Series with error bars
+    series.forEach((s, i) => {
+        const color = SERIES_COLORS[i % SERIES_COLORS.length];
+        const rows = s.rows.filter(row => row[key] !== null);
+        if (rows.length === 0) return;
+
+        const path = rows.map((row, j) => `${j === 0 ? 'M' : 'L'}${toX(row.gridSize).toFixed(1)},${toY(row[key]).toFixed(1)}`).join(' ');
+        parts.push(`<path d="${path}" fill="none" stroke="${color}" stroke-width="1.5"/>`);
+
+        for (const row of rows) {
+            const x = toX(row.gridSize);
+            const std = row[stdKey] || 0;
+            parts.push(`<line x1="${x}" x2="${x}" y1="${toY(row[key] - std)}" y2="${toY(row[key] + std)}" stroke="${color}"/>`);
+            parts.push(`<circle cx="${x}" cy="${toY(row[key])}" r="3" fill="${color}"/>`);
+        }
+    });
+
+    parts.push('</g>');
+    return parts.join('\n');
+}
+
+/**
+ * Render the sweep summary chart
+ * Left: avalanche size exponent against grid size; right: mean height.
+ * Each series is one combination of critical mass (m), randomness (r) and
+ * source count (s); error bars are the standard deviation over seeds.
+ * @param {Array<Object>} table - Aggregated table from runSweep()
+ * @returns {string} SVG document
+ */
+export function renderSweepChart(table) {
+    const series = groupSeries(table);
+    const legendHeight = 16 * series.length + 8;
+    const width = PANEL_WIDTH * 2;
+    const height = PANEL_HEIGHT + legendHeight;
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif">`,
+        `<rect width="${width}" height="${height}" fill="white"/>`,
+        renderPanel(series, 'sizeExponent', 'sizeExponentStd', 'Avalanche size exponent', 0),
+        renderPanel(series, 'meanHeight', 'meanHeightStd', 'Mean height', PANEL_WIDTH)
+    ];
+
+    series.forEach((s, i) => {
+        const y = PANEL_HEIGHT + 12 + i * 16;
+        const color = SERIES_COLORS[i % SERIES_COLORS.length];
+        parts.push(`<rect x="${MARGIN.left}" y="${y - 8}" width="10" height="10" fill="${color}"/>`);
+        parts.push(`<text x="${MARGIN.left + 16}" y="${y + 1}" font-size="11">${escapeXml(s.label)}</text>`);
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+}
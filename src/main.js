@@ -3,19 +3,41 @@
  * Main application entry point
  */
 
-import { Simulation } from './core/Simulation.js';
+import { createSimulationHost } from './worker/SimulationHost.js';
 import { Scene } from './graphics/Scene.js';
-import { HeatmapRenderer } from './graphics/HeatmapRenderer.js';
+import { HeatmapRenderer, getHeatmapModeOptions } from './graphics/HeatmapRenderer.js';
 import { SpeedControl } from './controls/SpeedControl.js';
 import { SourcesControl } from './controls/SourcesControl.js';
 import { KeyboardHandler } from './controls/KeyboardHandler.js';
 import { MouseHandler } from './controls/MouseHandler.js';
 import { TouchHandler } from './controls/TouchHandler.js';
 import { RandomnessControl } from './controls/RandomnessControl.js';
-import { SeismographData } from './core/SeismographData.js';
+import { SelectControl } from './controls/SelectControl.js';
+import { StateFileControl } from './controls/StateFileControl.js';
+import { ResumePrompt } from './controls/ResumePrompt.js';
+import { ShareLinkControl } from './controls/ShareLinkControl.js';
+import { TimelineControl } from './controls/TimelineControl.js';
+import { DebuggerControl } from './controls/DebuggerControl.js';
+import { SandpileGroupControl } from './controls/SandpileGroupControl.js';
+import { TerrainControl } from './controls/TerrainControl.js';
+import { StationsControl } from './controls/StationsControl.js';
+import { PropagationControl } from './controls/PropagationControl.js';
+import { getTopologyOptions } from './core/Topology.js';
+import { getBoundaryOptions } from './core/BoundaryConditions.js';
+import { getModelOptions } from './core/models/ModelRegistry.js';
+import { BoundaryConditions } from './core/BoundaryConditions.js';
+import { STATE_FILE_EXTENSION, parseState, serializeState } from './core/SimulationState.js';
+import { isBinarySnapshot, decodeSnapshot } from './core/BinarySnapshot.js';
+import { isScenarioFragment, decodeScenario, encodeScenario, scenarioFromState, scenarioToOptions } from './core/ScenarioLink.js';
 import { SeismographRenderer } from './graphics/SeismographRenderer.js';
 import { SpectrumRenderer } from './graphics/SpectrumRenderer.js';
-import { FFTProcessor } from './audio/FFTProcessor.js';
+import { StatisticsRenderer } from './graphics/StatisticsRenderer.js';
+import { CheckpointStore } from './storage/CheckpointStore.js';
+import { SandpileGroup } from './core/SandpileGroup.js';
+import { ACTIVITY_FIELDS } from './core/CellActivity.js';
+
+// How often the simulation is checkpointed to IndexedDB
+const CHECKPOINT_INTERVAL_MS = 30000;
 
 /**
  * Main application class that coordinates all systems
@@ -26,24 +48,46 @@ class SandquakeApp {
         this.heatmapCanvas = document.getElementById('heatmap-canvas');
         this.seismographCanvas = document.getElementById('seismograph-canvas');
         this.spectrumCanvas = document.getElementById('spectrum-canvas');
+        this.statisticsCanvas = document.getElementById('statistics-canvas');
         this.isRunning = false;
         this.isPaused = false;
+
+        // Set by a timeline seek or step, or a debugger step, until the
+        // view shows its result
+        this.timelinePending = false;
         
         this.initializeSystems();
         this.setupEventListeners();
         this.start();
+        this.initializeCheckpoints();
     }
 
     /**
      * Initialize all application systems
      */
     initializeSystems() {
-        // Initialize core simulation
-        this.simulation = new Simulation({
+        // A scenario link in the URL fragment replaces the default setup
+        this.scenario = null;
+        let scenarioError = null;
+        if (isScenarioFragment(window.location.hash)) {
+            try {
+                this.scenario = decodeScenario(window.location.hash);
+            } catch (error) {
+                console.error('Ignoring scenario link:', error.message);
+                scenarioError = error;
+            }
+        }
+
+        // Initialize core simulation, in a Web Worker when the page is
+        // opened with ?worker (large grids keep the camera smooth)
+        const useWorker = new URLSearchParams(window.location.search).has('worker');
+        this.simulationHost = createSimulationHost(this.scenario ? scenarioToOptions(this.scenario) : {
             gridSize: 64,
-            criticalMass: 4,
+            model: 'btw',
+            topology: 'square-4',
+            boundary: 'open',
             initialSources: 3
-        });
+        }, useWorker);
 
         // Initialize 3D graphics
         this.scene = new Scene(this.canvas);
@@ -52,6 +96,7 @@ class SandquakeApp {
         this.heatmapRenderer = new HeatmapRenderer(this.heatmapCanvas);
         this.seismographRenderer = new SeismographRenderer(this.seismographCanvas);
         this.spectrumRenderer = new SpectrumRenderer(this.spectrumCanvas);
+        this.statisticsRenderer = new StatisticsRenderer(this.statisticsCanvas);
         
         // Force initial render of displays to prevent refresh issue
         setTimeout(() => {
@@ -61,41 +106,153 @@ class SandquakeApp {
             this.spectrumRenderer.render();
         }, 100);
         
-        // Initialize seismograph and FFT systems
-        this.seismographData = new SeismographData(64, 1024, 60);
-        this.fftProcessor = new FFTProcessor(512, 60);
-        
         // Initialize controls
         this.speedControl = new SpeedControl('speed-slider', 'speed-value');
         this.sourcesControl = new SourcesControl('add-source', 'remove-source', 'sources-count');
         this.randomnessControl = new RandomnessControl('randomness-slider', 'randomness-value');
+        this.modelControl = new SelectControl('model-select', getModelOptions(), 'btw');
+        this.topologyControl = new SelectControl('topology-select', getTopologyOptions(), 'square-4');
+        this.boundaryControl = new SelectControl('boundary-select', getBoundaryOptions(), 'open');
+        this.heatmapModeControl = new SelectControl('heatmap-mode', getHeatmapModeOptions(), 'height');
+        this.stateFileControl = new StateFileControl('save-state', 'load-state', 'state-status');
+        this.resumePrompt = new ResumePrompt('resume-prompt', 'resume-message', 'resume-checkpoint', 'discard-checkpoint');
+        this.shareLinkControl = new ShareLinkControl('copy-link');
+        this.timelineControl = new TimelineControl('timeline-slider', 'step-back', 'step-forward', 'timeline-value');
+        this.debuggerControl = new DebuggerControl('debug-toggle', 'debug-topple', 'debug-wave', 'debug-stabilize', 'debug-drop');
+        this.sandpileGroupControl = new SandpileGroupControl('show-identity', 'test-recurrence', 'group-status');
+        this.terrainControl = new TerrainControl('terrain-brush', 'terrain-radius', 'terrain-threshold', 'clear-terrain', this.heatmapCanvas);
+        this.stationsControl = new StationsControl(
+            'station-list', 'station-name', 'station-x', 'station-y', 'station-kernel', 'station-range',
+            'add-station', 'place-station', 'remove-station', this.heatmapCanvas
+        );
+        this.propagationControl = new PropagationControl('wave-mode', 'wave-speed', 'wave-attenuation');
         this.keyboardHandler = new KeyboardHandler();
         this.mouseHandler = new MouseHandler(this.canvas);
         this.touchHandler = new TouchHandler(this.canvas);
 
         // Connect speed control
         this.speedControl.onSpeedChange = (speed) => {
-            this.simulation.setGlobalSpeed(speed);
+            this.simulationHost.setGlobalSpeed(speed);
             document.getElementById('speed-display').textContent = speed.toFixed(1);
         };
 
         // Connect sources control
         this.sourcesControl.onAddSource = () => {
-            this.simulation.addRandomSource();
+            this.simulationHost.addRandomSource();
             this.updateSourcesDisplay();
         };
 
         this.sourcesControl.onRemoveSource = () => {
-            this.simulation.removeSource();
+            this.simulationHost.removeSource();
             this.updateSourcesDisplay();
         };
 
         // Connect randomness control
         this.randomnessControl.setOnRandomnessChange((randomness) => {
-            this.simulation.getSandPile().setRandomnessFactor(randomness);
+            this.simulationHost.setRandomnessFactor(randomness);
             document.getElementById('randomness-display').textContent = (randomness * 100).toFixed(1);
         });
 
+        // Connect toppling model selector
+        this.modelControl.setOnChange((model) => {
+            this.simulationHost.setModel(model);
+            this.heatmapRenderer.reset();
+            this.statisticsRenderer.reset();
+        });
+
+        // Connect lattice topology selector
+        this.topologyControl.setOnChange((topology) => {
+            this.simulationHost.setTopology(topology);
+            this.heatmapRenderer.reset();
+            this.statisticsRenderer.reset();
+        });
+
+        // Connect boundary condition selector
+        this.boundaryControl.setOnChange((boundary) => {
+            this.simulationHost.setBoundary(boundary);
+            this.statisticsRenderer.reset();
+        });
+
+        // Connect the heatmap mode selector; activity maps come from the pile
+        this.heatmapModeControl.setOnChange((mode) => {
+            this.heatmapRenderer.setMode(mode);
+            this.simulationHost.setActivityField(Object.hasOwn(ACTIVITY_FIELDS, mode) ? mode : null);
+
+            // Colouring by source tracks grain provenance, in 3D as well
+            const bySource = mode === 'source';
+            this.simulationHost.setProvenanceTracking(bySource);
+            this.scene.setColorMode(bySource ? 'source' : 'height');
+            this.timelinePending = true;
+        });
+
+        // Connect snapshot save and load
+        this.stateFileControl.setOnSave(() => this.saveState());
+        this.stateFileControl.setOnLoad((bytes, fileName) => this.loadState(bytes, fileName));
+
+        // Connect the timeline; stepping pauses the simulation
+        this.timelineControl.setOnSeek((tick) => {
+            this.simulationHost.seek(tick);
+            this.timelinePending = true;
+        });
+        this.timelineControl.setOnStepBackward(() => this.stepTimeline(-1));
+        this.timelineControl.setOnStepForward(() => this.stepTimeline(1));
+
+        // Connect the avalanche debugger; debugging pauses the simulation
+        this.debuggerControl.setOnToggle((enabled) => this.setDebugMode(enabled));
+        this.debuggerControl.setOnStep((action) => this.debugStep(action));
+
+        // Connect the sandpile group tools
+        this.sandpileGroupControl.setOnShowIdentity(() => this.showIdentity());
+        this.sandpileGroupControl.setOnTestRecurrence(() => this.testRecurrence());
+
+        // Connect terrain painting on the heat map
+        this.terrainControl.setCellLocator((clientX, clientY) => {
+            if (!this.simulationHost.isReady()) return null;
+            return this.heatmapRenderer.getCellAt(clientX, clientY, this.simulationHost.getView().getSandPile());
+        });
+        this.terrainControl.setOnPaint((x, y, radius, brush) => {
+            this.simulationHost.paintTerrain(x, y, radius, brush);
+            this.timelinePending = true;
+        });
+        this.terrainControl.setOnClear(() => {
+            this.simulationHost.clearTerrain();
+            this.timelinePending = true;
+        });
+
+        // Connect the seismometer network; stations are placed on the heat map
+        this.stationsControl.setCellLocator((clientX, clientY) => {
+            if (!this.simulationHost.isReady()) return null;
+            return this.heatmapRenderer.getCellAt(clientX, clientY, this.simulationHost.getView().getSandPile());
+        });
+        this.stationsControl.setOnAdd((station) => {
+            try {
+                this.simulationHost.addStation(station);
+            } catch (error) {
+                console.warn('Could not add station:', error.message);
+            }
+            this.timelinePending = true;
+        });
+        this.stationsControl.setOnRemove((name) => {
+            try {
+                this.simulationHost.removeStation(name);
+            } catch (error) {
+                console.warn('Could not remove station:', error.message);
+            }
+            this.timelinePending = true;
+        });
+
+        // Connect seismic wave propagation
+        this.propagationControl.setOnChange((propagation) => {
+            try {
+                this.simulationHost.setPropagation(propagation);
+            } catch (error) {
+                console.warn('Could not set wave propagation:', error.message);
+            }
+        });
+
+        // Connect scenario link copying
+        this.shareLinkControl.setOnCopy(() => this.copyScenarioLink());
+
         // Connect keyboard controls
         this.keyboardHandler.onPan = (direction, deltaTime) => {
             this.scene.getCamera().pan(direction, deltaTime);
@@ -132,8 +289,21 @@ class SandquakeApp {
         });
 
         // Synchronize initial states
-        this.sourcesControl.setSourceCount(this.simulation.getSourceCount());
-        this.randomnessControl.setRandomness(0.0);
+        this.sourcesControl.setSourceCount(this.simulationHost.getSourceCount());
+        if (this.scenario) {
+            const boundary = new BoundaryConditions(this.scenario.boundary);
+            this.modelControl.setValue(this.scenario.model.name);
+            this.topologyControl.setValue(this.scenario.topology);
+            this.boundaryControl.setValue(boundary.getPresetName());
+            this.speedControl.setSpeed(this.scenario.speed);
+            this.randomnessControl.setRandomness(this.scenario.randomness);
+        } else {
+            this.randomnessControl.setRandomness(0.0);
+        }
+
+        if (scenarioError) {
+            this.stateFileControl.showStatus(`Could not open link: ${scenarioError.message}`, true);
+        }
     }
 
     /**
@@ -151,12 +321,21 @@ class SandquakeApp {
             this.togglePause();
         });
 
+        // A scenario link pasted into this tab only changes the fragment;
+        // reload so the page is built from it
+        window.addEventListener('hashchange', () => {
+            if (isScenarioFragment(window.location.hash)) {
+                window.location.reload();
+            }
+        });
+
         // Handle window resize
         window.addEventListener('resize', () => {
             this.scene.handleResize();
             this.heatmapRenderer.handleResize();
             this.seismographRenderer.handleResize();
             this.spectrumRenderer.handleResize();
+            this.statisticsRenderer.handleResize();
         });
     }
 
@@ -177,24 +356,52 @@ class SandquakeApp {
 
         requestAnimationFrame(() => this.animate());
 
-        if (!this.isPaused) {
-            // Update simulation
-            this.simulation.update();
-            
-            // Update graphics
-            this.scene.update(this.simulation);
-            
-            // Update heatmap
-            this.heatmapRenderer.update(this.simulation.getSandPile());
+        // Advance the simulation clock (runs whole ticks; the seismograph
+        // samples once per tick), or pick up the worker's latest snapshot
+        const fresh = (!this.isPaused || this.timelinePending) && this.simulationHost.update();
+
+        // While paused, draw once when a seek or step has been applied
+        const redraw = this.timelinePending && fresh && this.simulationHost.isTimelineSettled();
+        if (redraw) {
+            this.timelinePending = false;
+            this.updateSourcesDisplay();
+        }
+
+        const timeline = this.simulationHost.getTimeline();
+        if (timeline) {
+            this.timelineControl.setRange(timeline);
+        }
+
+        if ((!this.isPaused || redraw) && this.simulationHost.isReady()) {
+            const view = this.simulationHost.getView();
+
+            // Highlight the unstable cells and the toppling order
+            if (this.debuggerControl.isEnabled()) {
+                const highlight = { unstable: view.getUnstableCells(), toppleOrder: view.getToppleOrder() };
+                this.scene.setHighlight(highlight);
+                this.heatmapRenderer.setHighlight(highlight);
+            }
+
+            // Update graphics; a paused redraw must not be rate limited away
+            this.scene.update(view, redraw);
             
-            // Update seismograph data
-            this.seismographData.update(this.simulation.getGrid());
+            // Update heatmap and the station list
+            const stations = view.getStations();
+            this.stationsControl.setStations(stations);
+            this.heatmapRenderer.setStations(stations);
+            this.heatmapRenderer.update(view.getSandPile());
+
+            // Update avalanche distributions
+            this.statisticsRenderer.update(this.simulationHost.getAvalancheStatistics());
             
             // Update seismograph display
-            this.seismographRenderer.update(this.seismographData);
+            this.seismographRenderer.update(this.simulationHost.getSeismograph());
             
-            // Process FFT and update spectrum display
-            this.updateSpectrum();
+            // Update spectrum display, one waterfall slice per new state
+            const spectrum = this.simulationHost.getSpectrum();
+            if (fresh && spectrum) {
+                this.spectrumRenderer.update(spectrum);
+            }
         }
 
         // Render scene
@@ -202,40 +409,294 @@ class SandquakeApp {
     }
 
     /**
-     * Update spectrum analysis
+     * Reset the simulation
      */
-    updateSpectrum() {
-        // Get signal data for FFT
-        const signalData = this.seismographData.getSignalData(512);
-        
-        if (signalData.length >= 512) {
-            // Process FFT
-            const fftResult = this.fftProcessor.process(signalData);
-            
-            // Update spectrum renderer
-            this.spectrumRenderer.update(fftResult);
+    reset() {
+        this.simulationHost.reset();
+        this.scene.reset();
+        this.heatmapRenderer.reset();
+        this.seismographRenderer.reset();
+        this.spectrumRenderer.reset();
+        this.statisticsRenderer.reset();
+        this.updateSourcesDisplay();
+    }
+
+    /**
+     * Download the simulation state as a snapshot file
+     */
+    async saveState() {
+        const state = await this.simulationHost.exportState();
+        const fileName = `sandquake-${state.config.seed}-${state.clock.tickCount}${STATE_FILE_EXTENSION}`;
+        this.stateFileControl.download(serializeState(state), fileName);
+        this.stateFileControl.showStatus(`Saved ${fileName}`);
+    }
+
+    /**
+     * Restore the simulation from a JSON or binary snapshot file
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} fileName - File name, for messages
+     */
+    loadState(bytes, fileName) {
+        let state;
+        try {
+            state = isBinarySnapshot(bytes)
+                ? decodeSnapshot(bytes)
+                : parseState(new TextDecoder().decode(bytes));
+            this.simulationHost.importState(state);
+        } catch (error) {
+            console.error(`Could not load ${fileName}:`, error.message);
+            this.stateFileControl.showStatus(`Could not load ${fileName}: ${error.message}`, true);
+            return;
         }
+
+        this.applyLoadedState(state);
+        this.stateFileControl.showStatus(`Loaded ${fileName}`);
     }
 
     /**
-     * Reset the simulation
+     * Copy a link to the current scenario to the clipboard
      */
-    reset() {
-        this.simulation.reset();
+    async copyScenarioLink() {
+        const state = await this.simulationHost.exportState();
+        const url = new URL(window.location.href);
+        url.hash = encodeScenario(scenarioFromState(state));
+
+        try {
+            await this.shareLinkControl.copy(url.href);
+            this.stateFileControl.showStatus('Link copied');
+        } catch (error) {
+            console.error('Could not copy link:', error.message);
+            this.stateFileControl.showStatus(`Could not copy link: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Pause and draw the identity of the sandpile group for the current
+     * grid, lattice and edges on the heat map
+     */
+    async showIdentity() {
+        if (!this.isPaused) {
+            this.togglePause();
+        }
+
+        try {
+            const state = await this.simulationHost.exportState();
+            const group = SandpileGroup.fromState(state);
+            const identity = group.identity();
+
+            this.heatmapRenderer.setHighlight(null);
+            this.heatmapRenderer.update(group.createView(identity));
+            this.sandpileGroupControl.showStatus(`Identity of the ${group.size}×${group.size} ${group.topology.name} group`);
+        } catch (error) {
+            this.sandpileGroupControl.showStatus(`No identity: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Report whether the current pile is recurrent (Dhar's burning test)
+     */
+    async testRecurrence() {
+        try {
+            const state = await this.simulationHost.exportState();
+            const group = SandpileGroup.fromState(state);
+            const recurrent = group.isRecurrent(state.pile.grid);
+            this.sandpileGroupControl.showStatus(recurrent
+                ? `Recurrent at tick ${state.clock.tickCount}`
+                : `Transient at tick ${state.clock.tickCount}: some cells do not burn`);
+        } catch (error) {
+            this.sandpileGroupControl.showStatus(`Cannot test: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Bring the controls and displays in line with a restored snapshot
+     * @param {Object} state - Snapshot the simulation was restored from
+     */
+    applyLoadedState(state) {
+        const { config } = state;
+        this.modelControl.setValue(config.model.name);
+        this.topologyControl.setValue(config.topology);
+        this.boundaryControl.setValue(new BoundaryConditions(config.boundary).getPresetName());
+        this.speedControl.setSpeed(state.settings.globalSpeed);
+        this.randomnessControl.setRandomness(state.pile.randomnessFactor);
+
         this.scene.reset();
         this.heatmapRenderer.reset();
-        this.seismographData.reset();
         this.seismographRenderer.reset();
         this.spectrumRenderer.reset();
-        this.fftProcessor.resetSmoothing();
+        this.statisticsRenderer.reset();
         this.updateSourcesDisplay();
     }
 
+    /**
+     * Offer to resume from the stored checkpoint, then start checkpointing
+     * Autosaves wait for an answer, so an ignored prompt never overwrites
+     * the checkpoint it offers.
+     */
+    async initializeCheckpoints() {
+        if (!CheckpointStore.isSupported()) {
+            console.log('IndexedDB not supported; checkpoints disabled');
+            return;
+        }
+
+        this.checkpointStore = new CheckpointStore();
+
+        // A scenario link is an explicit choice; don't offer the checkpoint
+        if (this.scenario) {
+            this.startCheckpoints();
+            return;
+        }
+
+        let checkpoint = null;
+        try {
+            checkpoint = await this.checkpointStore.load();
+        } catch (error) {
+            console.warn('Discarding unreadable checkpoint:', error.message);
+        }
+
+        if (!this.isRunning) return;
+
+        if (!checkpoint) {
+            this.startCheckpoints();
+            return;
+        }
+
+        const { config, clock } = checkpoint.state;
+        this.resumePrompt.setOnResume(() => {
+            this.resumeCheckpoint(checkpoint);
+            this.startCheckpoints();
+        });
+        this.resumePrompt.setOnDismiss(() => this.startCheckpoints());
+        this.resumePrompt.show(
+            `Resume the ${config.gridSize}×${config.gridSize} ${config.model.name.toUpperCase()} simulation ` +
+            `saved ${new Date(checkpoint.savedAt).toLocaleString()} at tick ${clock.tickCount}?`
+        );
+    }
+
+    /**
+     * Restore the simulation, seismograph and camera from a checkpoint
+     * @param {Object} checkpoint - Checkpoint from CheckpointStore.load()
+     */
+    resumeCheckpoint(checkpoint) {
+        try {
+            this.simulationHost.importState(checkpoint.state, checkpoint.seismograph);
+        } catch (error) {
+            console.error('Could not resume checkpoint:', error.message);
+            this.stateFileControl.showStatus(`Could not resume: ${error.message}`, true);
+            return;
+        }
+
+        this.applyLoadedState(checkpoint.state);
+        if (checkpoint.camera) {
+            this.scene.getCamera().setPose(checkpoint.camera);
+        }
+        this.stateFileControl.showStatus(`Resumed at tick ${checkpoint.state.clock.tickCount}`);
+    }
+
+    /**
+     * Checkpoint periodically and whenever the page is hidden
+     */
+    startCheckpoints() {
+        if (!this.isRunning || this.checkpointTimer) return;
+
+        this.checkpointTimer = setInterval(() => this.saveCheckpoint(), CHECKPOINT_INTERVAL_MS);
+        this.handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') this.saveCheckpoint();
+        };
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    /**
+     * Write the simulation, seismograph and camera to the checkpoint store
+     */
+    async saveCheckpoint() {
+        // Skip if the previous checkpoint is still being written
+        if (this.checkpointPending) return;
+        this.checkpointPending = true;
+
+        try {
+            const { state, seismograph } = await this.simulationHost.exportCheckpoint();
+            await this.checkpointStore.save({
+                state,
+                seismograph,
+                camera: this.scene.getCamera().getPose()
+            });
+        } catch (error) {
+            console.warn('Checkpoint failed:', error.message);
+        } finally {
+            this.checkpointPending = false;
+        }
+    }
+
+    /**
+     * Step the timeline one tick, pausing first
+     * @param {number} direction - 1 for forward, -1 for back
+     */
+    stepTimeline(direction) {
+        if (!this.isPaused) {
+            this.togglePause();
+        }
+
+        if (direction < 0) {
+            this.simulationHost.stepBackward();
+        } else {
+            this.simulationHost.stepForward();
+        }
+        this.timelinePending = true;
+    }
+
+    /**
+     * Turn the avalanche debugger on or off
+     * @param {boolean} enabled - Whether to enable
+     */
+    setDebugMode(enabled) {
+        if (enabled && !this.isPaused) {
+            this.togglePause();
+        }
+
+        this.simulationHost.setDebugMode(enabled);
+        if (!enabled) {
+            this.scene.setHighlight(null);
+            this.heatmapRenderer.setHighlight(null);
+        }
+        this.timelinePending = true;
+    }
+
+    /**
+     * Apply a debugger step, pausing first
+     * @param {string} action - 'topple', 'wave', 'stabilize' or 'drop'
+     */
+    debugStep(action) {
+        if (!this.isPaused) {
+            this.togglePause();
+        }
+
+        switch (action) {
+            case 'topple':
+                this.simulationHost.toppleNext();
+                break;
+            case 'wave':
+                this.simulationHost.processWave();
+                break;
+            case 'stabilize':
+                this.simulationHost.stabilize();
+                break;
+            case 'drop': {
+                if (!this.simulationHost.isReady()) return;
+                const center = Math.floor(this.simulationHost.getView().getSandPile().getSize() / 2);
+                this.simulationHost.dropSand(center, center);
+                break;
+            }
+        }
+        this.timelinePending = true;
+    }
+
     /**
      * Toggle pause state
      */
     togglePause() {
         this.isPaused = !this.isPaused;
+        this.simulationHost.setPaused(this.isPaused);
         const button = document.getElementById('pause-play');
         button.textContent = this.isPaused ? 'Play' : 'Pause';
     }
@@ -244,7 +705,7 @@ class SandquakeApp {
      * Update sources display in UI
      */
     updateSourcesDisplay() {
-        const count = this.simulation.getSourceCount();
+        const count = this.simulationHost.getSourceCount();
         // Update info display
         document.getElementById('source-count').textContent = count;
         // Update SourcesControl which will handle the controls area display
@@ -260,11 +721,30 @@ class SandquakeApp {
         this.heatmapRenderer.dispose();
         this.seismographRenderer.dispose();
         this.spectrumRenderer.dispose();
-        this.seismographData.dispose();
-        this.fftProcessor.dispose();
+        this.statisticsRenderer.dispose();
+        this.simulationHost.dispose();
         this.mouseHandler.dispose();
         this.touchHandler.dispose();
         this.randomnessControl.dispose();
+        this.modelControl.dispose();
+        this.topologyControl.dispose();
+        this.boundaryControl.dispose();
+        this.heatmapModeControl.dispose();
+        this.stateFileControl.dispose();
+        this.resumePrompt.dispose();
+        this.shareLinkControl.dispose();
+        this.timelineControl.dispose();
+        this.debuggerControl.dispose();
+        this.sandpileGroupControl.dispose();
+        this.terrainControl.dispose();
+        this.stationsControl.dispose();
+        this.propagationControl.dispose();
+
+        clearInterval(this.checkpointTimer);
+        this.checkpointTimer = null;
+        if (this.handleVisibilityChange) {
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        }
     }
 }
 
@@ -0,0 +1,144 @@
+/**
+ * Automatic checkpoints kept in the browser's IndexedDB
+ */
+
+import { encodeSnapshot, decodeSnapshot } from '../core/BinarySnapshot.js';
+
+// Bump when the record layout below changes; older records are discarded
+// unless load() still reads them. Version 2 seismographs have a trace per
+// station and the propagation settings; SeismographData.setState() still
+// reads the single trace of version 1.
+const CHECKPOINT_VERSION = 2;
+const OLDEST_CHECKPOINT_VERSION = 1;
+
+// Only the most recent checkpoint is kept
+const LATEST_KEY = 'latest';
+
+/**
+ * Stores the latest checkpoint: the simulation as a binary snapshot, the
+ * seismograph trace and the camera pose
+ */
+export class CheckpointStore {
+    /**
+     * Create a new checkpoint store
+     * @param {string} dbName - IndexedDB database name
+     * @param {string} storeName - Object store name
+     */
+    constructor(dbName = 'sandquake', storeName = 'checkpoints') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    /**
+     * Check whether this environment has IndexedDB
+     * @returns {boolean} True if checkpoints can be stored
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => {
+                reject(new Error(`Could not open checkpoint database '${this.dbName}': ${request.error?.message}`));
+            };
+        });
+    }
+
+    /**
+     * Run one request in its own transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (objectStore) => IDBRequest
+     * @returns {Promise<*>} Request result, once the transaction commits
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            const fail = () => reject(new Error(`Checkpoint ${mode} failed: ${transaction.error?.message}`));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+        });
+    }
+
+    /**
+     * Replace the stored checkpoint
+     * @param {Object} checkpoint - {state, seismograph, camera}; state is a
+     *   current snapshot, the others may be null
+     * @returns {Promise<void>} Resolves once written
+     */
+    async save({ state, seismograph = null, camera = null }) {
+        const record = {
+            version: CHECKPOINT_VERSION,
+            savedAt: Date.now(),
+            snapshot: encodeSnapshot(state),
+            seismograph,
+            camera
+        };
+
+        await this.run('readwrite', store => store.put(record, LATEST_KEY));
+    }
+
+    /**
+     * Read the stored checkpoint
+     * @returns {Promise<Object|null>} {savedAt, state, seismograph, camera},
+     *   or null if there is none
+     * @throws {Error} If the stored checkpoint cannot be decoded
+     */
+    async load() {
+        const record = await this.run('readonly', store => store.get(LATEST_KEY));
+        if (!record) return null;
+
+        if (!(record.version >= OLDEST_CHECKPOINT_VERSION && record.version <= CHECKPOINT_VERSION)) {
+            throw new Error(`Unsupported checkpoint version ${record.version}`);
+        }
+
+        return {
+            savedAt: record.savedAt,
+            state: decodeSnapshot(record.snapshot),
+            seismograph: record.seismograph,
+            camera: record.camera
+        };
+    }
+
+    /**
+     * Delete the stored checkpoint
+     * @returns {Promise<void>} Resolves once deleted
+     */
+    async clear() {
+        await this.run('readwrite', store => store.delete(LATEST_KEY));
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
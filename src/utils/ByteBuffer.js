@@ -0,0 +1,230 @@
+/**
+ * Growable byte writer and matching reader for binary formats
+ * Multi-byte numbers are little-endian; varints are unsigned LEB128 and
+ * signed values are zigzag encoded first.
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Appends bytes to a buffer that grows as needed
+ */
+export class ByteWriter {
+    /**
+     * Create a new writer
+     * @param {number} initialCapacity - Initial buffer size in bytes
+     */
+    constructor(initialCapacity = 1024) {
+        this.bytes = new Uint8Array(initialCapacity);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    /**
+     * Make room for more bytes
+     * @param {number} count - Bytes about to be written
+     */
+    reserve(count) {
+        if (this.length + count <= this.bytes.length) return;
+
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + count) capacity *= 2;
+
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    /**
+     * Write one byte
+     * @param {number} value - Byte (0-255)
+     */
+    writeUint8(value) {
+        this.reserve(1);
+        this.bytes[this.length++] = value;
+    }
+
+    /**
+     * Write an unsigned 32-bit integer
+     * @param {number} value - Integer
+     */
+    writeUint32(value) {
+        this.reserve(4);
+        this.view.setUint32(this.length, value, true);
+        this.length += 4;
+    }
+
+    /**
+     * Write a 64-bit float
+     * @param {number} value - Number
+     */
+    writeFloat64(value) {
+        this.reserve(8);
+        this.view.setFloat64(this.length, value, true);
+        this.length += 8;
+    }
+
+    /**
+     * Write a non-negative integer as a varint
+     * @param {number} value - Integer up to Number.MAX_SAFE_INTEGER
+     */
+    writeVarUint(value) {
+        // Division rather than shifts, so values above 2^32 survive
+        while (value >= 0x80) {
+            this.writeUint8((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.writeUint8(value);
+    }
+
+    /**
+     * Write a signed 32-bit integer as a zigzag varint
+     * @param {number} value - Integer
+     */
+    writeVarInt(value) {
+        this.writeVarUint(((value << 1) ^ (value >> 31)) >>> 0);
+    }
+
+    /**
+     * Write raw bytes
+     * @param {Uint8Array} bytes - Bytes to append
+     */
+    writeBytes(bytes) {
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    /**
+     * Write a length-prefixed UTF-8 string
+     * @param {string} text - String
+     */
+    writeString(text) {
+        const bytes = textEncoder.encode(text);
+        this.writeVarUint(bytes.length);
+        this.writeBytes(bytes);
+    }
+
+    /**
+     * Get the written bytes
+     * @returns {Uint8Array} Copy trimmed to the written length
+     */
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * Reads values written by ByteWriter
+ */
+export class ByteReader {
+    /**
+     * Create a new reader
+     * @param {Uint8Array|ArrayBuffer} bytes - Data to read
+     */
+    constructor(bytes) {
+        this.bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.offset = 0;
+    }
+
+    /**
+     * Check that enough bytes remain
+     * @param {number} count - Bytes about to be read
+     */
+    require(count) {
+        if (this.offset + count > this.bytes.length) {
+            throw new Error(`Unexpected end of data at byte ${this.offset} (needed ${count} more)`);
+        }
+    }
+
+    /**
+     * Check whether all bytes have been read
+     * @returns {boolean} True at the end of the data
+     */
+    isAtEnd() {
+        return this.offset >= this.bytes.length;
+    }
+
+    /**
+     * Read one byte
+     * @returns {number} Byte
+     */
+    readUint8() {
+        this.require(1);
+        return this.bytes[this.offset++];
+    }
+
+    /**
+     * Read an unsigned 32-bit integer
+     * @returns {number} Integer
+     */
+    readUint32() {
+        this.require(4);
+        const value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    /**
+     * Read a 64-bit float
+     * @returns {number} Number
+     */
+    readFloat64() {
+        this.require(8);
+        const value = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+
+    /**
+     * Read a varint
+     * @returns {number} Non-negative integer
+     */
+    readVarUint() {
+        let value = 0;
+        let scale = 1;
+
+        for (;;) {
+            const byte = this.readUint8();
+            value += (byte & 0x7f) * scale;
+            if (byte < 0x80) return value;
+
+            scale *= 0x80;
+            if (scale > Number.MAX_SAFE_INTEGER) {
+                throw new Error(`Varint at byte ${this.offset} is too long`);
+            }
+        }
+    }
+
+    /**
+     * Read a zigzag varint
+     * @returns {number} Signed 32-bit integer
+     */
+    readVarInt() {
+        const value = this.readVarUint();
+        return (value >>> 1) ^ -(value & 1);
+    }
+
+    /**
+     * Read raw bytes
+     * @param {number} count - Number of bytes
+     * @returns {Uint8Array} View of the bytes
+     */
+    readBytes(count) {
+        this.require(count);
+        const bytes = this.bytes.subarray(this.offset, this.offset + count);
+        this.offset += count;
+        return bytes;
+    }
+
+    /**
+     * Read a length-prefixed UTF-8 string
+     * @returns {string} String
+     */
+    readString() {
+        return textDecoder.decode(this.readBytes(this.readVarUint()));
+    }
+}
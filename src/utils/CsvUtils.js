@@ -0,0 +1,41 @@
+/**
+ * CSV formatting utilities for exported simulation data
+ */
+
+/**
+ * Format one CSV field, quoting it if needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+export function formatCsvField(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    if (/[",\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Format rows of objects as CSV
+ * @param {Array<Object>} rows - Rows to format
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} CSV text with a header line
+ */
+export function toCsv(rows, columns) {
+    const lines = [columns.map(formatCsvField).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => formatCsvField(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a 2D array of numbers as CSV without a header
+ * @param {Array<Array<number>>} matrix - Rows of values
+ * @returns {string} CSV text
+ */
+export function matrixToCsv(matrix) {
+    return matrix.map(row => row.join(',')).join('\n') + '\n';
+}
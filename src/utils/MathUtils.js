@@ -6,20 +6,24 @@
  * Generate a random integer between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Random} random - Seeded generator (default: Math.random)
  * @returns {number} Random integer
  */
-export function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomInt(min, max, random = null) {
+    const value = random ? random.next() : Math.random();
+    return Math.floor(value * (max - min + 1)) + min;
 }
 
 /**
  * Generate a random float between min and max
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Random} random - Seeded generator (default: Math.random)
  * @returns {number} Random float
  */
-export function randomFloat(min, max) {
-    return Math.random() * (max - min) + min;
+export function randomFloat(min, max, random = null) {
+    const value = random ? random.next() : Math.random();
+    return value * (max - min) + min;
 }
 
 /**
@@ -88,12 +92,17 @@ export function isValidGridPosition(x, y, gridSize) {
 }
 
 /**
- * Get the four neighboring positions of a grid cell
+ * Get the neighboring positions of a grid cell
  * @param {number} x - Grid X coordinate
  * @param {number} y - Grid Y coordinate
+ * @param {Topology} topology - Lattice topology (default: the four von Neumann neighbours)
  * @returns {Array} Array of neighbor positions [{x, y}, ...]
  */
-export function getNeighbors(x, y) {
+export function getNeighbors(x, y, topology = null) {
+    if (topology) {
+        return topology.getNeighbors(x, y);
+    }
+
     return [
         { x: x - 1, y: y },     // Left
         { x: x + 1, y: y },     // Right
@@ -0,0 +1,153 @@
+/**
+ * Seedable pseudo-random number generator
+ * Every source of randomness in the simulation draws from a Random instance so
+ * that runs with the same seed and inputs are reproducible.
+ */
+
+/**
+ * Hash a seed of any type to a 32-bit integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * SplitMix32 step, used to expand a 32-bit hash into generator state
+ * @param {number} value - Input value
+ * @returns {number} Unsigned 32-bit output
+ */
+function splitMix32(value) {
+    let z = (value + 0x9e3779b9) | 0;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+}
+
+/**
+ * Small Fast Counting generator (sfc32) with 128 bits of state
+ */
+export class Random {
+    /**
+     * Create a new generator
+     * @param {number|string} seed - Seed (default: a fresh random seed)
+     */
+    constructor(seed = Random.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Pick a fresh seed when none is given
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number|string} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = seed;
+
+        let value = hashSeed(seed);
+        const state = [];
+        for (let i = 0; i < 4; i++) {
+            value = splitMix32(value);
+            state.push(value);
+        }
+        this.setState(state);
+
+        // Discard the first outputs, which are weakly mixed
+        for (let i = 0; i < 12; i++) {
+            this.next();
+        }
+    }
+
+    /**
+     * Get the seed the sequence started from
+     * @returns {number|string} Seed value
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get the generator state so the sequence can be resumed later
+     * @returns {Array} Four unsigned 32-bit words
+     */
+    getState() {
+        return [this.a >>> 0, this.b >>> 0, this.c >>> 0, this.d >>> 0];
+    }
+
+    /**
+     * Resume the sequence from a saved state
+     * @param {Array} state - Four unsigned 32-bit words from getState()
+     */
+    setState(state) {
+        this.a = state[0] | 0;
+        this.b = state[1] | 0;
+        this.c = state[2] | 0;
+        this.d = state[3] | 0;
+    }
+
+    /**
+     * Get the next random float
+     * @returns {number} Uniform value in [0, 1)
+     */
+    next() {
+        const t = (((this.a + this.b) | 0) + this.d) | 0;
+        this.d = (this.d + 1) | 0;
+        this.a = this.b ^ (this.b >>> 9);
+        this.b = (this.c + (this.c << 3)) | 0;
+        this.c = (this.c << 21) | (this.c >>> 11);
+        this.c = (this.c + t) | 0;
+        return (t >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Random integer
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Get a random float in [min, max)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Get a short random identifier
+     * @returns {string} Base-36 identifier
+     */
+    nextId() {
+        return Math.floor(this.next() * 4294967296).toString(36).padStart(7, '0');
+    }
+
+    /**
+     * Create an independent generator for a subsystem
+     * The fork is derived from the seed alone, so drawing from it never
+     * disturbs this generator's sequence.
+     * @param {string} label - Subsystem name
+     * @returns {Random} New generator
+     */
+    fork(label) {
+        return new Random(`${this.seed}:${label}`);
+    }
+}
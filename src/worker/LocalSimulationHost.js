@@ -0,0 +1,393 @@
+/**
+ * Simulation host that runs everything on the main thread
+ */
+
+import { Simulation } from '../core/Simulation.js';
+import { SeismographData } from '../core/SeismographData.js';
+import { SeismicStation } from '../core/SeismicStation.js';
+import { FFTProcessor } from '../audio/FFTProcessor.js';
+import { Timeline } from '../core/Timeline.js';
+
+/**
+ * Owns the Simulation, SeismographData and FFTProcessor directly
+ * Shares its interface with WorkerSimulationHost.
+ */
+export class LocalSimulationHost {
+    /**
+     * Create the simulation and its signal processing
+     * @param {Object} options - Simulation constructor options
+     */
+    constructor(options = {}) {
+        this.simulation = new Simulation(options);
+        this.simulation.addTickListener((simulation) => {
+            this.seismographData.update(simulation.getSignalGrid(), simulation.getSandPile().getActivity('topples'));
+        });
+
+        // Seismograph wave propagation, kept when the seismograph is recreated
+        this.propagation = null;
+        this.simulation.addInputListener((input) => {
+            // Seeks restore the network through importState
+            if (input.type === 'addStation' || input.type === 'removeStation' || input.type === 'importState') {
+                this.seismographData.setStations(this.simulation.getStations());
+            }
+        });
+
+        this.createSignalProcessing();
+
+        // Rewindable history; recorded after the seismograph has sampled
+        this.timeline = new Timeline(this.simulation);
+    }
+
+    /**
+     * Create the seismograph and FFT for the simulation's grid size and tick rate
+     */
+    createSignalProcessing() {
+        // Both sample once per simulation tick
+        const tickRate = this.simulation.getTickRate();
+        this.seismographData = new SeismographData(
+            this.simulation.gridSize, 1024, tickRate, this.simulation.getRandom().fork('seismograph'),
+            this.simulation.getStations(), this.propagation
+        );
+        this.fftProcessor = new FFTProcessor(512, tickRate);
+        this.spectrum = null;
+    }
+
+    /**
+     * Advance the simulation clock and update the spectrum
+     * @returns {boolean} True (local state is always current)
+     */
+    update() {
+        this.simulation.update();
+
+        const signalData = this.seismographData.getSignalData(512);
+        if (signalData.length >= 512) {
+            this.spectrum = this.fftProcessor.process(signalData);
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether there is state to render
+     * @returns {boolean} Always true
+     */
+    isReady() {
+        return true;
+    }
+
+    /**
+     * Get the state the renderers draw from
+     * @returns {Simulation} The simulation
+     */
+    getView() {
+        return this.simulation;
+    }
+
+    /**
+     * Get the seismograph samples
+     * @returns {SeismographData} Seismograph data
+     */
+    getSeismograph() {
+        return this.seismographData;
+    }
+
+    /**
+     * Get the latest spectrum
+     * @returns {Object|null} FFT result, or null before enough samples exist
+     */
+    getSpectrum() {
+        return this.spectrum;
+    }
+
+    /**
+     * Get the avalanche distribution collector
+     * @returns {AvalancheStatistics} Avalanche statistics
+     */
+    getAvalancheStatistics() {
+        return this.simulation.getAvalancheStatistics();
+    }
+
+    /**
+     * Get the underlying simulation
+     * @returns {Simulation} Simulation
+     */
+    getSimulation() {
+        return this.simulation;
+    }
+
+    /**
+     * Set the global speed multiplier
+     * @param {number} speed - Speed multiplier (0.0 to 5.0)
+     */
+    setGlobalSpeed(speed) {
+        this.simulation.setGlobalSpeed(speed);
+    }
+
+    /**
+     * Set the avalanche randomness factor
+     * @param {number} factor - Randomness factor (0.0 to 1.0)
+     */
+    setRandomnessFactor(factor) {
+        this.simulation.setRandomnessFactor(factor);
+    }
+
+    /**
+     * Add a random sand source
+     */
+    addRandomSource() {
+        this.simulation.addRandomSource();
+    }
+
+    /**
+     * Remove a sand source
+     * @param {number} index - Index of source to remove (default: last source)
+     */
+    removeSource(index = -1) {
+        this.simulation.removeSource(index);
+    }
+
+    /**
+     * Get the number of sources
+     * @returns {number} Number of sources
+     */
+    getSourceCount() {
+        return this.simulation.getSourceCount();
+    }
+
+    /**
+     * Add a seismometer station
+     * @param {Object} station - Station {name, gridX, gridY, kernel, range}
+     * @throws {Error} If the station is invalid, off the grid or its name is taken
+     */
+    addStation(station) {
+        this.simulation.addStation(SeismicStation.fromJSON(station));
+    }
+
+    /**
+     * Remove a seismometer station
+     * @param {string} name - Station name
+     * @throws {Error} If there is no such station, or it is the last one
+     */
+    removeStation(name) {
+        this.simulation.removeStation(name);
+    }
+
+    /**
+     * Set how grid changes reach the seismometer stations
+     * @param {Object} propagation - Propagation {mode, speed, attenuation} (see SeismographData.setPropagation)
+     * @throws {Error} If the settings are invalid
+     */
+    setPropagation(propagation) {
+        this.seismographData.setPropagation(propagation);
+        this.propagation = this.seismographData.getPropagation();
+    }
+
+    /**
+     * Switch the toppling model (clears the pile and the seismograph)
+     * @param {string} model - Model name
+     * @param {Object} params - Model parameters
+     */
+    setModel(model, params = {}) {
+        this.simulation.setModel(model, params);
+        this.seismographData.reset();
+    }
+
+    /**
+     * Change the lattice topology
+     * @param {string} topology - Topology name
+     */
+    setTopology(topology) {
+        this.simulation.setTopology(topology);
+    }
+
+    /**
+     * Change the boundary conditions
+     * @param {string|Object} boundary - Boundary specification
+     */
+    setBoundary(boundary) {
+        this.simulation.setBoundary(boundary);
+    }
+
+    /**
+     * Pause or resume the simulation clock
+     * @param {boolean} paused - Whether to pause
+     */
+    setPaused(paused) {
+        this.simulation.setPaused(paused);
+    }
+
+    /**
+     * Get the simulation tick rate
+     * @returns {number} Ticks per second
+     */
+    getTickRate() {
+        return this.simulation.getTickRate();
+    }
+
+    /**
+     * Reset the simulation and its signal processing
+     */
+    reset() {
+        this.simulation.reset();
+        this.seismographData.reset();
+        this.fftProcessor.resetSmoothing();
+        this.spectrum = null;
+    }
+
+    /**
+     * Get the recorded timeline range
+     * @returns {Object} {start, end, current} in ticks
+     */
+    getTimeline() {
+        return this.timeline.getRange();
+    }
+
+    /**
+     * Jump to a recorded tick
+     * @param {number} tick - Target tick
+     */
+    seek(tick) {
+        this.timeline.seek(tick);
+    }
+
+    /**
+     * Run one tick, replaying the recording when behind its end
+     */
+    stepForward() {
+        this.timeline.stepForward();
+    }
+
+    /**
+     * Go back one tick
+     */
+    stepBackward() {
+        this.timeline.stepBackward();
+    }
+
+    /**
+     * Check whether the view shows the last seek or step
+     * @returns {boolean} Always true (local steps apply immediately)
+     */
+    isTimelineSettled() {
+        return true;
+    }
+
+    /**
+     * Choose the activity map the view must provide
+     * @param {string|null} field - Activity field, or null for none
+     */
+    setActivityField(field) {
+        // Every map is read straight from the pile
+    }
+
+    /**
+     * Turn debugger mode on or off
+     * In debugger mode the pile records its toppling order so the view can
+     * show it alongside the unstable cells.
+     * @param {boolean} enabled - Whether to enable
+     */
+    setDebugMode(enabled) {
+        this.simulation.setToppleOrderRecording(enabled);
+    }
+
+    /**
+     * Track which source each cell's sand came from
+     * @param {boolean} enabled - Whether to track
+     */
+    setProvenanceTracking(enabled) {
+        this.simulation.setProvenanceTracking(enabled);
+    }
+
+    /**
+     * Topple a single unstable cell
+     */
+    toppleNext() {
+        this.simulation.toppleNext();
+    }
+
+    /**
+     * Process a single relaxation wave
+     */
+    processWave() {
+        this.simulation.processWave();
+    }
+
+    /**
+     * Relax the pile completely
+     */
+    stabilize() {
+        this.simulation.stabilize();
+    }
+
+    /**
+     * Drop grains on a cell without relaxing the pile
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @param {number} amount - Grains to drop (default 1)
+     */
+    dropSand(x, y, amount = 1) {
+        this.simulation.dropSand(x, y, amount);
+    }
+
+    /**
+     * Paint the terrain with a disc-shaped brush
+     * @param {number} x - Grid X coordinate of the centre
+     * @param {number} y - Grid Y coordinate of the centre
+     * @param {number} radius - Brush radius in cells
+     * @param {Object} brush - Brush {type?, threshold?} (see Terrain.paint)
+     */
+    paintTerrain(x, y, radius, brush) {
+        this.simulation.paintTerrain(x, y, radius, brush);
+    }
+
+    /**
+     * Make the whole terrain normal again
+     */
+    clearTerrain() {
+        this.simulation.clearTerrain();
+    }
+
+    /**
+     * Capture the simulation state
+     * @returns {Promise<Object>} Snapshot from Simulation.exportState()
+     */
+    exportState() {
+        return Promise.resolve(this.simulation.exportState());
+    }
+
+    /**
+     * Capture the simulation state together with the seismograph trace
+     * @returns {Promise<Object>} {state, seismograph}
+     */
+    exportCheckpoint() {
+        return Promise.resolve({
+            state: this.simulation.exportState(),
+            seismograph: this.seismographData.getState()
+        });
+    }
+
+    /**
+     * Replace the simulation state; the spectrum restarts, and so does the
+     * seismograph unless its saved state is given
+     * @param {Object} state - Snapshot of any supported version
+     * @param {Object|null} seismograph - Seismograph state from exportCheckpoint()
+     * @throws {Error} If the snapshot is invalid
+     */
+    importState(state, seismograph = null) {
+        this.simulation.importState(state);
+        this.dispose();
+        this.createSignalProcessing();
+
+        if (seismograph) {
+            this.seismographData.setState(seismograph);
+        }
+    }
+
+    /**
+     * Release resources
+     */
+    dispose() {
+        this.seismographData.dispose();
+        this.fftProcessor.dispose();
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * Choose where the simulation runs
+ */
+
+import { LocalSimulationHost } from './LocalSimulationHost.js';
+import { WorkerSimulationHost } from './WorkerSimulationHost.js';
+
+/**
+ * Create a simulation host
+ * Both hosts expose the same interface, so the app does not need to know
+ * which one it is talking to.
+ * @param {Object} options - Simulation constructor options
+ * @param {boolean} useWorker - Run the simulation in a Web Worker if supported
+ * @returns {LocalSimulationHost|WorkerSimulationHost} Simulation host
+ */
+export function createSimulationHost(options = {}, useWorker = false) {
+    if (useWorker && typeof Worker !== 'undefined') {
+        return new WorkerSimulationHost(options);
+    }
+    return new LocalSimulationHost(options);
+}
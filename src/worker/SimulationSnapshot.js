@@ -0,0 +1,197 @@
+/**
+ * Main-thread view of a snapshot posted by the simulation worker
+ * Implements the read-only parts of the Simulation, SandPile and
+ * SeismographData interfaces that the renderers use.
+ */
+
+import { createTopology } from '../core/Topology.js';
+import { SandSource } from '../core/SandSource.js';
+import { SeismicStation } from '../core/SeismicStation.js';
+
+// Topology instances are shared between snapshots so renderers can
+// detect lattice changes by identity
+const topologyCache = new Map();
+
+/**
+ * Read-only simulation state received from the worker
+ */
+export class SimulationSnapshot {
+    /**
+     * Wrap a snapshot message
+     * @param {Object} data - Snapshot message (see createSnapshotMessage)
+     * @param {Object|null} terrain - Last terrain sent, for snapshots that leave it out
+     */
+    constructor(data, terrain = null) {
+        this.tick = data.tick;
+        this.gridSize = data.gridSize;
+        this.heights = data.heights;
+        this.maxHeight = data.maxHeight;
+        this.signals = data.signals;
+        this.spectrum = data.spectrum;
+        this.timeline = data.timeline;
+        this.timelineRequestId = data.timelineRequestId;
+        this.debug = data.debug;
+        this.activity = data.activity;
+        this.terrain = data.terrain || terrain;
+        this.provenance = data.provenance;
+
+        if (!topologyCache.has(data.topology)) {
+            topologyCache.set(data.topology, createTopology(data.topology));
+        }
+        this.topology = topologyCache.get(data.topology);
+
+        this.sources = data.sources.map(sourceData => SandSource.fromJSON(sourceData, data.gridSize));
+        this.stations = data.stations.map(station => SeismicStation.fromJSON(station));
+    }
+
+    /**
+     * Get the pile view (the snapshot itself)
+     * @returns {SimulationSnapshot} This snapshot
+     */
+    getSandPile() {
+        return this;
+    }
+
+    /**
+     * Get the grid size
+     * @returns {number} Grid size
+     */
+    getSize() {
+        return this.gridSize;
+    }
+
+    /**
+     * Get the lattice topology
+     * @returns {Topology} Topology
+     */
+    getTopology() {
+        return this.topology;
+    }
+
+    /**
+     * Get the maximum height on the grid
+     * @returns {number} Maximum height
+     */
+    getMaxHeight() {
+        return this.maxHeight;
+    }
+
+    /**
+     * Get the height of a cell
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {number} Height
+     */
+    getSand(x, y) {
+        return this.heights[x * this.gridSize + y];
+    }
+
+    /**
+     * Get the heights as a 2D array
+     * @returns {Array} 2D array indexed [x][y]
+     */
+    getGridCopy() {
+        const size = this.gridSize;
+        const grid = new Array(size);
+        for (let x = 0; x < size; x++) {
+            grid[x] = Array.from(this.heights.subarray(x * size, (x + 1) * size));
+        }
+        return grid;
+    }
+
+    /**
+     * Get the interpolated heights as a 2D array
+     * The worker already blends the heights when it takes the snapshot.
+     * @returns {Array} 2D array indexed [x][y]
+     */
+    getInterpolatedGrid() {
+        return this.getGridCopy();
+    }
+
+    /**
+     * Get a per-cell activity map
+     * Only the map requested with setActivityField() is sent.
+     * @param {string} field - Activity field
+     * @returns {Float64Array|null} Values indexed x * size + y, or null if not sent
+     */
+    getActivity(field) {
+        return this.activity && this.activity.field === field ? this.activity.values : null;
+    }
+
+    /**
+     * Get the source holding most of each cell's sand
+     * @returns {Object|null} {dominant, purity, sources}, or null while provenance is not tracked
+     */
+    getProvenance() {
+        return this.provenance;
+    }
+
+    /**
+     * Get the terrain type of every cell
+     * @returns {Uint8Array|null} Type codes indexed x * size + y, or null before the terrain arrives
+     */
+    getTerrainTypes() {
+        return this.terrain ? this.terrain.types : null;
+    }
+
+    /**
+     * Get the toppling threshold of every cell
+     * @returns {Float64Array|null} Thresholds indexed x * size + y, or null before the terrain arrives
+     */
+    getThresholds() {
+        return this.terrain ? this.terrain.thresholds : null;
+    }
+
+    /**
+     * Get the cells that were unstable, in toppling order
+     * @returns {Int32Array} Flat grid indices (empty outside debugger mode)
+     */
+    getUnstableCells() {
+        return this.debug ? this.debug.unstable : new Int32Array(0);
+    }
+
+    /**
+     * Get the cells toppled so far in the current or last avalanche
+     * @returns {Int32Array} Flat grid indices (empty outside debugger mode)
+     */
+    getToppleOrder() {
+        return this.debug ? this.debug.toppleOrder : new Int32Array(0);
+    }
+
+    /**
+     * Get the sand sources
+     * @returns {Array<SandSource>} Sources
+     */
+    getSources() {
+        return this.sources;
+    }
+
+    /**
+     * Get the seismometer stations
+     * @returns {Array<SeismicStation>} Stations in network order
+     */
+    getStations() {
+        return this.stations;
+    }
+
+    /**
+     * Get the most recent seismograph samples
+     * @param {number} length - Number of samples
+     * @param {string|null} name - Station name (default: the first station)
+     * @returns {Float32Array} Samples, oldest first (all zeros for an unknown station)
+     */
+    getSignalData(length = null, name = null) {
+        const index = name === null ? 0 : this.stations.findIndex(station => station.name === name);
+        const signal = index >= 0 ? this.signals[index] : new Float32Array(0);
+
+        const dataLength = length || signal.length;
+        if (dataLength <= signal.length) {
+            return signal.subarray(signal.length - dataLength);
+        }
+
+        // Fewer samples than requested so far: pad the end like SeismographData does
+        const result = new Float32Array(dataLength);
+        result.set(signal);
+        return result;
+    }
+}
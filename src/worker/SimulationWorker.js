@@ -0,0 +1,318 @@
+/**
+ * Web Worker entry point that runs the simulation off the main thread
+ * Owns the Simulation, SeismographData and FFTProcessor and posts grid
+ * snapshots back as transferable typed arrays.
+ */
+
+import { Simulation } from '../core/Simulation.js';
+import { SeismographData } from '../core/SeismographData.js';
+import { SeismicStation } from '../core/SeismicStation.js';
+import { FFTProcessor } from '../audio/FFTProcessor.js';
+import { Timeline } from '../core/Timeline.js';
+import { MESSAGE_TYPES, createSnapshotMessage } from './WorkerProtocol.js';
+
+/**
+ * Runs the simulation loop inside the worker and answers protocol messages
+ */
+export class SimulationWorker {
+    /**
+     * Create the worker-side controller
+     * @param {DedicatedWorkerGlobalScope} scope - Worker global scope
+     */
+    constructor(scope) {
+        this.scope = scope;
+
+        this.simulation = null;
+        this.seismographData = null;
+        this.fftProcessor = null;
+        this.timeline = null;
+
+        // Seismograph wave propagation, kept when the seismograph is recreated
+        this.propagation = null;
+
+        // Last SEEK, STEP, debugger, terrain or station request applied, echoed in snapshots so the main thread
+        // knows when a paused view is up to date
+        this.timelineRequestId = 0;
+
+        // Activity map the main thread's heatmap shows, sent with each snapshot
+        this.activityField = null;
+
+        // Pile and terrain version last sent; the terrain is only resent
+        // when either changes
+        this.terrainPile = null;
+        this.terrainVersion = -1;
+
+        // One snapshot in flight at a time; the main thread acknowledges
+        // each so snapshots never queue up behind a slow frame
+        this.awaitingAck = false;
+
+        // Avalanche fits are costly, so they are resent at most this often
+        this.summaryInterval = 500; // milliseconds
+        this.lastSummaryTime = 0;
+        this.lastSummaryEvents = -1;
+
+        this.loopInterval = 1000 / 60; // milliseconds
+        this.loopTimer = null;
+
+        this.handlers = {
+            [MESSAGE_TYPES.INIT]: ({ options }) => this.initialize(options),
+            [MESSAGE_TYPES.SET_SPEED]: ({ speed }) => this.simulation.setGlobalSpeed(speed),
+            [MESSAGE_TYPES.SET_RANDOMNESS]: ({ factor }) => this.simulation.setRandomnessFactor(factor),
+            [MESSAGE_TYPES.ADD_SOURCE]: () => this.simulation.addRandomSource(),
+            [MESSAGE_TYPES.REMOVE_SOURCE]: ({ index = -1 }) => this.simulation.removeSource(index),
+            [MESSAGE_TYPES.RESET]: () => this.reset(),
+            [MESSAGE_TYPES.SET_MODEL]: ({ model, params }) => {
+                this.simulation.setModel(model, params);
+                this.seismographData.reset();
+            },
+            [MESSAGE_TYPES.SET_TOPOLOGY]: ({ topology }) => this.simulation.setTopology(topology),
+            [MESSAGE_TYPES.SET_BOUNDARY]: ({ boundary }) => this.simulation.setBoundary(boundary),
+            [MESSAGE_TYPES.SET_PAUSED]: ({ paused }) => this.simulation.setPaused(paused),
+            [MESSAGE_TYPES.SET_PROPAGATION]: ({ propagation }) => {
+                this.seismographData.setPropagation(propagation);
+                this.propagation = this.seismographData.getPropagation();
+            },
+            [MESSAGE_TYPES.EXPORT_STATE]: ({ requestId }) => {
+                this.scope.postMessage({
+                    type: MESSAGE_TYPES.STATE,
+                    requestId,
+                    state: this.simulation.exportState(),
+                    seismograph: this.seismographData.getState()
+                });
+            },
+            [MESSAGE_TYPES.IMPORT_STATE]: ({ state, seismograph = null }) => this.importState(state, seismograph),
+            [MESSAGE_TYPES.SEEK]: ({ tick, requestId }) => {
+                this.timeline.seek(tick);
+                this.finishTimelineRequest(requestId);
+            },
+            [MESSAGE_TYPES.STEP]: ({ direction, requestId }) => {
+                if (direction < 0) {
+                    this.timeline.stepBackward();
+                } else {
+                    this.timeline.stepForward();
+                }
+                this.finishTimelineRequest(requestId);
+            },
+            [MESSAGE_TYPES.SET_DEBUG]: ({ enabled, requestId }) => {
+                this.simulation.setToppleOrderRecording(enabled);
+                this.finishTimelineRequest(requestId);
+            },
+            [MESSAGE_TYPES.SET_PROVENANCE]: ({ enabled, requestId }) => {
+                this.simulation.setProvenanceTracking(enabled);
+                this.finishTimelineRequest(requestId);
+            },
+            [MESSAGE_TYPES.SET_ACTIVITY_FIELD]: ({ field, requestId }) => {
+                // Checked here so a bad name is reported once, not on every snapshot
+                if (field) this.simulation.getSandPile().getActivity(field);
+                this.activityField = field;
+                this.finishTimelineRequest(requestId);
+            },
+            [MESSAGE_TYPES.DEBUG_STEP]: (data) => {
+                this.debugStep(data);
+                this.finishTimelineRequest(data.requestId);
+            },
+            [MESSAGE_TYPES.PAINT_TERRAIN]: ({ x, y, radius, brush, requestId }) => {
+                this.simulation.paintTerrain(x, y, radius, brush);
+                this.finishTimelineRequest(requestId);
+            },
+            [MESSAGE_TYPES.CLEAR_TERRAIN]: ({ requestId }) => {
+                this.simulation.clearTerrain();
+                this.finishTimelineRequest(requestId);
+            },
+            [MESSAGE_TYPES.ADD_STATION]: ({ station, requestId }) => {
+                this.simulation.addStation(SeismicStation.fromJSON(station));
+                this.finishTimelineRequest(requestId);
+            },
+            [MESSAGE_TYPES.REMOVE_STATION]: ({ name, requestId }) => {
+                this.simulation.removeStation(name);
+                this.finishTimelineRequest(requestId);
+            },
+            [MESSAGE_TYPES.ACK]: () => {
+                this.awaitingAck = false;
+            }
+        };
+
+        this.scope.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    /**
+     * Dispatch a protocol message
+     * @param {Object} data - Message {type, ...payload}
+     */
+    handleMessage(data) {
+        const handler = this.handlers[data.type];
+
+        if (!handler) {
+            this.postError(`Unknown message type '${data.type}'`);
+            return;
+        }
+
+        if (!this.simulation && data.type !== MESSAGE_TYPES.INIT) {
+            this.postError(`Message '${data.type}' received before '${MESSAGE_TYPES.INIT}'`);
+            return;
+        }
+
+        try {
+            handler(data);
+        } catch (error) {
+            this.postError(error.message);
+        }
+    }
+
+    /**
+     * Create the simulation and start the loop
+     * @param {Object} options - Simulation constructor options
+     */
+    initialize(options = {}) {
+        this.simulation = new Simulation(options);
+        this.simulation.addTickListener((simulation) => {
+            this.seismographData.update(simulation.getSignalGrid(), simulation.getSandPile().getActivity('topples'));
+        });
+        this.simulation.addInputListener((input) => {
+            // Seeks restore the network through importState
+            if (input.type === 'addStation' || input.type === 'removeStation' || input.type === 'importState') {
+                this.seismographData.setStations(this.simulation.getStations());
+            }
+        });
+        this.createSignalProcessing();
+        this.timeline = new Timeline(this.simulation);
+
+        this.loop();
+    }
+
+    /**
+     * Create the seismograph and FFT for the simulation's grid size and tick rate
+     */
+    createSignalProcessing() {
+        const tickRate = this.simulation.getTickRate();
+        this.seismographData = new SeismographData(
+            this.simulation.gridSize, 1024, tickRate, this.simulation.getRandom().fork('seismograph'),
+            this.simulation.getStations(), this.propagation
+        );
+        this.fftProcessor = new FFTProcessor(512, tickRate);
+    }
+
+    /**
+     * Replace the simulation state; the spectrum restarts, and so does the
+     * seismograph unless its saved state is given
+     * @param {Object} state - Snapshot of any supported version
+     * @param {Object|null} seismograph - Seismograph state
+     */
+    importState(state, seismograph = null) {
+        this.simulation.importState(state);
+        this.seismographData.dispose();
+        this.fftProcessor.dispose();
+        this.createSignalProcessing();
+        if (seismograph) {
+            this.seismographData.setState(seismograph);
+        }
+        this.lastSummaryEvents = -1;
+    }
+
+    /**
+     * Apply a debugger step
+     * @param {Object} data - DEBUG_STEP message {action, x, y, amount}
+     * @throws {Error} If the action is unknown
+     */
+    debugStep({ action, x, y, amount }) {
+        switch (action) {
+            case 'topple':
+                this.simulation.toppleNext();
+                break;
+            case 'wave':
+                this.simulation.processWave();
+                break;
+            case 'stabilize':
+                this.simulation.stabilize();
+                break;
+            case 'drop':
+                this.simulation.dropSand(x, y, amount);
+                break;
+            default:
+                throw new Error(`Unknown debugger step '${action}'`);
+        }
+    }
+
+    /**
+     * Send the result of a seek or step straight away, even while paused
+     * @param {number} requestId - Request just applied
+     */
+    finishTimelineRequest(requestId) {
+        this.timelineRequestId = requestId;
+        this.postSnapshot();
+    }
+
+    /**
+     * Advance the simulation clock and post a snapshot if the last one was consumed
+     */
+    loop() {
+        this.simulation.update();
+
+        if (!this.awaitingAck) {
+            this.postSnapshot();
+        }
+
+        this.loopTimer = setTimeout(() => this.loop(), this.loopInterval);
+    }
+
+    /**
+     * Post the current state to the main thread
+     */
+    postSnapshot() {
+        const signalData = this.seismographData.getSignalData(512);
+        const spectrum = signalData.length >= 512 ? this.fftProcessor.process(signalData) : null;
+
+        const sandPile = this.simulation.getSandPile();
+        const terrainChanged = sandPile !== this.terrainPile || sandPile.terrainVersion !== this.terrainVersion;
+        this.terrainPile = sandPile;
+        this.terrainVersion = sandPile.terrainVersion;
+
+        const { message, transfer } = createSnapshotMessage(
+            this.simulation, this.seismographData, spectrum, this.getChangedSummary(),
+            this.timeline, this.timelineRequestId, this.activityField, terrainChanged
+        );
+
+        this.scope.postMessage(message, transfer);
+        this.awaitingAck = true;
+    }
+
+    /**
+     * Get the avalanche distributions if they are due to be resent
+     * @returns {Object|null} Summary, or null if unchanged or not yet due
+     */
+    getChangedSummary() {
+        const now = performance.now();
+        const statistics = this.simulation.getAvalancheStatistics();
+
+        if (now - this.lastSummaryTime < this.summaryInterval || statistics.totalEvents === this.lastSummaryEvents) {
+            return null;
+        }
+
+        this.lastSummaryTime = now;
+        this.lastSummaryEvents = statistics.totalEvents;
+        return statistics.getSummary();
+    }
+
+    /**
+     * Reset the simulation and its signal processing
+     */
+    reset() {
+        this.simulation.reset();
+        this.seismographData.reset();
+        this.fftProcessor.resetSmoothing();
+        this.lastSummaryEvents = -1;
+    }
+
+    /**
+     * Report an error to the main thread
+     * @param {string} message - Error message
+     */
+    postError(message) {
+        this.scope.postMessage({ type: MESSAGE_TYPES.ERROR, message });
+    }
+}
+
+// Started as a worker script rather than imported
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    new SimulationWorker(self);
+}
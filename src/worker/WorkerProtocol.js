@@ -0,0 +1,112 @@
+/**
+ * Message protocol between the main thread and the simulation worker
+ * Every message is a plain object {type, ...payload}.
+ */
+
+/**
+ * Message types
+ */
+export const MESSAGE_TYPES = {
+    // Main thread -> worker
+    INIT: 'init',                       // {options} Simulation constructor options
+    SET_SPEED: 'setSpeed',              // {speed}
+    SET_RANDOMNESS: 'setRandomness',    // {factor}
+    ADD_SOURCE: 'addSource',            // {}
+    REMOVE_SOURCE: 'removeSource',      // {index}
+    RESET: 'reset',                     // {}
+    SET_MODEL: 'setModel',              // {model, params}
+    SET_TOPOLOGY: 'setTopology',        // {topology}
+    SET_BOUNDARY: 'setBoundary',        // {boundary}
+    SET_PAUSED: 'setPaused',            // {paused}
+    SET_PROPAGATION: 'setPropagation',  // {propagation} Seismograph {mode, speed, attenuation}
+    EXPORT_STATE: 'exportState',        // {requestId} Answered with STATE
+    IMPORT_STATE: 'importState',        // {state, seismograph} Snapshot (see SimulationState.js), seismograph state or null
+    SEEK: 'seek',                       // {tick, requestId} Jump to a recorded tick
+    STEP: 'step',                       // {direction, requestId} One tick forward (1) or back (-1)
+    SET_DEBUG: 'setDebug',              // {enabled, requestId} Debugger mode: record and send the toppling order
+    SET_ACTIVITY_FIELD: 'setActivityField', // {field, requestId} Activity map to send with snapshots, or null
+    DEBUG_STEP: 'debugStep',            // {action, requestId} 'topple', 'wave', 'stabilize' or 'drop' (with x, y, amount)
+    SET_PROVENANCE: 'setProvenance',    // {enabled, requestId} Track and send which source dropped each cell's sand
+    PAINT_TERRAIN: 'paintTerrain',      // {x, y, radius, brush, requestId} See Terrain.paint()
+    CLEAR_TERRAIN: 'clearTerrain',      // {requestId}
+    ADD_STATION: 'addStation',          // {station, requestId} Station {name, gridX, gridY, kernel, range}
+    REMOVE_STATION: 'removeStation',    // {name, requestId}
+    ACK: 'ack',                         // {} Previous snapshot consumed, send the next
+
+    // Worker -> main thread
+    SNAPSHOT: 'snapshot',               // See createSnapshotMessage()
+    STATE: 'state',                     // {requestId, state, seismograph}
+    ERROR: 'error'                      // {message}
+};
+
+/**
+ * Build a snapshot message and the buffers to transfer with it
+ * @param {Simulation} simulation - Simulation to capture
+ * @param {SeismographData} seismographData - Seismograph sampled by the simulation
+ * @param {Object|null} spectrum - Latest FFT result
+ * @param {Object|null} avalancheSummary - Avalanche distributions, when they changed
+ * @param {Timeline|null} timeline - Recorded history, for its range
+ * @param {number} timelineRequestId - Last SEEK, STEP or DEBUG_STEP request applied
+ * @param {string|null} activityField - Activity map to include (see CellActivity.js), or null
+ * @param {boolean} includeTerrain - Whether to include the terrain types and thresholds
+ * @returns {Object} {message, transfer}
+ */
+export function createSnapshotMessage(simulation, seismographData, spectrum, avalancheSummary, timeline = null, timelineRequestId = 0, activityField = null, includeTerrain = false) {
+    const sandPile = simulation.getSandPile();
+    const heights = simulation.getInterpolatedHeights();
+    const sampleCount = seismographData.getAvailableDataLength();
+    const stations = seismographData.getStations();
+    const signals = stations.map(station => seismographData.getSignalData(sampleCount, station.name));
+
+    const message = {
+        type: MESSAGE_TYPES.SNAPSHOT,
+        tick: simulation.getTickCount(),
+        gridSize: sandPile.getSize(),
+        topology: sandPile.getTopology().name,
+        heights,
+        maxHeight: sandPile.getMaxHeight(),
+        sources: simulation.getSources().map(source => source.toJSON()),
+        stations: stations.map(station => station.toJSON()),
+        signals,
+        spectrum,
+        avalancheSummary,
+        timeline: timeline ? timeline.getRange() : null,
+        timelineRequestId,
+        activity: null,
+        terrain: null,
+        provenance: null,
+        debug: null
+    };
+    const transfer = [heights.buffer, ...signals.map(signal => signal.buffer)];
+
+    if (activityField) {
+        message.activity = { field: activityField, values: sandPile.getActivity(activityField).slice() };
+        transfer.push(message.activity.values.buffer);
+    }
+
+    // The terrain rarely changes, so it is only sent when asked for
+    if (includeTerrain) {
+        message.terrain = {
+            types: sandPile.getTerrainTypes().slice(),
+            thresholds: sandPile.getThresholds().slice()
+        };
+        transfer.push(message.terrain.types.buffer, message.terrain.thresholds.buffer);
+    }
+
+    // Dominant source per cell, while provenance is tracked
+    if (simulation.isTrackingProvenance()) {
+        message.provenance = sandPile.getProvenance();
+        transfer.push(message.provenance.dominant.buffer, message.provenance.purity.buffer);
+    }
+
+    // Debugger mode: the unstable cells and the toppling order, as flat indices
+    if (simulation.isRecordingToppleOrder()) {
+        message.debug = {
+            unstable: simulation.getUnstableCells(),
+            toppleOrder: Int32Array.from(simulation.getToppleOrder())
+        };
+        transfer.push(message.debug.unstable.buffer, message.debug.toppleOrder.buffer);
+    }
+
+    return { message, transfer };
+}
@@ -0,0 +1,423 @@
+/**
+ * Simulation host that runs the simulation in a dedicated Web Worker
+ */
+
+import { MESSAGE_TYPES } from './WorkerProtocol.js';
+import { SimulationSnapshot } from './SimulationSnapshot.js';
+import { migrateState } from '../core/SimulationState.js';
+
+/**
+ * Forwards control calls to the worker and keeps the latest snapshot
+ * Shares its interface with LocalSimulationHost.
+ */
+export class WorkerSimulationHost {
+    /**
+     * Start the worker and create the simulation inside it
+     * @param {Object} options - Simulation constructor options (must be cloneable)
+     */
+    constructor(options = {}) {
+        this.worker = new Worker(new URL('./SimulationWorker.js', import.meta.url), { type: 'module' });
+
+        this.snapshot = null;
+        this.freshSnapshot = false;
+        this.avalancheSummary = null;
+
+        // Pending state requests, resolved with their STATE replies
+        this.stateRequests = new Map();
+        this.nextRequestId = 1;
+
+        // Latest SEEK or STEP sent; the view is settled once a snapshot echoes it
+        this.timelineRequestId = 0;
+
+        // Known before the first snapshot arrives; updated from snapshots
+        this.tickRate = options.tickRate || options.targetFPS || 60;
+        this.sourceCount = options.sources ? options.sources.length
+            : options.initialSources !== undefined ? options.initialSources : 3;
+
+        // Renderers read distributions through the AvalancheStatistics interface
+        this.avalancheStatistics = {
+            getSummary: () => this.avalancheSummary
+        };
+
+        this.handleMessage = (event) => {
+            const data = event.data;
+
+            if (data.type === MESSAGE_TYPES.SNAPSHOT) {
+                // The terrain only comes with snapshots where it changed
+                const previousTerrain = this.snapshot ? this.snapshot.terrain : null;
+                this.snapshot = new SimulationSnapshot(data, previousTerrain);
+                this.sourceCount = this.snapshot.getSources().length;
+                if (data.avalancheSummary) {
+                    this.avalancheSummary = data.avalancheSummary;
+                }
+                this.freshSnapshot = true;
+            } else if (data.type === MESSAGE_TYPES.STATE) {
+                const resolve = this.stateRequests.get(data.requestId);
+                this.stateRequests.delete(data.requestId);
+                if (resolve) resolve(data);
+            } else if (data.type === MESSAGE_TYPES.ERROR) {
+                console.error('Simulation worker:', data.message);
+            }
+        };
+        this.worker.addEventListener('message', this.handleMessage);
+
+        this.post(MESSAGE_TYPES.INIT, { options });
+    }
+
+    /**
+     * Send a protocol message to the worker
+     * @param {string} type - Message type
+     * @param {Object} payload - Message fields
+     */
+    post(type, payload = {}) {
+        this.worker.postMessage({ type, ...payload });
+    }
+
+    /**
+     * Consume the latest snapshot
+     * The worker runs its own clock; acknowledging the snapshot lets it send the next.
+     * @returns {boolean} True if a new snapshot arrived since the last call
+     */
+    update() {
+        if (!this.freshSnapshot) return false;
+
+        this.freshSnapshot = false;
+        this.post(MESSAGE_TYPES.ACK);
+        return true;
+    }
+
+    /**
+     * Check whether a snapshot has arrived
+     * @returns {boolean} True once there is state to render
+     */
+    isReady() {
+        return this.snapshot !== null;
+    }
+
+    /**
+     * Get the state the renderers draw from
+     * @returns {SimulationSnapshot} Latest snapshot
+     */
+    getView() {
+        return this.snapshot;
+    }
+
+    /**
+     * Get the seismograph samples
+     * @returns {SimulationSnapshot} Latest snapshot (implements getSignalData and getStations)
+     */
+    getSeismograph() {
+        return this.snapshot;
+    }
+
+    /**
+     * Get the latest spectrum
+     * @returns {Object|null} FFT result, or null before enough samples exist
+     */
+    getSpectrum() {
+        return this.snapshot ? this.snapshot.spectrum : null;
+    }
+
+    /**
+     * Get the avalanche distributions
+     * @returns {Object} Object with getSummary()
+     */
+    getAvalancheStatistics() {
+        return this.avalancheStatistics;
+    }
+
+    /**
+     * Get the underlying simulation
+     * @returns {null} The simulation lives in the worker
+     */
+    getSimulation() {
+        return null;
+    }
+
+    /**
+     * Set the global speed multiplier
+     * @param {number} speed - Speed multiplier (0.0 to 5.0)
+     */
+    setGlobalSpeed(speed) {
+        this.post(MESSAGE_TYPES.SET_SPEED, { speed });
+    }
+
+    /**
+     * Set the avalanche randomness factor
+     * @param {number} factor - Randomness factor (0.0 to 1.0)
+     */
+    setRandomnessFactor(factor) {
+        this.post(MESSAGE_TYPES.SET_RANDOMNESS, { factor });
+    }
+
+    /**
+     * Add a random sand source
+     */
+    addRandomSource() {
+        this.post(MESSAGE_TYPES.ADD_SOURCE);
+        this.sourceCount++;
+    }
+
+    /**
+     * Remove a sand source
+     * @param {number} index - Index of source to remove (default: last source)
+     */
+    removeSource(index = -1) {
+        this.post(MESSAGE_TYPES.REMOVE_SOURCE, { index });
+        this.sourceCount = Math.max(0, this.sourceCount - 1);
+    }
+
+    /**
+     * Get the number of sources
+     * Counts local changes immediately, before the worker confirms them.
+     * @returns {number} Number of sources
+     */
+    getSourceCount() {
+        return this.sourceCount;
+    }
+
+    /**
+     * Add a seismometer station
+     * Errors are reported by the worker.
+     * @param {Object} station - Station {name, gridX, gridY, kernel, range}
+     */
+    addStation(station) {
+        this.post(MESSAGE_TYPES.ADD_STATION, { station, requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Remove a seismometer station
+     * Errors are reported by the worker.
+     * @param {string} name - Station name
+     */
+    removeStation(name) {
+        this.post(MESSAGE_TYPES.REMOVE_STATION, { name, requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Set how grid changes reach the seismometer stations
+     * Errors are reported by the worker.
+     * @param {Object} propagation - Propagation {mode, speed, attenuation} (see SeismographData.setPropagation)
+     */
+    setPropagation(propagation) {
+        this.post(MESSAGE_TYPES.SET_PROPAGATION, { propagation });
+    }
+
+    /**
+     * Switch the toppling model (clears the pile and the seismograph)
+     * @param {string} model - Model name
+     * @param {Object} params - Model parameters
+     */
+    setModel(model, params = {}) {
+        this.post(MESSAGE_TYPES.SET_MODEL, { model, params });
+    }
+
+    /**
+     * Change the lattice topology
+     * @param {string} topology - Topology name
+     */
+    setTopology(topology) {
+        this.post(MESSAGE_TYPES.SET_TOPOLOGY, { topology });
+    }
+
+    /**
+     * Change the boundary conditions
+     * @param {string|Object} boundary - Boundary specification
+     */
+    setBoundary(boundary) {
+        this.post(MESSAGE_TYPES.SET_BOUNDARY, { boundary });
+    }
+
+    /**
+     * Pause or resume the simulation clock
+     * @param {boolean} paused - Whether to pause
+     */
+    setPaused(paused) {
+        this.post(MESSAGE_TYPES.SET_PAUSED, { paused });
+    }
+
+    /**
+     * Get the simulation tick rate
+     * @returns {number} Ticks per second
+     */
+    getTickRate() {
+        return this.tickRate;
+    }
+
+    /**
+     * Reset the simulation and its signal processing
+     */
+    reset() {
+        this.post(MESSAGE_TYPES.RESET);
+        this.sourceCount = 3;
+        this.avalancheSummary = null;
+    }
+
+    /**
+     * Get the recorded timeline range
+     * @returns {Object|null} {start, end, current} in ticks, or null before the first snapshot
+     */
+    getTimeline() {
+        return this.snapshot ? this.snapshot.timeline : null;
+    }
+
+    /**
+     * Jump to a recorded tick
+     * @param {number} tick - Target tick
+     */
+    seek(tick) {
+        this.post(MESSAGE_TYPES.SEEK, { tick, requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Run one tick, replaying the recording when behind its end
+     */
+    stepForward() {
+        this.post(MESSAGE_TYPES.STEP, { direction: 1, requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Go back one tick
+     */
+    stepBackward() {
+        this.post(MESSAGE_TYPES.STEP, { direction: -1, requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Check whether the view shows the last seek, step or debugger step
+     * @returns {boolean} True once a snapshot taken after it has arrived
+     */
+    isTimelineSettled() {
+        return this.snapshot !== null && this.snapshot.timelineRequestId === this.timelineRequestId;
+    }
+
+    /**
+     * Choose the activity map sent with each snapshot
+     * @param {string|null} field - Activity field (see CellActivity.js), or null for none
+     */
+    setActivityField(field) {
+        this.post(MESSAGE_TYPES.SET_ACTIVITY_FIELD, { field, requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Turn debugger mode on or off
+     * In debugger mode snapshots carry the unstable cells and the toppling order.
+     * @param {boolean} enabled - Whether to enable
+     */
+    setDebugMode(enabled) {
+        this.post(MESSAGE_TYPES.SET_DEBUG, { enabled, requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Track which source each cell's sand came from
+     * While tracking, snapshots carry the dominant source of every cell.
+     * @param {boolean} enabled - Whether to track
+     */
+    setProvenanceTracking(enabled) {
+        this.post(MESSAGE_TYPES.SET_PROVENANCE, { enabled, requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Topple a single unstable cell
+     */
+    toppleNext() {
+        this.post(MESSAGE_TYPES.DEBUG_STEP, { action: 'topple', requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Process a single relaxation wave
+     */
+    processWave() {
+        this.post(MESSAGE_TYPES.DEBUG_STEP, { action: 'wave', requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Relax the pile completely
+     */
+    stabilize() {
+        this.post(MESSAGE_TYPES.DEBUG_STEP, { action: 'stabilize', requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Drop grains on a cell without relaxing the pile
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @param {number} amount - Grains to drop (default 1)
+     */
+    dropSand(x, y, amount = 1) {
+        this.post(MESSAGE_TYPES.DEBUG_STEP, { action: 'drop', x, y, amount, requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Paint the terrain with a disc-shaped brush
+     * @param {number} x - Grid X coordinate of the centre
+     * @param {number} y - Grid Y coordinate of the centre
+     * @param {number} radius - Brush radius in cells
+     * @param {Object} brush - Brush {type?, threshold?} (see Terrain.paint)
+     */
+    paintTerrain(x, y, radius, brush) {
+        this.post(MESSAGE_TYPES.PAINT_TERRAIN, { x, y, radius, brush, requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Make the whole terrain normal again
+     */
+    clearTerrain() {
+        this.post(MESSAGE_TYPES.CLEAR_TERRAIN, { requestId: ++this.timelineRequestId });
+    }
+
+    /**
+     * Ask the worker for its state
+     * @returns {Promise<Object>} STATE reply {state, seismograph}
+     */
+    requestState() {
+        return new Promise((resolve) => {
+            const requestId = this.nextRequestId++;
+            this.stateRequests.set(requestId, resolve);
+            this.post(MESSAGE_TYPES.EXPORT_STATE, { requestId });
+        });
+    }
+
+    /**
+     * Capture the simulation state
+     * @returns {Promise<Object>} Snapshot from Simulation.exportState()
+     */
+    exportState() {
+        return this.requestState().then(reply => reply.state);
+    }
+
+    /**
+     * Capture the simulation state together with the seismograph trace
+     * @returns {Promise<Object>} {state, seismograph}
+     */
+    exportCheckpoint() {
+        return this.requestState().then(({ state, seismograph }) => ({ state, seismograph }));
+    }
+
+    /**
+     * Replace the simulation state; the spectrum restarts, and so does the
+     * seismograph unless its saved state is given
+     * The snapshot is migrated and validated here, so errors are thrown to
+     * the caller rather than reported by the worker.
+     * @param {Object} state - Snapshot of any supported version
+     * @param {Object|null} seismograph - Seismograph state from exportCheckpoint()
+     * @throws {Error} If the snapshot is invalid
+     */
+    importState(state, seismograph = null) {
+        const current = migrateState(state);
+        this.post(MESSAGE_TYPES.IMPORT_STATE, { state: current, seismograph });
+
+        this.tickRate = current.config.tickRate;
+        this.sourceCount = current.sources.length;
+        this.avalancheSummary = null;
+    }
+
+    /**
+     * Stop the worker
+     */
+    dispose() {
+        this.worker.removeEventListener('message', this.handleMessage);
+        this.worker.terminate();
+        this.snapshot = null;
+    }
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { Simulation } from '../../src/core/Simulation.js';
+import { encodeSnapshot, decodeSnapshot, isBinarySnapshot } from '../../src/core/BinarySnapshot.js';
+import { serializeState } from '../../src/core/SimulationState.js';
+
+/**
+ * Build a simulation part way through a run, with terrain and provenance
+ * @param {string} model - Toppling model name
+ * @returns {Simulation} Simulation
+ */
+function createBusySimulation(model = 'btw') {
+    const simulation = new Simulation({ gridSize: 24, seed: 11, model, initialSources: 4 });
+    simulation.setGlobalSpeed(5);
+    simulation.setRandomnessFactor(0.3);
+    simulation.setProvenanceTracking(true);
+    simulation.paintTerrain(6, 6, 2, { type: 'wall' });
+    simulation.paintTerrain(18, 18, 1, { threshold: 6 });
+    simulation.step(900);
+    return simulation;
+}
+
+describe('binary snapshots', () => {
+    for (const model of ['btw', 'manna', 'zhang', 'ofc', 'oslo']) {
+        it(`decode to the exported ${model} snapshot`, () => {
+            const state = createBusySimulation(model).exportState();
+            const bytes = encodeSnapshot(state);
+
+            expect(isBinarySnapshot(bytes)).toBe(true);
+            expect(decodeSnapshot(bytes)).toEqual(JSON.parse(serializeState(state)));
+        });
+    }
+
+    it('continue the run exactly', () => {
+        const original = createBusySimulation();
+        const restored = new Simulation({ gridSize: 8 });
+        restored.setProvenanceTracking(true);
+        restored.importState(decodeSnapshot(encodeSnapshot(original.exportState())));
+
+        original.step(400);
+        restored.step(400);
+        expect(restored.exportState()).toEqual(original.exportState());
+    });
+
+    it('pack a stable BTW pile far smaller than JSON', () => {
+        const simulation = new Simulation({ gridSize: 64, seed: 3 });
+        simulation.step(2000);
+        const state = simulation.exportState();
+
+        expect(encodeSnapshot(state).length * 4).toBeLessThan(serializeState(state).length);
+    });
+
+    it('decode from an ArrayBuffer', () => {
+        const state = createBusySimulation().exportState();
+        const bytes = encodeSnapshot(state);
+        const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+
+        expect(decodeSnapshot(buffer).pile.grid).toEqual(state.pile.grid);
+    });
+
+    it('reject other data', () => {
+        expect(isBinarySnapshot(new Uint8Array([1, 2, 3, 4, 5]))).toBe(false);
+        expect(() => decodeSnapshot(new Uint8Array([1, 2, 3, 4, 5]))).toThrow(/bad magic number/);
+    });
+
+    it('reject newer format and snapshot versions', () => {
+        const bytes = encodeSnapshot(createBusySimulation().exportState());
+
+        const newerFormat = bytes.slice();
+        newerFormat[4] = 99;
+        expect(() => decodeSnapshot(newerFormat)).toThrow(/Binary snapshot format 99/);
+
+        const newerSnapshot = bytes.slice();
+        newerSnapshot[5] = 99;
+        expect(() => decodeSnapshot(newerSnapshot)).toThrow(/Snapshot version 99/);
+    });
+
+    it('upgrade version 1 snapshots on decode', () => {
+        const state = createBusySimulation().exportState();
+        const { stations, ...version1 } = { ...state, version: 1 };
+        expect(stations).toHaveLength(1);
+
+        const decoded = decodeSnapshot(encodeSnapshot(version1));
+        expect(decoded.version).toBe(state.version);
+        expect(decoded.stations).toBeNull();
+        expect(decoded.pile.grid).toEqual(state.pile.grid);
+    });
+});
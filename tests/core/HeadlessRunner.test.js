@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { runHeadless, formatHeadlessResults, EVENT_COLUMNS } from '../../src/core/HeadlessRunner.js';
+
+const OPTIONS = { ticks: 400, gridSize: 16, seed: 42, sources: 'center:20' };
+
+describe('runHeadless', () => {
+    it('gives identical results for the same seed', () => {
+        const first = runHeadless(OPTIONS);
+        const second = runHeadless(OPTIONS);
+
+        expect(second.grid).toEqual(first.grid);
+        expect(second.events).toEqual(first.events);
+        expect(Array.from(second.samples.BL)).toEqual(Array.from(first.samples.BL));
+    });
+
+    it('samples every station once per tick', () => {
+        const result = runHeadless({ ...OPTIONS, stations: 'A,0,0;B,15,15,gaussian,4' });
+
+        expect(result.stations.map(station => station.name)).toEqual(['A', 'B']);
+        expect(result.samples.A).toHaveLength(OPTIONS.ticks);
+        expect(result.samples.B).toHaveLength(OPTIONS.ticks);
+        expect(result.meanHeights).toHaveLength(OPTIONS.ticks);
+    });
+
+    it('records no samples when the seismograph is off', () => {
+        const result = runHeadless({ ...OPTIONS, recordSeismograph: false });
+        expect(result.samples.BL).toHaveLength(0);
+    });
+
+    it('rejects station names taken by the time columns', () => {
+        expect(() => runHeadless({ ...OPTIONS, stations: 'tick,0,0' })).toThrow(/reserved/);
+        expect(() => runHeadless({ ...OPTIONS, stations: 'A,0,0;time,1,1' })).toThrow(/reserved/);
+    });
+});
+
+describe('formatHeadlessResults', () => {
+    const result = runHeadless({ ...OPTIONS, stations: 'A,0,0;B,15,15' });
+
+    it('writes the summary, events, seismograph and grid as JSON', () => {
+        const files = formatHeadlessResults(result, 'json');
+        expect(Object.keys(files)).toEqual(['summary.json', 'events.json', 'seismograph.json', 'grid.json']);
+
+        const summary = JSON.parse(files['summary.json']);
+        expect(summary.events).toBe(result.events.length);
+        expect(summary.samples).toBe(OPTIONS.ticks);
+
+        const seismograph = JSON.parse(files['seismograph.json']);
+        expect(seismograph.stations.map(station => station.name)).toEqual(['A', 'B']);
+        expect(Object.keys(seismograph.samples)).toEqual(['A', 'B']);
+        expect(seismograph.samples.B).toHaveLength(OPTIONS.ticks);
+
+        expect(JSON.parse(files['grid.json']).grid).toEqual(result.grid);
+    });
+
+    it('writes one seismograph column per station after the time columns', () => {
+        const files = formatHeadlessResults(result, 'csv');
+        const lines = files['seismograph.csv'].trim().split('\n');
+
+        expect(lines[0]).toBe('tick,time,A,B');
+        expect(lines).toHaveLength(OPTIONS.ticks + 1);
+
+        const [tick, time, a, b] = lines[1].split(',').map(Number);
+        expect(tick).toBe(1);
+        expect(time).toBeCloseTo(1 / 60);
+        expect(a).toBeCloseTo(result.samples.A[0]);
+        expect(b).toBeCloseTo(result.samples.B[0]);
+    });
+
+    it('writes events and the grid as CSV', () => {
+        const files = formatHeadlessResults(result, 'csv');
+
+        const eventLines = files['events.csv'].trim().split('\n');
+        expect(eventLines[0]).toBe(EVENT_COLUMNS.join(','));
+        expect(eventLines).toHaveLength(result.events.length + 1);
+
+        const gridLines = files['grid.csv'].trim().split('\n');
+        expect(gridLines).toHaveLength(OPTIONS.gridSize);
+        expect(gridLines[3].split(',').map(Number)).toEqual(result.grid[3]);
+    });
+
+    it('rejects unknown formats', () => {
+        expect(() => formatHeadlessResults(result, 'xml')).toThrow(/Unknown output format/);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+    expandRange, createSweepCombinations, isSteadyState, runSweep, sweepTableToCsv, SWEEP_COLUMNS
+} from '../../src/core/ParameterSweep.js';
+
+const SMALL = { gridSize: 8, seeds: [1], ticks: 200 };
+
+describe('expandRange', () => {
+    it('expands comma lists, ranges and defaults', () => {
+        expect(expandRange('32,64,128')).toEqual([32, 64, 128]);
+        expect(expandRange('16:64:16')).toEqual([16, 32, 48, 64]);
+        expect(expandRange('0:0.3:0.1')).toEqual([0, 0.1, 0.2, 0.3]);
+        expect(expandRange('default')).toEqual([null]);
+        expect(expandRange(5)).toEqual([5]);
+    });
+
+    it('rejects malformed ranges', () => {
+        expect(() => expandRange('8:4')).toThrow(/Invalid range/);
+        expect(() => expandRange('1,x')).toThrow(/not a number/);
+    });
+});
+
+describe('createSweepCombinations', () => {
+    it('crosses every range', () => {
+        const combinations = createSweepCombinations({ gridSize: '8,16', criticalMass: null, randomness: '0,0.5', sourceCount: 1 });
+        expect(combinations).toHaveLength(4);
+        expect(combinations[3]).toEqual({ gridSize: 16, criticalMass: null, randomness: 0.5, sourceCount: 1 });
+    });
+});
+
+describe('isSteadyState', () => {
+    it('accepts a flat mean height after the warm-up', () => {
+        const heights = Float32Array.from({ length: 100 }, (_, i) => (i < 50 ? i / 25 : 2));
+        expect(isSteadyState(heights, 50)).toBe(true);
+    });
+
+    it('flags a pile still filling', () => {
+        const heights = Float32Array.from({ length: 100 }, (_, i) => i / 50);
+        expect(isSteadyState(heights, 50)).toBe(false);
+    });
+});
+
+describe('runSweep', () => {
+    it('aggregates one table row per combination', () => {
+        const result = runSweep({ ...SMALL, gridSize: '8,10', seeds: [1, 2], rate: 10 });
+
+        expect(result.runs).toHaveLength(4);
+        expect(result.table).toHaveLength(2);
+        expect(result.table[0]).toMatchObject({ gridSize: 8, criticalMass: 4, runs: 2 });
+        expect(result.table[0].steadyRuns).toBeGreaterThanOrEqual(0);
+
+        const header = sweepTableToCsv(result.table).split('\n')[0];
+        expect(header).toBe(SWEEP_COLUMNS.join(','));
+    });
+
+    it('rejects warm-ups that leave no ticks to measure', () => {
+        expect(() => runSweep({ ...SMALL, warmupTicks: 200 })).toThrow(/warm-up/);
+        expect(() => runSweep({ ...SMALL, warmupTicks: 300 })).toThrow(/warm-up/);
+        expect(() => runSweep({ ...SMALL, warmupTicks: -1 })).toThrow(/warm-up/);
+        expect(() => runSweep({ ...SMALL, ticks: 0 })).toThrow(/ticks/);
+    });
+
+    it('rejects grid sizes and source counts that are not positive integers', () => {
+        expect(() => runSweep({ ...SMALL, gridSize: '8:9:0.5' })).toThrow(/gridSize 8.5/);
+        expect(() => runSweep({ ...SMALL, gridSize: 'default' })).toThrow(/gridSize/);
+        expect(() => runSweep({ ...SMALL, sourceCount: 0 })).toThrow(/sourceCount/);
+    });
+
+    it('rejects critical masses below the model minimum', () => {
+        expect(() => runSweep({ ...SMALL, criticalMass: '2,4' })).toThrow(/at least 4/);
+        expect(() => runSweep({ ...SMALL, topology: 'square-8', criticalMass: 4 })).toThrow(/at least 8/);
+    });
+
+    it('rejects speeds and rates the simulation cannot run', () => {
+        expect(() => runSweep({ ...SMALL, speed: 6 })).toThrow(/speed/);
+        expect(() => runSweep({ ...SMALL, speed: 0 })).toThrow(/speed/);
+        expect(() => runSweep({ ...SMALL, rate: 0 })).toThrow(/rate/);
+    });
+
+    it('fills faster with a higher drop rate', () => {
+        const slow = runSweep({ ...SMALL, rate: 0.5 }).table[0];
+        const fast = runSweep({ ...SMALL, rate: 20 }).table[0];
+        expect(fast.meanHeight).toBeGreaterThan(slow.meanHeight);
+    });
+});
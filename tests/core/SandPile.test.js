@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { SandPile } from '../../src/core/SandPile.js';
+
+/**
+ * Drop grains over the pile, stabilising after each, and count what stayed
+ * @param {SandPile} pile - Pile to drive
+ * @param {number} grains - Grains to drop
+ * @returns {number} Sand the pile accepted (walls and sinks refuse drops)
+ */
+function drive(pile, grains) {
+    let added = 0;
+    for (let i = 0; i < grains; i++) {
+        const before = pile.totalSand;
+        pile.addSand((i * 5) % pile.size, (i * 11) % pile.size, 1);
+        added += pile.totalSand - before;
+        pile.stabilize(100000);
+    }
+    return added;
+}
+
+/**
+ * Sum the heights of every cell
+ * @param {SandPile} pile - Pile
+ * @returns {number} Sand on the grid
+ */
+function sandOnGrid(pile) {
+    return pile.grid.reduce((sum, height) => sum + height, 0);
+}
+
+describe('SandPile', () => {
+    // OFC dissipates stress on purpose, so it is left out
+    for (const model of ['btw', 'manna', 'zhang', 'oslo']) {
+        it(`accounts for every grain of a ${model} pile`, () => {
+            const pile = new SandPile(12, null, { model, seed: 5 });
+            const added = drive(pile, 3000);
+
+            expect(pile.isStable()).toBe(true);
+            expect(pile.totalSand).toBeCloseTo(sandOnGrid(pile), 6);
+            expect(sandOnGrid(pile) + pile.getStatistics().lostSand.total).toBeCloseTo(added, 6);
+        });
+    }
+
+    it('accounts for jittered sand around walls and sinks on every boundary', () => {
+        for (const boundary of ['open', 'cylinder', { left: 'periodic', right: 'periodic', top: 'closed', bottom: 'open' }]) {
+            const pile = new SandPile(16, 40, { boundary, seed: 3 });
+            pile.setRandomnessFactor(1);
+            // A ring of walls boxes in the centre cell, whose jitter has nowhere to go
+            for (let dx = -3; dx <= 3; dx++) {
+                for (let dy = -3; dy <= 3; dy++) {
+                    const distance = Math.hypot(dx, dy);
+                    if (distance > 0.5 && distance <= 3) pile.paintTerrain(8 + dx, 8 + dy, 0, { type: 'wall' });
+                }
+            }
+            pile.paintTerrain(2, 13, 0, { type: 'sink' });
+
+            let added = drive(pile, 4000);
+            for (let i = 0; i < 400; i++) {
+                pile.addSand(8, 8, 1);
+                added++;
+                pile.stabilize(100000);
+            }
+
+            const losses = pile.getStatistics().lostSand;
+            expect(losses.sinks).toBeGreaterThan(0);
+            expect(sandOnGrid(pile) + losses.total).toBe(added);
+        }
+    });
+
+    it('reaches the same stable BTW pile whatever order grains arrive in', () => {
+        const cells = Array.from({ length: 600 }, (_, i) => [(i * 7) % 10, (i * 3) % 10]);
+        const forward = new SandPile(10, null, { seed: 1 });
+        const backward = new SandPile(10, null, { seed: 1 });
+
+        for (const [x, y] of cells) forward.addSand(x, y, 1);
+        for (const [x, y] of [...cells].reverse()) backward.addSand(x, y, 1);
+        forward.stabilize(100000);
+        backward.stabilize(100000);
+
+        expect(Array.from(backward.grid)).toEqual(Array.from(forward.grid));
+    });
+
+    it('restores its state exactly', () => {
+        const pile = new SandPile(12, null, { model: 'manna', seed: 9 });
+        drive(pile, 500);
+        pile.addSand(6, 6, 30);
+
+        const copy = new SandPile(12, null, { model: 'manna', random: pile.random });
+        copy.setState(pile.getState());
+        expect(copy.getState()).toEqual(pile.getState());
+    });
+});
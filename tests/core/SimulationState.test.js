@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { Simulation } from '../../src/core/Simulation.js';
+import { SeismicStation } from '../../src/core/SeismicStation.js';
+import {
+    STATE_FORMAT, STATE_VERSION, migrateState, validateState, parseState, serializeState
+} from '../../src/core/SimulationState.js';
+
+/**
+ * Build a simulation that uses every part of the snapshot: random drops and
+ * jitter, terrain, provenance, extra stations and avalanches in progress
+ * @param {string} model - Toppling model name
+ * @returns {Simulation} Simulation part way through a run
+ */
+function createBusySimulation(model = 'btw') {
+    const simulation = new Simulation({ gridSize: 16, seed: 7, model, initialSources: 3 });
+    simulation.setGlobalSpeed(5);
+    simulation.setRandomnessFactor(0.5);
+    simulation.setProvenanceTracking(true);
+    simulation.paintTerrain(4, 4, 1, { type: 'wall' });
+    simulation.paintTerrain(12, 3, 0, { type: 'sink' });
+    simulation.addStation(new SeismicStation('N', 8, 0, 'gaussian', 4));
+    simulation.step(700);
+    return simulation;
+}
+
+/**
+ * Run two simulations on and compare what they produce
+ * @param {Simulation} original - Simulation the snapshot was taken from
+ * @param {Simulation} restored - Simulation the snapshot was imported into
+ * @param {number} ticks - Ticks to run both
+ */
+function expectSameFuture(original, restored, ticks = 300) {
+    original.step(ticks);
+    restored.step(ticks);
+    expect(restored.getGrid()).toEqual(original.getGrid());
+    expect(restored.getStatistics()).toEqual(original.getStatistics());
+    expect(restored.exportState()).toEqual(original.exportState());
+}
+
+describe('JSON snapshots', () => {
+    for (const model of ['btw', 'manna', 'zhang', 'ofc', 'oslo']) {
+        it(`restores a ${model} run exactly`, () => {
+            const original = createBusySimulation(model);
+            const state = parseState(serializeState(original.exportState()));
+            expect(state.version).toBe(STATE_VERSION);
+
+            // Provenance tracking is a setting of the importing simulation
+            const restored = new Simulation({ gridSize: 8 });
+            restored.setProvenanceTracking(true);
+            restored.importState(state);
+            expect(restored.exportState()).toEqual(original.exportState());
+            expectSameFuture(original, restored);
+        });
+    }
+
+    it('keeps terrain, provenance and stations', () => {
+        const state = createBusySimulation().exportState();
+        expect(state.pile.terrain.types.some(type => type !== 0)).toBe(true);
+        expect(state.pile.provenance).not.toBeNull();
+        expect(state.stations.map(station => station.name)).toEqual(['BL', 'N']);
+    });
+});
+
+describe('validateState', () => {
+    it('accepts what exportState writes', () => {
+        expect(() => validateState(createBusySimulation().exportState())).not.toThrow();
+    });
+
+    it('reports every invalid field at once', () => {
+        const state = createBusySimulation().exportState();
+        state.pile.grid = state.pile.grid.slice(1);
+        state.sources[0].gridX = -1;
+        state.stations[1].kernel = 'box';
+
+        expect(() => validateState(state)).toThrow(
+            /pile\.grid must be[\s\S]*sources\[0\]\.gridX must be[\s\S]*stations\[1\]\.kernel must be/
+        );
+    });
+
+    it('requires the fields added in version 2', () => {
+        const state = createBusySimulation().exportState();
+        delete state.pile.terrain;
+        delete state.stations;
+
+        expect(() => validateState(state)).toThrow(/pile\.terrain[\s\S]*stations/);
+    });
+});
+
+describe('migrateState', () => {
+    it('rejects snapshots from a newer version', () => {
+        const state = { ...createBusySimulation().exportState(), version: STATE_VERSION + 1 };
+        expect(() => migrateState(state)).toThrow(/newer sandquake/);
+    });
+
+    it('rejects documents that are not snapshots', () => {
+        expect(() => parseState('not json')).toThrow(/Not a sandquake snapshot/);
+        expect(() => migrateState({ format: 'other' })).toThrow(/Not a sandquake snapshot/);
+    });
+
+    it('fills in the fields version 1 files may leave out', () => {
+        const state = createBusySimulation().exportState();
+        const version1 = JSON.parse(JSON.stringify({ ...state, version: 1 }));
+        for (const field of ['sinkLosses', 'activity', 'terrain', 'provenance']) {
+            delete version1.pile[field];
+        }
+        delete version1.stations;
+
+        const migrated = migrateState(version1);
+        expect(migrated.version).toBe(STATE_VERSION);
+        expect(migrated.pile).toMatchObject({ sinkLosses: 0, activity: null, terrain: null, provenance: null });
+        expect(migrated.stations).toBeNull();
+
+        const restored = new Simulation({ gridSize: 8 });
+        restored.importState(migrated);
+        expect(restored.getSandPile().getState().grid).toEqual(state.pile.grid);
+        expect(restored.getStations().map(station => station.name)).toEqual(['BL']);
+    });
+
+    it('upgrades unversioned exports', () => {
+        const grid = Array.from({ length: 4 }, (_, x) => Array.from({ length: 4 }, (_, y) => (x + y) % 4));
+        const legacy = {
+            gridSize: 4,
+            grid,
+            sources: [],
+            globalSpeed: 2,
+            statistics: { simulationTime: '12.5', totalAvalanches: '3' }
+        };
+
+        const migrated = migrateState(legacy);
+        expect(migrated.format).toBe(STATE_FORMAT);
+        expect(migrated.version).toBe(STATE_VERSION);
+        expect(migrated.settings.globalSpeed).toBe(2);
+        expect(migrated.clock.simulationTime).toBe(12.5);
+        expect(migrated.pile.totalAvalanches).toBe(3);
+        expect(migrated.pile.grid[1 * 4 + 2]).toBe(3);
+
+        const restored = new Simulation({ gridSize: 8 });
+        restored.importState(migrated);
+        expect(restored.getGrid()).toEqual(grid);
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { Simulation } from '../../src/core/Simulation.js';
+import { SeismicStation } from '../../src/core/SeismicStation.js';
+import { Timeline } from '../../src/core/Timeline.js';
+
+/**
+ * Record a run with inputs between ticks, keeping the state at every tick
+ * A tick's state includes the inputs made after it ran, as seeking to it does.
+ * @returns {Object} {simulation, timeline, states} with states[tick] = exportState()
+ */
+function recordRun() {
+    const simulation = new Simulation({ gridSize: 16, seed: 21, initialSources: 2 });
+    const timeline = new Timeline(simulation, { keyframeInterval: 50 });
+    const states = [];
+
+    simulation.setGlobalSpeed(5);
+    for (let tick = 0; tick < 400; tick++) {
+        if (tick === 60) simulation.setRandomnessFactor(0.4);
+        if (tick === 90) simulation.addRandomSource();
+        if (tick === 120) simulation.dropSand(8, 8, 20);
+        if (tick === 150) simulation.addStation(new SeismicStation('C', 8, 8));
+        if (tick === 200) simulation.paintTerrain(3, 3, 1, { type: 'sink' });
+        if (tick === 260) simulation.removeSource(0);
+        if (tick === 300) simulation.setGlobalSpeed(2);
+        states[tick] = simulation.exportState();
+        simulation.step(1);
+    }
+    states[400] = simulation.exportState();
+
+    return { simulation, timeline, states };
+}
+
+describe('Timeline', () => {
+    it('records the range from the first keyframe to the live tick', () => {
+        const { timeline } = recordRun();
+        expect(timeline.getStartTick()).toBe(0);
+        expect(timeline.getEndTick()).toBe(400);
+    });
+
+    it('rebuilds any recorded tick exactly', () => {
+        const { simulation, timeline, states } = recordRun();
+
+        for (const tick of [0, 1, 49, 50, 60, 61, 120, 150, 199, 200, 260, 300, 333, 400, 7]) {
+            expect(timeline.seek(tick)).toBe(tick);
+            expect(simulation.exportState()).toEqual(states[tick]);
+        }
+    });
+
+    it('replays the logged inputs when stepping forward', () => {
+        const { simulation, timeline, states } = recordRun();
+
+        timeline.seek(100);
+        for (let tick = 101; tick <= 400; tick++) {
+            expect(timeline.stepForward()).toBe(tick);
+            expect(simulation.exportState()).toEqual(states[tick]);
+        }
+    });
+
+    it('steps backward one tick at a time', () => {
+        const { simulation, timeline, states } = recordRun();
+
+        for (let tick = 399; tick >= 390; tick--) {
+            expect(timeline.stepBackward()).toBe(tick);
+            expect(simulation.exportState()).toEqual(states[tick]);
+        }
+    });
+
+    it('clamps seeks to the recorded range', () => {
+        const { timeline } = recordRun();
+        expect(timeline.seek(-10)).toBe(0);
+        expect(timeline.seek(1000)).toBe(400);
+    });
+
+    it('starts a new branch when an input is made in the past', () => {
+        const { simulation, timeline } = recordRun();
+
+        timeline.seek(100);
+        simulation.dropSand(2, 2, 5);
+        expect(timeline.getEndTick()).toBe(100);
+
+        simulation.step(20);
+        const branch = simulation.exportState();
+        timeline.seek(110);
+        timeline.seek(120);
+        expect(simulation.exportState()).toEqual(branch);
+    });
+
+    it('forgets history older than the kept keyframes', () => {
+        const simulation = new Simulation({ gridSize: 8, seed: 2 });
+        const timeline = new Timeline(simulation, { keyframeInterval: 10, maxKeyframes: 3 });
+        simulation.step(100);
+
+        expect(timeline.getStartTick()).toBe(80);
+        expect(timeline.seek(0)).toBe(80);
+    });
+});
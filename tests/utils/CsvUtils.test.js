@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { formatCsvField, toCsv, matrixToCsv } from '../../src/utils/CsvUtils.js';
+
+describe('formatCsvField', () => {
+    it('leaves plain values alone and empties missing ones', () => {
+        expect(formatCsvField(1.5)).toBe('1.5');
+        expect(formatCsvField('abc')).toBe('abc');
+        expect(formatCsvField(null)).toBe('');
+        expect(formatCsvField(undefined)).toBe('');
+    });
+
+    it('quotes commas, quotes and newlines', () => {
+        expect(formatCsvField('a,b')).toBe('"a,b"');
+        expect(formatCsvField('say "hi"')).toBe('"say ""hi"""');
+        expect(formatCsvField('two\nlines')).toBe('"two\nlines"');
+    });
+});
+
+describe('toCsv', () => {
+    it('writes a header and one line per row in column order', () => {
+        const csv = toCsv([{ b: 2, a: 1 }, { a: 3 }], ['a', 'b']);
+        expect(csv).toBe('a,b\n1,2\n3,\n');
+    });
+
+    it('quotes header fields like data fields', () => {
+        const csv = toCsv([{ 'x,y': 1, 'q"': 2 }], ['x,y', 'q"']);
+        expect(csv.split('\n')[0]).toBe('"x,y","q"""');
+    });
+});
+
+describe('matrixToCsv', () => {
+    it('writes one line per row without a header', () => {
+        expect(matrixToCsv([[1, 2], [3, 4]])).toBe('1,2\n3,4\n');
+    });
+});